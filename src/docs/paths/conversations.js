@@ -112,6 +112,185 @@
  *                             example: 5
  */
 
+/**
+ * @swagger
+ * /conversations/sync:
+ *   get:
+ *     summary: Get messages missed while offline
+ *     description: |
+ *       Messages from every conversation the user takes part in that were sent
+ *       after the cursor (the last message the client has), oldest first.
+ *       Messages from others are marked as delivered. Call again with the
+ *       returned cursor while hasMore is true. Also available over the socket
+ *       as sync_messages.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the last message the client has
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Missed messages retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Message'
+ *                     cursor:
+ *                       type: string
+ *                       description: Pass as cursor on the next call
+ *                     hasMore:
+ *                       type: boolean
+ *       400:
+ *         description: Missing or invalid cursor
+ *       404:
+ *         description: Cursor message not found
+ */
+
+/**
+ * @swagger
+ * /conversations/search:
+ *   get:
+ *     summary: Search messages
+ *     description: Full-text search of messages across every conversation the user takes part in. Deleted messages are never returned. Archived conversations are left out unless includeArchived is true or conversationId names one.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Search text. Words match any form ("agreed" finds "agree"), "quoted phrases" match exactly and -word excludes.
+ *         example: equity split
+ *       - in: query
+ *         name: conversationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: senderId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sent on or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Sent on or before (a date without a time covers the whole day)
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, recent]
+ *           default: relevance
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Matching messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       sender:
+ *                         type: object
+ *                       messageType:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       conversation:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           opening:
+ *                             type: object
+ *                             nullable: true
+ *                           otherParticipant:
+ *                             type: object
+ *                           isArchived:
+ *                             type: boolean
+ *                       snippet:
+ *                         type: object
+ *                         properties:
+ *                           text:
+ *                             type: string
+ *                             example: "…we agreed on a 4% equity split vesting over…"
+ *                           highlights:
+ *                             type: array
+ *                             description: Character offsets of matched words in text
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 start:
+ *                                   type: integer
+ *                                 end:
+ *                                   type: integer
+ *                       score:
+ *                         type: number
+ *                         description: Text relevance
+ *                 meta:
+ *                   type: object
+ *       400:
+ *         description: Missing or too long search text, or an invalid filter
+ *       404:
+ *         description: Conversation not found
+ */
+
 /**
  * @swagger
  * /conversations/from-match/{interestId}:
@@ -319,6 +498,103 @@
  *                   example: Conversation unarchived
  */
 
+/**
+ * @swagger
+ * /conversations/{id}/block:
+ *   post:
+ *     summary: Block the other participant
+ *     description: Same as POST /moderation/blocks for the other participant. Every conversation between the two users becomes BLOCKED and conversation_blocked is sent to each conversation room.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Private note
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *       403:
+ *         description: Not a participant
+ *       409:
+ *         description: Already blocked
+ */
+
+/**
+ * @swagger
+ * /conversations/{id}/unblock:
+ *   post:
+ *     summary: Unblock the other participant
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: You have not blocked this user
+ */
+
+/**
+ * @swagger
+ * /conversations/{id}/report:
+ *   post:
+ *     summary: Report the other participant
+ *     description: Same as POST /moderation/reports with the other participant and this conversation filled in.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [HARASSMENT, SPAM, SCAM, INAPPROPRIATE_CONTENT, IMPERSONATION, OTHER]
+ *               details:
+ *                 type: string
+ *               messageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               block:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Invalid reason or messages
+ *       409:
+ *         description: A report about this user is already pending
+ */
+
 /**
  * @swagger
  * /conversations/{id}/messages:
@@ -426,12 +702,209 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /conversations/{id}/messages/{messageId}:
+ *   patch:
+ *     summary: Edit message
+ *     description: |
+ *       Edit one of your own messages within the edit window (15 minutes by
+ *       default, MESSAGE_EDIT_WINDOW_MS). The previous version is kept and the
+ *       message is marked as edited. A message_edited socket event is sent to
+ *       the conversation room.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 maxLength: 5000
+ *     responses:
+ *       200:
+ *         description: Message edited
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     message:
+ *                       $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: Empty content, deleted message, archived conversation or edit window passed
+ *       403:
+ *         description: Not a participant, or not the sender
+ *       404:
+ *         description: Message not found
+ */
+
+/**
+ * @swagger
+ * /conversations/{id}/messages/{messageId}/history:
+ *   get:
+ *     summary: Get message edit history
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message history retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messageId:
+ *                       type: string
+ *                     content:
+ *                       type: string
+ *                     isEdited:
+ *                       type: boolean
+ *                     editedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     versions:
+ *                       type: array
+ *                       description: Prior versions, oldest first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           content:
+ *                             type: string
+ *                           replacedAt:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Not a participant
+ *       404:
+ *         description: Message not found
+ */
+
+/**
+ * @swagger
+ * /conversations/{id}/messages/{messageId}/reactions:
+ *   post:
+ *     summary: Add or remove a reaction
+ *     description: Adds the emoji reaction for the current user, or removes it if they already reacted with it. Each user can add up to 5 different reactions to a message.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Conversation ID
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emoji
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: 👍
+ *     responses:
+ *       200:
+ *         description: Reaction added or removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     messageId:
+ *                       type: string
+ *                     emoji:
+ *                       type: string
+ *                     added:
+ *                       type: boolean
+ *                       description: false if the reaction was removed
+ *                     reactions:
+ *                       type: array
+ *                       description: Reactions grouped by emoji
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           emoji:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                           users:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Not an emoji, reaction limit reached, message deleted or conversation archived
+ *       403:
+ *         description: Not a participant
+ *       404:
+ *         description: Message not found
+ */
+
 /**
  * @swagger
  * /conversations/{id}/read:
  *   post:
  *     summary: Mark messages as read
- *     description: Mark messages as read up to a specific message
+ *     description: Mark specific messages (messageIds), or everything up to a message (upToMessageId), as read. Messages read without a delivery receipt are marked delivered too. The senders get a messages_read socket event with the IDs.
  *     tags: [Conversations]
  *     security:
  *       - bearerAuth: []
@@ -451,6 +924,11 @@
  *               upToMessageId:
  *                 type: string
  *                 description: Mark all messages up to this ID as read (optional, defaults to all)
+ *               messageIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Mark only these messages as read (optional)
  *     responses:
  *       200:
  *         description: Messages marked as read
@@ -17,5 +17,8 @@ require('./matches');
 require('./conversations');
 require('./trials');
 require('./notifications');
+require('./skills');
+require('./savedSearches');
+require('./moderation');
 
 module.exports = {};
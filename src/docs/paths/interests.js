@@ -58,14 +58,27 @@
  * @swagger
  * /interests/my/today:
  *   get:
- *     summary: Get today's interest count
- *     description: Get the number of interests expressed today by the builder
+ *     summary: Get interest credits
+ *     description: |
+ *       Expressing interest costs one credit. Daily credits are granted by tier (Free 5,
+ *       Builder Boost 15) and expire at midnight server time. Bonus credits come from
+ *       refunds and admin grants and carry over; daily credits are spent first.
+ *       A credit is refunded when the opening is closed or filled before the founder
+ *       viewed the interest. Withdrawing does not refund.
  *     tags: [Interests]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: History entries to return
  *     responses:
  *       200:
- *         description: Count retrieved
+ *         description: Credits retrieved
  *         content:
  *           application/json:
  *             schema:
@@ -75,17 +88,7 @@
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: object
- *                   properties:
- *                     count:
- *                       type: integer
- *                       example: 3
- *                     limit:
- *                       type: integer
- *                       example: 5
- *                     remaining:
- *                       type: integer
- *                       example: 2
+ *                   $ref: '#/components/schemas/InterestCredits'
  */
 
 /**
@@ -134,6 +137,12 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Invalid or missing screening answers (errors lists { questionId, message })
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
  *         description: Builders only with complete profile
  *         content:
@@ -153,7 +162,11 @@
  * /interests/{id}/withdraw:
  *   post:
  *     summary: Withdraw interest
- *     description: Withdraw a previously expressed interest
+ *     description: |
+ *       Withdraw a previously expressed interest. The credit is not refunded,
+ *       unless the opening changed its compensation, commitment or remote
+ *       policy after the builder applied and the interest's
+ *       penaltyFreeWithdrawalUntil has not passed.
  *     tags: [Interests]
  *     security:
  *       - bearerAuth: []
@@ -178,6 +191,13 @@
  *                 message:
  *                   type: string
  *                   example: Interest withdrawn successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interest:
+ *                       $ref: '#/components/schemas/Interest'
+ *                     creditRefunded:
+ *                       type: boolean
  *       400:
  *         description: Cannot withdraw - already processed
  *         content:
@@ -197,7 +217,10 @@
  * /interests/received:
  *   get:
  *     summary: Get received interests
- *     description: Get interests received for founder's openings
+ *     description: |
+ *       Get interests received for founder's openings. Listing marks the returned
+ *       interests viewed, so closing the opening no longer refunds their credits;
+ *       they are returned with their previous viewedAt so new ones still show as new.
  *     tags: [Interests]
  *     security:
  *       - bearerAuth: []
@@ -214,6 +237,23 @@
  *           enum: [pending, shortlisted, passed, withdrawn]
  *         description: Filter by status
  *       - in: query
+ *         name: stageId
+ *         schema:
+ *           type: string
+ *         description: Filter by pipeline stage ID, or "new" for the default column
+ *       - in: query
+ *         name: knockedOut
+ *         schema:
+ *           type: boolean
+ *         description: Only knocked-out (true) or not knocked-out (false) applicants
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [recent, screening]
+ *           default: recent
+ *         description: screening puts knocked-out applicants last, then highest screening score first
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -334,6 +374,20 @@
  *         schema:
  *           type: string
  *         description: Interest ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               passReason:
+ *                 type: string
+ *                 enum: [SKILLS_MISMATCH, EXPERIENCE_MISMATCH, COMPENSATION_MISMATCH, AVAILABILITY_MISMATCH, CULTURE_FIT, POSITION_FILLED, OTHER]
+ *                 description: Why (founder only, never shown to the builder)
+ *               passFeedback:
+ *                 type: string
+ *                 maxLength: 300
+ *                 description: Feedback shared with the builder
  *     responses:
  *       200:
  *         description: Passed on builder
@@ -350,6 +404,373 @@
  *                   example: Passed on builder
  */
 
+/**
+ * @swagger
+ * /interests/pipeline/{openingId}:
+ *   get:
+ *     summary: Get pipeline board
+ *     description: |
+ *       Candidates still in play for an opening (INTERESTED, SHORTLISTED, MATCH_PROPOSED,
+ *       MATCH_DECLINED), grouped by the founder's stages. The first column is always the
+ *       default "New" column (id null). Stages are internal to the founder; builders never see them.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: openingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pipeline retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PipelineBoard'
+ *       403:
+ *         description: Not the opening owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Opening not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /interests/pipeline/{openingId}/stages:
+ *   put:
+ *     summary: Replace pipeline stages
+ *     description: |
+ *       The list is the new board order (max 10). Entries with an id keep that stage and its
+ *       candidates (renames allowed); entries without one are created; stages left out are removed.
+ *       Removing a stage that still holds candidates in play returns 409.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: openingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stages]
+ *             properties:
+ *               stages:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required: [name]
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       description: Existing stage ID (omit for a new stage)
+ *                     name:
+ *                       type: string
+ *                       maxLength: 40
+ *                       example: Intro call
+ *     responses:
+ *       200:
+ *         description: Pipeline stages updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PipelineStage'
+ *       400:
+ *         description: Invalid stage list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A removed stage still has candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /interests/pipeline/{openingId}/analytics:
+ *   get:
+ *     summary: Get pipeline analytics
+ *     description: |
+ *       Time-in-stage and drop-off per stage, replayed from each interest's statusHistory.
+ *       A drop-off (PASSED or WITHDRAWN) is charged to the stage the candidate was in.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: openingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pipeline analytics retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PipelineAnalytics'
+ */
+
+/**
+ * @swagger
+ * /interests/{id}/move:
+ *   post:
+ *     summary: Move candidate to a stage
+ *     description: |
+ *       Moves an interest to another pipeline stage without changing its status. The move is
+ *       recorded in statusHistory (type STAGE) with the note. Moving out of "New" marks the
+ *       interest viewed.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Interest ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stageId]
+ *             properties:
+ *               stageId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Target stage ID, null for the "New" column
+ *               note:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Strong intro call, sending take-home
+ *     responses:
+ *       200:
+ *         description: Candidate moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interest:
+ *                       $ref: '#/components/schemas/Interest'
+ *       400:
+ *         description: Interest is out of the pipeline or already in that stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Interest or stage not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /interests/admin/credits:
+ *   post:
+ *     summary: Grant interest credits (Admin)
+ *     description: Adds bonus credits to a builder's balance and notifies them. The reason is shown to the builder.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [builderId, amount, reason]
+ *             properties:
+ *               builderId:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 example: 5
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Sorry about the outage yesterday
+ *     responses:
+ *       201:
+ *         description: Credits granted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/InterestCredits'
+ *       400:
+ *         description: Invalid amount or reason, or the user is not a builder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /interests/bulk:
+ *   post:
+ *     summary: Bulk shortlist, pass or move
+ *     description: |
+ *       Applies one action to up to 100 received interests. Each interest follows the
+ *       single-item rules and reports its own result; failures do not stop the rest.
+ *
+ *       PASS fills `passReason` and `passFeedback` on every interest. `passFeedback` is a
+ *       template with placeholders `{{builderName}}`, `{{openingTitle}}`, `{{founderName}}`
+ *       and `{{startupName}}`; without one, a default template for the pass reason is used.
+ *
+ *       The action can be undone until `undoExpiresAt`. Builders are notified once that
+ *       window closes, with one summary notification (INTEREST_UPDATES) per builder.
+ *       MOVE never notifies builders.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkInterestInput'
+ *     responses:
+ *       200:
+ *         description: Bulk action applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 8 of 10 interests updated
+ *                 data:
+ *                   $ref: '#/components/schemas/BulkInterestResult'
+ *       400:
+ *         description: Invalid action, IDs, pass details or stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /interests/bulk/{id}/undo:
+ *   post:
+ *     summary: Undo a bulk action
+ *     description: |
+ *       Reverts a bulk action before its undo window closes. Interests changed again since
+ *       the bulk action are left alone and reported as skipped. Builders are not notified
+ *       about an undone action.
+ *     tags: [Interests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Bulk action ID
+ *     responses:
+ *       200:
+ *         description: Bulk action undone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 10 interests restored
+ *                 data:
+ *                   $ref: '#/components/schemas/BulkInterestUndoResult'
+ *       400:
+ *         description: Already undone or the undo window has closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Bulk action not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
 /**
  * @swagger
  * /interests/matches:
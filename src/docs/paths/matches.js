@@ -8,7 +8,7 @@
  * /matches/algorithm-info:
  *   get:
  *     summary: Get algorithm info
- *     description: Get matching algorithm weights and thresholds
+ *     description: Get the active weight profile version, its weights and the score thresholds
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
@@ -26,54 +26,54 @@
  *                 data:
  *                   type: object
  *                   properties:
+ *                     version:
+ *                       type: integer
+ *                       example: 3
+ *                       description: Active weight profile version
+ *                     profileName:
+ *                       type: string
+ *                       example: PRD default
+ *                     activatedAt:
+ *                       type: string
+ *                       format: date-time
  *                     weights:
- *                       type: object
- *                       properties:
- *                         skills:
- *                           type: number
- *                           example: 0.25
- *                         compensation:
- *                           type: number
- *                           example: 0.25
- *                         commitment:
- *                           type: number
- *                           example: 0.20
- *                         scenario:
- *                           type: number
- *                           example: 0.15
- *                         geography:
- *                           type: number
- *                           example: 0.15
+ *                       $ref: '#/components/schemas/MatchWeights'
  *                     thresholds:
  *                       type: object
  *                       properties:
- *                         minimum:
+ *                         EXCELLENT:
  *                           type: number
- *                           example: 0.5
- *                         good:
+ *                           example: 90
+ *                         GOOD:
  *                           type: number
- *                           example: 0.7
- *                         excellent:
+ *                           example: 75
+ *                         FAIR:
+ *                           type: number
+ *                           example: 60
+ *                         WEAK:
  *                           type: number
- *                           example: 0.85
+ *                           example: 0
  */
 
 /**
  * @swagger
  * /matches/daily/founder:
  *   get:
- *     summary: Get daily matches for founder
- *     description: Get algorithm-generated daily matches for a founder
+ *     summary: Get today's match drop for founder
+ *     description: |
+ *       Get today's match drop for a founder. The drop is sized by subscription tier
+ *       (5 free, unlimited with Founder Pro) and repeated calls return the same matches until `drop.nextDropAt`.
+ *       Matches not acted on roll over into the next drop. Each match carries an
+ *       `explanation` with the reasons and caveats behind its score
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: limit
+ *         name: personalize
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of matches to return
+ *           type: boolean
+ *         description: Re-rank using the user's past LIKE/SAVE/SKIP actions. Defaults to the user's `personalizedMatching` setting
  *     responses:
  *       200:
  *         description: Daily matches retrieved
@@ -92,10 +92,11 @@
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Match'
- *                     remaining:
+ *                     count:
  *                       type: integer
- *                       example: 3
- *                       description: Remaining matches for today
+ *                       example: 5
+ *                     drop:
+ *                       $ref: '#/components/schemas/MatchDrop'
  *       403:
  *         description: Founders only
  *         content:
@@ -108,18 +109,21 @@
  * @swagger
  * /matches/daily/builder:
  *   get:
- *     summary: Get daily matches for builder
- *     description: Get algorithm-generated daily matches for a builder
+ *     summary: Get today's match drop for builder
+ *     description: |
+ *       Get today's match drop for a builder. The drop is sized by subscription tier
+ *       (5 free, 15 with Builder Boost) and repeated calls return the same matches until `drop.nextDropAt`.
+ *       Matches not acted on roll over into the next drop. Each match carries an
+ *       `explanation` with the reasons and caveats behind its score
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: limit
+ *         name: personalize
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of matches to return
+ *           type: boolean
+ *         description: Re-rank using the user's past LIKE/SAVE/SKIP actions. Defaults to the user's `personalizedMatching` setting
  *     responses:
  *       200:
  *         description: Daily matches retrieved
@@ -138,9 +142,11 @@
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Match'
- *                     remaining:
+ *                     count:
  *                       type: integer
- *                       example: 2
+ *                       example: 5
+ *                     drop:
+ *                       $ref: '#/components/schemas/MatchDrop'
  *       403:
  *         description: Builders only with complete profile
  *         content:
@@ -235,10 +241,18 @@
  *                         geography:
  *                           type: number
  *                           example: 1.0
+ *                         mutualFit:
+ *                           $ref: '#/components/schemas/MutualFit'
  *                     recommendation:
  *                       type: string
  *                       enum: [excellent, good, fair, low]
  *                       example: excellent
+ *                     reason:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Hard-filter reason when the pair is rejected
+ *                     explanation:
+ *                       $ref: '#/components/schemas/MatchExplanation'
  *       400:
  *         description: Missing parameters
  *         content:
@@ -366,10 +380,25 @@
  * /matches/admin/run-nightly:
  *   post:
  *     summary: Run nightly match generation
- *     description: Manually trigger the nightly match generation job (Admin only)
+ *     description: |
+ *       Manually trigger the nightly match generation job (Admin only).
+ *       An interrupted run is resumed from its checkpoint. Otherwise only pairs where
+ *       the opening, founder/builder profile or a scenario response changed since the
+ *       last completed run are rescored. A new weight profile or `full: true` rescores every pair.
  *     tags: [Matches]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               full:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Rescore every pair (ignored when resuming)
  *     responses:
  *       200:
  *         description: Nightly job triggered
@@ -387,24 +416,237 @@
  *                 data:
  *                   type: object
  *                   properties:
+ *                     runId:
+ *                       type: string
+ *                     mode:
+ *                       type: string
+ *                       enum: [FULL, INCREMENTAL]
+ *                     since:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     resumed:
+ *                       type: boolean
+ *                     weightProfileVersion:
+ *                       type: integer
+ *                       example: 1
  *                     openingsProcessed:
  *                       type: integer
  *                       example: 150
+ *                     pairsScored:
+ *                       type: integer
+ *                       example: 4200
+ *                     pairsSkipped:
+ *                       type: integer
+ *                       example: 38000
  *                     matchesCreated:
  *                       type: integer
  *                       example: 500
  *                     matchesUpdated:
  *                       type: integer
  *                       example: 200
- *                     errors:
+ *                     openingErrors:
  *                       type: integer
  *                       example: 0
+ *                     failedOpenings:
+ *                       type: array
+ *                       description: Openings that could not be processed (first 100)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           openingId:
+ *                             type: string
+ *                           error:
+ *                             type: string
  *       403:
  *         description: Admin access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another run is still in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /matches/admin/generation-runs:
+ *   get:
+ *     summary: List match generation runs
+ *     description: Recent nightly match generation runs with their checkpoint and counters, newest first (Admin only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Match generation runs retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     runs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MatchGenerationRun'
+ *                     count:
+ *                       type: integer
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /matches/admin/weight-profiles:
+ *   get:
+ *     summary: List weight profiles
+ *     description: List all matching weight profiles, newest first (Admin only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weight profiles retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     profiles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WeightProfile'
+ *                     count:
+ *                       type: integer
+ *   post:
+ *     summary: Create weight profile
+ *     description: Create a new weight profile version. It stays inactive unless `activate` is true (Admin only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, weights]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               weights:
+ *                 $ref: '#/components/schemas/MatchWeights'
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Weight profile created
+ *       400:
+ *         description: Invalid weights (missing factor, out of range, or not summing to 1.0)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /matches/admin/weight-profiles/rollback:
+ *   post:
+ *     summary: Roll back weight profile
+ *     description: Re-activate the profile that was active before the current one, or an explicit version (Admin only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 description: Explicit version to roll back to
+ *     responses:
+ *       200:
+ *         description: Rolled back
+ *       400:
+ *         description: No previous version to roll back to
+ */
+
+/**
+ * @swagger
+ * /matches/admin/weight-profiles/{version}:
+ *   get:
+ *     summary: Get weight profile
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Weight profile retrieved
+ *       404:
+ *         description: Weight profile not found
+ */
+
+/**
+ * @swagger
+ * /matches/admin/weight-profiles/{version}/activate:
+ *   post:
+ *     summary: Activate weight profile
+ *     description: Make this version the one used for all new scoring (Admin only)
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Weight profile activated
+ *       400:
+ *         description: Already active
+ *       404:
+ *         description: Weight profile not found
  */
 
 /**
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Moderation API Documentation
+ * @module docs/paths/moderation
+ */
+
+/**
+ * @swagger
+ * /moderation/blocks:
+ *   get:
+ *     summary: Get the users I have blocked
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     blocks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Block'
+ *   post:
+ *     summary: Block a user
+ *     description: |
+ *       A block works in both directions, whoever made it. While it stands the
+ *       two users cannot message each other (their conversations become
+ *       BLOCKED), send each other connection requests (pending ones are
+ *       closed), express interest in each other's openings or see each other
+ *       in daily matches, mutual matches, discovery and received interests.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Private note
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     block:
+ *                       $ref: '#/components/schemas/Block'
+ *                     conversations:
+ *                       type: array
+ *                       description: Conversations between the two users (now BLOCKED)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *       400:
+ *         description: Invalid user ID or blocking yourself
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already blocked
+ */
+
+/**
+ * @swagger
+ * /moderation/blocks/{userId}:
+ *   delete:
+ *     summary: Unblock a user
+ *     description: Conversations go back to ACTIVE (or ARCHIVED if someone archived them) unless the other user also blocked you.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       404:
+ *         description: You have not blocked this user
+ */
+
+/**
+ * @swagger
+ * /moderation/reports:
+ *   get:
+ *     summary: Get the report review queue (admin)
+ *     description: Pending reports oldest first, resolved ones most recently reviewed first. Each report includes reportedUserReportCount, the number of reports ever made about that user.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, RESOLVED]
+ *           default: PENDING
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [HARASSMENT, SPAM, SCAM, INAPPROPRIATE_CONTENT, IMPERSONATION, OTHER]
+ *       - in: query
+ *         name: reportedUserId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Report'
+ *                 meta:
+ *                   type: object
+ *       403:
+ *         description: Admin only
+ *   post:
+ *     summary: Report a user
+ *     description: Messages can be included as evidence with conversationId. They must be sent by the reported user in that conversation; they are flagged and copied onto the report. Only one pending report per reported user at a time.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportInput'
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/Report'
+ *                     blocked:
+ *                       type: boolean
+ *                       description: The user is now blocked
+ *       400:
+ *         description: Invalid reason, user or messages
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: A report about this user is already pending
+ */
+
+/**
+ * @swagger
+ * /moderation/reports/mine:
+ *   get:
+ *     summary: Get the reports I have made
+ *     description: Status only; outcomes are not shown to reporters.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reports retrieved
+ */
+
+/**
+ * @swagger
+ * /moderation/reports/{id}:
+ *   get:
+ *     summary: Get a report with its evidence (admin)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report retrieved
+ *       404:
+ *         description: Report not found
+ */
+
+/**
+ * @swagger
+ * /moderation/reports/{id}/review:
+ *   post:
+ *     summary: Record the outcome of a report (admin)
+ *     description: |
+ *       SUSPENDED and BANNED suspend or ban the reported user (same as
+ *       /users/{id}/suspend and /users/{id}/ban), with the note as the reason.
+ *       WARNED sends the reported user a notification with the note. The
+ *       reporter gets a REPORT_REVIEWED notification without the outcome.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [outcome]
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [NO_ACTION, WARNED, SUSPENDED, BANNED]
+ *               note:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Report reviewed
+ *       400:
+ *         description: Invalid outcome
+ *       404:
+ *         description: Report not found
+ *       409:
+ *         description: Already reviewed
+ */
+
+module.exports = {};
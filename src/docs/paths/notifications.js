@@ -17,7 +17,7 @@
  *         name: type
  *         schema:
  *           type: string
- *           enum: [NEW_MATCH, NEW_INTEREST, SHORTLISTED, NEW_MESSAGE, TRIAL_PROPOSED, TRIAL_ACCEPTED, TRIAL_COMPLETED, TRIAL_REMINDER, SYSTEM]
+ *           enum: [NEW_MATCH, NEW_INTEREST, SHORTLISTED, NEW_MESSAGE, TRIAL_PROPOSED, TRIAL_ACCEPTED, TRIAL_COMPLETED, TRIAL_REMINDER, MATCH_NUDGE, MATCH_EXPIRED, SYSTEM]
  *         description: Filter by notification type
  *       - in: query
  *         name: unreadOnly
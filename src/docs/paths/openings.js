@@ -38,6 +38,11 @@
  *           type: number
  *         description: Minimum equity percentage
  *       - in: query
+ *         name: maxCash
+ *         schema:
+ *           type: number
+ *         description: Maximum cash - only openings whose lowest cash offer is at or below this
+ *       - in: query
  *         name: remotePreference
  *         schema:
  *           type: string
@@ -95,7 +100,11 @@
  *
  *   post:
  *     summary: Create opening
- *     description: Create a new job/role opening (Founders only)
+ *     description: |
+ *       Create a new job/role opening (Founders only). With a future publishAt
+ *       the opening is created SCHEDULED and goes live at that time. Scheduled
+ *       openings count toward the opening limit. With draft true the opening is
+ *       saved as a DRAFT; drafts skip the opening limit until published.
  *     tags: [Openings]
  *     security:
  *       - bearerAuth: []
@@ -187,7 +196,7 @@
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, paused, filled, closed]
+ *           enum: [DRAFT, SCHEDULED, ACTIVE, PAUSED, CLOSED, FILLED]
  *         description: Filter by status
  *       - in: query
  *         name: page
@@ -240,6 +249,12 @@
  *                     total:
  *                       type: integer
  *                       example: 5
+ *                     draft:
+ *                       type: integer
+ *                       example: 1
+ *                     scheduled:
+ *                       type: integer
+ *                       example: 0
  *                     active:
  *                       type: integer
  *                       example: 3
@@ -257,6 +272,180 @@
  *                       example: 75
  */
 
+/**
+ * @swagger
+ * /openings/templates:
+ *   get:
+ *     summary: Get the template library
+ *     description: |
+ *       Built-in templates (one or more per role type, builtIn true, a key as
+ *       _id) followed by the founder's own saved templates.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: roleType
+ *         schema:
+ *           type: string
+ *           enum: [COFOUNDER, EMPLOYEE, INTERN, FRACTIONAL]
+ *     responses:
+ *       200:
+ *         description: Templates retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningTemplate'
+ *   post:
+ *     summary: Save a template
+ *     description: |
+ *       Save opening fields as a named template, from scratch (fields) or from
+ *       one of the founder's openings (openingId). Fields given with an
+ *       openingId change the copied values. Fields are validated like a new
+ *       opening. Up to 20 templates per founder.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               openingId:
+ *                 type: string
+ *               fields:
+ *                 $ref: '#/components/schemas/OpeningInput'
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *       400:
+ *         description: Missing name or template limit reached
+ *       403:
+ *         description: Opening belongs to another founder
+ *       409:
+ *         description: A template with this name already exists
+ *       422:
+ *         description: Invalid opening fields
+ */
+
+/**
+ * @swagger
+ * /openings/templates/{templateId}:
+ *   get:
+ *     summary: Get a template
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Built-in template key or saved template ID
+ *     responses:
+ *       200:
+ *         description: Template retrieved
+ *       404:
+ *         description: Template not found
+ *   patch:
+ *     summary: Update a template
+ *     description: Fields given replace the template's values for those fields. Built-in templates cannot be changed.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               fields:
+ *                 $ref: '#/components/schemas/OpeningInput'
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       404:
+ *         description: Template not found
+ *       422:
+ *         description: Invalid opening fields
+ *   delete:
+ *     summary: Delete a template
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+
+/**
+ * @swagger
+ * /openings/templates/{templateId}/use:
+ *   post:
+ *     summary: Create an opening from a template
+ *     description: |
+ *       Create an opening with the template's fields. Fields in the body
+ *       change the template values; publishAt, applicationDeadline and draft
+ *       work as on POST /openings.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Built-in template key or saved template ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpeningInput'
+ *     responses:
+ *       201:
+ *         description: Opening created successfully
+ *       400:
+ *         description: Opening limit reached
+ *       404:
+ *         description: Template not found
+ */
+
 /**
  * @swagger
  * /openings/recommended:
@@ -435,7 +624,18 @@
  *
  *   patch:
  *     summary: Update opening
- *     description: Update an opening (Owner only)
+ *     description: |
+ *       Update an opening (Owner only). publishAt can only change while the
+ *       opening is DRAFT or SCHEDULED; on a scheduled opening a past time or
+ *       null publishes it now. Drafts are published with POST
+ *       /openings/{id}/publish, not by changing their status. Changing
+ *       maxInterests pauses or resumes the opening automatically. Closing or
+ *       filling it notifies builders whose interest is still open.
+ *
+ *       Edits to a published opening are recorded as a new revision. When
+ *       compensation, commitment or remote policy changes, builders whose
+ *       interest is still open get an OPENING_UPDATED notification and can
+ *       withdraw within 7 days and get their credit back.
  *     tags: [Openings]
  *     security:
  *       - bearerAuth: []
@@ -504,6 +704,209 @@
  *                   example: Opening deleted successfully
  */
 
+/**
+ * @swagger
+ * /openings/{id}/revisions:
+ *   get:
+ *     summary: Get revision history
+ *     description: |
+ *       Edits made after the opening was published, newest first. Visible to
+ *       the founder and to builders who expressed interest; builders do not
+ *       see screening question rules.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Opening ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningRevision'
+ *                     currentRevision:
+ *                       type: integer
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationMeta'
+ *       403:
+ *         description: Not the owner and never expressed interest
+ *       404:
+ *         description: Opening not found
+ */
+
+/**
+ * @swagger
+ * /openings/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions
+ *     description: |
+ *       Each field changed between the two revisions, with its value at
+ *       `from` and at `to`. Revision 0 is the opening as published. Fields
+ *       changed and then changed back are left out.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Opening ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Older revision (default - the one before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Newer revision (default - current)
+ *     responses:
+ *       200:
+ *         description: Revision diff retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: integer
+ *                     to:
+ *                       type: integer
+ *                     material:
+ *                       type: boolean
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OpeningRevisionChange'
+ *       400:
+ *         description: from/to out of range
+ *       403:
+ *         description: Not the owner and never expressed interest
+ */
+
+/**
+ * @swagger
+ * /openings/{id}/publish:
+ *   post:
+ *     summary: Publish a draft
+ *     description: |
+ *       Publish a DRAFT opening. It goes live now, or becomes SCHEDULED when
+ *       its publishAt is in the future. The opening limit applies.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Opening ID
+ *     responses:
+ *       200:
+ *         description: Opening published
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     opening:
+ *                       $ref: '#/components/schemas/Opening'
+ *       400:
+ *         description: Not a draft, application deadline passed, or opening limit reached
+ *       403:
+ *         description: Not the owner
+ */
+
+/**
+ * @swagger
+ * /openings/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate opening
+ *     description: |
+ *       Copy an opening into a new DRAFT titled "<title> (copy)". Role,
+ *       compensation, skills and questions are copied; status, schedule,
+ *       counters and pipeline stages start fresh. Fields in the body change
+ *       the copy.
+ *     tags: [Openings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Opening ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpeningInput'
+ *     responses:
+ *       201:
+ *         description: Opening duplicated as a draft
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     opening:
+ *                       $ref: '#/components/schemas/Opening'
+ *       403:
+ *         description: Not the owner
+ *       404:
+ *         description: Opening not found
+ */
+
 /**
  * @swagger
  * /openings/{id}/pause:
@@ -541,7 +944,7 @@
  * /openings/{id}/resume:
  *   post:
  *     summary: Resume opening
- *     description: Resume a paused opening
+ *     description: Resume a paused opening. Fails when the application deadline has passed or maxInterests is reached.
  *     tags: [Openings]
  *     security:
  *       - bearerAuth: []
@@ -566,6 +969,8 @@
  *                 message:
  *                   type: string
  *                   example: Opening resumed
+ *       400:
+ *         description: Not paused, past the application deadline, or at maxInterests
  */
 
 /**
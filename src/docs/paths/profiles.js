@@ -681,12 +681,66 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /profiles/scenarios/bank:
+ *   get:
+ *     summary: Get scenario questions
+ *     description: The active version of the scenario question bank. Answers are submitted by scenario `key`.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scenario questions retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bank:
+ *                       type: object
+ *                       properties:
+ *                         version:
+ *                           type: integer
+ *                           example: 2
+ *                         scenarios:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               context:
+ *                                 type: string
+ *                               options:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     value:
+ *                                       type: string
+ *                                     text:
+ *                                       type: string
+ */
+
 /**
  * @swagger
  * /profiles/scenarios:
  *   post:
  *     summary: Save scenario responses
- *     description: Save scenario questionnaire responses for matching
+ *     description: |
+ *       Save scenario questionnaire responses for matching. Answers are merged with the
+ *       user's existing answers, so after a new question is added only the scenarios in
+ *       `missingScenarios` need to be sent. Changing an earlier answer counts as a retake.
  *     tags: [Profiles]
  *     security:
  *       - bearerAuth: []
@@ -710,6 +764,13 @@
  *                 message:
  *                   type: string
  *                   example: Scenario responses saved
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scenarios:
+ *                       $ref: '#/components/schemas/ScenarioResponse'
+ *       400:
+ *         description: Unknown scenario, invalid option, or active scenarios left unanswered
  */
 
 /**
@@ -717,7 +778,9 @@
  * /profiles/scenarios/me:
  *   get:
  *     summary: Get current user's scenarios
- *     description: Get the current user's scenario responses
+ *     description: |
+ *       Get the current user's scenario responses, mapped to the active question bank.
+ *       `missingScenarios` lists questions added since the user last answered.
  *     tags: [Profiles]
  *     security:
  *       - bearerAuth: []
@@ -744,7 +807,12 @@
  * /profiles/scenarios/compatibility/{userId}:
  *   get:
  *     summary: Get scenario compatibility
- *     description: Calculate scenario-based compatibility with another user
+ *     description: |
+ *       Calculate scenario-based compatibility with another user. Each scenario is
+ *       weighted by importance and every pair of answers is SAME, COMPLEMENTARY,
+ *       NEUTRAL or CONFLICTING. Conflicting scenarios are listed in `disagreements`,
+ *       most important first. `user1` is the current user. Users who answered
+ *       different bank versions are compared on the scenarios they share.
  *     tags: [Profiles]
  *     security:
  *       - bearerAuth: []
@@ -768,16 +836,144 @@
  *                   example: true
  *                 data:
  *                   type: object
+ *                   $ref: '#/components/schemas/ScenarioCompatibility'
+ */
+
+/**
+ * @swagger
+ * /profiles/scenarios/banks:
+ *   get:
+ *     summary: List scenario banks
+ *     description: List all scenario question bank versions, newest first (Admin only)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scenario banks retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
  *                   properties:
- *                     compatibilityScore:
- *                       type: number
- *                       example: 0.75
- *                     matchingScenarios:
+ *                     banks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScenarioBank'
+ *                     count:
  *                       type: integer
- *                       example: 4
- *                     totalScenarios:
+ *   post:
+ *     summary: Create scenario bank version
+ *     description: |
+ *       Create a new question bank version (Admin only). Either send the full `scenarios`
+ *       list, or `add` / `remove` against `baseVersion` (defaults to the active version).
+ *       Use `migrateFrom` on a question to carry answers over from a renamed or changed
+ *       question in the base version. The version stays inactive unless `activate` is true.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scenarios:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ScenarioQuestion'
+ *               add:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ScenarioQuestion'
+ *               remove:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               baseVersion:
+ *                 type: integer
+ *               notes:
+ *                 type: string
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Scenario bank created
+ *       400:
+ *         description: Invalid questions (duplicate keys, unknown options in answer pairs)
+ *       409:
+ *         description: Another version was created concurrently
+ */
+
+/**
+ * @swagger
+ * /profiles/scenarios/banks/{version}:
+ *   get:
+ *     summary: Get scenario bank version
+ *     description: Get a question bank version (Admin only)
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scenario bank retrieved
+ *       404:
+ *         description: Version not found
+ */
+
+/**
+ * @swagger
+ * /profiles/scenarios/banks/{version}/activate:
+ *   post:
+ *     summary: Activate scenario bank version
+ *     description: |
+ *       Make a question bank version active and map every stored response forward to it
+ *       (Admin only). Versions only move forward; older versions cannot be re-activated.
+ *     tags: [Profiles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scenario bank activated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bank:
+ *                       $ref: '#/components/schemas/ScenarioBank'
+ *                     migratedResponses:
  *                       type: integer
- *                       example: 6
+ *                       nullable: true
+ *                       description: Stored responses rewritten to the new version; null if that failed (they still migrate when read)
+ *       400:
+ *         description: Already active, or older than the active version
  */
 
 /**
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Saved Search API Documentation
+ * @module docs/paths/savedSearches
+ */
+
+/**
+ * @swagger
+ * /saved-searches:
+ *   get:
+ *     summary: Get my saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: openingId
+ *         schema:
+ *           type: string
+ *         description: Founders - only talent searches for this opening
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedSearch'
+ *       403:
+ *         description: Founders and builders only
+ *   post:
+ *     summary: Save a search
+ *     description: |
+ *       Builders save opening search filters. When an opening is published or
+ *       resumed and matches, the builder gets a SAVED_SEARCH_MATCH notification
+ *       right away (INSTANT) or the opening is included in the next daily
+ *       SAVED_SEARCH_DIGEST notification (DAILY). Builders never hear about
+ *       openings they already expressed interest in.
+ *
+ *       Founders save builder search filters against one of their openings
+ *       (openingId). When a builder becomes discoverable - profile completed,
+ *       made visible, or open to opportunities again - and matches, the founder
+ *       gets TALENT_SEARCH_MATCH (INSTANT) or TALENT_SEARCH_DIGEST (DAILY).
+ *       Hidden builders and builders not open to opportunities are never
+ *       matched, and builders who already expressed interest in the opening
+ *       are skipped.
+ *
+ *       Either way a user hears about an opening or builder once, however
+ *       many of their searches match it.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedSearchInput'
+ *     responses:
+ *       201:
+ *         description: Search saved
+ *       400:
+ *         description: Missing name, no filters set, missing/closed opening (founders), or saved search limit (10) reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Invalid filter values
+ */
+
+/**
+ * @swagger
+ * /saved-searches/{id}:
+ *   get:
+ *     summary: Get a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search retrieved
+ *       404:
+ *         description: Saved search not found
+ *   patch:
+ *     summary: Update a saved search
+ *     description: Turning a search off (isActive false) also drops matches waiting for the digest.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/OpeningSearchFilters'
+ *                   - $ref: '#/components/schemas/BuilderSearchFilters'
+ *               frequency:
+ *                 type: string
+ *                 enum: [INSTANT, DAILY]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved search updated
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     summary: Delete a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted
+ *       404:
+ *         description: Saved search not found
+ */
+
+/**
+ * @swagger
+ * /saved-searches/{id}/results:
+ *   get:
+ *     summary: Run a saved search now
+ *     description: |
+ *       Same results as GET /openings (opening searches) or
+ *       GET /profiles/builder/discover limited to visible builders open to
+ *       opportunities (talent searches) with the saved filters.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Openings or builder profiles retrieved
+ *       404:
+ *         description: Saved search not found
+ */
+
+module.exports = {};
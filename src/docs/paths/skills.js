@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Skill Taxonomy API Documentation
+ * @module docs/paths/skills
+ */
+
+/**
+ * @swagger
+ * /skills:
+ *   get:
+ *     summary: List skills
+ *     description: |
+ *       List skills in the taxonomy used for matching. Synonyms count as the same
+ *       skill, children/parents/siblings and related skills earn partial credit.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [TECHNICAL, DESIGN, BUSINESS, DOMAIN]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name or synonym prefix
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Include deactivated skills (admin only)
+ *     responses:
+ *       200:
+ *         description: Skills retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     skills:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Skill'
+ *   post:
+ *     summary: Create a skill
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SkillInput'
+ *     responses:
+ *       201:
+ *         description: Skill created
+ *       400:
+ *         description: Invalid parent/related skill or parent cycle
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin only
+ *       409:
+ *         description: Name or synonym already used by another skill
+ */
+
+/**
+ * @swagger
+ * /skills/{skillId}:
+ *   get:
+ *     summary: Get a skill
+ *     description: Get a skill with its parent, children and related skills
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill retrieved
+ *       404:
+ *         description: Skill not found
+ *   patch:
+ *     summary: Update a skill
+ *     description: Update synonyms, parent or related skills. Cached skill graphs refresh immediately on this server.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SkillInput'
+ *     responses:
+ *       200:
+ *         description: Skill updated
+ *       409:
+ *         description: Name or synonym already used by another skill
+ *   delete:
+ *     summary: Deactivate a skill
+ *     description: Deactivated skills are ignored by matching
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: skillId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill deactivated
+ */
+
+module.exports = {};
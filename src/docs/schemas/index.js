@@ -276,6 +276,19 @@
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *         location:
+ *           type: object
+ *           properties:
+ *             city:
+ *               type: string
+ *             country:
+ *               type: string
+ *             timezone:
+ *               type: string
+ *               description: IANA timezone, used for working-hours overlap
+ *               example: Asia/Kolkata
+ *         workingHours:
+ *           $ref: '#/components/schemas/WorkingHours'
  *
  *     FounderProfileInput:
  *       type: object
@@ -320,6 +333,30 @@
  *               type: number
  *             max:
  *               type: number
+ *         location:
+ *           type: object
+ *           properties:
+ *             city:
+ *               type: string
+ *             country:
+ *               type: string
+ *             timezone:
+ *               type: string
+ *               description: IANA timezone, used for working-hours overlap
+ *               example: Asia/Kolkata
+ *         workingHours:
+ *           $ref: '#/components/schemas/WorkingHours'
+ *
+ *     WorkingHours:
+ *       type: object
+ *       description: Typical working hours in local time (24-hour HH:mm)
+ *       properties:
+ *         start:
+ *           type: string
+ *           example: '09:00'
+ *         end:
+ *           type: string
+ *           example: '18:00'
  */
 
 // ============================================
@@ -420,6 +457,19 @@
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *         location:
+ *           type: object
+ *           properties:
+ *             city:
+ *               type: string
+ *             country:
+ *               type: string
+ *             timezone:
+ *               type: string
+ *               description: IANA timezone, used for working-hours overlap
+ *               example: Asia/Kolkata
+ *         workingHours:
+ *           $ref: '#/components/schemas/WorkingHours'
  *
  *     BuilderProfileInput:
  *       type: object
@@ -468,6 +518,19 @@
  *         availability:
  *           type: string
  *           enum: [immediately, within_1_month, within_3_months, exploring]
+ *         location:
+ *           type: object
+ *           properties:
+ *             city:
+ *               type: string
+ *             country:
+ *               type: string
+ *             timezone:
+ *               type: string
+ *               description: IANA timezone, used for working-hours overlap
+ *               example: Asia/Kolkata
+ *         workingHours:
+ *           $ref: '#/components/schemas/WorkingHours'
  */
 
 // ============================================
@@ -534,14 +597,42 @@
  *           example: remote_only
  *         status:
  *           type: string
- *           enum: [active, paused, filled, closed]
- *           example: active
+ *           enum: [DRAFT, SCHEDULED, ACTIVE, PAUSED, CLOSED, FILLED]
+ *           description: DRAFT and SCHEDULED openings are only visible to their founder
+ *           example: ACTIVE
+ *         autoPaused:
+ *           type: boolean
+ *           description: Paused automatically at maxInterests; resumed automatically once there is room again
+ *           example: false
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a SCHEDULED opening goes live
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         applicationDeadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The opening closes automatically after this date
+ *         maxInterests:
+ *           type: integer
+ *           description: Interest limit (0 = unlimited)
+ *           example: 0
  *         viewCount:
  *           type: integer
  *           example: 150
  *         interestCount:
  *           type: integer
+ *           description: Interests received, not counting withdrawn ones
  *           example: 25
+ *         revision:
+ *           type: integer
+ *           description: Latest revision number (0 until edited after publishing)
+ *           example: 0
  *         filledBy:
  *           type: string
  *         createdAt:
@@ -550,6 +641,74 @@
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *         timezonePreference:
+ *           type: string
+ *           example: Overlap with IST afternoons
+ *         minTimezoneOverlapHours:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 12
+ *           description: Hard minimum hours of working-hours overlap with the founder (0 = none)
+ *           example: 3
+ *         screeningQuestions:
+ *           type: array
+ *           maxItems: 10
+ *           description: Typed screening questions. Rules are only returned to the opening owner
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningQuestion'
+ *
+ *     ScreeningQuestion:
+ *       type: object
+ *       required: [prompt, type]
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Question ID (returned as id to applicants). Send it back on update to keep answers attached
+ *         prompt:
+ *           type: string
+ *           maxLength: 300
+ *           example: How many years have you worked with Node.js?
+ *         type:
+ *           type: string
+ *           enum: [TEXT, MULTIPLE_CHOICE, NUMBER, YES_NO, URL]
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         options:
+ *           type: array
+ *           description: MULTIPLE_CHOICE only (2-10, unique)
+ *           items:
+ *             type: string
+ *         unit:
+ *           type: string
+ *           description: NUMBER only, shown after the answer
+ *           example: years
+ *         rules:
+ *           type: object
+ *           description: Owner only. The ideal answer the screening score is computed against
+ *           properties:
+ *             preferredOptions:
+ *               type: array
+ *               description: MULTIPLE_CHOICE - options that score full marks
+ *               items:
+ *                 type: string
+ *             min:
+ *               type: number
+ *               description: NUMBER - lowest ideal value
+ *             max:
+ *               type: number
+ *               description: NUMBER - highest ideal value
+ *             expectedAnswer:
+ *               type: boolean
+ *               description: YES_NO - the answer looked for
+ *             knockout:
+ *               type: boolean
+ *               description: Not meeting the ideal answer knocks the applicant out
+ *             weight:
+ *               type: integer
+ *               minimum: 1
+ *               maximum: 5
+ *               default: 1
  *
  *     OpeningInput:
  *       type: object
@@ -588,6 +747,102 @@
  *         remotePreference:
  *           type: string
  *           enum: [remote_only, hybrid, onsite_only, flexible]
+ *         timezonePreference:
+ *           type: string
+ *           example: Overlap with IST afternoons
+ *         minTimezoneOverlapHours:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 12
+ *           description: Hard minimum hours of working-hours overlap with the founder (0 = none)
+ *           example: 3
+ *         screeningQuestions:
+ *           type: array
+ *           maxItems: 10
+ *           description: Typed screening questions. Rules are only returned to the opening owner
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningQuestion'
+ *         maxInterests:
+ *           type: integer
+ *           minimum: 0
+ *           description: Pause the opening automatically at this many interests (0 = unlimited)
+ *         publishAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: |
+ *             Publish later; the opening stays SCHEDULED until then. On update,
+ *             a time in the past or null publishes a scheduled opening now.
+ *         applicationDeadline:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Must be in the future and after publishAt. The opening closes automatically after it
+ *         draft:
+ *           type: boolean
+ *           description: Create only - save as a DRAFT without publishing (does not count toward the opening limit)
+ *     OpeningRevisionChange:
+ *       type: object
+ *       properties:
+ *         field:
+ *           type: string
+ *           example: equityRange
+ *         before:
+ *           description: Value before (any type, null if unset)
+ *           example: { min: 0.5, max: 2 }
+ *         after:
+ *           description: Value after (any type, null if unset)
+ *           example: { min: 0.25, max: 1 }
+ *         material:
+ *           type: boolean
+ *           description: Compensation, commitment or remote policy (equityRange, cashRange, cashCurrency, vestingType, hoursPerWeek, duration, remotePreference)
+ *     OpeningRevision:
+ *       type: object
+ *       properties:
+ *         revision:
+ *           type: integer
+ *           example: 3
+ *         material:
+ *           type: boolean
+ *         changes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OpeningRevisionChange'
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         notifiedCount:
+ *           type: integer
+ *           description: Owner only - builders told about the material change
+ *     OpeningTemplate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Template ID, or the key of a built-in template
+ *           example: technical-cofounder
+ *         name:
+ *           type: string
+ *           example: Technical co-founder
+ *         roleType:
+ *           type: string
+ *           enum: [COFOUNDER, EMPLOYEE, INTERN, FRACTIONAL]
+ *         fields:
+ *           type: object
+ *           description: Opening fields the template fills in (same shape as OpeningInput)
+ *         builtIn:
+ *           type: boolean
+ *           description: Built-in templates cannot be changed or deleted
+ *         sourceOpening:
+ *           type: string
+ *           nullable: true
+ *           description: Opening the template was saved from
+ *         usageCount:
+ *           type: integer
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  */
 
 // ============================================
@@ -633,6 +888,70 @@
  *         shortlistedAt:
  *           type: string
  *           format: date-time
+ *         penaltyFreeWithdrawalUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the opening changes materially after the builder applied; withdrawing before then refunds the credit
+ *         questionAnswers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               question:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [TEXT, MULTIPLE_CHOICE, NUMBER, YES_NO, URL]
+ *               answer:
+ *                 type: string
+ *                 description: Display text
+ *                 example: 5 years
+ *               value:
+ *                 description: Typed value (string, number or boolean)
+ *               score:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Founder views only
+ *               passed:
+ *                 type: boolean
+ *                 nullable: true
+ *                 description: Founder views only
+ *         screening:
+ *           type: object
+ *           description: Founder views only
+ *           properties:
+ *             score:
+ *               type: integer
+ *               nullable: true
+ *               description: Weighted 0-100 over scored questions (null when none are scored)
+ *               example: 82
+ *             knockedOut:
+ *               type: boolean
+ *             knockoutReasons:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: [Can you relocate to Bangalore?]
+ *             scoredAt:
+ *               type: string
+ *               format: date-time
+ *         stage:
+ *           type: string
+ *           nullable: true
+ *           description: Pipeline stage ID (null = "New"). Founder views only
+ *         stageEnteredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Founder views only
+ *         statusHistory:
+ *           type: array
+ *           description: Audit trail. STAGE entries are only returned to the founder
+ *           items:
+ *             $ref: '#/components/schemas/InterestHistoryEntry'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -640,12 +959,352 @@
  *           type: string
  *           format: date-time
  *
+ *     InterestHistoryEntry:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [STATUS, STAGE]
+ *         status:
+ *           type: string
+ *           description: Status after the change (STATUS) or at the time of the move (STAGE)
+ *         stage:
+ *           type: string
+ *         stageName:
+ *           type: string
+ *           example: Take-home
+ *         fromStage:
+ *           type: string
+ *         fromStageName:
+ *           type: string
+ *           example: Intro call
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *         changedBy:
+ *           type: string
+ *         note:
+ *           type: string
+ *
  *     InterestInput:
  *       type: object
  *       properties:
  *         note:
  *           type: string
  *           description: Optional note to the founder
+ *         answers:
+ *           type: array
+ *           description: Answers to the opening's screening questions; required questions must be answered
+ *           items:
+ *             type: object
+ *             required: [questionId, value]
+ *             properties:
+ *               questionId:
+ *                 type: string
+ *               value:
+ *                 description: Option text, number, true/false ("yes"/"no" accepted), URL or text
+ *                 example: 5
+ *
+ *     PipelineStage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Intro call
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     PipelineBoard:
+ *       type: object
+ *       properties:
+ *         opening:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             title:
+ *               type: string
+ *             status:
+ *               type: string
+ *         total:
+ *           type: integer
+ *           example: 12
+ *         stages:
+ *           type: array
+ *           description: Board columns in order; the first is always "New" (id null)
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *                 example: New
+ *               count:
+ *                 type: integer
+ *                 example: 4
+ *               interests:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     builder:
+ *                       $ref: '#/components/schemas/User'
+ *                     builderProfile:
+ *                       $ref: '#/components/schemas/BuilderProfile'
+ *                     status:
+ *                       type: string
+ *                     compatibilityScore:
+ *                       type: number
+ *                     founderRating:
+ *                       type: number
+ *                     founderNotes:
+ *                       type: string
+ *                     interestedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     stageEnteredAt:
+ *                       type: string
+ *                       format: date-time
+ *                     hoursInStage:
+ *                       type: number
+ *                       example: 26.5
+ *
+ *     PipelineAnalytics:
+ *       type: object
+ *       properties:
+ *         opening:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             title:
+ *               type: string
+ *             status:
+ *               type: string
+ *         totalInterests:
+ *           type: integer
+ *           example: 30
+ *         stages:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *                 example: Take-home
+ *               entered:
+ *                 type: integer
+ *                 description: Times a candidate entered the stage
+ *                 example: 10
+ *               current:
+ *                 type: integer
+ *                 description: Candidates in the stage now
+ *                 example: 3
+ *               advanced:
+ *                 type: integer
+ *                 description: Moved to a later stage
+ *               movedBack:
+ *                 type: integer
+ *                 description: Moved to an earlier stage
+ *               matched:
+ *                 type: integer
+ *               droppedOff:
+ *                 type: integer
+ *                 description: Passed or withdrew while in the stage
+ *               dropOffRate:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: droppedOff / entered, percent
+ *                 example: 20
+ *               avgHoursInStage:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Average stay of candidates who have left the stage
+ *               avgHoursCurrent:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Average time so far of candidates still in the stage
+ *
+ *     InterestCredits:
+ *       type: object
+ *       properties:
+ *         day:
+ *           type: string
+ *           example: '2026-01-18'
+ *         limit:
+ *           type: integer
+ *           description: Daily credits granted today
+ *           example: 5
+ *         used:
+ *           type: integer
+ *           description: Daily credits spent today
+ *           example: 3
+ *         remaining:
+ *           type: integer
+ *           description: All credits available now (daily + bonus)
+ *           example: 4
+ *         balance:
+ *           type: object
+ *           properties:
+ *             daily:
+ *               type: integer
+ *               example: 2
+ *             bonus:
+ *               type: integer
+ *               example: 2
+ *             total:
+ *               type: integer
+ *               example: 4
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [DAILY_GRANT, DAILY_EXPIRY, DEBIT, REFUND, ADMIN_GRANT]
+ *               amount:
+ *                 type: integer
+ *                 description: Signed change
+ *                 example: -1
+ *               bucket:
+ *                 type: string
+ *                 enum: [DAILY, BONUS]
+ *               day:
+ *                 type: string
+ *               interest:
+ *                 type: string
+ *                 nullable: true
+ *               opening:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   title:
+ *                     type: string
+ *               reason:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Opening closed before your interest was viewed
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *
+ *     BulkInterestInput:
+ *       type: object
+ *       required: [action, interestIds]
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [SHORTLIST, PASS, MOVE]
+ *         interestIds:
+ *           type: array
+ *           maxItems: 100
+ *           items:
+ *             type: string
+ *         passReason:
+ *           type: string
+ *           enum: [SKILLS_MISMATCH, EXPERIENCE_MISMATCH, COMPENSATION_MISMATCH, AVAILABILITY_MISMATCH, CULTURE_FIT, POSITION_FILLED, OTHER]
+ *           description: PASS only
+ *         passFeedback:
+ *           type: string
+ *           maxLength: 300
+ *           description: PASS only - template filled in per builder
+ *           example: Hi {{builderName}}, thanks for applying to {{openingTitle}}. We went with someone more senior.
+ *         stageId:
+ *           type: string
+ *           nullable: true
+ *           description: MOVE only (required) - target stage, null for "New"
+ *         note:
+ *           type: string
+ *           maxLength: 200
+ *           description: MOVE only - recorded with each move
+ *
+ *     BulkAction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [SHORTLIST, PASS, MOVE]
+ *         undoExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         undoneAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         canUndo:
+ *           type: boolean
+ *
+ *     BulkInterestResult:
+ *       type: object
+ *       properties:
+ *         bulkAction:
+ *           $ref: '#/components/schemas/BulkAction'
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               interestId:
+ *                 type: string
+ *               success:
+ *                 type: boolean
+ *               status:
+ *                 type: string
+ *                 description: Interest status after the action (successful items)
+ *               error:
+ *                 type: string
+ *                 description: Why the item failed
+ *                 example: Cannot shortlist - interest is PASSED
+ *         summary:
+ *           type: object
+ *           properties:
+ *             succeeded:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *
+ *     BulkInterestUndoResult:
+ *       type: object
+ *       properties:
+ *         bulkAction:
+ *           $ref: '#/components/schemas/BulkAction'
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               interestId:
+ *                 type: string
+ *               success:
+ *                 type: boolean
+ *               error:
+ *                 type: string
+ *                 description: Why the item was not restored
+ *                 example: Interest changed after the bulk action
+ *         summary:
+ *           type: object
+ *           properties:
+ *             undone:
+ *               type: integer
+ *             skipped:
+ *               type: integer
  */
 
 // ============================================
@@ -699,6 +1358,8 @@
  *             geography:
  *               type: number
  *               example: 1.0
+ *             mutualFit:
+ *               $ref: '#/components/schemas/MutualFit'
  *         status:
  *           type: string
  *           enum: [pending, liked_by_builder, liked_by_founder, mutual, skipped, expired]
@@ -714,9 +1375,33 @@
  *         isMutual:
  *           type: boolean
  *           example: false
+ *         weightProfileVersion:
+ *           type: integer
+ *           example: 1
+ *           description: Version of the weight profile that produced the score
+ *         explanation:
+ *           $ref: '#/components/schemas/MatchExplanation'
  *         expiresAt:
  *           type: string
  *           format: date-time
+ *         expiredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiryReason:
+ *           type: string
+ *           nullable: true
+ *           enum: [NO_ACTION, NO_CONVERSATION]
+ *           description: NO_ACTION - pending too long; NO_CONVERSATION - mutual but nobody messaged
+ *         nudgeCount:
+ *           type: integer
+ *           example: 0
+ *           description: Reminders sent while the mutual match had no conversation
+ *         resurfacedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the match came back after expiring (both profiles changed)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -730,27 +1415,436 @@
  *           type: string
  *           enum: [LIKE, SKIP, SAVE]
  *           example: LIKE
- */
-
-// ============================================
-// CONVERSATION SCHEMAS
-// ============================================
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     Conversation:
+ *
+ *     MatchExplanation:
  *       type: object
+ *       description: Human-readable reasons and caveats behind a compatibility score
  *       properties:
- *         _id:
- *           type: string
- *           example: 507f1f77bcf86cd799439011
- *         founder:
- *           oneOf:
- *             - type: string
- *             - $ref: '#/components/schemas/User'
- *         builder:
+ *         reasons:
+ *           type: array
+ *           description: Factors that raised the score, strongest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               factor:
+ *                 type: string
+ *                 example: skills
+ *               text:
+ *                 type: string
+ *                 example: 3 of 4 required skills (missing Kubernetes)
+ *         caveats:
+ *           type: array
+ *           description: Factors that lowered the score, weakest first. A rejected pair has a single `hardFilter` caveat
+ *           items:
+ *             type: object
+ *             properties:
+ *               factor:
+ *                 type: string
+ *                 example: commitment
+ *               text:
+ *                 type: string
+ *                 example: Commits 20h vs 30h requested
+ *
+ *     MutualFit:
+ *       type: object
+ *       description: |
+ *         The two halves of the score. openingFit scores the builder against the
+ *         opening (the weighted factors); builderFit scores the opening against the
+ *         builder's preferred industries, stages, cash, duration and roles.
+ *         builderFit.score is null (weight 0) when the builder has declared no preferences.
+ *       properties:
+ *         openingFit:
+ *           type: object
+ *           properties:
+ *             score:
+ *               type: integer
+ *               example: 88
+ *             weight:
+ *               type: number
+ *               example: 0.65
+ *         builderFit:
+ *           type: object
+ *           properties:
+ *             score:
+ *               type: integer
+ *               nullable: true
+ *               example: 36
+ *             weight:
+ *               type: number
+ *               example: 0.35
+ *             factors:
+ *               type: object
+ *               description: Declared preferences only, keyed by industry, stage, cash, duration, role
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   score:
+ *                     type: integer
+ *                     example: 0
+ *                   weight:
+ *                     type: number
+ *                     example: 0.3
+ *                   text:
+ *                     type: string
+ *                     example: Startup is in FinTech, builder prefers HealthTech
+ *     MatchDrop:
+ *       type: object
+ *       description: |
+ *         Today's stored set of matches. Sized by the user's subscription tier and
+ *         returned unchanged until nextDropAt. Matches the user didn't act on roll
+ *         over into the next drop per rolloverPolicy (at most maxRollovers times).
+ *       properties:
+ *         tier:
+ *           type: string
+ *           enum: [FREE, FOUNDER_PRO, BUILDER_BOOST]
+ *           description: Tier the drop was sized for (an expired subscription counts as FREE)
+ *         quota:
+ *           type: integer
+ *           example: 5
+ *         rolloverPolicy:
+ *           type: string
+ *           enum: [NONE, CARRY_OVER, BONUS]
+ *           description: CARRY_OVER - rolled-over matches count against the quota; BONUS - they come on top
+ *         total:
+ *           type: integer
+ *           example: 5
+ *         fresh:
+ *           type: integer
+ *           example: 3
+ *         rolledOver:
+ *           type: integer
+ *           example: 2
+ *         remaining:
+ *           type: integer
+ *           example: 4
+ *           description: Matches in the drop not yet liked, skipped or saved
+ *         droppedAt:
+ *           type: string
+ *           format: date-time
+ *         nextDropAt:
+ *           type: string
+ *           format: date-time
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *           description: Timezone the drop day follows (the profile's location.timezone)
+ *     ScenarioCompatibility:
+ *       type: object
+ *       properties:
+ *         score:
+ *           type: integer
+ *           nullable: true
+ *           example: 53
+ *           description: Weighted score 0-100 over the scenarios both users answered (null if none)
+ *         breakdown:
+ *           type: object
+ *           nullable: true
+ *           description: Keyed by scenario key; only scenarios both users answered
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: The Runway Crunch
+ *               weight:
+ *                 type: number
+ *                 example: 1.25
+ *               user1:
+ *                 type: string
+ *                 example: A
+ *               user2:
+ *                 type: string
+ *                 example: B
+ *               user1Style:
+ *                 type: string
+ *                 example: Conservative, capital preservation
+ *               user2Style:
+ *                 type: string
+ *                 example: Growth-focused, risk-tolerant
+ *               relation:
+ *                 type: string
+ *                 enum: [SAME, COMPLEMENTARY, NEUTRAL, CONFLICTING]
+ *               score:
+ *                 type: integer
+ *                 example: 0
+ *               disagreement:
+ *                 type: string
+ *                 nullable: true
+ *                 example: One would cut costs to extend runway, the other would burn harder to hit growth numbers
+ *         disagreements:
+ *           type: array
+ *           description: Conflicting scenarios, highest weight first
+ *           items:
+ *             type: object
+ *             properties:
+ *               scenario:
+ *                 type: string
+ *                 example: scenario4
+ *               title:
+ *                 type: string
+ *                 example: The Runway Crunch
+ *               weight:
+ *                 type: number
+ *                 example: 1.25
+ *               text:
+ *                 type: string
+ *                 example: One would cut costs to extend runway, the other would burn harder to hit growth numbers
+ *         interpretation:
+ *           type: object
+ *           properties:
+ *             level:
+ *               type: string
+ *               enum: [EXCELLENT, GOOD, MODERATE, LOW, MINIMAL]
+ *             description:
+ *               type: string
+ *             color:
+ *               type: string
+ *         sharedScenarios:
+ *           type: integer
+ *           example: 6
+ *           description: Scenarios both users answered (users can be on different bank versions)
+ *         totalScenarios:
+ *           type: integer
+ *           example: 7
+ *           description: Scenarios in the active bank
+ *         bankVersion:
+ *           type: integer
+ *           example: 2
+ *         reason:
+ *           type: string
+ *           description: Why score is null
+ *     ScenarioOption:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *           example: A
+ *         text:
+ *           type: string
+ *           example: Cut costs aggressively to extend runway
+ *         style:
+ *           type: string
+ *           description: Working-style label (admin view only)
+ *           example: Conservative, capital preservation
+ *     ScenarioQuestion:
+ *       type: object
+ *       required: [key, title, context, options]
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Stable identifier answers are stored under
+ *           example: scenario4
+ *         title:
+ *           type: string
+ *           example: The Runway Crunch
+ *         context:
+ *           type: string
+ *           example: 3 months runway, revenue not growing fast enough.
+ *         options:
+ *           type: array
+ *           minItems: 2
+ *           maxItems: 6
+ *           items:
+ *             $ref: '#/components/schemas/ScenarioOption'
+ *         weight:
+ *           type: number
+ *           example: 1.25
+ *         styleKey:
+ *           type: string
+ *           example: financialMindset
+ *         complementary:
+ *           type: array
+ *           items:
+ *             type: array
+ *             items:
+ *               type: string
+ *           example: [[A, D], [B, C]]
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               pair:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [A, B]
+ *               text:
+ *                 type: string
+ *         migrateFrom:
+ *           type: object
+ *           description: Where answers come from in the base version (defaults to the same key, same options)
+ *           properties:
+ *             key:
+ *               type: string
+ *               example: scenario6
+ *             options:
+ *               type: object
+ *               additionalProperties:
+ *                 type: string
+ *               example: { A: A, B: B, C: A }
+ *         resetAnswers:
+ *           type: boolean
+ *           description: Don't carry answers over (question reworded)
+ *     ScenarioBank:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         baseVersion:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         scenarios:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScenarioQuestion'
+ *         notes:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *         activatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         migratedResponses:
+ *           type: integer
+ *           description: Responses mapped forward on activation
+ *     MatchWeights:
+ *       type: object
+ *       description: Factor weights, must sum to 1.0
+ *       properties:
+ *         compensation:
+ *           type: number
+ *           example: 0.30
+ *         commitment:
+ *           type: number
+ *           example: 0.20
+ *         stage:
+ *           type: number
+ *           example: 0.15
+ *         skills:
+ *           type: number
+ *           example: 0.15
+ *         scenario:
+ *           type: number
+ *           example: 0.10
+ *         geography:
+ *           type: number
+ *           example: 0.10
+ *
+ *     WeightProfile:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           example: 2
+ *         name:
+ *           type: string
+ *           example: Commitment-heavy
+ *         description:
+ *           type: string
+ *         weights:
+ *           $ref: '#/components/schemas/MatchWeights'
+ *         isActive:
+ *           type: boolean
+ *         previousVersion:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         activatedAt:
+ *           type: string
+ *           format: date-time
+ *         deactivatedAt:
+ *           type: string
+ *           format: date-time
+ *     MatchGenerationRun:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [RUNNING, COMPLETED, FAILED]
+ *         mode:
+ *           type: string
+ *           enum: [FULL, INCREMENTAL]
+ *         since:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Change cutoff for INCREMENTAL runs
+ *         weightProfileVersion:
+ *           type: integer
+ *           example: 1
+ *         cursor:
+ *           type: string
+ *           nullable: true
+ *           description: Last opening fully processed
+ *         counters:
+ *           type: object
+ *           properties:
+ *             openingsProcessed:
+ *               type: integer
+ *             pairsScored:
+ *               type: integer
+ *             pairsSkipped:
+ *               type: integer
+ *             matchesCreated:
+ *               type: integer
+ *             matchesUpdated:
+ *               type: integer
+ *             openingErrors:
+ *               type: integer
+ *         failedOpenings:
+ *           type: array
+ *           description: Openings that could not be processed (first 100)
+ *           items:
+ *             type: object
+ *             properties:
+ *               openingId:
+ *                 type: string
+ *               error:
+ *                 type: string
+ *         resumeCount:
+ *           type: integer
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         heartbeatAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ */
+
+// ============================================
+// CONVERSATION SCHEMAS
+// ============================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: 507f1f77bcf86cd799439011
+ *         founder:
+ *           oneOf:
+ *             - type: string
+ *             - $ref: '#/components/schemas/User'
+ *         builder:
  *           oneOf:
  *             - type: string
  *             - $ref: '#/components/schemas/User'
@@ -810,12 +1904,66 @@
  *           type: string
  *         attachmentType:
  *           type: string
+ *         status:
+ *           type: string
+ *           enum: [SENT, DELIVERED, READ]
+ *           description: SENT until one of the recipient's devices receives it, then DELIVERED, then READ
+ *           example: DELIVERED
  *         isRead:
  *           type: boolean
  *           example: false
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         readAt:
  *           type: string
  *           format: date-time
+ *         isEdited:
+ *           type: boolean
+ *           example: false
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         replyTo:
+ *           type: object
+ *           nullable: true
+ *           description: Preview of the message this one replies to (content is null if it was deleted)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             sender:
+ *               type: string
+ *             content:
+ *               type: string
+ *               nullable: true
+ *             messageType:
+ *               type: string
+ *             isDeleted:
+ *               type: boolean
+ *             createdAt:
+ *               type: string
+ *               format: date-time
+ *         reactionSummary:
+ *           type: array
+ *           description: Reactions grouped by emoji (message lists only)
+ *           items:
+ *             type: object
+ *             properties:
+ *               emoji:
+ *                 type: string
+ *                 example: 👍
+ *               count:
+ *                 type: integer
+ *                 example: 2
+ *               users:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reacted:
+ *                 type: boolean
+ *                 description: The current user reacted with this emoji
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -834,6 +1982,9 @@
  *           default: text
  *         attachmentUrl:
  *           type: string
+ *         replyToId:
+ *           type: string
+ *           description: Message in the same conversation this one replies to
  */
 
 // ============================================
@@ -1002,7 +2153,7 @@
  *           type: string
  *         type:
  *           type: string
- *           enum: [NEW_MATCH, NEW_INTEREST, SHORTLISTED, NEW_MESSAGE, TRIAL_PROPOSED, TRIAL_ACCEPTED, TRIAL_COMPLETED, TRIAL_REMINDER, SYSTEM]
+ *           enum: [NEW_MATCH, NEW_INTEREST, SHORTLISTED, NEW_MESSAGE, TRIAL_PROPOSED, TRIAL_ACCEPTED, TRIAL_COMPLETED, TRIAL_REMINDER, MATCH_NUDGE, MATCH_EXPIRED, INTEREST_UPDATES, SAVED_SEARCH_MATCH, SAVED_SEARCH_DIGEST, TALENT_SEARCH_MATCH, TALENT_SEARCH_DIGEST, OPENING_CLOSED, OPENING_UPDATED, SYSTEM]
  *           example: NEW_MESSAGE
  *         title:
  *           type: string
@@ -1021,6 +2172,10 @@
  *               type: string
  *             trialId:
  *               type: string
+ *             openingId:
+ *               type: string
+ *             savedSearchId:
+ *               type: string
  *             fromUserId:
  *               type: string
  *             fromUserName:
@@ -1060,63 +2215,387 @@
  *     ScenarioResponse:
  *       type: object
  *       properties:
+ *         id:
+ *           type: string
+ *         responses:
+ *           type: object
+ *           description: Option per scenario key
+ *           additionalProperties:
+ *             type: string
+ *           example: { scenario1: A, scenario2: B, scenario3: C, scenario4: D, scenario5: A, scenario6: C }
+ *         scenarioVersion:
+ *           type: integer
+ *           example: 2
+ *         missingScenarios:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Active-bank scenarios still to answer (new questions after a bank change)
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         retakeCount:
+ *           type: integer
+ *         lastRetakeAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         canRetake:
+ *           type: boolean
+ *         daysUntilRetake:
+ *           type: integer
+ *         workingStyleProfile:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *
+ *     ScenarioInput:
+ *       type: object
+ *       required:
+ *         - answers
+ *       properties:
+ *         answers:
+ *           type: object
+ *           description: |
+ *             Option per scenario key from GET /profiles/scenarios/bank. Merged with the
+ *             user's existing answers; every active scenario must be answered afterwards.
+ *             Top-level scenario1..scenario6 fields are still accepted.
+ *           additionalProperties:
+ *             type: string
+ *           example: { scenario1: A, scenario2: B, scenario3: C, scenario4: D, scenario5: A, scenario6: C }
+ */
+
+// ============================================
+// SKILL SCHEMAS
+// ============================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Skill:
+ *       type: object
+ *       properties:
  *         _id:
  *           type: string
- *         user:
+ *         name:
+ *           type: string
+ *           example: React
+ *         category:
+ *           type: string
+ *           enum: [TECHNICAL, DESIGN, BUSINESS, DOMAIN]
+ *         synonyms:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [ReactJS, React.js]
+ *         parent:
+ *           type: object
+ *           nullable: true
+ *           description: Broader skill (a builder with this skill earns partial credit for the parent)
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *               example: Frontend Development
+ *         related:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               skill:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                     example: React Native
+ *               weight:
+ *                 type: number
+ *                 minimum: 0.05
+ *                 maximum: 0.95
+ *                 example: 0.6
+ *         isActive:
+ *           type: boolean
+ *         isBuiltIn:
+ *           type: boolean
+ *
+ *     SkillInput:
+ *       type: object
+ *       properties:
+ *         name:
  *           type: string
- *         scenario1:
+ *         category:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario2:
+ *           enum: [TECHNICAL, DESIGN, BUSINESS, DOMAIN]
+ *         synonyms:
+ *           type: array
+ *           items:
+ *             type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent skill ID or name
+ *         related:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               skill:
+ *                 type: string
+ *                 description: Skill ID or name
+ *               weight:
+ *                 type: number
+ *         isActive:
+ *           type: boolean
+ */
+
+// ============================================
+// SAVED SEARCH SCHEMAS
+// ============================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningSearchFilters:
+ *       type: object
+ *       description: Same filters as GET /openings; at least one is required
+ *       properties:
+ *         roleType:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario3:
+ *           enum: [COFOUNDER, EMPLOYEE, INTERN, FRACTIONAL]
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Any of these skills
+ *         startupStage:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario4:
+ *           enum: [IDEA, MVP_PROGRESS, MVP_LIVE, EARLY_REVENUE]
+ *         minEquity:
+ *           type: number
+ *           example: 2
+ *         maxCash:
+ *           type: number
+ *           example: 50000
+ *         remotePreference:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario5:
+ *           enum: [ONSITE, REMOTE, HYBRID]
+ *         location:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario6:
+ *           description: City (case-insensitive)
+ *         search:
  *           type: string
- *           enum: [A, B, C, D]
+ *           description: Free text over title, description and skills
+ *     BuilderSearchFilters:
+ *       type: object
+ *       description: |
+ *         Same filters as GET /profiles/builder/discover; at least one is required.
+ *         Visibility is not a filter - only complete, visible builders who are
+ *         open to opportunities are ever matched.
+ *       properties:
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Any of these skills
+ *         minHours:
+ *           type: integer
+ *         maxHours:
+ *           type: integer
+ *         riskAppetite:
+ *           type: string
+ *           enum: [LOW, MEDIUM, HIGH]
+ *         rolesInterested:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [COFOUNDER, EMPLOYEE, INTERN, FRACTIONAL]
+ *         remotePreference:
+ *           type: string
+ *           enum: [ONSITE, REMOTE, HYBRID]
+ *         experienceLevel:
+ *           type: string
+ *           enum: [STUDENT, ENTRY, MID, SENIOR, LEAD, EXECUTIVE]
+ *         location:
+ *           type: string
+ *           description: City (case-insensitive)
+ *         search:
+ *           type: string
+ *           description: Matches name, headline, bio or skills (case-insensitive)
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         target:
+ *           type: string
+ *           enum: [OPENINGS, BUILDERS]
+ *           description: OPENINGS for builders' searches, BUILDERS for founders' talent searches
+ *         opening:
+ *           type: object
+ *           nullable: true
+ *           description: Opening a talent search is for (populated with title and status)
+ *         name:
+ *           type: string
+ *           example: Remote Node.js cofounder roles
+ *         filters:
+ *           oneOf:
+ *             - $ref: '#/components/schemas/OpeningSearchFilters'
+ *             - $ref: '#/components/schemas/BuilderSearchFilters'
+ *         frequency:
+ *           type: string
+ *           enum: [INSTANT, DAILY]
+ *         isActive:
+ *           type: boolean
+ *         pendingOpenings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Openings waiting for the next daily digest (OPENINGS)
+ *         pendingBuilders:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Builder user IDs waiting for the next daily digest (BUILDERS)
+ *         pendingCount:
+ *           type: integer
+ *         lastMatchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastDigestAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
- *         updatedAt:
+ *     SavedSearchInput:
+ *       type: object
+ *       required: [name, filters]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 80
+ *         filters:
+ *           oneOf:
+ *             - $ref: '#/components/schemas/OpeningSearchFilters'
+ *             - $ref: '#/components/schemas/BuilderSearchFilters'
+ *           description: Opening filters for builders, builder filters for founders
+ *         openingId:
+ *           type: string
+ *           description: Founders only (required) - one of their active or paused openings
+ *         frequency:
+ *           type: string
+ *           enum: [INSTANT, DAILY]
+ *           default: INSTANT
+ *     Block:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         blocker:
+ *           type: string
+ *         blocked:
+ *           type: object
+ *           description: Blocked user (populated with name and avatarUrl in lists)
+ *         conversation:
+ *           type: string
+ *           nullable: true
+ *           description: Conversation the block was made from
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Private note, only visible to the blocker
+ *         createdAt:
  *           type: string
  *           format: date-time
- *
- *     ScenarioInput:
+ *     Report:
  *       type: object
- *       required:
- *         - scenario1
- *         - scenario2
- *         - scenario3
- *         - scenario4
- *         - scenario5
- *         - scenario6
  *       properties:
- *         scenario1:
+ *         _id:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario2:
+ *         reporter:
+ *           type: object
+ *         reportedUser:
+ *           type: object
+ *         conversation:
+ *           type: string
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           enum: [HARASSMENT, SPAM, SCAM, INAPPROPRIATE_CONTENT, IMPERSONATION, OTHER]
+ *         details:
+ *           type: string
+ *           nullable: true
+ *         evidence:
+ *           type: array
+ *           description: Reported messages as they were when reported
+ *           items:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               attachmentUrl:
+ *                 type: string
+ *                 nullable: true
+ *               sentAt:
+ *                 type: string
+ *                 format: date-time
+ *         status:
+ *           type: string
+ *           enum: [PENDING, RESOLVED]
+ *         outcome:
+ *           type: string
+ *           enum: [NO_ACTION, WARNED, SUSPENDED, BANNED]
+ *           nullable: true
+ *         reviewNote:
+ *           type: string
+ *           nullable: true
+ *         reviewedBy:
+ *           type: object
+ *           nullable: true
+ *         reviewedAt:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario3:
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario4:
+ *           format: date-time
+ *     ReportInput:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *         reportedUserId:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario5:
+ *           description: Required on /moderation/reports, taken from the conversation on /conversations/{id}/report
+ *         reason:
  *           type: string
- *           enum: [A, B, C, D]
- *         scenario6:
+ *           enum: [HARASSMENT, SPAM, SCAM, INAPPROPRIATE_CONTENT, IMPERSONATION, OTHER]
+ *         details:
  *           type: string
- *           enum: [A, B, C, D]
+ *           maxLength: 2000
+ *         conversationId:
+ *           type: string
+ *           description: Needed to report messages (/moderation/reports only)
+ *         messageIds:
+ *           type: array
+ *           maxItems: 20
+ *           description: Messages sent by the reported user in the conversation
+ *           items:
+ *             type: string
+ *         block:
+ *           type: boolean
+ *           default: false
+ *           description: Also block the user
  */
 
 module.exports = {};
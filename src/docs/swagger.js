@@ -106,6 +106,18 @@ Real-time features are available via Socket.io at \`ws://localhost:${config.port
         name: 'Notifications',
         description: 'In-app notifications',
       },
+      {
+        name: 'Skills',
+        description: 'Skill taxonomy - synonyms, hierarchy and related skills used by matching',
+      },
+      {
+        name: 'Saved Searches',
+        description: 'Saved opening searches (builders) and talent searches (founders) with instant or daily alerts',
+      },
+      {
+        name: 'Moderation',
+        description: 'Blocking users, reporting users and messages, and the admin report review queue',
+      },
     ],
     components: {
       securitySchemes: {
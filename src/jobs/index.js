@@ -10,6 +10,11 @@ const scheduler = require('./scheduler');
 const matchGenerationJob = require('./matchGeneration.job');
 const trialAutoCompleteJob = require('./trialAutoComplete.job');
 const trialRemindersJob = require('./trialReminders.job');
+const matchExpiryJob = require('./matchExpiry.job');
+const interestSummariesJob = require('./interestSummaries.job');
+const savedSearchDigestJob = require('./savedSearchDigest.job');
+const savedSearchAlertsJob = require('./savedSearchAlerts.job');
+const openingLifecycleJob = require('./openingLifecycle.job');
 const cleanupJob = require('./cleanup.job');
 
 module.exports = {
@@ -20,6 +25,11 @@ module.exports = {
   matchGenerationJob,
   trialAutoCompleteJob,
   trialRemindersJob,
+  matchExpiryJob,
+  interestSummariesJob,
+  savedSearchDigestJob,
+  savedSearchAlertsJob,
+  openingLifecycleJob,
   cleanupJob,
 
   // Convenience methods
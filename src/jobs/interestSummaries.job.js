@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Bulk Interest Summaries Job
+ *
+ * Runs every minute to notify builders about founders' bulk shortlist/pass
+ * decisions whose undo window has closed - one summary per builder per
+ * bulk action.
+ *
+ * Schedule: Every minute (undo windows are a few minutes long)
+ *
+ * @module jobs/interestSummaries
+ */
+
+const bulkService = require('../modules/interest/services/bulk.service');
+const logger = require('../shared/utils/logger');
+
+/**
+ * Run the bulk interest summaries job
+ *
+ * @returns {Promise<Object>} Job results
+ */
+const run = async () => {
+  try {
+    const result = await bulkService.sendDueSummaries();
+
+    if (result.actions > 0) {
+      logger.info('📨 Bulk interest summaries sent', result);
+    }
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    logger.error('📨 Bulk interest summaries job failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  run,
+  name: 'Bulk Interest Summaries',
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Match Expiry Job
+ *
+ * Runs daily to keep the match pool fresh:
+ * - Expires PENDING/LIKED matches nobody has acted on
+ * - Nudges, then archives, mutual matches with no conversation
+ * - Resurfaces expired pairs whose profiles have both changed
+ *
+ * Schedule: Daily at 10 AM (nudges land during the day)
+ *
+ * @module jobs/matchExpiry
+ */
+
+const expiryService = require('../modules/matching/services/expiry.service');
+const logger = require('../shared/utils/logger');
+
+/**
+ * Run the match expiry job
+ *
+ * @returns {Promise<Object>} Job results
+ */
+const run = async () => {
+  logger.info('⌛ Starting match expiry job...');
+
+  try {
+    const result = await expiryService.runMatchExpiry();
+
+    logger.info('⌛ Match expiry job completed', result);
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    logger.error('⌛ Match expiry job failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  run,
+  name: 'Match Expiry',
+};
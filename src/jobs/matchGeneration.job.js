@@ -3,6 +3,8 @@
  *
  * Runs daily to generate matches between builders and openings.
  * Uses the matching algorithm to calculate compatibility scores.
+ * Only pairs that changed since the last run are rescored, and an
+ * interrupted run resumes from its checkpoint on the next invocation.
  *
  * Schedule: Daily at 2 AM
  *
@@ -24,28 +26,34 @@ const run = async () => {
     const result = await matchingService.runNightlyMatchGeneration();
 
     logger.info('🎯 Nightly match generation completed', {
+      runId: result.runId,
+      mode: result.mode,
+      resumed: result.resumed,
       openingsProcessed: result.openingsProcessed,
+      pairsScored: result.pairsScored,
+      pairsSkipped: result.pairsSkipped,
       matchesCreated: result.matchesCreated,
       matchesUpdated: result.matchesUpdated,
-      errors: result.errors?.length || 0,
+      openingErrors: result.openingErrors,
     });
 
-    // Log any errors that occurred
-    if (result.errors && result.errors.length > 0) {
-      result.errors.forEach((err) => {
-        logger.warn('Match generation error for opening', {
-          openingId: err.openingId,
-          error: err.error,
-        });
+    // Say which openings failed (also kept on the run document)
+    result.failedOpenings.forEach((failure) => {
+      logger.warn('Match generation error for opening', {
+        openingId: failure.openingId,
+        error: failure.error,
       });
-    }
+    });
 
     return {
       success: true,
+      runId: result.runId,
+      mode: result.mode,
       openingsProcessed: result.openingsProcessed,
+      pairsScored: result.pairsScored,
       matchesCreated: result.matchesCreated,
       matchesUpdated: result.matchesUpdated,
-      errorCount: result.errors?.length || 0,
+      openingErrors: result.openingErrors,
     };
   } catch (error) {
     logger.error('🎯 Nightly match generation failed', {
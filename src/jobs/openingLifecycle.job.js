@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Opening Lifecycle Job
+ *
+ * Runs every minute to apply the automatic opening transitions:
+ * - Publishes SCHEDULED openings whose publishAt has come
+ * - Closes openings past their application deadline (interested builders
+ *   are notified)
+ * - Pauses openings that reached maxInterests, resumes auto-paused ones
+ *   that have room again
+ *
+ * Schedule: Every minute (publish times are picked to the minute)
+ *
+ * @module jobs/openingLifecycle
+ */
+
+const openingService = require('../modules/opening/services/opening.service');
+const logger = require('../shared/utils/logger');
+
+/**
+ * Run the opening lifecycle job
+ *
+ * @returns {Promise<Object>} Job results
+ */
+const run = async () => {
+  try {
+    const result = await openingService.runOpeningLifecycle();
+
+    if (result.published + result.closed + result.paused + result.resumed > 0) {
+      logger.info('📆 Opening lifecycle transitions applied', result);
+    }
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    logger.error('📆 Opening lifecycle job failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  run,
+  name: 'Opening Lifecycle',
+};
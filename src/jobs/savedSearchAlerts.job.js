@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Saved Search Alerts Job
+ *
+ * Runs every minute to send the alerts queued when openings went live or
+ * builders became discoverable: each is matched against the saved searches
+ * (builders' opening searches, founders' talent searches), INSTANT searches
+ * are notified and DAILY ones get it queued for the digest.
+ *
+ * Schedule: Every minute (keeps instant alerts close to instant)
+ *
+ * @module jobs/savedSearchAlerts
+ */
+
+const savedSearchService = require('../modules/savedSearch/services/savedSearch.service');
+const logger = require('../shared/utils/logger');
+
+/**
+ * Run the saved search alerts job
+ *
+ * @returns {Promise<Object>} Job results
+ */
+const run = async () => {
+  try {
+    const result = await savedSearchService.sendQueuedAlerts();
+
+    if (result.openings + result.builders > 0) {
+      logger.info('🔎 Saved search alerts sent', result);
+    }
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    logger.error('🔎 Saved search alerts job failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  run,
+  name: 'Saved Search Alerts',
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Saved Search Digest Job
+ *
+ * Runs daily to send builders one digest of the new openings that matched
+ * their DAILY saved searches since the last digest.
+ *
+ * Schedule: 8 AM daily
+ *
+ * @module jobs/savedSearchDigest
+ */
+
+const savedSearchService = require('../modules/savedSearch/services/savedSearch.service');
+const logger = require('../shared/utils/logger');
+
+/**
+ * Run the saved search digest job
+ *
+ * @returns {Promise<Object>} Job results
+ */
+const run = async () => {
+  try {
+    const result = await savedSearchService.sendDailyDigests();
+
+    logger.info('🔎 Saved search digests sent', result);
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    logger.error('🔎 Saved search digest job failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+module.exports = {
+  run,
+  name: 'Saved Search Digest',
+};
@@ -15,6 +15,11 @@ const { config } = require('../shared/config');
 const matchGenerationJob = require('./matchGeneration.job');
 const trialAutoCompleteJob = require('./trialAutoComplete.job');
 const trialRemindersJob = require('./trialReminders.job');
+const matchExpiryJob = require('./matchExpiry.job');
+const interestSummariesJob = require('./interestSummaries.job');
+const savedSearchDigestJob = require('./savedSearchDigest.job');
+const savedSearchAlertsJob = require('./savedSearchAlerts.job');
+const openingLifecycleJob = require('./openingLifecycle.job');
 const cleanupJob = require('./cleanup.job');
 
 // ============================================
@@ -24,6 +29,8 @@ const cleanupJob = require('./cleanup.job');
 /**
  * Registry of all scheduled jobs
  * Each job has: name, schedule, handler, enabled flag
+ * Quiet jobs run every minute and log their own work, so the scheduler
+ * only reports their start/finish at debug level
  */
 const jobs = [
   {
@@ -44,6 +51,39 @@ const jobs = [
     handler: trialRemindersJob.run,
     enabled: true,
   },
+  {
+    name: 'Match Expiry',
+    schedule: '0 10 * * *', // 10 AM daily
+    handler: matchExpiryJob.run,
+    enabled: true,
+  },
+  {
+    name: 'Bulk Interest Summaries',
+    schedule: '* * * * *', // Every minute
+    handler: interestSummariesJob.run,
+    enabled: true,
+    quiet: true,
+  },
+  {
+    name: 'Saved Search Alerts',
+    schedule: '* * * * *', // Every minute
+    handler: savedSearchAlertsJob.run,
+    enabled: true,
+    quiet: true,
+  },
+  {
+    name: 'Saved Search Digest',
+    schedule: '0 8 * * *', // 8 AM daily
+    handler: savedSearchDigestJob.run,
+    enabled: true,
+  },
+  {
+    name: 'Opening Lifecycle',
+    schedule: '* * * * *', // Every minute
+    handler: openingLifecycleJob.run,
+    enabled: true,
+    quiet: true,
+  },
   {
     name: 'OTP Cleanup',
     schedule: '0 4 * * *', // 4 AM daily
@@ -61,6 +101,9 @@ const jobs = [
 // Store scheduled task references for management
 const scheduledTasks = new Map();
 
+// Names of jobs with a run in progress (overlap guard)
+const runningJobs = new Set();
+
 // ============================================
 // SCHEDULER FUNCTIONS
 // ============================================
@@ -89,14 +132,22 @@ const initialize = () => {
     const task = cron.schedule(
       job.schedule,
       async () => {
+        // Skip this tick if the previous run has not finished yet
+        if (runningJobs.has(job.name)) {
+          logger.debug(`⏭️  Job "${job.name}" still running, skipping this run`);
+          return;
+        }
+
+        const level = job.quiet ? 'debug' : 'info';
         const startTime = Date.now();
-        logger.info(`🚀 Starting job: ${job.name}`);
+        runningJobs.add(job.name);
+        logger[level](`🚀 Starting job: ${job.name}`);
 
         try {
           const result = await job.handler();
           const duration = Date.now() - startTime;
 
-          logger.info(`✅ Job "${job.name}" completed in ${duration}ms`, {
+          logger[level](`✅ Job "${job.name}" completed in ${duration}ms`, {
             job: job.name,
             duration,
             result,
@@ -110,6 +161,8 @@ const initialize = () => {
             error: error.message,
             stack: error.stack,
           });
+        } finally {
+          runningJobs.delete(job.name);
         }
       },
       {
@@ -155,10 +208,21 @@ const runJob = async (jobName) => {
     throw new Error(`Job "${jobName}" not found`);
   }
 
+  if (runningJobs.has(jobName)) {
+    throw new Error(`Job "${jobName}" is already running`);
+  }
+
   logger.info(`🔧 Manually running job: ${jobName}`);
 
   const startTime = Date.now();
-  const result = await job.handler();
+  runningJobs.add(jobName);
+
+  let result;
+  try {
+    result = await job.handler();
+  } finally {
+    runningJobs.delete(jobName);
+  }
   const duration = Date.now() - startTime;
 
   logger.info(`✅ Manual job "${jobName}" completed in ${duration}ms`, { result });
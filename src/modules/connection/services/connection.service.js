@@ -16,6 +16,7 @@ const { CONVERSATION_STATUS, USER_TYPES } = require('../../../shared/constants')
 const logger = require('../../../shared/utils/logger');
 const socketService = require('../../../socket/socketService');
 const notificationService = require('../../notification/services/notification.service');
+const blockService = require('../../moderation/services/block.service');
 
 // ============================================
 // SEND CONNECTION REQUEST
@@ -53,6 +54,8 @@ const sendConnectionRequest = async (senderId, recipientId, data) => {
     throw ApiError.badRequest('Cannot send connection request to yourself');
   }
 
+  await blockService.assertNotBlocked(senderId, recipientId, 'You cannot send a connection request to this user');
+
   // Check if connection already exists
   const existingConnection = await ConnectionRequest.existsBetween(senderId, recipientId);
   if (existingConnection) {
@@ -156,6 +159,8 @@ const acceptConnectionRequest = async (userId, requestId, responseMessage = null
     throw ApiError.badRequest(`Cannot accept - request is ${request.status}`);
   }
 
+  await blockService.assertNotBlocked(request.sender._id, userId, 'You cannot connect with this user');
+
   // Accept the request
   request.status = CONNECTION_STATUS.ACCEPTED;
   request.respondedAt = new Date();
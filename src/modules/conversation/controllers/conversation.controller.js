@@ -136,18 +136,20 @@ const unarchiveConversation = asyncHandler(async (req, res) => {
  * @param {string} req.body.content - Message content
  * @param {string} [req.body.messageType='TEXT'] - Message type
  * @param {string} [req.body.attachmentUrl] - Attachment URL
+ * @param {string} [req.body.replyToId] - Message to reply to (quote)
  *
  * @returns {Object} Created message
  */
 const sendMessage = asyncHandler(async (req, res) => {
   const senderId = req.user._id;
   const { id } = req.params;
-  const { content, messageType, attachmentUrl } = req.body;
+  const { content, messageType, attachmentUrl, replyToId } = req.body;
 
   const message = await conversationService.sendMessage(id, senderId, {
     content,
     messageType,
     attachmentUrl,
+    replyToId,
   });
 
   return ApiResponse.created('Message sent', { message }).send(res);
@@ -184,6 +186,65 @@ const getMessages = asyncHandler(async (req, res) => {
   ).send(res);
 });
 
+/**
+ * Edit a message
+ *
+ * @route PATCH /api/v1/conversations/:id/messages/:messageId
+ * @access Private (Sender only, within the edit window)
+ *
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} req.params.messageId - Message ID
+ * @param {string} req.body.content - New content
+ *
+ * @returns {Object} Edited message
+ */
+const editMessage = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params;
+
+  const message = await conversationService.editMessage(id, messageId, req.user._id, req.body.content);
+
+  return ApiResponse.ok('Message edited', { message }).send(res);
+});
+
+/**
+ * Add or remove the current user's reaction on a message
+ *
+ * @route POST /api/v1/conversations/:id/messages/:messageId/reactions
+ * @access Private (Participants only)
+ *
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} req.params.messageId - Message ID
+ * @param {string} req.body.emoji - A single emoji
+ *
+ * @returns {Object} Whether the reaction was added, and the message's reactions
+ */
+const toggleReaction = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params;
+
+  const result = await conversationService.toggleReaction(id, messageId, req.user._id, req.body.emoji);
+
+  return ApiResponse.ok(result.added ? 'Reaction added' : 'Reaction removed', result).send(res);
+});
+
+/**
+ * Get a message's edit history
+ *
+ * @route GET /api/v1/conversations/:id/messages/:messageId/history
+ * @access Private (Participants only)
+ *
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} req.params.messageId - Message ID
+ *
+ * @returns {Object} Current content and prior versions
+ */
+const getMessageHistory = asyncHandler(async (req, res) => {
+  const { id, messageId } = req.params;
+
+  const history = await conversationService.getMessageHistory(id, messageId, req.user._id);
+
+  return ApiResponse.ok('Message history retrieved', history).send(res);
+});
+
 /**
  * Mark messages as read
  *
@@ -192,15 +253,19 @@ const getMessages = asyncHandler(async (req, res) => {
  *
  * @param {string} req.params.id - Conversation ID
  * @param {string} [req.body.upToMessageId] - Mark messages up to this ID
+ * @param {string[]} [req.body.messageIds] - Mark only these messages
  *
  * @returns {Object} Number of messages marked as read
  */
 const markMessagesAsRead = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const { id } = req.params;
-  const { upToMessageId } = req.body;
+  const { upToMessageId, messageIds } = req.body;
 
-  const count = await conversationService.markMessagesAsRead(id, userId, upToMessageId);
+  const count = await conversationService.markMessagesAsRead(id, userId, {
+    upToMessageId,
+    messageIds,
+  });
 
   return ApiResponse.ok('Messages marked as read', { markedAsRead: count }).send(res);
 });
@@ -237,6 +302,85 @@ const getUnreadCountPerConversation = asyncHandler(async (req, res) => {
   return ApiResponse.ok('Unread counts retrieved', { unreadCounts: counts }).send(res);
 });
 
+// ============================================
+// CATCH-UP
+// ============================================
+
+/**
+ * Get messages missed while offline, across the user's conversations
+ *
+ * @route GET /api/v1/conversations/sync
+ * @access Private
+ *
+ * @param {string} req.query.cursor - ID of the last message the client has
+ * @param {number} [req.query.limit] - Most messages to return
+ *
+ * @returns {Object} Messages oldest first, the next cursor and hasMore
+ */
+const getMissedMessages = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  const result = await conversationService.getMissedMessages(req.user._id, {
+    cursor,
+    limit: parseInt(limit, 10),
+  });
+
+  return ApiResponse.ok('Missed messages retrieved', result).send(res);
+});
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Search messages across the user's conversations
+ *
+ * @route GET /api/v1/conversations/search
+ * @access Private
+ *
+ * @param {string} req.query.q - Search text
+ * @param {string} [req.query.conversationId] - Only this conversation
+ * @param {string} [req.query.senderId] - Only messages from this user
+ * @param {string} [req.query.from] - Sent at or after this date
+ * @param {string} [req.query.to] - Sent at or before this date
+ * @param {boolean} [req.query.includeArchived] - Also search archived conversations
+ * @param {string} [req.query.sort] - relevance (default) or recent
+ *
+ * @returns {Object} Matching messages with highlighted snippets
+ */
+const searchMessages = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const {
+    q,
+    conversationId,
+    senderId,
+    from,
+    to,
+    includeArchived,
+    sort,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const result = await conversationService.searchMessages(userId, {
+    q,
+    conversationId,
+    senderId,
+    from,
+    to,
+    includeArchived: includeArchived === 'true',
+    sort,
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return ApiResponse.paginated(
+    result.results,
+    result.pagination,
+    'Messages found'
+  ).send(res);
+});
+
 // ============================================
 // ICE BREAKERS
 // ============================================
@@ -298,10 +442,19 @@ module.exports = {
   // Messaging
   sendMessage,
   getMessages,
+  editMessage,
+  getMessageHistory,
+  toggleReaction,
   markMessagesAsRead,
   getUnreadCount,
   getUnreadCountPerConversation,
 
+  // Catch-up
+  getMissedMessages,
+
+  // Search
+  searchMessages,
+
   // Ice breakers
   sendNewIceBreaker,
 
@@ -234,6 +234,13 @@ conversationSchema.virtual('isArchived').get(function () {
   return this.status === CONVERSATION_STATUS.ARCHIVED;
 });
 
+/**
+ * Check if conversation is blocked (one participant blocked the other)
+ */
+conversationSchema.virtual('isBlocked').get(function () {
+  return this.status === CONVERSATION_STATUS.BLOCKED;
+});
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
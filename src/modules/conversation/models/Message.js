@@ -3,17 +3,69 @@
  * 
  * Represents a single message:
  * - Text, system, or attachment messages
- * - Read receipts
+ * - Delivery and read receipts (SENT -> DELIVERED -> READ)
+ * - Edits (prior versions kept in editHistory)
+ * - Replies (quoting an earlier message) and emoji reactions
  * - Ice breakers and trial updates
  * 
  * @module models/Message
  */
 
 const mongoose = require('mongoose');
-const { MESSAGE_TYPES } = require('../../../shared/constants');
+const { MESSAGE_TYPES, MESSAGE_STATUS } = require('../../../shared/constants');
 
 const { Schema } = mongoose;
 
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * A prior version of an edited message
+ */
+const messageVersionSchema = new Schema(
+  {
+    content: {
+      type: String,
+      required: true,
+    },
+
+    /**
+     * When this version was replaced
+     */
+    replacedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One user's reaction
+ */
+const messageReactionSchema = new Schema(
+  {
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: 16,
+    },
+
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    reactedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 // ============================================
 // MAIN SCHEMA
 // ============================================
@@ -78,6 +130,27 @@ const messageSchema = new Schema(
       default: false,
     },
 
+    /**
+     * Earlier message in the same conversation this one replies to (quotes)
+     */
+    replyTo: {
+      type: Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+
+    // ==========================================
+    // REACTIONS
+    // ==========================================
+
+    /**
+     * Emoji reactions, one entry per user and emoji
+     */
+    reactions: {
+      type: [messageReactionSchema],
+      default: [],
+    },
+
     // ==========================================
     // ATTACHMENTS
     // ==========================================
@@ -116,9 +189,45 @@ const messageSchema = new Schema(
     },
 
     // ==========================================
-    // READ STATUS
+    // EDITS
     // ==========================================
 
+    /**
+     * Whether the sender edited the message
+     */
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * When the message was last edited
+     */
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Prior versions, oldest first
+     */
+    editHistory: {
+      type: [messageVersionSchema],
+      default: [],
+    },
+
+    // ==========================================
+    // DELIVERY & READ STATUS
+    // ==========================================
+
+    /**
+     * When one of the recipient's devices received the message
+     */
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * When message was read by recipient
      */
@@ -190,6 +299,7 @@ const messageSchema = new Schema(
         if (ret.isDeleted) {
           ret.content = 'This message has been deleted';
           ret.attachmentUrl = null;
+          ret.editHistory = [];
         }
         return ret;
       },
@@ -210,6 +320,9 @@ messageSchema.index({ conversation: 1, createdAt: -1 });
 messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
 
+// Full-text search of message history
+messageSchema.index({ content: 'text' });
+
 // ============================================
 // VIRTUAL FIELDS
 // ============================================
@@ -221,6 +334,13 @@ messageSchema.virtual('isRead').get(function () {
   return !!this.readAt;
 });
 
+/**
+ * SENT, DELIVERED or READ
+ */
+messageSchema.virtual('status').get(function () {
+  return this.constructor.statusOf(this);
+});
+
 /**
  * Check if message has attachment
  */
@@ -239,11 +359,48 @@ messageSchema.virtual('hasAttachment').get(function () {
 messageSchema.methods.markAsRead = async function () {
   if (!this.readAt) {
     this.readAt = new Date();
+    this.deliveredAt = this.deliveredAt || this.readAt;
     return this.save();
   }
   return this;
 };
 
+/**
+ * Edit message content, keeping the current version in editHistory
+ * @param {string} content - New content
+ * @returns {Promise<Message>}
+ */
+messageSchema.methods.edit = async function (content) {
+  const now = new Date();
+
+  this.editHistory.push({ content: this.content, replacedAt: now });
+  this.content = content;
+  this.isEdited = true;
+  this.editedAt = now;
+  return this.save();
+};
+
+/**
+ * Add the user's reaction, or remove it if they already reacted with this emoji
+ * @param {ObjectId} userId - Reacting user
+ * @param {string} emoji - Emoji
+ * @returns {Promise<boolean>} True if added, false if removed
+ */
+messageSchema.methods.toggleReaction = async function (userId, emoji) {
+  const index = this.reactions.findIndex(
+    (reaction) => reaction.emoji === emoji && reaction.user.toString() === userId.toString()
+  );
+
+  if (index === -1) {
+    this.reactions.push({ emoji, user: userId });
+  } else {
+    this.reactions.splice(index, 1);
+  }
+
+  await this.save();
+  return index === -1;
+};
+
 /**
  * Soft delete message
  * @returns {Promise<Message>}
@@ -269,6 +426,28 @@ messageSchema.methods.flag = async function (reason) {
 // STATIC METHODS
 // ============================================
 
+/**
+ * Update setting readAt; a message read without a delivery receipt
+ * (e.g. fetched over HTTP) counts as delivered at the same time
+ * @param {Date} readAt - Read time
+ * @returns {Object[]} Update pipeline
+ */
+const readUpdate = (readAt) => [
+  { $set: { readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } },
+];
+
+/**
+ * Delivery status of a message (also works on lean documents)
+ * @param {Object} message - Message with deliveredAt and readAt
+ * @returns {string} MESSAGE_STATUS value
+ */
+messageSchema.statics.statusOf = function (message) {
+  if (message.readAt) {
+    return MESSAGE_STATUS.READ;
+  }
+  return message.deliveredAt ? MESSAGE_STATUS.DELIVERED : MESSAGE_STATUS.SENT;
+};
+
 /**
  * Get messages for a conversation
  * @param {ObjectId} conversationId - Conversation ID
@@ -323,9 +502,33 @@ messageSchema.statics.markAllAsRead = function (conversationId, userId) {
       sender: { $ne: userId },
       readAt: null,
     },
-    {
-      $set: { readAt: new Date() },
-    }
+    readUpdate(new Date())
+  );
+};
+
+/**
+ * Mark messages as delivered (those not delivered yet)
+ * @param {ObjectId[]} messageIds - Message IDs
+ * @param {Date} [deliveredAt=now] - Delivery time
+ * @returns {Promise<Object>} Update result
+ */
+messageSchema.statics.markDelivered = function (messageIds, deliveredAt = new Date()) {
+  return this.updateMany(
+    { _id: { $in: messageIds }, deliveredAt: null },
+    { $set: { deliveredAt } }
+  );
+};
+
+/**
+ * Mark messages as read (those not read yet)
+ * @param {ObjectId[]} messageIds - Message IDs
+ * @param {Date} [readAt=now] - Read time
+ * @returns {Promise<Object>} Update result
+ */
+messageSchema.statics.markRead = function (messageIds, readAt = new Date()) {
+  return this.updateMany(
+    { _id: { $in: messageIds }, readAt: null },
+    readUpdate(readAt)
   );
 };
 
@@ -10,6 +10,7 @@ const express = require('express');
 const router = express.Router();
 
 const conversationController = require('../controllers/conversation.controller');
+const moderationController = require('../../moderation/controllers/moderation.controller');
 const { auth } = require('../../../shared/middleware/auth');
 
 // ============================================
@@ -34,6 +35,30 @@ router.get(
   conversationController.getUnreadCountPerConversation
 );
 
+// ============================================
+// CATCH-UP (Must be before /:id routes)
+// ============================================
+
+/**
+ * @route   GET /api/v1/conversations/sync
+ * @desc    Messages missed while offline, after the last message the client has
+ * @access  Private
+ * @query   { cursor, limit? }
+ */
+router.get('/sync', auth, conversationController.getMissedMessages);
+
+// ============================================
+// SEARCH (Must be before /:id routes)
+// ============================================
+
+/**
+ * @route   GET /api/v1/conversations/search
+ * @desc    Full-text search of messages across the user's conversations
+ * @access  Private
+ * @query   { q, conversationId?, senderId?, from?, to?, includeArchived?, sort?, page?, limit? }
+ */
+router.get('/search', auth, conversationController.searchMessages);
+
 // ============================================
 // CONVERSATION CREATION
 // ============================================
@@ -93,6 +118,33 @@ router.post('/:id/archive', auth, conversationController.archiveConversation);
  */
 router.post('/:id/unarchive', auth, conversationController.unarchiveConversation);
 
+// ============================================
+// BLOCK & REPORT ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/conversations/:id/block
+ * @desc    Block the other participant (all conversations with them become BLOCKED)
+ * @access  Private
+ * @body    { reason? }
+ */
+router.post('/:id/block', auth, moderationController.blockFromConversation);
+
+/**
+ * @route   POST /api/v1/conversations/:id/unblock
+ * @desc    Unblock the other participant
+ * @access  Private
+ */
+router.post('/:id/unblock', auth, moderationController.unblockFromConversation);
+
+/**
+ * @route   POST /api/v1/conversations/:id/report
+ * @desc    Report the other participant, optionally with their messages
+ * @access  Private
+ * @body    { reason, details?, messageIds?, block? }
+ */
+router.post('/:id/report', auth, moderationController.reportFromConversation);
+
 // ============================================
 // MESSAGING ROUTES
 // ============================================
@@ -109,15 +161,38 @@ router.get('/:id/messages', auth, conversationController.getMessages);
  * @route   POST /api/v1/conversations/:id/messages
  * @desc    Send a message in a conversation
  * @access  Private (Participants only)
- * @body    { content: string, messageType?: string, attachmentUrl?: string }
+ * @body    { content: string, messageType?: string, attachmentUrl?: string, replyToId?: string }
  */
 router.post('/:id/messages', auth, conversationController.sendMessage);
 
+/**
+ * @route   PATCH /api/v1/conversations/:id/messages/:messageId
+ * @desc    Edit a message (sender only, within the edit window)
+ * @access  Private (Participants only)
+ * @body    { content: string }
+ */
+router.patch('/:id/messages/:messageId', auth, conversationController.editMessage);
+
+/**
+ * @route   GET /api/v1/conversations/:id/messages/:messageId/history
+ * @desc    Get a message's prior versions
+ * @access  Private (Participants only)
+ */
+router.get('/:id/messages/:messageId/history', auth, conversationController.getMessageHistory);
+
+/**
+ * @route   POST /api/v1/conversations/:id/messages/:messageId/reactions
+ * @desc    Toggle the current user's emoji reaction on a message
+ * @access  Private (Participants only)
+ * @body    { emoji: string }
+ */
+router.post('/:id/messages/:messageId/reactions', auth, conversationController.toggleReaction);
+
 /**
  * @route   POST /api/v1/conversations/:id/read
  * @desc    Mark messages as read
  * @access  Private (Participants only)
- * @body    { upToMessageId?: string }
+ * @body    { upToMessageId?: string, messageIds?: string[] }
  */
 router.post('/:id/read', auth, conversationController.markMessagesAsRead);
 
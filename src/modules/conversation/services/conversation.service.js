@@ -4,7 +4,12 @@
  * Handles chat/messaging between matched users:
  * - Creating conversations after mutual match
  * - Sending and receiving messages
- * - Message read status
+ * - Editing messages (within the edit window, prior versions kept)
+ * - Replies quoting an earlier message, and emoji reactions
+ * - Full-text search across the user's conversations
+ * - Blocked conversations (see moderation block.service) take no new messages
+ * - Message delivery and read receipts (SENT -> DELIVERED -> READ)
+ * - Catching up on messages missed while offline
  * - Ice breaker prompts
  * 
  * Per PRD: Chat unlocked only after mutual match (Interest shortlisted)
@@ -13,16 +18,136 @@
  */
 
 const { Conversation, Message, Interest, User, FounderProfile, BuilderProfile } = require('../../models');
-const { ApiError } = require('../../../shared/utils');
+const { ApiError, isValidObjectId, isEmoji } = require('../../../shared/utils');
 const {
     CONVERSATION_STATUS,
     MESSAGE_TYPES,
     ICE_BREAKER_PROMPTS,
     INTEREST_STATUS,
+    LIMITS,
 } = require('../../../shared/constants');
+const { config } = require('../../../shared/config');
 const logger = require('../../../shared/utils/logger');
+const { getSearchTerms, buildSnippet } = require('../../../shared/utils/textSnippet');
 const socketService = require('../../../socket/socketService');
 const notificationService = require('../../notification/services/notification.service');
+const blockService = require('../../moderation/services/block.service');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Fields of a quoted message returned with its reply
+ */
+const REPLY_PREVIEW_FIELDS = 'sender content messageType attachmentUrl isDeleted createdAt';
+
+/**
+ * Longest message search query
+ */
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Message search result orders
+ */
+const SEARCH_SORTS = ['relevance', 'recent'];
+
+/**
+ * Missed messages returned per catch-up when no limit is given
+ */
+const DEFAULT_SYNC_LIMIT = 100;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Quoted message as shown with a reply (deleted content hidden)
+ * 
+ * @param {Object|null} replyTo - Populated quoted message (lean)
+ * @returns {Object|null}
+ */
+const toReplyPreview = (replyTo) => {
+  if (!replyTo || !replyTo._id) {
+    return null;
+  }
+  
+  return replyTo.isDeleted
+    ? { ...replyTo, content: 'This message has been deleted', attachmentUrl: null }
+    : replyTo;
+};
+
+/**
+ * Group a message's reactions by emoji, in the order they were first used
+ * 
+ * @param {Object[]} reactions - Message reactions
+ * @param {string} [userId] - Viewer, to flag their own reactions
+ * @returns {Object[]} [{ emoji, count, users, reacted? }]
+ */
+const summarizeReactions = (reactions = [], userId = null) => {
+  const groups = new Map();
+  
+  reactions.forEach((reaction) => {
+    if (!groups.has(reaction.emoji)) {
+      groups.set(reaction.emoji, { emoji: reaction.emoji, count: 0, users: [] });
+    }
+    const group = groups.get(reaction.emoji);
+    group.count++;
+    group.users.push(reaction.user);
+  });
+  
+  return [...groups.values()].map((group) => (
+    userId
+      ? { ...group, reacted: group.users.some((user) => user.toString() === userId.toString()) }
+      : group
+  ));
+};
+
+/**
+ * Record that messages reached the user and send delivery receipts
+ * to their senders. Messages already delivered, system messages and the
+ * user's own messages are skipped; the rest get deliveredAt set in place.
+ * 
+ * @param {string} userId - Recipient's user ID
+ * @param {Object[]} messages - Messages (lean, with conversation, sender, deliveredAt)
+ * @returns {Promise<number>} Number of messages marked as delivered
+ */
+const recordDelivery = async (userId, messages) => {
+  const undelivered = messages.filter((message) => (
+    !message.deliveredAt
+    && !message.isSystemMessage
+    && message.sender
+    && (message.sender._id || message.sender).toString() !== userId.toString()
+  ));
+  
+  if (undelivered.length === 0) {
+    return 0;
+  }
+  
+  const deliveredAt = new Date();
+  const result = await Message.markDelivered(undelivered.map((message) => message._id), deliveredAt);
+  
+  // One receipt per conversation and sender
+  const receipts = new Map();
+  undelivered.forEach((message) => {
+    message.deliveredAt = deliveredAt;
+    
+    const conversationId = message.conversation.toString();
+    const senderId = (message.sender._id || message.sender).toString();
+    const key = `${conversationId}:${senderId}`;
+    
+    if (!receipts.has(key)) {
+      receipts.set(key, { conversationId, senderId, messageIds: [] });
+    }
+    receipts.get(key).messageIds.push(message._id);
+  });
+  
+  receipts.forEach(({ conversationId, senderId, messageIds }) => {
+    socketService.emitMessagesDelivered(senderId, conversationId, userId, messageIds, deliveredAt);
+  });
+  
+  return result.modifiedCount;
+};
 
 // ============================================
 // CONVERSATION CRUD
@@ -63,6 +188,12 @@ const createConversationFromMatch = async (interestId) => {
       }
     }
     
+    await blockService.assertNotBlocked(
+      interest.founder,
+      interest.builder,
+      'You cannot start a conversation with this user'
+    );
+    
     // Create conversation
     const conversation = await Conversation.create({
       participants: [interest.founder, interest.builder],
@@ -243,7 +374,10 @@ const archiveConversation = async (conversationId, userId) => {
     throw ApiError.forbidden('You are not a participant in this conversation');
   }
   
-  conversation.status = CONVERSATION_STATUS.ARCHIVED;
+  // A blocked conversation stays blocked; archiving only files it away
+  if (conversation.status !== CONVERSATION_STATUS.BLOCKED) {
+    conversation.status = CONVERSATION_STATUS.ARCHIVED;
+  }
   conversation.archivedAt = new Date();
   conversation.archivedBy = userId;
   await conversation.save();
@@ -275,7 +409,9 @@ const unarchiveConversation = async (conversationId, userId) => {
     throw ApiError.forbidden('You are not a participant in this conversation');
   }
   
-  conversation.status = CONVERSATION_STATUS.ACTIVE;
+  if (conversation.status !== CONVERSATION_STATUS.BLOCKED) {
+    conversation.status = CONVERSATION_STATUS.ACTIVE;
+  }
   conversation.archivedAt = null;
   conversation.archivedBy = null;
   await conversation.save();
@@ -298,6 +434,7 @@ const unarchiveConversation = async (conversationId, userId) => {
  * @param {string} messageData.content - Message content
  * @param {string} [messageData.messageType='TEXT'] - Message type
  * @param {string} [messageData.attachmentUrl] - Attachment URL
+ * @param {string} [messageData.replyToId] - Earlier message in the conversation to quote
  * @returns {Promise<Object>} Created message
  */
 const sendMessage = async (conversationId, senderId, messageData) => {
@@ -317,10 +454,30 @@ const sendMessage = async (conversationId, senderId, messageData) => {
   }
   
   // Check conversation is active
+  if (conversation.status === CONVERSATION_STATUS.BLOCKED) {
+    throw ApiError.forbidden('This conversation has been blocked');
+  }
+  
   if (conversation.status !== CONVERSATION_STATUS.ACTIVE) {
     throw ApiError.badRequest('Cannot send messages to an archived conversation');
   }
   
+  // Quoted message must be in this conversation and not deleted
+  let replyTo = null;
+  if (messageData.replyToId) {
+    const quoted = isValidObjectId(messageData.replyToId)
+      ? await Message.findOne({ _id: messageData.replyToId, conversation: conversationId }).select('isDeleted')
+      : null;
+    
+    if (!quoted) {
+      throw ApiError.badRequest('The message you are replying to is not in this conversation');
+    }
+    if (quoted.isDeleted) {
+      throw ApiError.badRequest('Cannot reply to a deleted message');
+    }
+    replyTo = quoted._id;
+  }
+  
   // Create message
   const message = await Message.create({
     conversation: conversationId,
@@ -328,6 +485,7 @@ const sendMessage = async (conversationId, senderId, messageData) => {
     content: messageData.content,
     messageType: messageData.messageType || MESSAGE_TYPES.TEXT,
     attachmentUrl: messageData.attachmentUrl || null,
+    replyTo,
   });
   
   // Update conversation
@@ -336,24 +494,36 @@ const sendMessage = async (conversationId, senderId, messageData) => {
   conversation.messageCount = (conversation.messageCount || 0) + 1;
   await conversation.save();
   
-  // Populate sender for response
+  // Populate sender (and quoted message) for response
   await message.populate('sender', 'name email avatarUrl');
+  if (replyTo) {
+    await message.populate('replyTo', REPLY_PREVIEW_FIELDS);
+  }
+
+  // Determine recipient
+  const recipientId = conversation.participants.find(
+    p => p.toString() !== senderId.toString()
+  );
 
   // ============================================
   // REAL-TIME SOCKET EMISSIONS
   // ============================================
 
-  // Emit new message to conversation room (excluding sender)
-  socketService.emitNewMessage(conversationId, message, senderId);
+  // Emit new message to the recipient's devices; their acknowledgement is the delivery receipt
+  socketService.emitNewMessage(
+    conversationId,
+    message,
+    recipientId ? [recipientId.toString()] : [],
+    (deliveredToId) => {
+      markMessagesDelivered(deliveredToId, [message._id]).catch((error) => {
+        logger.warn('Failed to record message delivery', { messageId: message._id, error: error.message });
+      });
+    }
+  );
 
   // Emit confirmation to sender
   socketService.emitMessageSent(senderId, conversationId, message);
 
-  // Determine recipient
-  const recipientId = conversation.participants.find(
-    p => p.toString() !== senderId.toString()
-  );
-
   // Create notification for recipient (if they're not in the conversation room)
   if (recipientId) {
     const sender = await User.findById(senderId).select('name avatarUrl');
@@ -422,7 +592,9 @@ const getMessages = async (conversationId, userId, options = {}) => {
   
   const [messages, total] = await Promise.all([
     Message.find(query)
+      .select('-editHistory')
       .populate('sender', 'name email avatarUrl')
+      .populate('replyTo', REPLY_PREVIEW_FIELDS)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -434,7 +606,12 @@ const getMessages = async (conversationId, userId, options = {}) => {
   messages.reverse();
   
   return {
-    messages,
+    messages: messages.map((message) => ({
+      ...message,
+      replyTo: toReplyPreview(message.replyTo),
+      reactionSummary: summarizeReactions(message.reactions, userId),
+      status: Message.statusOf(message),
+    })),
     pagination: {
       page,
       limit,
@@ -445,15 +622,231 @@ const getMessages = async (conversationId, userId, options = {}) => {
   };
 };
 
+/**
+ * Get a message in a conversation the user takes part in
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} { conversation, message }
+ * @throws {ApiError} If not found or not a participant
+ */
+const getConversationMessage = async (conversationId, messageId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+  
+  if (!conversation) {
+    throw ApiError.conversationNotFound();
+  }
+  
+  const isParticipant = conversation.participants.some(
+    p => p.toString() === userId.toString()
+  );
+  
+  if (!isParticipant) {
+    throw ApiError.forbidden('You are not a participant in this conversation');
+  }
+  
+  const message = isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, conversation: conversationId })
+    : null;
+  
+  if (!message) {
+    throw ApiError.notFound('Message not found');
+  }
+  
+  return { conversation, message };
+};
+
+/**
+ * Edit a message (sender only, within the edit window)
+ * The previous version is kept in the message's edit history and both
+ * participants are updated live through the conversation room.
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Editor's user ID (must be the sender)
+ * @param {string} content - New content
+ * @returns {Promise<Object>} Edited message
+ * @throws {ApiError} If not allowed, outside the edit window or the content is invalid
+ */
+const editMessage = async (conversationId, messageId, userId, content) => {
+  const { conversation, message } = await getConversationMessage(conversationId, messageId, userId);
+  
+  if (message.isSystemMessage || !message.sender || message.sender.toString() !== userId.toString()) {
+    throw ApiError.forbidden('You can only edit your own messages');
+  }
+  
+  if (message.isDeleted) {
+    throw ApiError.badRequest('Deleted messages cannot be edited');
+  }
+  
+  if (conversation.status === CONVERSATION_STATUS.BLOCKED) {
+    throw ApiError.forbidden('This conversation has been blocked');
+  }
+  
+  if (conversation.status !== CONVERSATION_STATUS.ACTIVE) {
+    throw ApiError.badRequest('Cannot edit messages in an archived conversation');
+  }
+  
+  const { messageEditWindowMs } = config.conversations;
+  if (Date.now() - message.createdAt.getTime() > messageEditWindowMs) {
+    throw ApiError.badRequest(
+      `Messages can only be edited within ${Math.round(messageEditWindowMs / 60000)} minutes of sending`
+    );
+  }
+  
+  const trimmed = typeof content === 'string' ? content.trim() : '';
+  
+  if (!trimmed) {
+    throw ApiError.badRequest('Message content is required');
+  }
+  
+  if (trimmed.length > LIMITS.MAX_MESSAGE_LENGTH) {
+    throw ApiError.badRequest(`Message cannot exceed ${LIMITS.MAX_MESSAGE_LENGTH} characters`);
+  }
+  
+  if (trimmed === message.content) {
+    return message;
+  }
+  
+  await message.edit(trimmed);
+  
+  socketService.emitMessageEdited(conversationId, message);
+  
+  logger.info('Message edited', {
+    messageId,
+    conversationId,
+    userId,
+    edits: message.editHistory.length,
+  });
+  
+  return message;
+};
+
+/**
+ * Toggle the user's emoji reaction on a message
+ * Reacting again with the same emoji removes the reaction.
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting user's ID
+ * @param {string} emoji - A single emoji
+ * @returns {Promise<Object>} { messageId, emoji, added, reactions }
+ * @throws {ApiError} If not allowed, the emoji is invalid or the user's reaction limit is reached
+ */
+const toggleReaction = async (conversationId, messageId, userId, emoji) => {
+  const { conversation, message } = await getConversationMessage(conversationId, messageId, userId);
+  
+  if (!isEmoji(emoji)) {
+    throw ApiError.badRequest('Reaction must be a single emoji');
+  }
+  
+  if (message.isDeleted) {
+    throw ApiError.badRequest('Cannot react to a deleted message');
+  }
+  
+  if (conversation.status === CONVERSATION_STATUS.BLOCKED) {
+    throw ApiError.forbidden('This conversation has been blocked');
+  }
+  
+  if (conversation.status !== CONVERSATION_STATUS.ACTIVE) {
+    throw ApiError.badRequest('Cannot react to messages in an archived conversation');
+  }
+  
+  const own = message.reactions.filter((reaction) => reaction.user.toString() === userId.toString());
+  const removing = own.some((reaction) => reaction.emoji === emoji);
+  
+  if (!removing && own.length >= LIMITS.MAX_REACTIONS_PER_MESSAGE) {
+    throw ApiError.badRequest(`You can add up to ${LIMITS.MAX_REACTIONS_PER_MESSAGE} reactions to a message`);
+  }
+  
+  const added = await message.toggleReaction(userId, emoji);
+  
+  socketService.emitMessageReaction(conversationId, {
+    messageId: message._id,
+    userId,
+    emoji,
+    added,
+    reactions: summarizeReactions(message.reactions),
+  });
+  
+  return {
+    messageId: message._id,
+    emoji,
+    added,
+    reactions: summarizeReactions(message.reactions, userId),
+  };
+};
+
+/**
+ * Get a message's edit history
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID (for authorization)
+ * @returns {Promise<Object>} { messageId, content, isEdited, editedAt, versions }
+ * @throws {ApiError} If not found or not a participant
+ */
+const getMessageHistory = async (conversationId, messageId, userId) => {
+  const { message } = await getConversationMessage(conversationId, messageId, userId);
+  const { content, editHistory } = message.toJSON();
+  
+  return {
+    messageId: message._id,
+    content,
+    isEdited: message.isEdited,
+    editedAt: message.editedAt,
+    versions: editHistory,
+  };
+};
+
+/**
+ * Mark messages as delivered to the user
+ * Called when one of the user's devices acknowledges a new message.
+ * Messages outside the user's conversations are ignored.
+ * 
+ * @param {string} userId - Recipient's user ID
+ * @param {string[]} messageIds - Received message IDs
+ * @returns {Promise<number>} Number of messages marked as delivered
+ */
+const markMessagesDelivered = async (userId, messageIds) => {
+  const ids = [...new Set(messageIds.map(String))].filter((id) => isValidObjectId(id));
+  
+  if (ids.length === 0) {
+    return 0;
+  }
+  
+  const messages = await Message.find({ _id: { $in: ids }, deliveredAt: null })
+    .select('conversation sender isSystemMessage deliveredAt')
+    .lean();
+  
+  const conversationIds = await Conversation.find({
+    _id: { $in: messages.map((message) => message.conversation) },
+    participants: userId,
+  }).distinct('_id');
+  const allowed = new Set(conversationIds.map(String));
+  
+  return recordDelivery(
+    userId,
+    messages.filter((message) => allowed.has(message.conversation.toString()))
+  );
+};
+
 /**
  * Mark messages as read
+ * Either specific messages (messageIds) or everything up to a message
+ * (upToMessageId); with neither, every unread message in the conversation.
  * 
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - Reader's user ID
- * @param {string} [upToMessageId] - Mark all messages up to this ID as read
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.upToMessageId] - Mark all messages up to this ID as read
+ * @param {string[]} [options.messageIds] - Mark only these messages as read
  * @returns {Promise<number>} Number of messages marked as read
  */
-const markMessagesAsRead = async (conversationId, userId, upToMessageId = null) => {
+const markMessagesAsRead = async (conversationId, userId, options = {}) => {
+  const { upToMessageId = null, messageIds = null } = options;
+  
   const conversation = await Conversation.findById(conversationId);
   
   if (!conversation) {
@@ -474,6 +867,17 @@ const markMessagesAsRead = async (conversationId, userId, upToMessageId = null)
     readAt: null,
   };
   
+  // Per-message read receipts
+  if (messageIds) {
+    if (!Array.isArray(messageIds)) {
+      throw ApiError.badRequest('messageIds must be an array');
+    }
+    if (messageIds.some((id) => !isValidObjectId(id))) {
+      throw ApiError.badRequest('Invalid message ID');
+    }
+    query._id = { $in: messageIds };
+  }
+  
   // If specific message ID provided, mark up to that message
   if (upToMessageId) {
     const upToMessage = await Message.findById(upToMessageId);
@@ -482,14 +886,21 @@ const markMessagesAsRead = async (conversationId, userId, upToMessageId = null)
     }
   }
   
-  const result = await Message.updateMany(query, {
-    $set: { readAt: new Date() },
-  });
-
-  // Emit read receipt via socket
-  if (result.modifiedCount > 0) {
-    socketService.emitMessagesRead(conversationId, userId, []);
+  const unread = await Message.find(query).select('sender').lean();
+  
+  if (unread.length === 0) {
+    return 0;
   }
+  
+  const readIds = unread.map((message) => message._id);
+  const readAt = new Date();
+  const result = await Message.markRead(readIds, readAt);
+
+  // Emit read receipt via socket (to the senders even if they are not in the room)
+  const senderIds = [...new Set(
+    unread.filter((message) => message.sender).map((message) => message.sender.toString())
+  )];
+  socketService.emitMessagesRead(conversationId, userId, readIds, senderIds, readAt);
 
   logger.info('Messages marked as read', {
     conversationId,
@@ -566,6 +977,253 @@ const getUnreadCountPerConversation = async (userId) => {
   return result;
 };
 
+// ============================================
+// CATCH-UP
+// ============================================
+
+/**
+ * Get messages the user missed while offline
+ * Returns messages from every conversation the user takes part in that were
+ * sent after the cursor (the last message the client has), oldest first.
+ * Deleted messages are left out, as in the conversation history.
+ * Messages from others are marked as delivered. Call again with the returned
+ * cursor while hasMore is true.
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} [options={}] - Options
+ * @param {string} options.cursor - ID of the last message the client has
+ * @param {number} [options.limit=100] - Most messages to return (max LIMITS.MAX_SYNC_MESSAGES)
+ * @returns {Promise<Object>} { messages, cursor, hasMore }
+ * @throws {ApiError} If the cursor is missing or not a message in the user's conversations
+ */
+const getMissedMessages = async (userId, options = {}) => {
+  const { cursor } = options;
+  const limit = Math.min(Math.max(options.limit || DEFAULT_SYNC_LIMIT, 1), LIMITS.MAX_SYNC_MESSAGES);
+  
+  if (!cursor || !isValidObjectId(cursor)) {
+    throw ApiError.badRequest('cursor must be the ID of the last message you have');
+  }
+  
+  const conversationIds = await Conversation.find({ participants: userId }).distinct('_id');
+  
+  const cursorMessage = await Message.findOne({
+    _id: cursor,
+    conversation: { $in: conversationIds },
+  }).select('createdAt');
+  
+  if (!cursorMessage) {
+    throw ApiError.notFound('Cursor message not found');
+  }
+  
+  // Messages sharing the cursor's timestamp are ordered by ID
+  const messages = await Message.find({
+    conversation: { $in: conversationIds },
+    isDeleted: false,
+    $or: [
+      { createdAt: { $gt: cursorMessage.createdAt } },
+      { createdAt: cursorMessage.createdAt, _id: { $gt: cursorMessage._id } },
+    ],
+  })
+    .select('-editHistory')
+    .populate('sender', 'name email avatarUrl')
+    .populate('replyTo', REPLY_PREVIEW_FIELDS)
+    .sort({ createdAt: 1, _id: 1 })
+    .limit(limit + 1)
+    .lean();
+  
+  const hasMore = messages.length > limit;
+  if (hasMore) {
+    messages.pop();
+  }
+  
+  await recordDelivery(userId, messages);
+  
+  return {
+    messages: messages.map((message) => ({
+      ...message,
+      replyTo: toReplyPreview(message.replyTo),
+      reactionSummary: summarizeReactions(message.reactions, userId),
+      status: Message.statusOf(message),
+    })),
+    cursor: messages.length > 0 ? messages[messages.length - 1]._id : cursorMessage._id,
+    hasMore,
+  };
+};
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Parse a search date filter
+ * A date without a time in `to` covers that whole day (UTC).
+ * 
+ * @param {string} value - Date from the query
+ * @param {string} field - 'from' or 'to'
+ * @returns {Date}
+ * @throws {ApiError} If not a valid date
+ */
+const parseSearchDate = (value, field) => {
+  const date = new Date(value);
+  
+  if (Number.isNaN(date.getTime())) {
+    throw ApiError.badRequest(`${field} must be a valid date`);
+  }
+  
+  if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  
+  return date;
+};
+
+/**
+ * Search the messages of every conversation the user takes part in
+ * Deleted messages are never returned. Archived conversations are left out
+ * unless includeArchived is set or the search is limited to one of them
+ * with conversationId.
+ * 
+ * @param {string} userId - User ID
+ * @param {Object} [options={}] - Search options
+ * @param {string} options.q - Search text (MongoDB $text syntax: words, "phrases", -excluded)
+ * @param {string} [options.conversationId] - Only this conversation
+ * @param {string} [options.senderId] - Only messages from this user
+ * @param {string} [options.from] - Sent at or after this date
+ * @param {string} [options.to] - Sent at or before this date
+ * @param {boolean} [options.includeArchived=false] - Also search archived conversations
+ * @param {string} [options.sort='relevance'] - 'relevance' or 'recent'
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} { results, pagination }
+ * @throws {ApiError} If a filter is invalid or the conversation is not the user's
+ */
+const searchMessages = async (userId, options = {}) => {
+  const {
+    q,
+    conversationId,
+    senderId,
+    from,
+    to,
+    includeArchived = false,
+    sort = 'relevance',
+    page = 1,
+    limit = 20,
+  } = options;
+  
+  const search = typeof q === 'string' ? q.trim() : '';
+  
+  if (!search) {
+    throw ApiError.badRequest('Search text is required');
+  }
+  
+  if (search.length > MAX_SEARCH_LENGTH) {
+    throw ApiError.badRequest(`Search text cannot exceed ${MAX_SEARCH_LENGTH} characters`);
+  }
+  
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw ApiError.badRequest(`sort must be one of ${SEARCH_SORTS.join(', ')}`);
+  }
+  
+  if (senderId && !isValidObjectId(senderId)) {
+    throw ApiError.badRequest('Invalid sender ID');
+  }
+  
+  const fromDate = from ? parseSearchDate(from, 'from') : null;
+  const toDate = to ? parseSearchDate(to, 'to') : null;
+  
+  if (fromDate && toDate && fromDate > toDate) {
+    throw ApiError.badRequest('from must be before to');
+  }
+  
+  // Conversations in scope
+  const conversationQuery = { participants: userId };
+  
+  if (conversationId) {
+    if (!isValidObjectId(conversationId)) {
+      throw ApiError.badRequest('Invalid conversation ID');
+    }
+    conversationQuery._id = conversationId;
+  } else if (!includeArchived) {
+    conversationQuery.archivedBy = null;
+  }
+  
+  const conversations = await Conversation.find(conversationQuery)
+    .select('participants opening archivedBy')
+    .populate('participants', 'name profilePhoto')
+    .populate('opening', 'title')
+    .lean();
+  
+  if (conversationId && conversations.length === 0) {
+    throw ApiError.conversationNotFound();
+  }
+  
+  const query = {
+    conversation: { $in: conversations.map((conversation) => conversation._id) },
+    isDeleted: false,
+    $text: { $search: search },
+  };
+  
+  if (senderId) {
+    query.sender = senderId;
+  }
+  
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+  
+  const skip = (page - 1) * limit;
+  const order = sort === 'recent'
+    ? { createdAt: -1 }
+    : { score: { $meta: 'textScore' }, createdAt: -1 };
+  
+  const [messages, total] = await Promise.all([
+    Message.find(query, { score: { $meta: 'textScore' } })
+      .select('conversation sender content messageType isSystemMessage isEdited createdAt')
+      .populate('sender', 'name avatarUrl')
+      .sort(order)
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Message.countDocuments(query),
+  ]);
+  
+  const conversationsById = new Map(
+    conversations.map((conversation) => [conversation._id.toString(), conversation])
+  );
+  const terms = getSearchTerms(search);
+  
+  const results = messages.map(({ content, score, ...message }) => {
+    const conversation = conversationsById.get(message.conversation.toString());
+    
+    return {
+      ...message,
+      conversation: {
+        _id: conversation._id,
+        opening: conversation.opening || null,
+        otherParticipant: conversation.participants.find(
+          p => p._id.toString() !== userId.toString()
+        ) || null,
+        isArchived: Boolean(conversation.archivedBy),
+      },
+      snippet: buildSnippet(content, terms),
+      score,
+    };
+  });
+  
+  return {
+    results,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
 // ============================================
 // ICE BREAKERS
 // ============================================
@@ -602,6 +1260,10 @@ const sendNewIceBreaker = async (conversationId, userId) => {
     throw ApiError.forbidden('You are not a participant in this conversation');
   }
   
+  if (conversation.status === CONVERSATION_STATUS.BLOCKED) {
+    throw ApiError.forbidden('This conversation has been blocked');
+  }
+  
   const iceBreaker = getRandomIceBreaker();
   
   const message = await Message.create({
@@ -747,10 +1409,20 @@ module.exports = {
   // Messaging
   sendMessage,
   getMessages,
+  editMessage,
+  getMessageHistory,
+  toggleReaction,
+  markMessagesDelivered,
   markMessagesAsRead,
   getUnreadCount,
   getUnreadCountPerConversation,
   
+  // Catch-up
+  getMissedMessages,
+  
+  // Search
+  searchMessages,
+  
   // Ice breakers
   getRandomIceBreaker,
   sendNewIceBreaker,
@@ -3,7 +3,10 @@
  *
  * Handles all interest/matching-related HTTP endpoints:
  * - Builder expressing/withdrawing interest
+ * - Builder interest credits (balance and ledger)
  * - Founder shortlisting/passing on builders
+ * - Founder pipeline board (custom stages)
+ * - Founder bulk shortlist/pass/move with undo
  * - Mutual match management
  * - Interest analytics
  *
@@ -11,6 +14,9 @@
  */
 
 const interestService = require('../services/interest.service');
+const pipelineService = require('../services/pipeline.service');
+const bulkService = require('../services/bulk.service');
+const creditService = require('../services/credit.service');
 const { ApiResponse, asyncHandler } = require('../../../shared/utils');
 
 // ============================================
@@ -25,15 +31,16 @@ const { ApiResponse, asyncHandler } = require('../../../shared/utils');
  *
  * @param {string} req.params.openingId - Opening ID
  * @param {string} [req.body.note] - Optional note to founder
+ * @param {Object[]} [req.body.answers] - Screening answers [{ questionId, value }]
  *
  * @returns {Object} Created interest
  */
 const expressInterest = asyncHandler(async (req, res) => {
   const builderId = req.user._id;
   const { openingId } = req.params;
-  const { note } = req.body;
+  const { note, answers } = req.body;
 
-  const interest = await interestService.expressInterest(builderId, openingId, { note });
+  const interest = await interestService.expressInterest(builderId, openingId, { note, answers });
 
   return ApiResponse.created('Interest expressed successfully', { interest }).send(res);
 });
@@ -46,15 +53,15 @@ const expressInterest = asyncHandler(async (req, res) => {
  *
  * @param {string} req.params.id - Interest ID
  *
- * @returns {Object} Updated interest
+ * @returns {Object} Updated interest and whether its credit was refunded
  */
 const withdrawInterest = asyncHandler(async (req, res) => {
   const builderId = req.user._id;
   const { id } = req.params;
 
-  const interest = await interestService.withdrawInterest(builderId, id);
+  const { interest, creditRefunded } = await interestService.withdrawInterest(builderId, id);
 
-  return ApiResponse.ok('Interest withdrawn successfully', { interest }).send(res);
+  return ApiResponse.ok('Interest withdrawn successfully', { interest, creditRefunded }).send(res);
 });
 
 /**
@@ -87,17 +94,20 @@ const getBuilderInterests = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get today's interest usage for builder
+ * Get builder's interest credits - today's usage, balance and ledger history
  *
  * @route GET /api/v1/interests/my/today
  * @access Private (Builders only)
  *
- * @returns {Object} Today's count, limit, and remaining
+ * @param {number} [req.query.limit=20] - History entries (max 100)
+ *
+ * @returns {Object} Today's limit, used, remaining, balance and history
  */
 const getTodayInterestCount = asyncHandler(async (req, res) => {
   const builderId = req.user._id;
+  const { limit } = req.query;
 
-  const stats = await interestService.getTodayInterestCount(builderId);
+  const stats = await interestService.getTodayInterestCount(builderId, { limit });
 
   return ApiResponse.ok('Today\'s interest count retrieved', stats).send(res);
 });
@@ -208,14 +218,17 @@ const declineMatch = asyncHandler(async (req, res) => {
  * @access Private (Founders only)
  *
  * @param {string} req.params.id - Interest ID
+ * @param {string} [req.body.passReason] - Why (founder only)
+ * @param {string} [req.body.passFeedback] - Feedback shared with the builder
  *
  * @returns {Object} Updated interest
  */
 const passOnBuilder = asyncHandler(async (req, res) => {
   const founderId = req.user._id;
   const { id } = req.params;
+  const { passReason, passFeedback } = req.body;
 
-  const interest = await interestService.passOnBuilder(founderId, id);
+  const interest = await interestService.passOnBuilder(founderId, id, { passReason, passFeedback });
 
   return ApiResponse.ok('Passed on builder', { interest }).send(res);
 });
@@ -228,6 +241,9 @@ const passOnBuilder = asyncHandler(async (req, res) => {
  *
  * @param {string} [req.query.openingId] - Filter by specific opening
  * @param {string} [req.query.status] - Filter by status
+ * @param {string} [req.query.stageId] - Filter by pipeline stage ('new' for the default column)
+ * @param {string} [req.query.knockedOut] - 'true' or 'false' to filter by screening knockout
+ * @param {string} [req.query.sort=recent] - 'recent' or 'screening'
  * @param {number} [req.query.page=1] - Page number
  * @param {number} [req.query.limit=20] - Items per page
  *
@@ -235,11 +251,14 @@ const passOnBuilder = asyncHandler(async (req, res) => {
  */
 const getFounderInterests = asyncHandler(async (req, res) => {
   const founderId = req.user._id;
-  const { openingId, status, page = 1, limit = 20 } = req.query;
+  const { openingId, status, stageId, knockedOut, sort, page = 1, limit = 20 } = req.query;
 
   const result = await interestService.getFounderInterests(founderId, {
     openingId,
     status,
+    stageId,
+    knockedOut: knockedOut === undefined ? undefined : knockedOut === 'true',
+    sort,
     page: parseInt(page, 10),
     limit: parseInt(limit, 10),
   });
@@ -267,6 +286,147 @@ const getPendingInterestsCount = asyncHandler(async (req, res) => {
   return ApiResponse.ok('Pending interests count retrieved', { count }).send(res);
 });
 
+// ============================================
+// PIPELINE
+// ============================================
+
+/**
+ * Get the pipeline board for an opening
+ *
+ * @route GET /api/v1/interests/pipeline/:openingId
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.openingId - Opening ID
+ *
+ * @returns {Object} Stages with the candidates in each
+ */
+const getPipeline = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { openingId } = req.params;
+
+  const pipeline = await pipelineService.getPipeline(founderId, openingId);
+
+  return ApiResponse.ok('Pipeline retrieved', pipeline).send(res);
+});
+
+/**
+ * Replace an opening's pipeline stages
+ *
+ * @route PUT /api/v1/interests/pipeline/:openingId/stages
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.openingId - Opening ID
+ * @param {Object[]} req.body.stages - Stages in board order ({ id?, name })
+ *
+ * @returns {Object} Saved stages
+ */
+const updatePipelineStages = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { openingId } = req.params;
+
+  const stages = await pipelineService.updateStages(founderId, openingId, req.body.stages);
+
+  return ApiResponse.ok('Pipeline stages updated', { stages }).send(res);
+});
+
+/**
+ * Get time-in-stage and drop-off per stage
+ *
+ * @route GET /api/v1/interests/pipeline/:openingId/analytics
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.openingId - Opening ID
+ *
+ * @returns {Object} Per-stage analytics
+ */
+const getPipelineAnalytics = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { openingId } = req.params;
+
+  const analytics = await pipelineService.getPipelineAnalytics(founderId, openingId);
+
+  return ApiResponse.ok('Pipeline analytics retrieved', analytics).send(res);
+});
+
+/**
+ * Move a candidate to another pipeline stage
+ *
+ * @route POST /api/v1/interests/:id/move
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.id - Interest ID
+ * @param {string|null} req.body.stageId - Target stage ID (null for "New")
+ * @param {string} [req.body.note] - Note recorded with the move
+ *
+ * @returns {Object} Updated interest
+ */
+const moveInterest = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { id } = req.params;
+  const { stageId, note } = req.body;
+
+  const interest = await pipelineService.moveInterest(founderId, id, { stageId, note });
+
+  return ApiResponse.ok('Candidate moved', { interest }).send(res);
+});
+
+// ============================================
+// BULK ACTIONS
+// ============================================
+
+/**
+ * Shortlist, pass on or move many interests at once
+ *
+ * @route POST /api/v1/interests/bulk
+ * @access Private (Founders only)
+ *
+ * @param {string} req.body.action - SHORTLIST, PASS or MOVE
+ * @param {string[]} req.body.interestIds - Interest IDs
+ * @param {string} [req.body.passReason] - PASS: reason recorded on every interest
+ * @param {string} [req.body.passFeedback] - PASS: feedback template ({{builderName}}, {{openingTitle}}, ...)
+ * @param {string|null} [req.body.stageId] - MOVE: target stage (null for "New")
+ * @param {string} [req.body.note] - MOVE: note recorded with each move
+ *
+ * @returns {Object} Bulk action, per-item results and totals
+ */
+const bulkUpdateInterests = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { action, interestIds, passReason, passFeedback, stageId, note } = req.body;
+
+  const result = await bulkService.bulkUpdateInterests(founderId, {
+    action,
+    interestIds,
+    passReason,
+    passFeedback,
+    stageId,
+    note,
+  });
+
+  return ApiResponse.ok(
+    `${result.summary.succeeded} of ${result.results.length} interests updated`,
+    result
+  ).send(res);
+});
+
+/**
+ * Undo a bulk action (within its undo window)
+ *
+ * @route POST /api/v1/interests/bulk/:id/undo
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.id - Bulk action ID
+ *
+ * @returns {Object} Bulk action, per-item results and totals
+ */
+const undoBulkAction = asyncHandler(async (req, res) => {
+  const founderId = req.user._id;
+  const { id } = req.params;
+
+  const result = await bulkService.undoBulkAction(founderId, id);
+
+  return ApiResponse.ok(`${result.summary.undone} interests restored`, result).send(res);
+});
+
 // ============================================
 // MUTUAL MATCHES
 // ============================================
@@ -365,6 +525,31 @@ const getInterestStats = asyncHandler(async (req, res) => {
   return ApiResponse.ok('Interest statistics retrieved', stats).send(res);
 });
 
+// ============================================
+// ADMIN
+// ============================================
+
+/**
+ * Grant bonus interest credits to a builder
+ *
+ * @route POST /api/v1/interests/admin/credits
+ * @access Private (Admin only)
+ *
+ * @param {string} req.body.builderId - Builder's user ID
+ * @param {number} req.body.amount - Credits to grant (1-100)
+ * @param {string} req.body.reason - Why (shown to the builder)
+ *
+ * @returns {Object} Builder's balance after the grant
+ */
+const grantInterestCredits = asyncHandler(async (req, res) => {
+  const adminId = req.user._id;
+  const { builderId, amount, reason } = req.body;
+
+  const credits = await creditService.grantCredits(adminId, { builderId, amount, reason });
+
+  return ApiResponse.created('Interest credits granted', credits).send(res);
+});
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -386,6 +571,16 @@ module.exports = {
   getFounderInterests,
   getPendingInterestsCount,
 
+  // Pipeline
+  getPipeline,
+  updatePipelineStages,
+  getPipelineAnalytics,
+  moveInterest,
+
+  // Bulk actions
+  bulkUpdateInterests,
+  undoBulkAction,
+
   // Mutual matches
   getMutualMatches,
   getMatchById,
@@ -393,4 +588,7 @@ module.exports = {
 
   // Analytics
   getInterestStats,
+
+  // Admin
+  grantInterestCredits,
 };
@@ -3,15 +3,25 @@
  * 
  * Tracks when builders express interest in founder openings:
  * - Interest status lifecycle
- * - Custom question answers
+ * - Screening answers and auto-computed screening score
  * - Timestamps for each action
  * - Compatibility scores
+ * - Position on the founder's pipeline board (per-opening stages)
+ * 
+ * statusHistory is the audit trail for both status changes and stage
+ * moves; stage entries are internal to the founder.
  * 
  * @module models/Interest
  */
 
 const mongoose = require('mongoose');
-const { INTEREST_STATUS } = require('../../../shared/constants');
+const {
+  INTEREST_STATUS,
+  INTEREST_HISTORY_TYPES,
+  INTEREST_PASS_REASONS,
+  SCREENING_QUESTION_TYPES,
+  LIMITS,
+} = require('../../../shared/constants');
 
 const { Schema } = mongoose;
 
@@ -20,32 +30,98 @@ const { Schema } = mongoose;
 // ============================================
 
 /**
- * Custom question answer sub-schema
+ * Question answer sub-schema
+ * Screening answers carry the question ID, type and typed value; answers to
+ * legacy free-text customQuestions only have question/answer text.
  */
 const questionAnswerSchema = new Schema(
   {
+    questionId: {
+      type: Schema.Types.ObjectId,
+    },
     question: {
       type: String,
       required: true,
     },
+    type: {
+      type: String,
+      enum: Object.values(SCREENING_QUESTION_TYPES),
+      default: SCREENING_QUESTION_TYPES.TEXT,
+    },
     answer: {
       type: String,
       required: true,
       maxlength: [500, 'Answer cannot exceed 500 characters'],
     },
+    value: {
+      type: Schema.Types.Mixed,
+    },
+    score: {
+      type: Number,
+      default: null,
+    },
+    passed: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Screening result sub-schema (founder only)
+ */
+const screeningSchema = new Schema(
+  {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null,
+    },
+    knockedOut: {
+      type: Boolean,
+      default: false,
+    },
+    knockoutReasons: {
+      type: [String],
+      default: [],
+    },
+    scoredAt: {
+      type: Date,
+      default: null,
+    },
   },
   { _id: false }
 );
 
 /**
  * Status history entry sub-schema
+ * STAGE entries record pipeline moves; status is the status at the time of the move
  */
 const statusHistorySchema = new Schema(
   {
+    type: {
+      type: String,
+      enum: Object.values(INTEREST_HISTORY_TYPES),
+      default: INTEREST_HISTORY_TYPES.STATUS,
+    },
     status: {
       type: String,
       required: true,
     },
+    stage: {
+      type: Schema.Types.ObjectId,
+    },
+    stageName: {
+      type: String,
+    },
+    fromStage: {
+      type: Schema.Types.ObjectId,
+    },
+    fromStageName: {
+      type: String,
+    },
     changedAt: {
       type: Date,
       default: Date.now,
@@ -136,6 +212,27 @@ const interestSchema = new Schema(
       default: [],
     },
 
+    // ==========================================
+    // PIPELINE
+    // ==========================================
+
+    /**
+     * Founder's pipeline stage (an Opening.pipelineStages ID)
+     * null = the default "New" column
+     */
+    stage: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * When the interest entered its current stage (null = still in "New")
+     */
+    stageEnteredAt: {
+      type: Date,
+      default: null,
+    },
+
     // ==========================================
     // BUILDER'S INTEREST DETAILS
     // ==========================================
@@ -157,12 +254,20 @@ const interestSchema = new Schema(
       default: [],
       validate: {
         validator: function (v) {
-          return v.length <= 5;
+          return v.length <= LIMITS.MAX_SCREENING_QUESTIONS + LIMITS.MAX_CUSTOM_QUESTIONS;
         },
-        message: 'Maximum 5 question answers allowed',
+        message: 'Too many question answers',
       },
     },
 
+    /**
+     * Auto-computed screening result (from the opening's screening rules)
+     */
+    screening: {
+      type: screeningSchema,
+      default: () => ({}),
+    },
+
     /**
      * Builder's expected compensation (if different from profile)
      */
@@ -211,15 +316,7 @@ const interestSchema = new Schema(
      */
     passReason: {
       type: String,
-      enum: [
-        'SKILLS_MISMATCH',
-        'EXPERIENCE_MISMATCH',
-        'COMPENSATION_MISMATCH',
-        'AVAILABILITY_MISMATCH',
-        'CULTURE_FIT',
-        'POSITION_FILLED',
-        'OTHER',
-      ],
+      enum: [...Object.values(INTEREST_PASS_REASONS), null],
       default: null,
     },
 
@@ -320,6 +417,15 @@ const interestSchema = new Schema(
       default: null,
     },
 
+    /**
+     * Until when the builder can withdraw and get their credit back
+     * Set when the opening changes materially after they applied.
+     */
+    penaltyFreeWithdrawalUntil: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * When founder proposed a match (two-way confirmation flow)
      */
@@ -418,6 +524,19 @@ const interestSchema = new Schema(
         if (ret.founderNotes) {
           delete ret.founderNotes;
         }
+        // Screening scores are for the founder
+        delete ret.screening;
+        if (Array.isArray(ret.questionAnswers)) {
+          ret.questionAnswers = ret.questionAnswers.map(({ score, passed, ...answer }) => answer);
+        }
+        // Pipeline stages are the founder's internal board
+        delete ret.stage;
+        delete ret.stageEnteredAt;
+        if (Array.isArray(ret.statusHistory)) {
+          ret.statusHistory = ret.statusHistory.filter(
+            (entry) => entry.type !== INTEREST_HISTORY_TYPES.STAGE
+          );
+        }
         return ret;
       },
     },
@@ -439,6 +558,8 @@ interestSchema.index({ builder: 1, opening: 1 }, { unique: true });
 interestSchema.index({ founder: 1, status: 1, createdAt: -1 });
 interestSchema.index({ builder: 1, status: 1, createdAt: -1 });
 interestSchema.index({ opening: 1, status: 1 });
+interestSchema.index({ opening: 1, stage: 1 });
+interestSchema.index({ founder: 1, 'screening.knockedOut': 1, 'screening.score': -1 });
 interestSchema.index({ status: 1, createdAt: -1 });
 interestSchema.index({ matchedAt: -1 });
 interestSchema.index({ interestedAt: -1 });
@@ -625,6 +746,37 @@ interestSchema.methods.convertToMatch = async function (matchId) {
   return this.save();
 };
 
+/**
+ * Move to a pipeline stage and record the move in statusHistory
+ * @param {Object|null} stage - Opening pipeline stage ({ _id, name }), null for "New"
+ * @param {Object} [options={}] - Move details
+ * @param {Object|null} [options.fromStage] - Stage being left ({ _id, name })
+ * @param {ObjectId} [options.changedBy] - Founder making the move
+ * @param {string} [options.note] - Note about the move
+ * @returns {Promise<Interest>}
+ */
+interestSchema.methods.moveToStage = async function (stage, options = {}) {
+  const { fromStage = null, changedBy, note } = options;
+  const now = new Date();
+
+  this.stage = stage ? stage._id : null;
+  this.stageEnteredAt = stage ? now : null;
+
+  this.statusHistory.push({
+    type: INTEREST_HISTORY_TYPES.STAGE,
+    status: this.status,
+    stage: stage ? stage._id : undefined,
+    stageName: stage ? stage.name : undefined,
+    fromStage: fromStage ? fromStage._id : undefined,
+    fromStageName: fromStage ? fromStage.name : undefined,
+    changedAt: now,
+    changedBy,
+    note,
+  });
+
+  return this.save();
+};
+
 /**
  * Link conversation to interest
  * @param {ObjectId} conversationId - Conversation ID
@@ -659,7 +811,7 @@ interestSchema.methods.getBuilderView = function () {
     opening: this.opening,
     status: this.status,
     message: this.message,
-    questionAnswers: this.questionAnswers,
+    questionAnswers: this.questionAnswers.map(({ question, type, answer }) => ({ question, type, answer })),
     compatibilityScore: this.compatibilityScore,
     interestedAt: this.interestedAt,
     viewedAt: this.viewedAt,
@@ -695,11 +847,15 @@ interestSchema.methods.getFounderView = function () {
     compatibilityScore: this.compatibilityScore,
     compatibilityBreakdown: this.compatibilityBreakdown,
     scenarioCompatibility: this.scenarioCompatibility,
+    screening: this.screening,
     interestedAt: this.interestedAt,
     viewedAt: this.viewedAt,
     shortlistedAt: this.shortlistedAt,
     matchedAt: this.matchedAt,
     passedAt: this.passedAt,
+    stage: this.stage,
+    stageEnteredAt: this.stageEnteredAt,
+    statusHistory: this.statusHistory,
     source: this.source,
     isActive: this.isActive,
     daysSinceInterest: this.daysSinceInterest,
@@ -729,6 +885,7 @@ interestSchema.statics.createInterest = async function (data) {
       existing.status = INTEREST_STATUS.INTERESTED;
       existing.interestedAt = new Date();
       existing.withdrawnAt = null;
+      existing.penaltyFreeWithdrawalUntil = null;
       existing.message = data.message;
       existing.questionAnswers = data.questionAnswers || [];
       return existing.save();
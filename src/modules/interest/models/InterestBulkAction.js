@@ -0,0 +1,221 @@
+/**
+ * @fileoverview InterestBulkAction model - Founder bulk decisions on received interests
+ *
+ * One document per bulk shortlist/pass/move:
+ * - Per-item outcome (success or the error that stopped it)
+ * - Each item's state before and after, so the action can be undone
+ * - The undo window; builders hear about the decisions only once it closes
+ *
+ * @module models/InterestBulkAction
+ */
+
+const mongoose = require('mongoose');
+const {
+  INTEREST_STATUS,
+  INTEREST_PASS_REASONS,
+  BULK_INTEREST_ACTIONS,
+} = require('../../../shared/constants');
+
+const { Schema } = mongoose;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Interest state captured before and after the action
+ */
+const interestStateSchema = new Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(INTEREST_STATUS),
+    },
+    stage: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    passReason: {
+      type: String,
+      enum: [...Object.values(INTEREST_PASS_REASONS), null],
+      default: null,
+    },
+    passFeedback: {
+      type: String,
+      default: null,
+    },
+    shortlistedAt: {
+      type: Date,
+      default: null,
+    },
+    passedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * One interest in the bulk action
+ */
+const bulkItemSchema = new Schema(
+  {
+    interest: {
+      type: Schema.Types.ObjectId,
+      ref: 'Interest',
+      required: true,
+    },
+
+    /**
+     * Builder the interest belongs to (null if the interest was not found)
+     */
+    builder: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    success: {
+      type: Boolean,
+      required: true,
+    },
+
+    /**
+     * Why the item failed
+     */
+    error: {
+      type: String,
+      default: null,
+    },
+
+    before: {
+      type: interestStateSchema,
+      default: null,
+    },
+
+    after: {
+      type: interestStateSchema,
+      default: null,
+    },
+
+    /**
+     * Set when the undo reverted this item
+     */
+    undone: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const interestBulkActionSchema = new Schema(
+  {
+    founder: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Founder is required'],
+      index: true,
+    },
+
+    action: {
+      type: String,
+      enum: Object.values(BULK_INTEREST_ACTIONS),
+      required: [true, 'Action is required'],
+    },
+
+    items: {
+      type: [bulkItemSchema],
+      default: [],
+    },
+
+    /**
+     * Undo is allowed until this time
+     */
+    undoExpiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    undoneAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * When builder summaries were sent (set even if nobody needed one)
+     */
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Summary job: closed undo windows not yet notified
+interestBulkActionSchema.index({ notifiedAt: 1, undoneAt: 1, undoExpiresAt: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Whether the action can still be undone
+ */
+interestBulkActionSchema.virtual('canUndo').get(function () {
+  return !this.undoneAt && this.undoExpiresAt > new Date();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Claim the next action whose undo window has closed for builder summaries
+ * Sets notifiedAt atomically so an action is only summarised once; undone
+ * actions are never claimed (an undo also needs notifiedAt unset).
+ * @returns {Promise<InterestBulkAction|null>}
+ */
+interestBulkActionSchema.statics.claimDueForSummary = function () {
+  return this.findOneAndUpdate(
+    {
+      notifiedAt: null,
+      undoneAt: null,
+      undoExpiresAt: { $lte: new Date() },
+    },
+    { $set: { notifiedAt: new Date() } },
+    { sort: { undoExpiresAt: 1 }, new: true }
+  );
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const InterestBulkAction = mongoose.model('InterestBulkAction', interestBulkActionSchema);
+
+module.exports = InterestBulkAction;
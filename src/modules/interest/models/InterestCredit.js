@@ -0,0 +1,228 @@
+/**
+ * @fileoverview InterestCredit models - Builder credits for expressing interest
+ *
+ * Expressing interest costs one credit. Credits live in two buckets on a
+ * per-builder account:
+ * - DAILY: granted each day by subscription tier, unused ones expire at day end
+ * - BONUS: refunds and admin grants, kept until spent
+ *
+ * Every change to an account is written to the ledger (InterestCreditEntry),
+ * so the entries for a builder always sum to their current balance.
+ *
+ * @module models/InterestCredit
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ============================================
+// ENUMS
+// ============================================
+
+/**
+ * Kind of ledger entry
+ * DAILY_GRANT  - the day's credits (or a top-up after a tier upgrade)
+ * DAILY_EXPIRY - unused daily credits removed when the next day starts
+ * DEBIT        - credit spent on expressing interest
+ * REFUND       - credit returned (opening closed before the interest was viewed)
+ * ADMIN_GRANT  - bonus credits granted by an admin
+ */
+const CREDIT_ENTRY_TYPES = Object.freeze({
+  DAILY_GRANT: 'DAILY_GRANT',
+  DAILY_EXPIRY: 'DAILY_EXPIRY',
+  DEBIT: 'DEBIT',
+  REFUND: 'REFUND',
+  ADMIN_GRANT: 'ADMIN_GRANT',
+});
+
+/**
+ * Which balance an entry moved
+ */
+const CREDIT_BUCKETS = Object.freeze({
+  DAILY: 'DAILY',
+  BONUS: 'BONUS',
+});
+
+// ============================================
+// ACCOUNT SCHEMA
+// ============================================
+
+const interestCreditAccountSchema = new Schema(
+  {
+    builder: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Builder is required'],
+      unique: true,
+    },
+
+    /**
+     * Day (YYYY-MM-DD, server time) the daily balance belongs to
+     */
+    dailyDay: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Daily credits granted for dailyDay
+     */
+    dailyGrant: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    dailyBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    bonusBalance: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+/**
+ * Credits available now
+ */
+interestCreditAccountSchema.virtual('totalBalance').get(function () {
+  return this.dailyBalance + this.bonusBalance;
+});
+
+// ============================================
+// LEDGER ENTRY SCHEMA
+// ============================================
+
+const interestCreditEntrySchema = new Schema(
+  {
+    builder: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Builder is required'],
+    },
+
+    type: {
+      type: String,
+      enum: Object.values(CREDIT_ENTRY_TYPES),
+      required: [true, 'Entry type is required'],
+    },
+
+    /**
+     * Signed credit change (+ grant/refund, - debit/expiry)
+     */
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+    },
+
+    bucket: {
+      type: String,
+      enum: Object.values(CREDIT_BUCKETS),
+      required: [true, 'Bucket is required'],
+    },
+
+    /**
+     * Day (YYYY-MM-DD, server time) the entry applies to
+     */
+    day: {
+      type: String,
+      required: [true, 'Day is required'],
+    },
+
+    /**
+     * Interest the credit was spent on / refunded for
+     */
+    interest: {
+      type: Schema.Types.ObjectId,
+      ref: 'Interest',
+      default: null,
+    },
+
+    opening: {
+      type: Schema.Types.ObjectId,
+      ref: 'Opening',
+      default: null,
+    },
+
+    /**
+     * Why (shown to the builder for refunds and admin grants)
+     */
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      default: null,
+    },
+
+    /**
+     * Admin who granted the credits (ADMIN_GRANT)
+     */
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Builder history, newest first
+interestCreditEntrySchema.index({ builder: 1, createdAt: -1 });
+
+// One debit and at most one refund per interest (grants and expiries have no interest)
+interestCreditEntrySchema.index(
+  { interest: 1, type: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { interest: { $type: 'objectId' } },
+  }
+);
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const InterestCreditAccount = mongoose.model('InterestCreditAccount', interestCreditAccountSchema);
+const InterestCreditEntry = mongoose.model('InterestCreditEntry', interestCreditEntrySchema);
+
+module.exports = {
+  InterestCreditAccount,
+  InterestCreditEntry,
+  CREDIT_ENTRY_TYPES,
+  CREDIT_BUCKETS,
+};
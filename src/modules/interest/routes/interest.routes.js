@@ -15,6 +15,7 @@ const {
   requireFounder,
   requireBuilder,
   requireCompleteProfile,
+  requireAdmin,
 } = require('../../../shared/middleware/auth');
 
 // ============================================
@@ -31,8 +32,9 @@ router.get('/my', auth, requireBuilder, interestController.getBuilderInterests);
 
 /**
  * @route   GET /api/v1/interests/my/today
- * @desc    Get today's interest usage for builder
+ * @desc    Get builder's interest credits (today's usage, balance, ledger history)
  * @access  Private (Builders only)
+ * @query   { limit? }
  */
 router.get('/my/today', auth, requireBuilder, interestController.getTodayInterestCount);
 
@@ -47,7 +49,7 @@ router.get('/check/:openingId', auth, requireBuilder, interestController.checkIn
  * @route   POST /api/v1/interests/openings/:openingId
  * @desc    Express interest in an opening
  * @access  Private (Builders only, requires complete profile)
- * @body    { note?: string }
+ * @body    { note?: string, answers?: [{ questionId, value }] }
  */
 router.post(
   '/openings/:openingId',
@@ -72,7 +74,7 @@ router.post('/:id/withdraw', auth, requireBuilder, interestController.withdrawIn
  * @route   GET /api/v1/interests/received
  * @desc    Get interests for founder's openings
  * @access  Private (Founders only)
- * @query   { openingId?, status?, page?, limit? }
+ * @query   { openingId?, status?, stageId?, knockedOut?, sort?: 'recent'|'screening', page?, limit? }
  */
 router.get('/received', auth, requireFounder, interestController.getFounderInterests);
 
@@ -120,9 +122,73 @@ router.post('/:id/decline-match', auth, requireBuilder, interestController.decli
  * @route   POST /api/v1/interests/:id/pass
  * @desc    Pass on a builder
  * @access  Private (Founders only)
+ * @body    { passReason?, passFeedback? }
  */
 router.post('/:id/pass', auth, requireFounder, interestController.passOnBuilder);
 
+// ============================================
+// PIPELINE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/interests/pipeline/:openingId
+ * @desc    Get the pipeline board (candidates grouped by stage)
+ * @access  Private (Founders only, opening owner)
+ */
+router.get('/pipeline/:openingId', auth, requireFounder, interestController.getPipeline);
+
+/**
+ * @route   PUT /api/v1/interests/pipeline/:openingId/stages
+ * @desc    Replace the opening's pipeline stages (order, renames, additions, removals)
+ * @access  Private (Founders only, opening owner)
+ * @body    { stages: [{ id?: string, name: string }] }
+ */
+router.put(
+  '/pipeline/:openingId/stages',
+  auth,
+  requireFounder,
+  interestController.updatePipelineStages
+);
+
+/**
+ * @route   GET /api/v1/interests/pipeline/:openingId/analytics
+ * @desc    Get time-in-stage and drop-off per stage
+ * @access  Private (Founders only, opening owner)
+ */
+router.get(
+  '/pipeline/:openingId/analytics',
+  auth,
+  requireFounder,
+  interestController.getPipelineAnalytics
+);
+
+/**
+ * @route   POST /api/v1/interests/:id/move
+ * @desc    Move a candidate to another pipeline stage
+ * @access  Private (Founders only)
+ * @body    { stageId: string|null, note?: string }
+ */
+router.post('/:id/move', auth, requireFounder, interestController.moveInterest);
+
+// ============================================
+// BULK ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/interests/bulk
+ * @desc    Shortlist, pass on or move many interests at once (per-item results)
+ * @access  Private (Founders only)
+ * @body    { action: 'SHORTLIST'|'PASS'|'MOVE', interestIds: string[], passReason?, passFeedback?, stageId?, note? }
+ */
+router.post('/bulk', auth, requireFounder, interestController.bulkUpdateInterests);
+
+/**
+ * @route   POST /api/v1/interests/bulk/:id/undo
+ * @desc    Undo a bulk action within its undo window
+ * @access  Private (Founders only, action owner)
+ */
+router.post('/bulk/:id/undo', auth, requireFounder, interestController.undoBulkAction);
+
 // ============================================
 // MUTUAL MATCHES ROUTES
 // ============================================
@@ -160,6 +226,18 @@ router.get('/matches/:id', auth, interestController.getMatchById);
  */
 router.get('/stats', auth, interestController.getInterestStats);
 
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/interests/admin/credits
+ * @desc    Grant bonus interest credits to a builder
+ * @access  Private (Admin only)
+ * @body    { builderId: string, amount: number, reason: string }
+ */
+router.post('/admin/credits', auth, requireAdmin, interestController.grantInterestCredits);
+
 // ============================================
 // EXPORTS
 // ============================================
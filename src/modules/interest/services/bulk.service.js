@@ -0,0 +1,561 @@
+/**
+ * @fileoverview Bulk Interest Actions Service
+ *
+ * Lets a founder shortlist, pass on or move many received interests at once:
+ * - Each interest goes through the same rules as the single-item action,
+ *   and reports its own success or failure
+ * - Pass feedback can be a template filled in per builder
+ * - The whole action can be undone for a short window
+ * - Builders get one summary notification per bulk action once the undo
+ *   window closes, instead of one notification per interest
+ *
+ * @module services/bulk
+ */
+
+const { Interest, InterestBulkAction, Opening, BuilderProfile, FounderProfile, User } = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const {
+  INTEREST_PASS_REASONS,
+  BULK_INTEREST_ACTIONS,
+  LIMITS,
+} = require('../../../shared/constants');
+const { config } = require('../../../shared/config');
+const logger = require('../../../shared/utils/logger');
+const socketService = require('../../../socket/socketService');
+const notificationService = require('../../notification/services/notification.service');
+const interestService = require('./interest.service');
+const pipelineService = require('./pipeline.service');
+
+// ============================================
+// PASS FEEDBACK TEMPLATES
+// ============================================
+
+const MAX_PASS_FEEDBACK_LENGTH = 300;
+
+/**
+ * Feedback sent when the founder passes without writing their own
+ * Placeholders: {{builderName}}, {{openingTitle}}, {{founderName}}, {{startupName}}
+ */
+const DEFAULT_PASS_FEEDBACK =
+  'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. We have decided not to move forward at this time.';
+
+/**
+ * Default feedback per pass reason (reasons without one use DEFAULT_PASS_FEEDBACK)
+ */
+const PASS_FEEDBACK_TEMPLATES = {
+  [INTEREST_PASS_REASONS.SKILLS_MISMATCH]:
+    'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. We are looking for a different skill set for this role, so we will not be moving forward.',
+  [INTEREST_PASS_REASONS.EXPERIENCE_MISMATCH]:
+    'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. We are looking for a different level of experience for this role, so we will not be moving forward.',
+  [INTEREST_PASS_REASONS.COMPENSATION_MISMATCH]:
+    'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. Our compensation expectations are too far apart, so we will not be moving forward.',
+  [INTEREST_PASS_REASONS.AVAILABILITY_MISMATCH]:
+    'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. We need a different time commitment for this role, so we will not be moving forward.',
+  [INTEREST_PASS_REASONS.POSITION_FILLED]:
+    'Hi {{builderName}}, thank you for your interest in {{openingTitle}}. The role has now been filled.',
+};
+
+/**
+ * Fill a pass feedback template for one builder
+ * Unknown placeholders are left as-is; the result is cut to the feedback limit.
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+const renderPassFeedback = (template, values) =>
+  template
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) => (values[key] != null ? String(values[key]) : placeholder))
+    .trim()
+    .slice(0, MAX_PASS_FEEDBACK_LENGTH);
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * The parts of an interest a bulk action changes (and an undo restores)
+ *
+ * @param {Object} interest - Interest document, lean object or founder view
+ * @returns {Object}
+ */
+const toState = (interest) => ({
+  status: interest.status,
+  stage: interest.stage || null,
+  passReason: interest.passReason || null,
+  passFeedback: interest.passFeedback || null,
+  shortlistedAt: interest.shortlistedAt || null,
+  passedAt: interest.passedAt || null,
+});
+
+/**
+ * Whether an interest is still where a bulk action left it
+ *
+ * @param {Object} interest - Current interest
+ * @param {Object} state - State recorded after the action
+ * @returns {boolean}
+ */
+const isUnchangedSince = (interest, state) =>
+  interest.status === state.status &&
+  String(interest.stage || null) === String(state.stage || null);
+
+/**
+ * Message for a failed item; unexpected errors are logged, not exposed
+ *
+ * @param {Error} error - Error thrown for the item
+ * @param {string} interestId - Interest ID
+ * @returns {string}
+ */
+const toItemError = (error, interestId) => {
+  if (error instanceof ApiError) {
+    return error.message;
+  }
+
+  logger.error('Bulk interest item failed', { interestId, error: error.message });
+
+  return 'Could not update this interest';
+};
+
+/**
+ * Shape a bulk action for API responses
+ *
+ * @param {Object} bulkAction - InterestBulkAction document
+ * @returns {Object}
+ */
+const toBulkActionSummary = (bulkAction) => ({
+  id: bulkAction._id,
+  action: bulkAction.action,
+  undoExpiresAt: bulkAction.undoExpiresAt,
+  undoneAt: bulkAction.undoneAt,
+  canUndo: bulkAction.canUndo,
+});
+
+/**
+ * Validate a bulk request body
+ *
+ * @param {Object} data - Request data
+ * @returns {string[]} Unique interest IDs
+ * @throws {ApiError} If the request is invalid
+ */
+const validateBulkRequest = (data) => {
+  const { action, interestIds, passReason, passFeedback, stageId, note } = data;
+
+  if (!Object.values(BULK_INTEREST_ACTIONS).includes(action)) {
+    throw ApiError.badRequest(`action must be one of: ${Object.values(BULK_INTEREST_ACTIONS).join(', ')}`);
+  }
+
+  if (!Array.isArray(interestIds) || interestIds.length === 0) {
+    throw ApiError.badRequest('interestIds must be a non-empty array');
+  }
+
+  const ids = [...new Set(interestIds.map(String))];
+
+  if (ids.length > LIMITS.MAX_BULK_INTERESTS) {
+    throw ApiError.badRequest(`At most ${LIMITS.MAX_BULK_INTERESTS} interests can be updated at once`);
+  }
+
+  if (ids.some((id) => !isValidObjectId(id))) {
+    throw ApiError.badRequest('interestIds contains an invalid ID');
+  }
+
+  if (action === BULK_INTEREST_ACTIONS.PASS) {
+    if (passReason && !Object.values(INTEREST_PASS_REASONS).includes(passReason)) {
+      throw ApiError.badRequest(`passReason must be one of: ${Object.values(INTEREST_PASS_REASONS).join(', ')}`);
+    }
+    if (passFeedback !== undefined && passFeedback !== null &&
+      (typeof passFeedback !== 'string' || passFeedback.trim().length > MAX_PASS_FEEDBACK_LENGTH)) {
+      throw ApiError.badRequest(`passFeedback must be a string of at most ${MAX_PASS_FEEDBACK_LENGTH} characters`);
+    }
+  }
+
+  if (action === BULK_INTEREST_ACTIONS.MOVE) {
+    if (stageId === undefined) {
+      throw ApiError.badRequest('stageId is required (null moves back to New)');
+    }
+    if (stageId !== null && !isValidObjectId(stageId)) {
+      throw ApiError.badRequest('Invalid stageId');
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+      throw ApiError.badRequest('note must be a string of at most 200 characters');
+    }
+  }
+
+  return ids;
+};
+
+// ============================================
+// BULK ACTIONS
+// ============================================
+
+/**
+ * Shortlist, pass on or move many interests at once
+ *
+ * Items are processed one by one with the single-item rules; one failing
+ * item does not stop the others. Builders are not notified until the undo
+ * window closes (see sendDueSummaries).
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {Object} data - Bulk request
+ * @param {string} data.action - SHORTLIST, PASS or MOVE
+ * @param {string[]} data.interestIds - Interest IDs
+ * @param {string} [data.passReason] - PASS: reason recorded on every interest
+ * @param {string} [data.passFeedback] - PASS: feedback template shared with builders
+ * @param {string|null} [data.stageId] - MOVE: target stage, null for "New"
+ * @param {string} [data.note] - MOVE: note recorded with each move
+ * @returns {Promise<Object>} { bulkAction, results, summary }
+ * @throws {ApiError} If the request is invalid
+ */
+const bulkUpdateInterests = async (founderId, data = {}) => {
+  const ids = validateBulkRequest(data);
+  const { action, passReason, passFeedback, stageId, note } = data;
+
+  const [interests, founder, founderProfile] = await Promise.all([
+    Interest.find({ _id: { $in: ids } })
+      .populate('builder', 'name')
+      .populate('builderProfile', 'displayName')
+      .populate('opening', 'title')
+      .lean(),
+    User.findById(founderId).select('name').lean(),
+    FounderProfile.findOne({ user: founderId }).select('startupName').lean(),
+  ]);
+
+  const byId = new Map(interests.map((interest) => [interest._id.toString(), interest]));
+
+  const template = passFeedback && passFeedback.trim()
+    ? passFeedback
+    : PASS_FEEDBACK_TEMPLATES[passReason] || DEFAULT_PASS_FEEDBACK;
+
+  const items = [];
+
+  for (const interestId of ids) {
+    const current = byId.get(interestId);
+    const item = {
+      interest: interestId,
+      builder: current ? current.builder?._id || current.builder : null,
+      success: false,
+      before: current ? toState(current) : null,
+    };
+
+    try {
+      let updated;
+
+      switch (action) {
+        case BULK_INTEREST_ACTIONS.SHORTLIST:
+          updated = await interestService.shortlistBuilder(founderId, interestId, { notify: false });
+          break;
+
+        case BULK_INTEREST_ACTIONS.PASS:
+          updated = await interestService.passOnBuilder(founderId, interestId, {
+            passReason,
+            passFeedback: current
+              ? renderPassFeedback(template, {
+                builderName: current.builderProfile?.displayName || current.builder?.name || 'there',
+                openingTitle: current.opening?.title,
+                founderName: founder?.name,
+                startupName: founderProfile?.startupName,
+              })
+              : undefined,
+          });
+          break;
+
+        default:
+          updated = await pipelineService.moveInterest(founderId, interestId, { stageId, note });
+      }
+
+      item.success = true;
+      item.after = toState(updated);
+    } catch (error) {
+      item.error = toItemError(error, interestId);
+    }
+
+    items.push(item);
+  }
+
+  const bulkAction = await InterestBulkAction.create({
+    founder: founderId,
+    action,
+    items,
+    undoExpiresAt: new Date(Date.now() + config.interests.bulk.undoWindowMs),
+  });
+
+  const succeeded = items.filter((item) => item.success).length;
+
+  logger.info('Bulk interest action', {
+    bulkActionId: bulkAction._id,
+    founderId,
+    action,
+    succeeded,
+    failed: items.length - succeeded,
+  });
+
+  return {
+    bulkAction: toBulkActionSummary(bulkAction),
+    results: items.map((item) => ({
+      interestId: item.interest,
+      success: item.success,
+      status: item.after ? item.after.status : undefined,
+      error: item.error || undefined,
+    })),
+    summary: { succeeded, failed: items.length - succeeded },
+  };
+};
+
+// ============================================
+// UNDO
+// ============================================
+
+/**
+ * Revert one item of a bulk action
+ *
+ * @param {Object} bulkAction - InterestBulkAction document
+ * @param {Object} item - Item to revert
+ * @param {Map} openings - Cache of openings (with pipelineStages) by ID
+ * @returns {Promise<string|null>} Why the item was skipped, null if reverted
+ */
+const revertItem = async (bulkAction, item, openings) => {
+  const interest = await Interest.findById(item.interest);
+
+  if (!interest) {
+    return 'Interest no longer exists';
+  }
+  if (!isUnchangedSince(interest, item.after)) {
+    return 'Interest changed after the bulk action';
+  }
+
+  const { before } = item;
+
+  switch (bulkAction.action) {
+    case BULK_INTEREST_ACTIONS.SHORTLIST:
+      interest.status = before.status;
+      interest.shortlistedAt = before.shortlistedAt;
+      await interest.save();
+
+      if (interest.builderProfile) {
+        const builderProfile = await BuilderProfile.findById(interest.builderProfile).select('_id');
+        if (builderProfile) await builderProfile.decrementShortlists();
+      }
+      return null;
+
+    case BULK_INTEREST_ACTIONS.PASS:
+      interest.status = before.status;
+      interest.passReason = before.passReason;
+      interest.passFeedback = before.passFeedback || undefined;
+      interest.passedAt = before.passedAt;
+      await interest.save();
+      return null;
+
+    default: {
+      const openingId = interest.opening.toString();
+      if (!openings.has(openingId)) {
+        openings.set(openingId, await Opening.findById(openingId).select('+pipelineStages'));
+      }
+
+      const opening = openings.get(openingId);
+      const target = before.stage ? opening?.pipelineStages.id(before.stage) : null;
+
+      if (before.stage && !target) {
+        return 'Previous stage no longer exists';
+      }
+
+      await interest.moveToStage(target, {
+        fromStage: interest.stage ? opening?.pipelineStages.id(interest.stage) : null,
+        changedBy: bulkAction.founder,
+        note: 'Bulk move undone',
+      });
+      return null;
+    }
+  }
+};
+
+/**
+ * Undo a bulk action within its undo window
+ * Only items still in the state the action left them in are reverted.
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} bulkActionId - Bulk action ID
+ * @returns {Promise<Object>} { bulkAction, results, summary }
+ * @throws {ApiError} If not found, already undone or the window has closed
+ */
+const undoBulkAction = async (founderId, bulkActionId) => {
+  if (!isValidObjectId(bulkActionId)) {
+    throw ApiError.badRequest('Invalid bulk action ID');
+  }
+
+  // Claiming undoneAt atomically keeps the summary job from notifying builders meanwhile
+  const bulkAction = await InterestBulkAction.findOneAndUpdate(
+    {
+      _id: bulkActionId,
+      founder: founderId,
+      undoneAt: null,
+      notifiedAt: null,
+      undoExpiresAt: { $gt: new Date() },
+    },
+    { $set: { undoneAt: new Date() } },
+    { new: true }
+  );
+
+  if (!bulkAction) {
+    const existing = await InterestBulkAction.findOne({ _id: bulkActionId, founder: founderId });
+
+    if (!existing) {
+      throw ApiError.notFound('Bulk action not found');
+    }
+    if (existing.undoneAt) {
+      throw ApiError.badRequest('This bulk action has already been undone');
+    }
+    throw ApiError.badRequest('The undo window for this bulk action has closed');
+  }
+
+  const openings = new Map();
+  const results = [];
+
+  for (const item of bulkAction.items) {
+    if (!item.success) continue;
+
+    let skipped;
+    try {
+      skipped = await revertItem(bulkAction, item, openings);
+    } catch (error) {
+      skipped = toItemError(error, item.interest);
+    }
+
+    item.undone = !skipped;
+    results.push({
+      interestId: item.interest,
+      success: !skipped,
+      error: skipped || undefined,
+    });
+  }
+
+  await bulkAction.save();
+
+  const undone = results.filter((result) => result.success).length;
+
+  logger.info('Bulk interest action undone', {
+    bulkActionId,
+    founderId,
+    action: bulkAction.action,
+    undone,
+    skipped: results.length - undone,
+  });
+
+  return {
+    bulkAction: toBulkActionSummary(bulkAction),
+    results,
+    summary: { undone, skipped: results.length - undone },
+  };
+};
+
+// ============================================
+// BUILDER SUMMARIES
+// ============================================
+
+/**
+ * Send one summary notification per builder for a bulk shortlist/pass
+ * Interests the founder has changed again since are left out.
+ *
+ * @param {Object} bulkAction - InterestBulkAction document
+ * @returns {Promise<number>} Notifications sent
+ */
+const notifyBuilders = async (bulkAction) => {
+  const items = bulkAction.items.filter((item) => item.success);
+  if (items.length === 0) return 0;
+
+  const [interests, founder] = await Promise.all([
+    Interest.find({ _id: { $in: items.map((item) => item.interest) } })
+      .select('builder opening status stage')
+      .populate('opening', 'title')
+      .lean(),
+    User.findById(bulkAction.founder).select('name avatarUrl').lean(),
+  ]);
+
+  const afterById = new Map(items.map((item) => [item.interest.toString(), item.after]));
+  const byBuilder = new Map();
+
+  interests
+    .filter((interest) => interest.opening && isUnchangedSince(interest, afterById.get(interest._id.toString())))
+    .forEach((interest) => {
+      const builderId = interest.builder.toString();
+      if (!byBuilder.has(builderId)) byBuilder.set(builderId, []);
+      byBuilder.get(builderId).push(interest);
+    });
+
+  const shortlisted = bulkAction.action === BULK_INTEREST_ACTIONS.SHORTLIST;
+  const founderInfo = { _id: bulkAction.founder, name: founder?.name || 'A founder', avatarUrl: founder?.avatarUrl };
+  let sent = 0;
+
+  for (const [builderId, builderInterests] of byBuilder) {
+    try {
+      if (shortlisted) {
+        builderInterests.forEach((interest) => {
+          socketService.emitBuilderShortlisted(builderId, {
+            interestId: interest._id,
+            founderId: bulkAction.founder,
+            founderName: founderInfo.name,
+            openingId: interest.opening._id,
+            openingTitle: interest.opening.title,
+          });
+        });
+      }
+
+      await notificationService.notifyInterestUpdates({
+        builderId,
+        founder: founderInfo,
+        interests: builderInterests,
+        shortlisted,
+      });
+      sent++;
+    } catch (error) {
+      logger.warn('Failed to send bulk interest summary', {
+        bulkActionId: bulkAction._id,
+        builderId,
+        error: error.message,
+      });
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Notify builders for every bulk action whose undo window has closed
+ * Moves are founder-internal and never notify builders.
+ *
+ * @returns {Promise<Object>} { actions, notifications }
+ */
+const sendDueSummaries = async () => {
+  let actions = 0;
+  let notifications = 0;
+
+  let bulkAction = await InterestBulkAction.claimDueForSummary();
+
+  while (bulkAction) {
+    actions++;
+
+    if (bulkAction.action !== BULK_INTEREST_ACTIONS.MOVE) {
+      notifications += await notifyBuilders(bulkAction);
+    }
+
+    bulkAction = await InterestBulkAction.claimDueForSummary();
+  }
+
+  return { actions, notifications };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Bulk actions
+  bulkUpdateInterests,
+  undoBulkAction,
+
+  // Builder summaries
+  sendDueSummaries,
+
+  // Pass feedback
+  renderPassFeedback,
+  DEFAULT_PASS_FEEDBACK,
+  PASS_FEEDBACK_TEMPLATES,
+};
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Interest Credit Service
+ *
+ * Builders spend one credit per interest they express:
+ * - Daily credits are granted by subscription tier and expire at day end
+ * - Bonus credits (refunds, admin grants) carry over until spent
+ * - Daily credits are spent before bonus credits
+ * - A credit is refunded when the opening is closed or filled before the
+ *   founder has looked at the interest
+ *
+ * Withdrawing an interest does not refund its credit, unless the opening
+ * changed materially after the builder applied and they withdraw within the
+ * window given in the notification. Every balance change is written to the
+ * ledger.
+ *
+ * @module services/credit
+ */
+
+const {
+  Interest,
+  InterestCreditAccount,
+  InterestCreditEntry,
+  CREDIT_ENTRY_TYPES,
+  CREDIT_BUCKETS,
+  User,
+} = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const {
+  USER_TYPES,
+  INTEREST_STATUS,
+  SUBSCRIPTION_TIERS,
+  LIMITS,
+} = require('../../../shared/constants');
+const logger = require('../../../shared/utils/logger');
+const notificationService = require('../../notification/services/notification.service');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Daily credits per subscription tier (other tiers get the free allowance)
+ */
+const DAILY_INTEREST_CREDITS = {
+  [SUBSCRIPTION_TIERS.FREE]: LIMITS.FREE_DAILY_INTERESTS,
+  [SUBSCRIPTION_TIERS.BUILDER_BOOST]: LIMITS.BOOST_DAILY_INTERESTS,
+};
+
+/**
+ * Most credits an admin can grant at once
+ */
+const MAX_ADMIN_GRANT = 100;
+
+/**
+ * Refund reasons shown in the builder's history
+ */
+const REFUND_REASONS = {
+  OPENING_CLOSED: 'Opening closed before your interest was viewed',
+  OPENING_FILLED: 'Opening filled before your interest was viewed',
+  NOT_CREATED: 'Interest could not be saved',
+  OPENING_CHANGED: 'Withdrawn after the opening changed its terms',
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Daily credits for a subscription tier
+ *
+ * @param {string} tier - Subscription tier
+ * @returns {number}
+ */
+const getDailyAllowance = (tier) =>
+  DAILY_INTEREST_CREDITS[tier] || DAILY_INTEREST_CREDITS[SUBSCRIPTION_TIERS.FREE];
+
+/**
+ * Day key (YYYY-MM-DD) in server time - credits reset at server midnight
+ *
+ * @param {Date} [date=new Date()] - Date
+ * @returns {string}
+ */
+const toDayKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Shape a ledger entry for the builder
+ *
+ * @param {Object} entry - Lean entry (opening populated)
+ * @returns {Object}
+ */
+const toHistoryEntry = (entry) => ({
+  id: entry._id,
+  type: entry.type,
+  amount: entry.amount,
+  bucket: entry.bucket,
+  day: entry.day,
+  interest: entry.interest,
+  opening: entry.opening,
+  reason: entry.reason,
+  createdAt: entry.createdAt,
+});
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+/**
+ * Get a builder's account with today's daily credits in place
+ *
+ * Starting a new day expires the previous day's unused daily credits and
+ * grants the tier's allowance. Upgrading mid-day tops up the difference.
+ *
+ * @param {string} builderId - Builder's user ID
+ * @param {string} tier - Builder's subscription tier
+ * @returns {Promise<Object>} InterestCreditAccount document
+ */
+const getAccount = async (builderId, tier) => {
+  const today = toDayKey();
+  const allowance = getDailyAllowance(tier);
+
+  let account = await InterestCreditAccount.findOne({ builder: builderId });
+
+  if (!account) {
+    try {
+      account = await InterestCreditAccount.create({ builder: builderId });
+    } catch (error) {
+      // Created concurrently by another request
+      if (error.code !== 11000) throw error;
+      account = await InterestCreditAccount.findOne({ builder: builderId });
+    }
+  }
+
+  if (account.dailyDay !== today) {
+    // Conditional on the old day so only one request starts the new day
+    const previous = await InterestCreditAccount.findOneAndUpdate(
+      { _id: account._id, dailyDay: account.dailyDay },
+      { $set: { dailyDay: today, dailyGrant: allowance, dailyBalance: allowance } }
+    );
+
+    if (previous) {
+      const entries = [];
+
+      if (previous.dailyBalance > 0) {
+        entries.push({
+          builder: builderId,
+          type: CREDIT_ENTRY_TYPES.DAILY_EXPIRY,
+          amount: -previous.dailyBalance,
+          bucket: CREDIT_BUCKETS.DAILY,
+          day: previous.dailyDay,
+        });
+      }
+
+      entries.push({
+        builder: builderId,
+        type: CREDIT_ENTRY_TYPES.DAILY_GRANT,
+        amount: allowance,
+        bucket: CREDIT_BUCKETS.DAILY,
+        day: today,
+      });
+
+      await InterestCreditEntry.insertMany(entries);
+    }
+
+    return InterestCreditAccount.findById(account._id);
+  }
+
+  if (account.dailyGrant < allowance) {
+    const topUp = allowance - account.dailyGrant;
+    const upgraded = await InterestCreditAccount.findOneAndUpdate(
+      { _id: account._id, dailyDay: today, dailyGrant: account.dailyGrant },
+      { $set: { dailyGrant: allowance }, $inc: { dailyBalance: topUp } },
+      { new: true }
+    );
+
+    if (upgraded) {
+      await InterestCreditEntry.create({
+        builder: builderId,
+        type: CREDIT_ENTRY_TYPES.DAILY_GRANT,
+        amount: topUp,
+        bucket: CREDIT_BUCKETS.DAILY,
+        day: today,
+        reason: 'Plan upgrade',
+      });
+      return upgraded;
+    }
+
+    return InterestCreditAccount.findById(account._id);
+  }
+
+  return account;
+};
+
+// ============================================
+// DEBITS AND REFUNDS
+// ============================================
+
+/**
+ * Spend one credit on an interest (daily credits first)
+ *
+ * @param {Object} builder - Builder user ({ _id, subscriptionTier })
+ * @param {Object} data - What the credit is for
+ * @param {string} data.interestId - ID the interest will be created with
+ * @param {string} data.openingId - Opening ID
+ * @returns {Promise<string>} Bucket the credit came from
+ * @throws {ApiError} If the builder has no credits left
+ */
+const debitForInterest = async (builder, data) => {
+  const today = toDayKey();
+  const account = await getAccount(builder._id, builder.subscriptionTier);
+
+  let bucket = CREDIT_BUCKETS.DAILY;
+  let updated = await InterestCreditAccount.findOneAndUpdate(
+    { _id: account._id, dailyDay: today, dailyBalance: { $gt: 0 } },
+    { $inc: { dailyBalance: -1 } }
+  );
+
+  if (!updated) {
+    bucket = CREDIT_BUCKETS.BONUS;
+    updated = await InterestCreditAccount.findOneAndUpdate(
+      { _id: account._id, bonusBalance: { $gt: 0 } },
+      { $inc: { bonusBalance: -1 } }
+    );
+  }
+
+  if (!updated) {
+    throw ApiError.dailyLimitReached(
+      `You've reached your daily limit of ${account.dailyGrant} interests. Upgrade for more.`
+    );
+  }
+
+  await InterestCreditEntry.create({
+    builder: builder._id,
+    type: CREDIT_ENTRY_TYPES.DEBIT,
+    amount: -1,
+    bucket,
+    day: today,
+    interest: data.interestId,
+    opening: data.openingId,
+  });
+
+  return bucket;
+};
+
+/**
+ * Refund the credit spent on an interest (at most once)
+ * A daily credit refunded on the same day goes back to the daily balance;
+ * otherwise it becomes a bonus credit.
+ *
+ * @param {string} interestId - Interest ID
+ * @param {string} reason - Reason shown to the builder
+ * @returns {Promise<boolean>} True if a credit was refunded
+ */
+const refundInterest = async (interestId, reason) => {
+  const debit = await InterestCreditEntry.findOne({
+    interest: interestId,
+    type: CREDIT_ENTRY_TYPES.DEBIT,
+  }).lean();
+
+  // Interests expressed before the ledger existed have nothing to refund
+  if (!debit) {
+    return false;
+  }
+
+  const today = toDayKey();
+  const sameDay = debit.bucket === CREDIT_BUCKETS.DAILY && debit.day === today;
+
+  let entry;
+  try {
+    entry = await InterestCreditEntry.create({
+      builder: debit.builder,
+      type: CREDIT_ENTRY_TYPES.REFUND,
+      amount: 1,
+      bucket: sameDay ? CREDIT_BUCKETS.DAILY : CREDIT_BUCKETS.BONUS,
+      day: today,
+      interest: interestId,
+      opening: debit.opening,
+      reason,
+    });
+  } catch (error) {
+    // Already refunded
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  let refunded = null;
+  if (sameDay) {
+    refunded = await InterestCreditAccount.findOneAndUpdate(
+      { builder: debit.builder, dailyDay: today },
+      { $inc: { dailyBalance: 1 } }
+    );
+  }
+
+  if (!refunded) {
+    // The day rolled over (or it was a bonus credit) - refund as bonus
+    await InterestCreditAccount.updateOne({ builder: debit.builder }, { $inc: { bonusBalance: 1 } });
+
+    if (entry.bucket !== CREDIT_BUCKETS.BONUS) {
+      entry.bucket = CREDIT_BUCKETS.BONUS;
+      await entry.save();
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Refund credits for an opening's interests the founder never looked at
+ * Called when an opening is closed (deleted) or filled.
+ *
+ * @param {string} openingId - Opening ID
+ * @param {string} reason - Reason shown to builders
+ * @returns {Promise<number>} Credits refunded
+ */
+const refundUnviewedInterests = async (openingId, reason) => {
+  const interests = await Interest.find({
+    opening: openingId,
+    status: INTEREST_STATUS.INTERESTED,
+    viewedAt: null,
+  })
+    .select('_id')
+    .lean();
+
+  let refunded = 0;
+
+  for (const interest of interests) {
+    if (await refundInterest(interest._id, reason)) {
+      refunded++;
+    }
+  }
+
+  if (refunded > 0) {
+    logger.info('Interest credits refunded', { openingId, refunded });
+  }
+
+  return refunded;
+};
+
+// ============================================
+// ADMIN GRANTS
+// ============================================
+
+/**
+ * Grant bonus credits to a builder
+ *
+ * @param {string} adminId - Admin user ID
+ * @param {Object} data - Grant data
+ * @param {string} data.builderId - Builder's user ID
+ * @param {number} data.amount - Credits to grant (1-100)
+ * @param {string} data.reason - Why (shown to the builder)
+ * @returns {Promise<Object>} Builder's balance after the grant
+ * @throws {ApiError} If invalid or the user is not a builder
+ */
+const grantCredits = async (adminId, data = {}) => {
+  const { builderId, amount, reason } = data;
+
+  if (!isValidObjectId(builderId)) {
+    throw ApiError.badRequest('Invalid builderId');
+  }
+  if (!Number.isInteger(amount) || amount < 1 || amount > MAX_ADMIN_GRANT) {
+    throw ApiError.badRequest(`amount must be a whole number from 1 to ${MAX_ADMIN_GRANT}`);
+  }
+  if (typeof reason !== 'string' || !reason.trim() || reason.trim().length > 200) {
+    throw ApiError.badRequest('reason is required (at most 200 characters)');
+  }
+
+  const builder = await User.findById(builderId).select('userType subscriptionTier');
+
+  if (!builder) {
+    throw ApiError.userNotFound();
+  }
+  if (builder.userType !== USER_TYPES.BUILDER) {
+    throw ApiError.badRequest('Interest credits can only be granted to builders');
+  }
+
+  const account = await getAccount(builder._id, builder.subscriptionTier);
+
+  await InterestCreditAccount.updateOne({ _id: account._id }, { $inc: { bonusBalance: amount } });
+  await InterestCreditEntry.create({
+    builder: builder._id,
+    type: CREDIT_ENTRY_TYPES.ADMIN_GRANT,
+    amount,
+    bucket: CREDIT_BUCKETS.BONUS,
+    day: toDayKey(),
+    reason: reason.trim(),
+    grantedBy: adminId,
+  });
+
+  try {
+    await notificationService.notifySystem({
+      userId: builder._id,
+      title: 'Bonus interests added',
+      message: `You received ${amount} bonus interest${amount === 1 ? '' : 's'}: ${reason.trim()}`,
+      actionUrl: '/interests/my/today',
+    });
+  } catch (notifError) {
+    logger.warn('Failed to create credit grant notification', { error: notifError.message });
+  }
+
+  logger.info('Interest credits granted', { builderId, amount, adminId });
+
+  return getBalance(builder._id);
+};
+
+// ============================================
+// BALANCE
+// ============================================
+
+/**
+ * A builder's credit balance and recent ledger entries
+ *
+ * @param {string} builderId - Builder's user ID
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.limit=20] - History entries (max 100)
+ * @returns {Promise<Object>} { day, limit, used, remaining, balance, history }
+ *   limit/used: today's daily credits granted / spent
+ *   remaining: all credits available now (daily + bonus)
+ */
+const getBalance = async (builderId, options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+
+  const user = await User.findById(builderId).select('subscriptionTier');
+
+  if (!user) {
+    throw ApiError.userNotFound();
+  }
+
+  const account = await getAccount(user._id, user.subscriptionTier);
+
+  const history = await InterestCreditEntry.find({ builder: user._id })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .populate('opening', 'title')
+    .lean();
+
+  return {
+    day: account.dailyDay,
+    limit: account.dailyGrant,
+    used: Math.max(0, account.dailyGrant - account.dailyBalance),
+    remaining: account.totalBalance,
+    balance: {
+      daily: account.dailyBalance,
+      bonus: account.bonusBalance,
+      total: account.totalBalance,
+    },
+    history: history.map(toHistoryEntry),
+  };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Accounts
+  getAccount,
+  getBalance,
+  getDailyAllowance,
+
+  // Debits and refunds
+  debitForInterest,
+  refundInterest,
+  refundUnviewedInterests,
+  REFUND_REASONS,
+
+  // Admin
+  grantCredits,
+};
@@ -18,23 +18,72 @@ const {
   USER_TYPES,
   INTEREST_STATUS,
   OPENING_STATUS,
-  SUBSCRIPTION_TIERS,
+  INTEREST_HISTORY_TYPES,
+  INTEREST_PASS_REASONS,
 } = require('../../../shared/constants');
 const logger = require('../../../shared/utils/logger');
 const socketService = require('../../../socket/socketService');
 const notificationService = require('../../notification/services/notification.service');
 const teamService = require('../../team/services/team.service');
+const screeningService = require('./screening.service');
+const creditService = require('./credit.service');
+const openingService = require('../../opening/services/opening.service');
+const blockService = require('../../moderation/services/block.service');
 
 // ============================================
 // CONSTANTS
 // ============================================
 
 /**
- * Daily interest limits per subscription tier
+ * Sort orders for a founder's received interests
+ * screening: knocked-out applicants last, then highest screening score
  */
-const DAILY_INTEREST_LIMITS = {
-  [SUBSCRIPTION_TIERS.FREE]: 5,
-  [SUBSCRIPTION_TIERS.BUILDER_BOOST]: 15,
+const RECEIVED_SORTS = {
+  recent: { createdAt: -1 },
+  screening: { 'screening.knockedOut': 1, 'screening.score': -1, createdAt: -1 },
+};
+
+/**
+ * Statuses still awaiting a founder decision
+ * Withdrawing one of these frees its slot toward maxInterests
+ */
+const PENDING_STATUSES = [
+  INTEREST_STATUS.INTERESTED,
+  INTEREST_STATUS.SHORTLISTED,
+  INTEREST_STATUS.MATCH_PROPOSED,
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Strip founder-internal fields from a lean interest before a builder sees it
+ * (notes, rating, pass reason, screening scores, pipeline stage and stage moves)
+ *
+ * @param {Object|null} interest - Lean interest
+ * @returns {Object|null}
+ */
+const toBuilderInterest = (interest) => {
+  if (!interest) return null;
+
+  const {
+    founderNotes,
+    founderRating,
+    passReason,
+    stage,
+    stageEnteredAt,
+    screening,
+    ...visible
+  } = interest;
+
+  return {
+    ...visible,
+    questionAnswers: (interest.questionAnswers || []).map(({ score, passed, ...answer }) => answer),
+    statusHistory: (interest.statusHistory || [])
+      .filter((entry) => entry.type !== INTEREST_HISTORY_TYPES.STAGE)
+      .map(({ changedBy, note, ...entry }) => entry),
+  };
 };
 
 // ============================================
@@ -48,6 +97,7 @@ const DAILY_INTEREST_LIMITS = {
  * @param {string} openingId - Opening ID
  * @param {Object} [options={}] - Additional options
  * @param {string} [options.note] - Optional note to founder
+ * @param {Object[]} [options.answers] - Screening answers [{ questionId, value }]
  * @returns {Promise<Object>} Created interest
  * @throws {ApiError} If validation fails or limit reached
  */
@@ -74,17 +124,24 @@ const expressInterest = async (builderId, openingId, options = {}) => {
     throw ApiError.badRequest('Please complete your builder profile first');
   }
   
-  // Check opening exists and is active
-  const opening = await Opening.findById(openingId);
+  // Check opening exists and is active (with screening rules for scoring)
+  const opening = await Opening.findById(openingId).select('+screeningQuestions.rules');
   
   if (!opening) {
     throw ApiError.notFound('Opening not found');
   }
   
-  if (opening.status !== OPENING_STATUS.ACTIVE) {
+  // Deadline and limit are also enforced by the lifecycle job, which may not have run yet
+  if (
+    opening.status !== OPENING_STATUS.ACTIVE ||
+    opening.isPastDeadline ||
+    opening.isMaxInterestsReached
+  ) {
     throw ApiError.badRequest('This opening is no longer accepting interests');
   }
   
+  await blockService.assertNotBlocked(builderId, opening.founder, 'You cannot express interest in this opening');
+  
   // Check if already expressed interest
   const existingInterest = await Interest.findOne({
     builder: builderId,
@@ -95,37 +152,38 @@ const expressInterest = async (builderId, openingId, options = {}) => {
     throw ApiError.conflict('You have already expressed interest in this opening');
   }
   
-  // Check daily limit
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
+  // Validate and score screening answers
+  const { questionAnswers, screening } = screeningService.prepareScreening(opening, options.answers);
   
-  const todayInterests = await Interest.countDocuments({
-    builder: builderId,
-    createdAt: { $gte: todayStart },
-  });
-  
-  const dailyLimit = DAILY_INTEREST_LIMITS[user.subscriptionTier] || DAILY_INTEREST_LIMITS[SUBSCRIPTION_TIERS.FREE];
-  
-  if (todayInterests >= dailyLimit) {
-    throw ApiError.dailyLimitReached(
-      `You've reached your daily limit of ${dailyLimit} interests. Upgrade for more.`
-    );
-  }
-  
-  // Create interest
-  const interest = await Interest.create({
+  const interest = new Interest({
     builder: builderId,
     builderProfile: builderProfile._id,
     opening: openingId,
     founder: opening.founder,
     status: INTEREST_STATUS.INTERESTED,
     builderNote: options.note || null,
+    questionAnswers,
+    screening,
   });
   
-  // Update opening interest count
+  // Spend a credit (throws when none are left)
+  await creditService.debitForInterest(user, { interestId: interest._id, openingId });
+  
+  try {
+    await interest.save();
+  } catch (error) {
+    await creditService.refundInterest(interest._id, creditService.REFUND_REASONS.NOT_CREATED);
+    if (error.code === 11000) {
+      throw ApiError.conflict('You have already expressed interest in this opening');
+    }
+    throw error;
+  }
+  
+  // Update opening interest count (pauses the opening at maxInterests)
   await Opening.findByIdAndUpdate(openingId, {
     $inc: { interestCount: 1 },
   });
+  await openingService.syncInterestCap(openingId);
   
   // Update builder profile interest count
   await builderProfile.incrementInterestsSent();
@@ -166,10 +224,12 @@ const expressInterest = async (builderId, openingId, options = {}) => {
 
 /**
  * Withdraw interest from an opening (Builder action)
+ * The credit is refunded when the opening changed materially after the
+ * builder applied and the penalty-free window is still open.
  * 
  * @param {string} builderId - Builder's user ID
  * @param {string} interestId - Interest ID
- * @returns {Promise<Object>} Updated interest
+ * @returns {Promise<Object>} { interest, creditRefunded }
  */
 const withdrawInterest = async (builderId, interestId) => {
   const interest = await Interest.findById(interestId);
@@ -186,13 +246,30 @@ const withdrawInterest = async (builderId, interestId) => {
     throw ApiError.badRequest('Interest already withdrawn');
   }
   
+  const penaltyFree = interest.penaltyFreeWithdrawalUntil > new Date();
+  const wasPending = PENDING_STATUSES.includes(interest.status);
+  
   interest.status = INTEREST_STATUS.WITHDRAWN;
   interest.withdrawnAt = new Date();
+  interest.penaltyFreeWithdrawalUntil = null;
   await interest.save();
   
-  logger.info('Interest withdrawn', { interestId, builderId });
+  const creditRefunded = penaltyFree
+    ? await creditService.refundInterest(interest._id, creditService.REFUND_REASONS.OPENING_CHANGED)
+    : false;
   
-  return interest;
+  // Withdrawn pending interests stop counting toward maxInterests (may resume an auto-paused opening)
+  if (wasPending) {
+    await Opening.updateOne(
+      { _id: interest.opening, interestCount: { $gt: 0 } },
+      { $inc: { interestCount: -1 } }
+    );
+    await openingService.syncInterestCap(interest.opening);
+  }
+  
+  logger.info('Interest withdrawn', { interestId, builderId, creditRefunded });
+  
+  return { interest, creditRefunded };
 };
 
 /**
@@ -234,7 +311,7 @@ const getBuilderInterests = async (builderId, options = {}) => {
   ]);
   
   return {
-    interests,
+    interests: interests.map(toBuilderInterest),
     pagination: {
       page,
       limit,
@@ -256,9 +333,13 @@ const getBuilderInterests = async (builderId, options = {}) => {
  *
  * @param {string} founderId - Founder's user ID
  * @param {string} interestId - Interest ID
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.notify=true] - Notify the builder now (bulk actions notify later)
  * @returns {Promise<Object>} Updated interest
  */
-const shortlistBuilder = async (founderId, interestId) => {
+const shortlistBuilder = async (founderId, interestId, options = {}) => {
+  const { notify = true } = options;
+
   const interest = await Interest.findById(interestId)
     .populate('opening')
     .populate('builderProfile');
@@ -291,28 +372,30 @@ const shortlistBuilder = async (founderId, interestId) => {
   // REAL-TIME NOTIFICATIONS
   // ============================================
 
-  // Get founder info for notification
-  const founder = await User.findById(founderId).select('name avatarUrl');
+  if (notify) {
+    // Get founder info for notification
+    const founder = await User.findById(founderId).select('name avatarUrl');
 
-  // Notify builder via socket
-  socketService.emitBuilderShortlisted(interest.builder.toString(), {
-    interestId,
-    founderId,
-    founderName: founder?.name || 'A founder',
-    openingId: interest.opening._id,
-    openingTitle: interest.opening.title,
-  });
-
-  // Create notification for builder
-  try {
-    await notificationService.notifyShortlisted({
-      builderId: interest.builder,
-      founder: { _id: founderId, name: founder?.name, avatarUrl: founder?.avatarUrl },
-      opening: { _id: interest.opening._id, title: interest.opening.title },
+    // Notify builder via socket
+    socketService.emitBuilderShortlisted(interest.builder.toString(), {
       interestId,
+      founderId,
+      founderName: founder?.name || 'A founder',
+      openingId: interest.opening._id,
+      openingTitle: interest.opening.title,
     });
-  } catch (notifError) {
-    logger.warn('Failed to create shortlist notification', { error: notifError.message });
+
+    // Create notification for builder
+    try {
+      await notificationService.notifyShortlisted({
+        builderId: interest.builder,
+        founder: { _id: founderId, name: founder?.name, avatarUrl: founder?.avatarUrl },
+        opening: { _id: interest.opening._id, title: interest.opening.title },
+        interestId,
+      });
+    } catch (notifError) {
+      logger.warn('Failed to create shortlist notification', { error: notifError.message });
+    }
   }
 
   logger.info('Builder shortlisted', {
@@ -559,34 +642,55 @@ const declineMatch = async (builderId, interestId) => {
 
 /**
  * Pass on a builder (Founder action - reject)
+ * The builder sees passFeedback, never passReason.
  * 
  * @param {string} founderId - Founder's user ID
  * @param {string} interestId - Interest ID
+ * @param {Object} [data={}] - Pass details
+ * @param {string} [data.passReason] - One of INTEREST_PASS_REASONS
+ * @param {string} [data.passFeedback] - Feedback shared with the builder
  * @returns {Promise<Object>} Updated interest
  */
-const passOnBuilder = async (founderId, interestId) => {
-    const interest = await Interest.findById(interestId);
-    
-    if (!interest) {
-      throw ApiError.notFound('Interest not found');
-    }
-    
-    if (interest.founder.toString() !== founderId.toString()) {
-      throw ApiError.forbidden('You can only pass on builders for your own openings');
-    }
-    
-    if (interest.status !== INTEREST_STATUS.INTERESTED) {
-      throw ApiError.badRequest(`Cannot pass - interest is ${interest.status}`);
-    }
-    
-    interest.status = INTEREST_STATUS.PASSED;
-    interest.passedAt = new Date();
-    await interest.save();
-    
-    logger.info('Founder passed on builder', { interestId, founderId });
-    
-    return interest;
-  };
+const passOnBuilder = async (founderId, interestId, data = {}) => {
+  const { passReason, passFeedback } = data;
+  
+  if (passReason && !Object.values(INTEREST_PASS_REASONS).includes(passReason)) {
+    throw ApiError.badRequest(`passReason must be one of: ${Object.values(INTEREST_PASS_REASONS).join(', ')}`);
+  }
+  
+  if (passFeedback !== undefined && passFeedback !== null &&
+    (typeof passFeedback !== 'string' || passFeedback.trim().length > 300)) {
+    throw ApiError.badRequest('passFeedback must be a string of at most 300 characters');
+  }
+  
+  const interest = await Interest.findById(interestId);
+  
+  if (!interest) {
+    throw ApiError.notFound('Interest not found');
+  }
+  
+  if (interest.founder.toString() !== founderId.toString()) {
+    throw ApiError.forbidden('You can only pass on builders for your own openings');
+  }
+  
+  if (interest.status !== INTEREST_STATUS.INTERESTED) {
+    throw ApiError.badRequest(`Cannot pass - interest is ${interest.status}`);
+  }
+  
+  interest.status = INTEREST_STATUS.PASSED;
+  interest.passedAt = new Date();
+  if (passReason) {
+    interest.passReason = passReason;
+  }
+  if (passFeedback && passFeedback.trim()) {
+    interest.passFeedback = passFeedback.trim();
+  }
+  await interest.save();
+  
+  logger.info('Founder passed on builder', { interestId, founderId, passReason });
+  
+  return interest;
+};
 
 /**
  * Get interests for founder's openings
@@ -595,15 +699,28 @@ const passOnBuilder = async (founderId, interestId) => {
  * @param {Object} [options={}] - Query options
  * @param {string} [options.openingId] - Filter by specific opening
  * @param {string} [options.status] - Filter by status
+ * @param {string} [options.stageId] - Filter by pipeline stage ('new' for the default column)
+ * @param {boolean} [options.knockedOut] - Filter by screening knockout
+ * @param {string} [options.sort='recent'] - 'recent' or 'screening'
  * @param {number} [options.page=1] - Page number
  * @param {number} [options.limit=20] - Items per page
  * @returns {Promise<Object>} Paginated interests
  */
 const getFounderInterests = async (founderId, options = {}) => {
-  const { openingId, status, page = 1, limit = 20 } = options;
+  const { openingId, status, stageId, knockedOut, sort = 'recent', page = 1, limit = 20 } = options;
+  
+  if (!RECEIVED_SORTS[sort]) {
+    throw ApiError.badRequest(`sort must be one of: ${Object.keys(RECEIVED_SORTS).join(', ')}`);
+  }
   
   const query = { founder: founderId };
   
+  // Builders either side has blocked are hidden
+  const blockedIds = await blockService.getBlockedUserIds(founderId);
+  if (blockedIds.length > 0) {
+    query.builder = { $nin: blockedIds };
+  }
+  
   if (openingId) {
     query.opening = openingId;
   }
@@ -612,6 +729,14 @@ const getFounderInterests = async (founderId, options = {}) => {
     query.status = status;
   }
   
+  if (stageId) {
+    query.stage = stageId === 'new' ? null : stageId;
+  }
+  
+  if (knockedOut !== undefined) {
+    query['screening.knockedOut'] = knockedOut;
+  }
+  
   const skip = (page - 1) * limit;
   
   const [interests, total] = await Promise.all([
@@ -619,13 +744,23 @@ const getFounderInterests = async (founderId, options = {}) => {
       .populate('builder', 'name email avatarUrl')
       .populate('builderProfile', 'displayName skills riskAppetite hoursPerWeek intentStatement')
       .populate('opening', 'title roleType')
-      .sort({ createdAt: -1 })
+      .sort(RECEIVED_SORTS[sort])
       .skip(skip)
       .limit(limit)
       .lean(),
     Interest.countDocuments(query),
   ]);
   
+  // Listing counts as viewing: a closed opening no longer refunds these.
+  // The page itself is returned as loaded so new interests still show as new.
+  const unviewedIds = interests.filter((interest) => !interest.viewedAt).map((interest) => interest._id);
+  if (unviewedIds.length > 0) {
+    await Interest.updateMany(
+      { _id: { $in: unviewedIds }, viewedAt: null },
+      { $set: { viewedAt: new Date() } }
+    );
+  }
+  
   return {
     interests,
     pagination: {
@@ -766,6 +901,10 @@ const getMatchById = async (interestId, userId) => {
     throw ApiError.forbidden('You are not part of this match');
   }
   
+  if (isFounder) {
+    await interest.markViewed();
+  }
+  
   return interest;
 };
 
@@ -885,33 +1024,15 @@ const getInterestStats = async (userId) => {
 };
 
 /**
- * Get today's interest count for builder
+ * Get builder's interest credits (today's usage, balance and ledger history)
  * 
  * @param {string} builderId - Builder's user ID
- * @returns {Promise<Object>} Today's count and limit
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.limit=20] - History entries
+ * @returns {Promise<Object>} { day, limit, used, remaining, balance, history }
  */
-const getTodayInterestCount = async (builderId) => {
-  const user = await User.findById(builderId);
-  
-  if (!user) {
-    throw ApiError.userNotFound();
-  }
-  
-  const todayStart = new Date();
-  todayStart.setHours(0, 0, 0, 0);
-  
-  const count = await Interest.countDocuments({
-    builder: builderId,
-    createdAt: { $gte: todayStart },
-  });
-  
-  const limit = DAILY_INTEREST_LIMITS[user.subscriptionTier] || DAILY_INTEREST_LIMITS[SUBSCRIPTION_TIERS.FREE];
-  
-  return {
-    used: count,
-    limit,
-    remaining: Math.max(0, limit - count),
-  };
+const getTodayInterestCount = async (builderId, options = {}) => {
+  return creditService.getBalance(builderId, options);
 };
 
 // ============================================
@@ -933,7 +1054,7 @@ const checkInterestByOpening = async (builderId, openingId) => {
 
   return {
     hasInterest: !!interest,
-    interest: interest || null,
+    interest: toBuilderInterest(interest),
     status: interest?.status || null,
   };
 };
@@ -967,7 +1088,4 @@ module.exports = {
   // Analytics
   getInterestStats,
   getTodayInterestCount,
-
-  // Constants
-  DAILY_INTEREST_LIMITS,
 };
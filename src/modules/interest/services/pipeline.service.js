@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Interest Pipeline Service
+ *
+ * Founder-configurable kanban board per opening:
+ * - Custom stages ("Intro call", "Take-home", "Reference check")
+ * - Moving candidates between stages with notes
+ * - Time-in-stage and drop-off per stage
+ *
+ * Stages sit alongside the status flow rather than replacing it: status is
+ * the lifecycle the builder sees (shortlist, match proposal, pass), stages
+ * are the founder's own columns. Every interest starts in the default "New"
+ * column, and each move is recorded as a STAGE entry in statusHistory, which
+ * is what the analytics replay.
+ *
+ * @module services/pipeline
+ */
+
+const { Interest, Opening } = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const { INTEREST_STATUS, INTEREST_HISTORY_TYPES } = require('../../../shared/constants');
+const logger = require('../../../shared/utils/logger');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Name of the column interests sit in before the founder moves them
+ */
+const DEFAULT_STAGE_NAME = 'New';
+
+/**
+ * Statuses that appear on the board and can be moved between stages
+ */
+const PIPELINE_STATUSES = [
+  INTEREST_STATUS.INTERESTED,
+  INTEREST_STATUS.SHORTLISTED,
+  INTEREST_STATUS.MATCH_PROPOSED,
+  INTEREST_STATUS.MATCH_DECLINED,
+];
+
+/**
+ * Statuses that take a candidate out of the pipeline without a match
+ */
+const DROP_OFF_STATUSES = [INTEREST_STATUS.PASSED, INTEREST_STATUS.WITHDRAWN];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Load an opening with its stages and check the founder owns it
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<Object>} Opening document (pipelineStages selected)
+ * @throws {ApiError} If not found or not the owner
+ */
+const getOwnedOpening = async (founderId, openingId) => {
+  const opening = await Opening.findById(openingId).select('+pipelineStages');
+
+  if (!opening) {
+    throw ApiError.notFound('Opening not found');
+  }
+
+  if (opening.founder.toString() !== founderId.toString()) {
+    throw ApiError.forbidden('You can only manage the pipeline for your own openings');
+  }
+
+  return opening;
+};
+
+/**
+ * Stage as returned by the API
+ *
+ * @param {Object} stage - Opening pipeline stage
+ * @returns {Object} { id, name, createdAt }
+ */
+const formatStage = (stage) => ({
+  id: stage._id,
+  name: stage.name,
+  createdAt: stage.createdAt,
+});
+
+/**
+ * Hours between two points in time, one decimal
+ *
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @returns {number}
+ */
+const hoursBetween = (from, to) => Math.round(((to - from) / HOUR_MS) * 10) / 10;
+
+/**
+ * Average of a list of numbers, one decimal
+ *
+ * @param {number[]} values - Values
+ * @returns {number|null} null for an empty list
+ */
+const average = (values) =>
+  values.length > 0
+    ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+    : null;
+
+// ============================================
+// BOARD
+// ============================================
+
+/**
+ * Get the pipeline board for an opening
+ * Candidates still in play, grouped by stage, longest-waiting first
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<Object>} { opening, stages: [{ id, name, count, interests }], total }
+ */
+const getPipeline = async (founderId, openingId) => {
+  const opening = await getOwnedOpening(founderId, openingId);
+
+  const interests = await Interest.find({
+    opening: opening._id,
+    status: { $in: PIPELINE_STATUSES },
+  })
+    .populate('builder', 'name avatarUrl')
+    .populate('builderProfile', 'displayName skills riskAppetite hoursPerWeek')
+    .select('-statusHistory')
+    .sort({ interestedAt: 1 })
+    .lean();
+
+  const now = new Date();
+  const columns = [
+    { id: null, name: DEFAULT_STAGE_NAME, interests: [] },
+    ...opening.pipelineStages.map((stage) => ({ id: stage._id, name: stage.name, interests: [] })),
+  ];
+  const columnsById = new Map(columns.slice(1).map((column) => [column.id.toString(), column]));
+
+  interests.forEach((interest) => {
+    const column = (interest.stage && columnsById.get(interest.stage.toString())) || columns[0];
+    const enteredAt = column.id ? interest.stageEnteredAt || interest.interestedAt : interest.interestedAt;
+
+    column.interests.push({
+      id: interest._id,
+      builder: interest.builder,
+      builderProfile: interest.builderProfile,
+      status: interest.status,
+      compatibilityScore: interest.compatibilityScore,
+      founderRating: interest.founderRating,
+      founderNotes: interest.founderNotes,
+      interestedAt: interest.interestedAt,
+      stageEnteredAt: enteredAt,
+      hoursInStage: hoursBetween(enteredAt, now),
+    });
+  });
+
+  columns.forEach((column) => {
+    column.interests.sort((a, b) => a.stageEnteredAt - b.stageEnteredAt);
+    column.count = column.interests.length;
+  });
+
+  return {
+    opening: { id: opening._id, title: opening.title, status: opening.status },
+    stages: columns,
+    total: interests.length,
+  };
+};
+
+// ============================================
+// STAGE MANAGEMENT
+// ============================================
+
+/**
+ * Replace an opening's stage list
+ *
+ * The list is the new board order. Entries with an id keep that stage (and
+ * the candidates in it) under a possibly new name; entries without one are
+ * new stages. Stages left out are removed, which is refused while candidates
+ * still in play sit in them.
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} openingId - Opening ID
+ * @param {Object[]} stages - [{ id?, name }]
+ * @returns {Promise<Object[]>} Saved stages
+ * @throws {ApiError} If the list is invalid or a removed stage is not empty
+ */
+const updateStages = async (founderId, openingId, stages) => {
+  if (!Array.isArray(stages)) {
+    throw ApiError.badRequest('stages must be an array');
+  }
+
+  const opening = await getOwnedOpening(founderId, openingId);
+  const existingById = new Map(opening.pipelineStages.map((stage) => [stage._id.toString(), stage]));
+  const keptIds = new Set();
+
+  const nextStages = stages.map((input, index) => {
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+
+    if (!name) {
+      throw ApiError.badRequest(`Stage ${index + 1} needs a name`);
+    }
+    if (name.toLowerCase() === DEFAULT_STAGE_NAME.toLowerCase()) {
+      throw ApiError.badRequest(`"${DEFAULT_STAGE_NAME}" is reserved for the default column`);
+    }
+
+    if (!input.id) {
+      return { name };
+    }
+
+    const existing = existingById.get(String(input.id));
+    if (!existing) {
+      throw ApiError.badRequest(`Unknown stage id: ${input.id}`);
+    }
+    if (keptIds.has(String(input.id))) {
+      throw ApiError.badRequest(`Stage ${input.id} is listed twice`);
+    }
+
+    keptIds.add(String(input.id));
+    return { _id: existing._id, name, createdAt: existing.createdAt };
+  });
+
+  const removed = opening.pipelineStages.filter((stage) => !keptIds.has(stage._id.toString()));
+
+  if (removed.length > 0) {
+    const occupied = await Interest.distinct('stage', {
+      opening: opening._id,
+      stage: { $in: removed.map((stage) => stage._id) },
+      status: { $in: PIPELINE_STATUSES },
+    });
+
+    if (occupied.length > 0) {
+      const names = removed
+        .filter((stage) => occupied.some((id) => id.equals(stage._id)))
+        .map((stage) => stage.name);
+      throw ApiError.conflict(`Move candidates out of ${names.join(', ')} before removing it`);
+    }
+  }
+
+  opening.pipelineStages = nextStages;
+  await opening.save();
+
+  logger.info('Pipeline stages updated', {
+    openingId,
+    founderId,
+    stages: opening.pipelineStages.length,
+    removed: removed.length,
+  });
+
+  return opening.pipelineStages.map(formatStage);
+};
+
+// ============================================
+// MOVING CANDIDATES
+// ============================================
+
+/**
+ * Move a candidate to another stage
+ * Moving out of "New" also marks the interest viewed.
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} interestId - Interest ID
+ * @param {Object} data - Move data
+ * @param {string|null} data.stageId - Target stage ID, null for "New"
+ * @param {string} [data.note] - Note recorded with the move
+ * @returns {Promise<Object>} Founder view of the interest
+ * @throws {ApiError} If not found, not the owner, out of the pipeline or invalid stage
+ */
+const moveInterest = async (founderId, interestId, data = {}) => {
+  const { stageId, note } = data;
+
+  if (stageId === undefined) {
+    throw ApiError.badRequest('stageId is required (null moves back to New)');
+  }
+  if (stageId !== null && !isValidObjectId(stageId)) {
+    throw ApiError.badRequest('Invalid stageId');
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 200)) {
+    throw ApiError.badRequest('note must be a string of at most 200 characters');
+  }
+
+  const interest = await Interest.findById(interestId);
+
+  if (!interest) {
+    throw ApiError.notFound('Interest not found');
+  }
+
+  if (interest.founder.toString() !== founderId.toString()) {
+    throw ApiError.forbidden('You can only move candidates for your own openings');
+  }
+
+  if (!PIPELINE_STATUSES.includes(interest.status)) {
+    throw ApiError.badRequest(`Cannot move - interest is ${interest.status}`);
+  }
+
+  const opening = await getOwnedOpening(founderId, interest.opening);
+  const target = stageId === null ? null : opening.pipelineStages.id(stageId);
+
+  if (stageId !== null && !target) {
+    throw ApiError.notFound('Pipeline stage not found');
+  }
+
+  const currentId = interest.stage ? interest.stage.toString() : null;
+  if (currentId === (target ? target._id.toString() : null)) {
+    throw ApiError.badRequest('Candidate is already in this stage');
+  }
+
+  if (!interest.viewedAt) {
+    interest.viewedAt = new Date();
+  }
+
+  await interest.moveToStage(target, {
+    fromStage: currentId ? opening.pipelineStages.id(currentId) : null,
+    changedBy: founderId,
+    note: note ? note.trim() : undefined,
+  });
+
+  logger.info('Interest moved in pipeline', {
+    interestId,
+    founderId,
+    from: currentId,
+    to: target ? target._id : null,
+  });
+
+  return interest.getFounderView();
+};
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+/**
+ * Time-in-stage and drop-off per stage for an opening
+ *
+ * Replays each interest's statusHistory. A stay in a stage ends when the
+ * candidate is moved (advanced or moved back, by board order), matched, or
+ * drops off (passed or withdrew); the drop-off is charged to the stage the
+ * candidate was in. History from before stages existed counts as "New".
+ * Stays in stages that have since been removed are not reported.
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<Object>} { opening, totalInterests, stages }
+ *   stages: [{ id, name, entered, current, advanced, movedBack, matched, droppedOff,
+ *              dropOffRate, avgHoursInStage, avgHoursCurrent }]
+ */
+const getPipelineAnalytics = async (founderId, openingId) => {
+  const opening = await getOwnedOpening(founderId, openingId);
+
+  const interests = await Interest.find({ opening: opening._id })
+    .select('status createdAt interestedAt statusHistory')
+    .lean();
+
+  const now = new Date();
+  const order = new Map(opening.pipelineStages.map((stage, index) => [stage._id.toString(), index]));
+  const buckets = [
+    { id: null, name: DEFAULT_STAGE_NAME },
+    ...opening.pipelineStages.map((stage) => ({ id: stage._id, name: stage.name })),
+  ].map((stage) => ({
+    ...stage,
+    entered: 0,
+    current: 0,
+    advanced: 0,
+    movedBack: 0,
+    matched: 0,
+    droppedOff: 0,
+    completedHours: [],
+    currentHours: [],
+  }));
+  const bucketsByKey = new Map(buckets.map((bucket) => [bucket.id ? bucket.id.toString() : 'new', bucket]));
+
+  // "New" sorts before every custom stage; removed stages have no position
+  const positionOf = (key) => (key === 'new' ? -1 : order.get(key));
+
+  interests.forEach((interest) => {
+    const history = [...(interest.statusHistory || [])].sort((a, b) => a.changedAt - b.changedAt);
+
+    let stageKey = 'new';
+    let enteredAt = interest.createdAt || interest.interestedAt;
+    let inPipeline = true;
+
+    const enter = (key, at) => {
+      stageKey = key;
+      enteredAt = at;
+      const bucket = bucketsByKey.get(key);
+      if (bucket) bucket.entered++;
+    };
+
+    const leave = (outcome, at) => {
+      const bucket = bucketsByKey.get(stageKey);
+      if (!bucket) return;
+      bucket[outcome]++;
+      bucket.completedHours.push(hoursBetween(enteredAt, at));
+    };
+
+    enter('new', enteredAt);
+
+    history.forEach((entry) => {
+      if (entry.type === INTEREST_HISTORY_TYPES.STAGE) {
+        const nextKey = entry.stage ? entry.stage.toString() : 'new';
+        const from = positionOf(stageKey);
+        const to = positionOf(nextKey);
+
+        if (inPipeline && from !== undefined && to !== undefined) {
+          leave(to > from ? 'advanced' : 'movedBack', entry.changedAt);
+        }
+        enter(nextKey, entry.changedAt);
+        return;
+      }
+
+      const isOut = entry.status === INTEREST_STATUS.MATCHED || DROP_OFF_STATUSES.includes(entry.status);
+
+      if (inPipeline && isOut) {
+        leave(entry.status === INTEREST_STATUS.MATCHED ? 'matched' : 'droppedOff', entry.changedAt);
+        inPipeline = false;
+      } else if (!inPipeline && PIPELINE_STATUSES.includes(entry.status)) {
+        // Interest expressed again after a withdrawal - back where it was
+        enter(stageKey, entry.changedAt);
+        inPipeline = true;
+      }
+    });
+
+    if (inPipeline && PIPELINE_STATUSES.includes(interest.status)) {
+      const bucket = bucketsByKey.get(stageKey);
+      if (bucket) {
+        bucket.current++;
+        bucket.currentHours.push(hoursBetween(enteredAt, now));
+      }
+    }
+  });
+
+  return {
+    opening: { id: opening._id, title: opening.title, status: opening.status },
+    totalInterests: interests.length,
+    stages: buckets.map(({ completedHours, currentHours, ...bucket }) => ({
+      ...bucket,
+      dropOffRate: bucket.entered > 0 ? Math.round((bucket.droppedOff / bucket.entered) * 100) : null,
+      avgHoursInStage: average(completedHours),
+      avgHoursCurrent: average(currentHours),
+    })),
+  };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Board
+  getPipeline,
+
+  // Stages
+  updateStages,
+
+  // Moves
+  moveInterest,
+
+  // Analytics
+  getPipelineAnalytics,
+
+  // Constants
+  DEFAULT_STAGE_NAME,
+  PIPELINE_STATUSES,
+};
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Screening Service
+ *
+ * Applies an opening's typed screening questions to interests:
+ * - Validating a builder's answers when they express interest
+ * - Scoring answers against the founder's rules (knockouts included)
+ * - Rescoring existing interests when the founder edits the questions
+ *
+ * Scoring itself lives in utils/screening; this service loads the rules
+ * (hidden from applicants) and writes results onto interests.
+ *
+ * @module services/screening
+ */
+
+const { Interest, Opening } = require('../../models');
+const { ApiError } = require('../../../shared/utils');
+const { normalizeScreeningAnswers, scoreScreening } = require('../../../shared/utils/screening');
+const logger = require('../../../shared/utils/logger');
+
+/**
+ * Interests rewritten per bulkWrite when an opening's questions change
+ */
+const RESCORE_BATCH_SIZE = 500;
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Attach per-question results to answers and build the screening summary
+ *
+ * @param {Object[]} questions - Screening questions (with rules)
+ * @param {Object[]} answers - Stored or normalized answers
+ * @returns {Object} { questionAnswers, screening }
+ */
+const applyScores = (questions, answers) => {
+  const { score, knockedOut, knockoutReasons, results } = scoreScreening(questions, answers);
+
+  const questionAnswers = answers.map((entry) => {
+    const result = entry.questionId ? results.get(entry.questionId.toString()) : null;
+    return {
+      ...entry,
+      score: result ? result.score : null,
+      passed: result ? result.passed : null,
+    };
+  });
+
+  return {
+    questionAnswers,
+    screening: { score, knockedOut, knockoutReasons, scoredAt: new Date() },
+  };
+};
+
+/**
+ * Validate a builder's screening answers and score them
+ *
+ * @param {Object} opening - Opening document loaded with screeningQuestions.rules
+ * @param {Object[]} [answers] - Raw answers [{ questionId, value }]
+ * @returns {Object} { questionAnswers, screening } ready to store on the interest
+ * @throws {ApiError} If an answer is invalid or a required answer is missing
+ */
+const prepareScreening = (opening, answers) => {
+  const questions = opening.screeningQuestions || [];
+  const { answers: normalized, errors } = normalizeScreeningAnswers(questions, answers || []);
+
+  if (errors.length > 0) {
+    throw ApiError.validationError('Please check your screening answers', errors);
+  }
+
+  return applyScores(questions, normalized);
+};
+
+// ============================================
+// RESCORING
+// ============================================
+
+/**
+ * Rescore every interest in an opening against its current questions
+ * Answers are kept as given; answers to removed questions stay visible but
+ * no longer count, and new questions count as unanswered.
+ *
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<number>} Interests updated
+ */
+const rescoreOpening = async (openingId) => {
+  const opening = await Opening.findById(openingId).select('+screeningQuestions.rules');
+
+  if (!opening) {
+    throw ApiError.notFound('Opening not found');
+  }
+
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Interest.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = Interest.find({ opening: opening._id })
+    .select('questionAnswers')
+    .lean()
+    .cursor();
+
+  for await (const interest of cursor) {
+    const { questionAnswers, screening } = applyScores(opening.screeningQuestions, interest.questionAnswers || []);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: interest._id },
+        update: { $set: { questionAnswers, screening } },
+      },
+    });
+
+    if (operations.length >= RESCORE_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  logger.info('Screening rescored', { openingId, updated });
+
+  return updated;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  prepareScreening,
+  rescoreOpening,
+};
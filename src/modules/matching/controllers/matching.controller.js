@@ -13,28 +13,44 @@
 
 const matchingService = require('../services/matching.service');
 const { ApiResponse, asyncHandler } = require('../../../shared/utils');
+const { config } = require('../../../shared/config');
 
 // ============================================
 // DAILY MATCHES
 // ============================================
 
+/**
+ * Whether daily matches should be re-ranked from past actions
+ * The personalize query param overrides the user's personalizedMatching setting
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const shouldPersonalize = (req) => {
+  if (req.query.personalize !== undefined) {
+    return req.query.personalize !== 'false';
+  }
+
+  return req.user.personalizedMatching !== false;
+};
+
 /**
  * Get daily matches for the current founder
  *
  * @route GET /api/v1/matches/daily/founder
  * @access Private (Founders only)
  *
- * @param {number} [req.query.limit=5] - Number of matches (5 for free, unlimited for Pro)
+ * @param {string} [req.query.personalize] - 'false' to skip re-ranking (defaults to the user's setting)
  *
- * @returns {Object} Daily matches
+ * @returns {Object} Today's matches and drop details (quota, rollover, next drop time)
  */
 const getDailyMatchesForFounder = asyncHandler(async (req, res) => {
   const founderId = req.user._id;
-  const limit = parseInt(req.query.limit, 10) || 5;
+  const personalize = shouldPersonalize(req);
 
-  const matches = await matchingService.getDailyMatchesForFounder(founderId, { limit });
+  const { matches, drop } = await matchingService.getDailyMatchesForFounder(founderId, { personalize });
 
-  return ApiResponse.ok('Daily matches retrieved', { matches, count: matches.length }).send(res);
+  return ApiResponse.ok('Daily matches retrieved', { matches, count: matches.length, drop }).send(res);
 });
 
 /**
@@ -43,17 +59,17 @@ const getDailyMatchesForFounder = asyncHandler(async (req, res) => {
  * @route GET /api/v1/matches/daily/builder
  * @access Private (Builders only)
  *
- * @param {number} [req.query.limit=5] - Number of matches (5 for free, 15 for Boost)
+ * @param {string} [req.query.personalize] - 'false' to skip re-ranking (defaults to the user's setting)
  *
- * @returns {Object} Daily matches
+ * @returns {Object} Today's matches and drop details (quota, rollover, next drop time)
  */
 const getDailyMatchesForBuilder = asyncHandler(async (req, res) => {
   const builderId = req.user._id;
-  const limit = parseInt(req.query.limit, 10) || 5;
+  const personalize = shouldPersonalize(req);
 
-  const matches = await matchingService.getDailyMatchesForBuilder(builderId, { limit });
+  const { matches, drop } = await matchingService.getDailyMatchesForBuilder(builderId, { personalize });
 
-  return ApiResponse.ok('Daily matches retrieved', { matches, count: matches.length }).send(res);
+  return ApiResponse.ok('Daily matches retrieved', { matches, count: matches.length, drop }).send(res);
 });
 
 // ============================================
@@ -296,20 +312,31 @@ const calculateCompatibility = asyncHandler(async (req, res) => {
  * @route GET /api/v1/matches/algorithm-info
  * @access Private
  *
- * @returns {Object} Algorithm weights and thresholds
+ * @returns {Object} Active weight profile version, weights and thresholds
  */
 const getAlgorithmInfo = asyncHandler(async (req, res) => {
+  const profile = await matchingService.getActiveWeightProfile();
+  const { weights } = profile;
+
   return ApiResponse.ok('Algorithm information retrieved', {
-    weights: matchingService.WEIGHTS,
+    version: profile.version,
+    profileName: profile.name,
+    activatedAt: profile.activatedAt,
+    weights,
     thresholds: matchingService.SCORE_THRESHOLDS,
     factors: [
-      { name: 'Compensation', weight: matchingService.WEIGHTS.COMPENSATION, description: 'Alignment between what founder offers and what builder accepts' },
-      { name: 'Commitment', weight: matchingService.WEIGHTS.COMMITMENT, description: 'Hours per week overlap' },
-      { name: 'Stage', weight: matchingService.WEIGHTS.STAGE, description: 'Builder risk appetite vs startup stage' },
-      { name: 'Skills', weight: matchingService.WEIGHTS.SKILLS, description: 'Skill match percentage' },
-      { name: 'Scenario', weight: matchingService.WEIGHTS.SCENARIO, description: 'Scenario response compatibility' },
-      { name: 'Geography', weight: matchingService.WEIGHTS.GEOGRAPHY, description: 'Location and remote preference alignment' },
+      { name: 'Compensation', weight: weights.compensation, description: 'Alignment between what founder offers and what builder accepts' },
+      { name: 'Commitment', weight: weights.commitment, description: 'Hours per week overlap' },
+      { name: 'Stage', weight: weights.stage, description: 'Builder risk appetite vs startup stage' },
+      { name: 'Skills', weight: weights.skills, description: 'Skill match percentage' },
+      { name: 'Scenario', weight: weights.scenario, description: 'Scenario response compatibility' },
+      { name: 'Geography', weight: weights.geography, description: 'Location and remote preference alignment' },
     ],
+    mutualFit: {
+      builderFitWeight: config.matching.mutualFit.builderFitWeight,
+      builderFitFactors: matchingService.BUILDER_FIT_WEIGHTS,
+      description: 'Share of the score from how well the opening fits the builder\'s preferred industries, stages, cash, duration and roles',
+    },
   }).send(res);
 });
 
@@ -319,18 +346,135 @@ const getAlgorithmInfo = asyncHandler(async (req, res) => {
 
 /**
  * Trigger nightly match generation job
+ * Resumes an interrupted run; otherwise rescores only changed pairs unless full is set
  *
  * @route POST /api/v1/matches/admin/run-nightly
  * @access Private (Admin only)
  *
+ * @body {boolean} [full=false] - Rescore every pair
+ *
  * @returns {Object} Job result summary
  */
 const runNightlyMatchGeneration = asyncHandler(async (req, res) => {
-  const result = await matchingService.runNightlyMatchGeneration();
+  const result = await matchingService.runNightlyMatchGeneration({
+    full: req.body?.full === true,
+  });
 
   return ApiResponse.ok('Nightly match generation completed', result).send(res);
 });
 
+/**
+ * List recent nightly match generation runs
+ *
+ * @route GET /api/v1/matches/admin/generation-runs
+ * @access Private (Admin only)
+ *
+ * @query {number} [limit=20] - Max runs (up to 100)
+ *
+ * @returns {Object} Runs, newest first
+ */
+const listMatchGenerationRuns = asyncHandler(async (req, res) => {
+  const runs = await matchingService.listMatchGenerationRuns({ limit: req.query.limit });
+
+  return ApiResponse.ok('Match generation runs retrieved', {
+    runs,
+    count: runs.length,
+  }).send(res);
+});
+
+// ============================================
+// ADMIN - WEIGHT PROFILES
+// ============================================
+
+/**
+ * List all matching weight profiles
+ *
+ * @route GET /api/v1/matches/admin/weight-profiles
+ * @access Private (Admin only)
+ *
+ * @returns {Object} Weight profiles, newest first
+ */
+const listWeightProfiles = asyncHandler(async (req, res) => {
+  const profiles = await matchingService.listWeightProfiles();
+
+  return ApiResponse.ok('Weight profiles retrieved', {
+    profiles,
+    count: profiles.length,
+  }).send(res);
+});
+
+/**
+ * Get a weight profile by version
+ *
+ * @route GET /api/v1/matches/admin/weight-profiles/:version
+ * @access Private (Admin only)
+ *
+ * @param {number} req.params.version - Profile version
+ *
+ * @returns {Object} Weight profile
+ */
+const getWeightProfile = asyncHandler(async (req, res) => {
+  const profile = await matchingService.getWeightProfile(req.params.version);
+
+  return ApiResponse.ok('Weight profile retrieved', { profile }).send(res);
+});
+
+/**
+ * Create a new weight profile
+ *
+ * @route POST /api/v1/matches/admin/weight-profiles
+ * @access Private (Admin only)
+ *
+ * @param {string} req.body.name - Profile name
+ * @param {string} [req.body.description] - What was tuned and why
+ * @param {Object} req.body.weights - Factor weights (must sum to 1.0)
+ * @param {boolean} [req.body.activate=false] - Activate immediately
+ *
+ * @returns {Object} Created profile
+ */
+const createWeightProfile = asyncHandler(async (req, res) => {
+  const profile = await matchingService.createWeightProfile(req.user._id, req.body);
+
+  return ApiResponse.created('Weight profile created', { profile }).send(res);
+});
+
+/**
+ * Activate a weight profile
+ *
+ * @route POST /api/v1/matches/admin/weight-profiles/:version/activate
+ * @access Private (Admin only)
+ *
+ * @param {number} req.params.version - Profile version
+ *
+ * @returns {Object} Activated profile
+ */
+const activateWeightProfile = asyncHandler(async (req, res) => {
+  const profile = await matchingService.activateWeightProfile(
+    Number(req.params.version),
+    req.user._id
+  );
+
+  return ApiResponse.ok(`Weight profile v${profile.version} activated`, { profile }).send(res);
+});
+
+/**
+ * Roll back to the previously active weight profile
+ *
+ * @route POST /api/v1/matches/admin/weight-profiles/rollback
+ * @access Private (Admin only)
+ *
+ * @param {number} [req.body.version] - Explicit version to roll back to
+ *
+ * @returns {Object} Re-activated profile
+ */
+const rollbackWeightProfile = asyncHandler(async (req, res) => {
+  const toVersion = req.body.version ? Number(req.body.version) : null;
+
+  const profile = await matchingService.rollbackWeightProfile(req.user._id, toVersion);
+
+  return ApiResponse.ok(`Rolled back to weight profile v${profile.version}`, { profile }).send(res);
+});
+
 // ============================================
 // EXPORTS
 // ============================================
@@ -359,4 +503,10 @@ module.exports = {
 
   // Admin
   runNightlyMatchGeneration,
+  listMatchGenerationRuns,
+  listWeightProfiles,
+  getWeightProfile,
+  createWeightProfile,
+  activateWeightProfile,
+  rollbackWeightProfile,
 };
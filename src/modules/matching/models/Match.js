@@ -11,7 +11,7 @@
  */
 
 const mongoose = require('mongoose');
-const { MATCH_STATUS } = require('../../../shared/constants');
+const { MATCH_STATUS, MATCH_ACTIONS, MATCH_EXPIRY_REASONS } = require('../../../shared/constants');
 
 const { Schema } = mongoose;
 
@@ -58,6 +58,49 @@ const compatibilityBreakdownSchema = new Schema(
   { _id: false }
 );
 
+/**
+ * Match explanation entry sub-schema
+ * One human-readable line tied to the factor that produced it
+ */
+const explanationItemSchema = new Schema(
+  {
+    factor: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 300,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Match explanation sub-schema
+ */
+const explanationSchema = new Schema(
+  {
+    /**
+     * Factors that raised the score
+     */
+    reasons: {
+      type: [explanationItemSchema],
+      default: [],
+    },
+
+    /**
+     * Factors that lowered the score (or the hard-filter reason)
+     */
+    caveats: {
+      type: [explanationItemSchema],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
 /**
  * Status history entry sub-schema
  */
@@ -250,6 +293,93 @@ const matchSchema = new Schema(
       default: null,
     },
 
+    /**
+     * Version of the WeightProfile that produced compatibilityScore
+     * Null for matches created from interests without algorithmic scoring
+     */
+    weightProfileVersion: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Per-factor scoring from the matching algorithm
+     * { [factor]: { score, weight, weighted }, mutualFit: { openingFit, builderFit } }
+     */
+    scoreBreakdown: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    /**
+     * Human-readable reasons and caveats behind compatibilityScore
+     * Null until the pair is scored by the matching algorithm
+     */
+    explanation: {
+      type: explanationSchema,
+      default: null,
+    },
+
+    // ==========================================
+    // MATCH ACTIONS
+    // ==========================================
+
+    /**
+     * Founder's action on the suggested match (LIKE, SKIP, SAVE)
+     */
+    founderAction: {
+      type: String,
+      enum: {
+        values: Object.values(MATCH_ACTIONS),
+        message: 'Invalid match action',
+      },
+      default: null,
+    },
+
+    founderActionAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Builder's action on the suggested match (LIKE, SKIP, SAVE)
+     */
+    builderAction: {
+      type: String,
+      enum: {
+        values: Object.values(MATCH_ACTIONS),
+        message: 'Invalid match action',
+      },
+      default: null,
+    },
+
+    builderActionAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * When the match first appeared in each side's daily drop
+     * Matches already handed out only come back through rollover
+     */
+    founderDroppedAt: {
+      type: Date,
+      default: null,
+    },
+
+    builderDroppedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Both sides liked the match
+     */
+    isMutual: {
+      type: Boolean,
+      default: false,
+    },
+
     // ==========================================
     // CONVERSATION
     // ==========================================
@@ -356,6 +486,62 @@ const matchSchema = new Schema(
       default: null,
     },
 
+    // ==========================================
+    // EXPIRY
+    // ==========================================
+
+    /**
+     * When the match was expired (status EXPIRED)
+     */
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiryReason: {
+      type: String,
+      enum: {
+        values: Object.values(MATCH_EXPIRY_REASONS),
+        message: 'Invalid expiry reason',
+      },
+      default: null,
+    },
+
+    /**
+     * Reminders sent while a mutual match had no conversation
+     */
+    nudgeCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastNudgedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Hashes of both profiles' matching data when the match expired
+     * The match can resurface once both have changed
+     */
+    expiryFingerprints: {
+      founder: { type: String, default: null },
+      builder: { type: String, default: null },
+    },
+
+    /**
+     * Times the match came back after expiring
+     */
+    resurfacedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    resurfacedAt: {
+      type: Date,
+      default: null,
+    },
+
     // ==========================================
     // FEEDBACK
     // ==========================================
@@ -496,6 +682,13 @@ matchSchema.index({ status: 1, matchedAt: -1 });
 matchSchema.index({ outcome: 1 });
 matchSchema.index({ lastActivityAt: -1 });
 matchSchema.index({ isSuccessfulHire: 1 });
+matchSchema.index({ weightProfileVersion: 1 });
+matchSchema.index({ founder: 1, founderActionAt: -1 });
+matchSchema.index({ builder: 1, builderActionAt: -1 });
+matchSchema.index({ opening: 1, founderDroppedAt: 1 });
+matchSchema.index({ builder: 1, builderDroppedAt: 1 });
+matchSchema.index({ status: 1, lastActivityAt: 1 });
+matchSchema.index({ status: 1, expiredAt: 1 });
 
 // ============================================
 // VIRTUAL FIELDS
@@ -1047,6 +1240,47 @@ matchSchema.statics.getInactiveMatches = function (inactiveDays = 7) {
     .populate('builder', 'name email');
 };
 
+/**
+ * Get PENDING/LIKED matches nobody has acted on for X days
+ * @param {number} inactiveDays - Days of inactivity threshold
+ * @returns {Query}
+ */
+matchSchema.statics.getStalePendingMatches = function (inactiveDays = 14) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - inactiveDays);
+
+  return this.find({
+    status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] },
+    lastActivityAt: { $lt: cutoffDate },
+  });
+};
+
+/**
+ * Get mutual matches where neither side has started the conversation
+ * @returns {Query}
+ */
+matchSchema.statics.getUnstartedMutualMatches = function () {
+  return this.find({
+    status: MATCH_STATUS.MUTUAL,
+    conversationStarted: false,
+  });
+};
+
+/**
+ * Get expired matches old enough to be reconsidered
+ * @param {number} expiredDays - Days since expiry
+ * @returns {Query}
+ */
+matchSchema.statics.getResurfaceCandidates = function (expiredDays = 30) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - expiredDays);
+
+  return this.find({
+    status: MATCH_STATUS.EXPIRED,
+    expiredAt: { $lt: cutoffDate },
+  });
+};
+
 /**
  * Get platform-wide match statistics
  * @returns {Promise<Object>}
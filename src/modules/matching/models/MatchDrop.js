@@ -0,0 +1,228 @@
+/**
+ * @fileoverview MatchDrop model - A user's stored daily set of matches
+ *
+ * One document per user, side and day:
+ * - The matches handed out that day, sized by subscription tier
+ * - Which of them rolled over unseen from the previous drop
+ * - When the next drop becomes available
+ *
+ * Repeated requests during the day return the same drop.
+ *
+ * @module models/MatchDrop
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ============================================
+// ENUMS
+// ============================================
+
+/**
+ * Which side of matching the drop is for (a user can hold both profiles)
+ */
+const DROP_SIDES = Object.freeze({
+  FOUNDER: 'FOUNDER',
+  BUILDER: 'BUILDER',
+});
+
+/**
+ * How a match got into the drop
+ */
+const DROP_ITEM_SOURCES = Object.freeze({
+  FRESH: 'FRESH',
+  ROLLOVER: 'ROLLOVER',
+});
+
+/**
+ * What happens to matches the user didn't act on before the next drop
+ * NONE       - they expire from the drop
+ * CARRY_OVER - they come back first and count against the new day's quota
+ * BONUS      - they come back on top of the new day's quota
+ */
+const ROLLOVER_POLICIES = Object.freeze({
+  NONE: 'NONE',
+  CARRY_OVER: 'CARRY_OVER',
+  BONUS: 'BONUS',
+});
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Drop item sub-schema
+ */
+const dropItemSchema = new Schema(
+  {
+    match: {
+      type: Schema.Types.ObjectId,
+      ref: 'Match',
+      required: true,
+    },
+
+    source: {
+      type: String,
+      enum: Object.values(DROP_ITEM_SOURCES),
+      default: DROP_ITEM_SOURCES.FRESH,
+    },
+
+    /**
+     * Consecutive drops this match has rolled over into
+     */
+    rolloverCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const matchDropSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+
+    side: {
+      type: String,
+      enum: Object.values(DROP_SIDES),
+      required: [true, 'Drop side is required'],
+    },
+
+    /**
+     * Start of the drop day (the drop time in the user's timezone)
+     */
+    windowStart: {
+      type: Date,
+      required: [true, 'Window start is required'],
+    },
+
+    /**
+     * When the next drop becomes available
+     */
+    windowEnd: {
+      type: Date,
+      required: [true, 'Window end is required'],
+    },
+
+    /**
+     * Timezone the drop day was computed in
+     */
+    timezone: {
+      type: String,
+      default: null,
+    },
+
+    /**
+     * Subscription tier when the drop was made
+     */
+    tier: {
+      type: String,
+      required: [true, 'Tier is required'],
+    },
+
+    /**
+     * Daily match limit for the tier
+     */
+    quota: {
+      type: Number,
+      required: [true, 'Quota is required'],
+      min: 0,
+    },
+
+    rolloverPolicy: {
+      type: String,
+      enum: Object.values(ROLLOVER_POLICIES),
+      default: ROLLOVER_POLICIES.CARRY_OVER,
+    },
+
+    /**
+     * Matches in display order (rolled-over matches first)
+     */
+    items: {
+      type: [dropItemSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// One drop per user, side and day
+matchDropSchema.index({ user: 1, side: 1, windowStart: 1 }, { unique: true });
+
+// Drops only matter for a few days (rollover looks one back)
+matchDropSchema.index({ windowEnd: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Get the drop covering a point in time
+ * @param {string} userId - User ID
+ * @param {string} side - DROP_SIDES value
+ * @param {Date} [at=new Date()] - Point in time
+ * @returns {Promise<MatchDrop|null>}
+ */
+matchDropSchema.statics.findCurrent = function (userId, side, at = new Date()) {
+  return this.findOne({
+    user: userId,
+    side,
+    windowStart: { $lte: at },
+    windowEnd: { $gt: at },
+  });
+};
+
+/**
+ * Get the most recent drop that started before a given time
+ * @param {string} userId - User ID
+ * @param {string} side - DROP_SIDES value
+ * @param {Date} before - Start of the current drop day
+ * @returns {Promise<MatchDrop|null>}
+ */
+matchDropSchema.statics.findPrevious = function (userId, side, before) {
+  return this.findOne({
+    user: userId,
+    side,
+    windowStart: { $lt: before },
+  }).sort({ windowStart: -1 });
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const MatchDrop = mongoose.model('MatchDrop', matchDropSchema);
+
+module.exports = {
+  MatchDrop,
+  DROP_SIDES,
+  DROP_ITEM_SOURCES,
+  ROLLOVER_POLICIES,
+};
@@ -0,0 +1,234 @@
+/**
+ * @fileoverview MatchGenerationRun model - Nightly match generation checkpoints
+ *
+ * One document per nightly run:
+ * - Which pairs the run rescored (FULL or INCREMENTAL since the last run)
+ * - A cursor over openings so an interrupted run resumes where it stopped
+ * - Counters for monitoring, and which openings failed and why
+ *
+ * @module models/MatchGenerationRun
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ============================================
+// ENUMS
+// ============================================
+
+/**
+ * Run lifecycle status
+ */
+const RUN_STATUS = Object.freeze({
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+});
+
+/**
+ * Which pairs a run rescores
+ * FULL        - every opening against every eligible builder
+ * INCREMENTAL - only pairs where either side changed since the last completed run
+ */
+const RUN_MODE = Object.freeze({
+  FULL: 'FULL',
+  INCREMENTAL: 'INCREMENTAL',
+});
+
+/**
+ * Most failed openings kept per run (openingErrors keeps counting past it)
+ */
+const MAX_FAILED_OPENINGS = 100;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Run counters sub-schema
+ */
+const countersSchema = new Schema(
+  {
+    openingsProcessed: { type: Number, default: 0 },
+    pairsScored: { type: Number, default: 0 },
+    pairsSkipped: { type: Number, default: 0 },
+    matchesCreated: { type: Number, default: 0 },
+    matchesUpdated: { type: Number, default: 0 },
+    openingErrors: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Failed opening sub-schema
+ */
+const failedOpeningSchema = new Schema(
+  {
+    openingId: { type: Schema.Types.ObjectId, ref: 'Opening', required: true },
+    error: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const matchGenerationRunSchema = new Schema(
+  {
+    /**
+     * Current status
+     */
+    status: {
+      type: String,
+      enum: Object.values(RUN_STATUS),
+      default: RUN_STATUS.RUNNING,
+    },
+
+    /**
+     * FULL or INCREMENTAL
+     */
+    mode: {
+      type: String,
+      enum: Object.values(RUN_MODE),
+      required: [true, 'Run mode is required'],
+    },
+
+    /**
+     * Change cutoff for INCREMENTAL runs
+     * Start time of the previous completed run (null for FULL runs)
+     */
+    since: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Weight profile the whole run scores with (kept on resume)
+     */
+    weightProfileVersion: {
+      type: Number,
+      required: [true, 'Weight profile version is required'],
+    },
+
+    /**
+     * Last opening fully processed (openings are walked in _id order)
+     */
+    cursor: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+
+    /**
+     * Progress counters
+     */
+    counters: {
+      type: countersSchema,
+      default: () => ({}),
+    },
+
+    /**
+     * Openings that could not be processed (first MAX_FAILED_OPENINGS)
+     */
+    failedOpenings: {
+      type: [failedOpeningSchema],
+      default: [],
+    },
+
+    /**
+     * Number of times the run was resumed after an interruption
+     */
+    resumeCount: {
+      type: Number,
+      default: 0,
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /**
+     * Last checkpoint write - a RUNNING run with a stale heartbeat was interrupted
+     */
+    heartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Failure message (FAILED runs)
+     */
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+matchGenerationRunSchema.index({ status: 1, startedAt: -1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Get the most recent completed run
+ * @returns {Promise<MatchGenerationRun|null>}
+ */
+matchGenerationRunSchema.statics.findLastCompleted = function () {
+  return this.findOne({ status: RUN_STATUS.COMPLETED }).sort({ startedAt: -1 });
+};
+
+/**
+ * Get the most recent run that did not complete (RUNNING or FAILED)
+ * Only counts if no run has completed after it
+ * @returns {Promise<MatchGenerationRun|null>}
+ */
+matchGenerationRunSchema.statics.findUnfinished = async function () {
+  const latest = await this.findOne().sort({ startedAt: -1 });
+
+  if (!latest || latest.status === RUN_STATUS.COMPLETED) {
+    return null;
+  }
+
+  return latest;
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const MatchGenerationRun = mongoose.model('MatchGenerationRun', matchGenerationRunSchema);
+
+module.exports = {
+  MatchGenerationRun,
+  RUN_STATUS,
+  RUN_MODE,
+  MAX_FAILED_OPENINGS,
+};
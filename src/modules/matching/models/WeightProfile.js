@@ -0,0 +1,237 @@
+/**
+ * @fileoverview WeightProfile model - Versioned matching algorithm weights
+ *
+ * Stores the factor weights used by the matching algorithm:
+ * - Immutable, numbered versions (one per tuning change)
+ * - Exactly one active profile at a time
+ * - Activation history for rollback
+ *
+ * Every Match records the version of the profile that scored it,
+ * so scores can always be traced back to the formula that produced them.
+ *
+ * @module models/WeightProfile
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ============================================
+// WEIGHT FACTORS
+// ============================================
+
+/**
+ * Scoring factors that carry a weight (must sum to 1.0)
+ */
+const WEIGHT_FACTORS = Object.freeze([
+  'compensation',
+  'commitment',
+  'stage',
+  'skills',
+  'scenario',
+  'geography',
+]);
+
+/**
+ * Allowed drift when checking that weights sum to 1.0
+ */
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Factor weights sub-schema
+ */
+const weightsSchema = new Schema(
+  WEIGHT_FACTORS.reduce((fields, factor) => {
+    fields[factor] = {
+      type: Number,
+      required: [true, `Weight for ${factor} is required`],
+      min: [0, `Weight for ${factor} cannot be negative`],
+      max: [1, `Weight for ${factor} cannot exceed 1`],
+    };
+    return fields;
+  }, {}),
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const weightProfileSchema = new Schema(
+  {
+    /**
+     * Sequential version number (1, 2, 3...)
+     */
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1,
+    },
+
+    /**
+     * Short label for the profile
+     */
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Why this profile was created (what was tuned)
+     */
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+
+    /**
+     * Factor weights
+     */
+    weights: {
+      type: weightsSchema,
+      required: [true, 'Weights are required'],
+    },
+
+    /**
+     * Whether this profile is currently used for scoring
+     */
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Version that was active before this one was activated
+     * Used as the rollback target
+     */
+    previousVersion: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Admin who created the profile (null for the built-in seed)
+     */
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * Last activation
+     */
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    activatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * Last deactivation (replaced by another profile)
+     */
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+weightProfileSchema.index({ version: 1 }, { unique: true });
+
+// At most one active profile
+weightProfileSchema.index(
+  { isActive: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Ensure weights sum to 1.0
+ */
+weightProfileSchema.pre('validate', function (next) {
+  if (this.weights) {
+    const total = WEIGHT_FACTORS.reduce((sum, factor) => sum + (this.weights[factor] || 0), 0);
+
+    if (Math.abs(total - 1) > WEIGHT_SUM_TOLERANCE) {
+      this.invalidate('weights', `Weights must sum to 1.0 (got ${total.toFixed(3)})`);
+    }
+  }
+
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Get the currently active profile
+ * @returns {Promise<WeightProfile|null>}
+ */
+weightProfileSchema.statics.findActive = function () {
+  return this.findOne({ isActive: true });
+};
+
+/**
+ * Find a profile by version number
+ * @param {number} version - Profile version
+ * @returns {Promise<WeightProfile|null>}
+ */
+weightProfileSchema.statics.findByVersion = function (version) {
+  return this.findOne({ version });
+};
+
+/**
+ * Get the next free version number
+ * @returns {Promise<number>}
+ */
+weightProfileSchema.statics.getNextVersion = async function () {
+  const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version + 1 : 1;
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const WeightProfile = mongoose.model('WeightProfile', weightProfileSchema);
+
+module.exports = {
+  WeightProfile,
+  WEIGHT_FACTORS,
+};
@@ -24,7 +24,7 @@ const {
 
 /**
  * @route   GET /api/v1/matches/algorithm-info
- * @desc    Get matching algorithm weights and thresholds
+ * @desc    Get active weight profile version, weights and thresholds
  * @access  Private
  */
 router.get('/algorithm-info', auth, matchingController.getAlgorithmInfo);
@@ -35,9 +35,9 @@ router.get('/algorithm-info', auth, matchingController.getAlgorithmInfo);
 
 /**
  * @route   GET /api/v1/matches/daily/founder
- * @desc    Get daily matches for current founder
+ * @desc    Get today's match drop for current founder (sized by subscription tier)
  * @access  Private (Founders only)
- * @query   { limit?: number }
+ * @query   { personalize?: 'false' }
  */
 router.get(
   '/daily/founder',
@@ -48,9 +48,9 @@ router.get(
 
 /**
  * @route   GET /api/v1/matches/daily/builder
- * @desc    Get daily matches for current builder
+ * @desc    Get today's match drop for current builder (sized by subscription tier)
  * @access  Private (Builders only, requires complete profile)
- * @query   { limit?: number }
+ * @query   { personalize?: 'false' }
  */
 router.get(
   '/daily/builder',
@@ -122,6 +122,7 @@ router.post(
  * @route   POST /api/v1/matches/admin/run-nightly
  * @desc    Trigger nightly match generation job
  * @access  Private (Admin only)
+ * @body    { full?: boolean }
  */
 router.post(
   '/admin/run-nightly',
@@ -130,6 +131,81 @@ router.post(
   matchingController.runNightlyMatchGeneration
 );
 
+/**
+ * @route   GET /api/v1/matches/admin/generation-runs
+ * @desc    List recent nightly match generation runs
+ * @access  Private (Admin only)
+ * @query   { limit?: number }
+ */
+router.get(
+  '/admin/generation-runs',
+  auth,
+  requireAdmin,
+  matchingController.listMatchGenerationRuns
+);
+
+/**
+ * @route   GET /api/v1/matches/admin/weight-profiles
+ * @desc    List matching weight profiles
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/admin/weight-profiles',
+  auth,
+  requireAdmin,
+  matchingController.listWeightProfiles
+);
+
+/**
+ * @route   POST /api/v1/matches/admin/weight-profiles
+ * @desc    Create a new weight profile
+ * @access  Private (Admin only)
+ * @body    { name, description?, weights: { compensation, commitment, stage, skills, scenario, geography }, activate? }
+ */
+router.post(
+  '/admin/weight-profiles',
+  auth,
+  requireAdmin,
+  matchingController.createWeightProfile
+);
+
+/**
+ * @route   POST /api/v1/matches/admin/weight-profiles/rollback
+ * @desc    Roll back to the previously active weight profile
+ * @access  Private (Admin only)
+ * @body    { version?: number }
+ */
+router.post(
+  '/admin/weight-profiles/rollback',
+  auth,
+  requireAdmin,
+  matchingController.rollbackWeightProfile
+);
+
+/**
+ * @route   GET /api/v1/matches/admin/weight-profiles/:version
+ * @desc    Get a weight profile by version
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/admin/weight-profiles/:version',
+  auth,
+  requireAdmin,
+  matchingController.getWeightProfile
+);
+
+/**
+ * @route   POST /api/v1/matches/admin/weight-profiles/:version/activate
+ * @desc    Activate a weight profile
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/admin/weight-profiles/:version/activate',
+  auth,
+  requireAdmin,
+  matchingController.activateWeightProfile
+);
+
 // ============================================
 // MATCH ACTIONS (Must be after named routes)
 // ============================================
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Match Expiry Service
+ *
+ * Keeps the match pool fresh:
+ * - PENDING/LIKED matches nobody acts on expire
+ * - Mutual matches with no conversation get nudges, then are archived
+ * - Expired pairs resurface once both profiles have changed materially
+ *
+ * "Changed materially" means the profile's matching data (getMatchingData)
+ * hashes differently than when the match expired.
+ *
+ * @module services/expiry
+ */
+
+const crypto = require('crypto');
+const {
+  Match,
+  FounderProfile,
+  BuilderProfile,
+  Opening,
+  Conversation,
+} = require('../../models');
+const { MATCH_STATUS, MATCH_EXPIRY_REASONS } = require('../../../shared/constants');
+const matchingService = require('./matching.service');
+const skillService = require('../../skill/services/skill.service');
+const notificationService = require('../../notification/services/notification.service');
+const logger = require('../../../shared/utils/logger');
+const { config } = require('../../../shared/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Hash a profile's matching data
+ *
+ * @param {Object|null} profile - FounderProfile or BuilderProfile document
+ * @returns {string|null} Hex digest, or null if the profile is gone
+ */
+const getProfileFingerprint = (profile) => {
+  if (!profile) return null;
+
+  const { id, userId, ...matchingData } = profile.getMatchingData();
+
+  return crypto.createHash('sha1').update(JSON.stringify(matchingData)).digest('hex');
+};
+
+/**
+ * Load both profiles for a batch of matches
+ *
+ * @param {Object[]} matches - Match documents
+ * @returns {Promise<Object>} { founders, builders } Maps of profile ID -> document
+ */
+const loadProfiles = async (matches) => {
+  const [founderProfiles, builderProfiles] = await Promise.all([
+    FounderProfile.find({ _id: { $in: matches.map((match) => match.founderProfile) } }),
+    BuilderProfile.find({ _id: { $in: matches.map((match) => match.builderProfile) } }),
+  ]);
+
+  return {
+    founders: new Map(founderProfiles.map((profile) => [profile._id.toString(), profile])),
+    builders: new Map(builderProfiles.map((profile) => [profile._id.toString(), profile])),
+  };
+};
+
+/**
+ * Fingerprints of both profiles in a match
+ *
+ * @param {Object} match - Match document
+ * @param {Object} profiles - Result of loadProfiles
+ * @returns {Object} { founder, builder }
+ */
+const fingerprintMatch = (match, profiles) => ({
+  founder: getProfileFingerprint(profiles.founders.get(match.founderProfile.toString())),
+  builder: getProfileFingerprint(profiles.builders.get(match.builderProfile.toString())),
+});
+
+/**
+ * Update that moves a match to EXPIRED
+ *
+ * @param {string} reason - MATCH_EXPIRY_REASONS value
+ * @param {Object} fingerprints - { founder, builder }
+ * @param {Date} now - Expiry time
+ * @param {Object} [extra={}] - Other fields to set
+ * @returns {Object} Update document
+ */
+const buildExpiryUpdate = (reason, fingerprints, now, extra = {}) => ({
+  $set: {
+    ...extra,
+    status: MATCH_STATUS.EXPIRED,
+    expiredAt: now,
+    expiryReason: reason,
+    expiryFingerprints: fingerprints,
+  },
+  $push: {
+    statusHistory: { status: MATCH_STATUS.EXPIRED, changedAt: now, reason },
+  },
+});
+
+// ============================================
+// PENDING EXPIRY
+// ============================================
+
+/**
+ * Expire PENDING/LIKED matches with no activity for config.matching.expiry.pendingDays
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Matches expired
+ */
+const expireStalePendingMatches = async (now = new Date()) => {
+  const { pendingDays, batchSize } = config.matching.expiry;
+  let expired = 0;
+
+  // Expired matches drop out of the query, so each batch starts from the top
+  for (;;) {
+    const matches = await Match.getStalePendingMatches(pendingDays)
+      .select('founderProfile builderProfile')
+      .limit(batchSize);
+
+    if (matches.length === 0) break;
+
+    const profiles = await loadProfiles(matches);
+    const operations = matches.map((match) => ({
+      updateOne: {
+        filter: { _id: match._id, status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] } },
+        update: buildExpiryUpdate(MATCH_EXPIRY_REASONS.NO_ACTION, fingerprintMatch(match, profiles), now),
+      },
+    }));
+
+    const result = await Match.bulkWrite(operations, { ordered: false });
+    expired += result.modifiedCount;
+
+    if (matches.length < batchSize) break;
+  }
+
+  return expired;
+};
+
+// ============================================
+// MUTUAL MATCHES WITHOUT A CONVERSATION
+// ============================================
+
+/**
+ * Notify both sides of a match
+ *
+ * @param {Object} match - Match with founder, builder and opening populated
+ * @param {Function} notify - Notification creator
+ * @param {Object} [extra={}] - Extra notification params
+ * @returns {Promise<void>}
+ */
+const notifyBothSides = async (match, notify, extra = {}) => {
+  await notify({ userId: match.founder._id, otherUser: match.builder, match, opening: match.opening, ...extra });
+  await notify({ userId: match.builder._id, otherUser: match.founder, match, opening: match.opening, ...extra });
+};
+
+/**
+ * Nudge, then archive, mutual matches where nobody has started talking
+ * Matches whose pair already has a conversation are linked to it instead
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object>} { nudged, archived, linked }
+ */
+const processUnstartedMutualMatches = async (now = new Date()) => {
+  const { nudgeDays, archiveDays } = config.matching.expiry;
+  const counters = { nudged: 0, archived: 0, linked: 0 };
+
+  const cursor = Match.getUnstartedMutualMatches()
+    .populate('founder', 'name avatarUrl')
+    .populate('builder', 'name avatarUrl')
+    .populate('opening', 'title')
+    .cursor();
+
+  for await (const match of cursor) {
+    try {
+      if (!match.founder || !match.builder || !match.opening) continue;
+
+      const conversation = await Conversation.findOne({
+        participants: { $all: [match.founder._id, match.builder._id] },
+      }).select('_id');
+
+      if (conversation) {
+        await match.linkConversation(conversation._id);
+        await match.save();
+        counters.linked++;
+        continue;
+      }
+
+      const daysSinceMatch = Math.floor((now - match.matchedAt) / DAY_MS);
+
+      if (daysSinceMatch >= archiveDays) {
+        const profiles = await loadProfiles([match]);
+        await Match.updateOne(
+          { _id: match._id, status: MATCH_STATUS.MUTUAL },
+          buildExpiryUpdate(MATCH_EXPIRY_REASONS.NO_CONVERSATION, fingerprintMatch(match, profiles), now, {
+            outcome: 'INACTIVE',
+            outcomeRecordedAt: now,
+          })
+        );
+        await notifyBothSides(match, notificationService.notifyMatchExpired);
+        counters.archived++;
+        continue;
+      }
+
+      const nextNudgeDay = nudgeDays[match.nudgeCount];
+
+      if (nextNudgeDay !== undefined && daysSinceMatch >= nextNudgeDay) {
+        await Match.updateOne(
+          { _id: match._id },
+          { $inc: { nudgeCount: 1 }, $set: { lastNudgedAt: now } }
+        );
+        await notifyBothSides(match, notificationService.notifyMatchNudge, {
+          daysLeft: archiveDays - daysSinceMatch,
+        });
+        counters.nudged++;
+      }
+    } catch (error) {
+      logger.warn('Error processing unstarted mutual match', {
+        matchId: match._id,
+        error: error.message,
+      });
+    }
+  }
+
+  return counters;
+};
+
+// ============================================
+// RESURFACING
+// ============================================
+
+/**
+ * Bring back expired matches once both profiles have changed
+ * The pair is rescored first and only returns if it still passes the hard
+ * filters and scores at least config.matching.expiry.resurfaceMinScore.
+ * Pairs that changed but no longer fit keep the new fingerprints, so they
+ * are only reconsidered after the next change.
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object>} { resurfaced, rescoredOnly }
+ */
+const resurfaceExpiredMatches = async (now = new Date()) => {
+  const { resurfaceAfterDays, resurfaceMinScore, batchSize } = config.matching.expiry;
+  const counters = { resurfaced: 0, rescoredOnly: 0 };
+
+  const [weightProfile, skillGraph] = await Promise.all([
+    matchingService.getActiveWeightProfile(),
+    skillService.getSkillGraph(),
+  ]);
+
+  let lastId = null;
+
+  for (;;) {
+    const query = Match.getResurfaceCandidates(resurfaceAfterDays);
+    if (lastId) query.where('_id').gt(lastId);
+
+    const matches = await query.sort({ _id: 1 }).limit(batchSize);
+    if (matches.length === 0) break;
+
+    lastId = matches[matches.length - 1]._id;
+
+    const profiles = await loadProfiles(matches);
+    const openings = await Opening.find({
+      _id: { $in: matches.map((match) => match.opening) },
+      status: 'ACTIVE',
+    });
+    const openingsById = new Map(openings.map((opening) => [opening._id.toString(), opening]));
+
+    for (const match of matches) {
+      const founderProfile = profiles.founders.get(match.founderProfile.toString());
+      const builderProfile = profiles.builders.get(match.builderProfile.toString());
+      const opening = openingsById.get(match.opening.toString());
+
+      if (!founderProfile || !builderProfile || !opening) continue;
+
+      const fingerprints = fingerprintMatch(match, profiles);
+      const bothChanged =
+        fingerprints.founder !== match.expiryFingerprints?.founder &&
+        fingerprints.builder !== match.expiryFingerprints?.builder;
+
+      if (!bothChanged) continue;
+
+      try {
+        const compatibility = await matchingService.calculateCompatibility(
+          opening,
+          founderProfile,
+          builderProfile,
+          match.founder,
+          match.builder,
+          { weightProfile, skillGraph }
+        );
+
+        if (!compatibility.passes || compatibility.score < resurfaceMinScore) {
+          await Match.updateOne({ _id: match._id }, { $set: { expiryFingerprints: fingerprints } });
+          counters.rescoredOnly++;
+          continue;
+        }
+
+        match.set({
+          status: MATCH_STATUS.PENDING,
+          compatibilityScore: compatibility.score,
+          scoreBreakdown: compatibility.breakdown,
+          explanation: compatibility.explanation,
+          weightProfileVersion: compatibility.weightProfileVersion,
+          founderAction: null,
+          founderActionAt: null,
+          builderAction: null,
+          builderActionAt: null,
+          founderDroppedAt: null,
+          builderDroppedAt: null,
+          isMutual: false,
+          outcome: 'PENDING',
+          expiredAt: null,
+          expiryReason: null,
+          expiryFingerprints: { founder: null, builder: null },
+          nudgeCount: 0,
+          lastNudgedAt: null,
+          resurfacedAt: now,
+        });
+        match.resurfacedCount += 1;
+        await match.save();
+
+        counters.resurfaced++;
+      } catch (error) {
+        logger.warn('Error resurfacing match', {
+          matchId: match._id,
+          error: error.message,
+        });
+      }
+    }
+
+    if (matches.length < batchSize) break;
+  }
+
+  return counters;
+};
+
+// ============================================
+// RUN
+// ============================================
+
+/**
+ * Run every expiry step
+ *
+ * @returns {Promise<Object>} Counters from each step
+ */
+const runMatchExpiry = async () => {
+  const now = new Date();
+
+  const expired = await expireStalePendingMatches(now);
+  const mutual = await processUnstartedMutualMatches(now);
+  const resurfacing = await resurfaceExpiredMatches(now);
+
+  const result = { expired, ...mutual, ...resurfacing };
+
+  logger.info('Match expiry completed', result);
+
+  return result;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  runMatchExpiry,
+  expireStalePendingMatches,
+  processUnstartedMutualMatches,
+  resurfaceExpiredMatches,
+  getProfileFingerprint,
+};
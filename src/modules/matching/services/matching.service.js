@@ -6,10 +6,19 @@
  * - Soft scoring factors
  * - Compatibility calculation
  * - Daily match generation
+ * - Daily drops sized by subscription tier, with rollover
  * 
  * Match Score Formula:
- * Score = (Compensation × 0.30) + (Commitment × 0.20) + (Stage × 0.15) + 
- *         (Skills × 0.15) + (Scenario × 0.10) + (Geography × 0.10)
+ * OpeningFit = (Compensation × w1) + (Commitment × w2) + (Stage × w3) + 
+ *              (Skills × w4) + (Scenario × w5) + (Geography × w6)
+ * Score = OpeningFit × (1 - b) + BuilderFit × b
+ * 
+ * BuilderFit scores the opening against what the builder wants (industry,
+ * stage, cash, duration, role); b is config.matching.mutualFit.builderFitWeight,
+ * or 0 when the builder has declared no preferences.
+ * 
+ * Weights come from the active, versioned WeightProfile. The PRD defaults
+ * (0.30/0.20/0.15/0.15/0.10/0.10) live in config.matching.weights and seed v1.
  * 
  * @module services/matching
  */
@@ -21,8 +30,19 @@ const {
     Opening, 
     Match,
     ScenarioResponse,
+    WeightProfile,
+    WEIGHT_FACTORS,
+    MatchGenerationRun,
+    RUN_STATUS,
+    RUN_MODE,
+    MAX_FAILED_OPENINGS,
+    MatchDrop,
+    DROP_SIDES,
+    DROP_ITEM_SOURCES,
+    ROLLOVER_POLICIES,
   } = require('../../models');
 const { ApiError } = require('../../../shared/utils');
+const { SCENARIO_RELATIONS } = require('../../../shared/utils/scenarioBank');
 const { 
     MATCH_STATUS,
     MATCH_ACTIONS,
@@ -31,25 +51,26 @@ const {
     COMPENSATION_TYPES,
     ROLE_TYPES,
     REMOTE_PREFERENCES,
+    DURATION_PREFERENCES,
   } = require('../../../shared/constants');
 const profileService = require('../../profile/services/profile.service');
+const preferenceService = require('./preference.service');
+const skillService = require('../../skill/services/skill.service');
+const blockService = require('../../moderation/services/block.service');
 const logger = require('../../../shared/utils/logger');
+const { config } = require('../../../shared/config');
+const { EMPTY_SKILL_GRAPH, matchSkills: matchSkillsWithGraph } = require('../../../shared/utils/skillGraph');
+const { calculateOverlapHours, getDailyWindow, isValidTimezone } = require('../../../shared/utils/timezone');
   
   // ============================================
   // CONSTANTS & WEIGHTS
   // ============================================
   
   /**
-   * Matching algorithm weights per PRD Section 8.4
+   * Default matching algorithm weights per PRD Section 8.4
+   * Used to seed weight profile v1 when none exists
    */
-  const WEIGHTS = {
-    COMPENSATION: 0.30,
-    COMMITMENT: 0.20,
-    STAGE: 0.15,
-    SKILLS: 0.15,
-    SCENARIO: 0.10,
-    GEOGRAPHY: 0.10,
-  };
+  const DEFAULT_WEIGHTS = Object.freeze({ ...config.matching.weights });
   
   /**
    * Stage compatibility matrix per PRD Section 8.4
@@ -81,6 +102,23 @@ const logger = require('../../../shared/utils/logger');
    */
   const MIN_COMMITMENT_RATIO = 0.4;
   
+  /**
+   * Weight of each builder preference within the builder-fit half of the score
+   * Renormalized over the preferences the builder has actually declared
+   */
+  const BUILDER_FIT_WEIGHTS = Object.freeze({
+    industry: 0.30,
+    stage: 0.25,
+    cash: 0.20,
+    duration: 0.15,
+    role: 0.10,
+  });
+  
+  /**
+   * Startup stages in order, for scoring "next stage over" as a near miss
+   */
+  const STAGE_ORDER = Object.freeze(Object.values(STARTUP_STAGES));
+  
   /**
    * Match score thresholds
    */
@@ -166,6 +204,20 @@ const logger = require('../../../shared/utils/logger');
       };
     }
     
+    // Filter 6: Timezone Overlap
+    // Opening sets a minimum overlap AND known working hours overlap less
+    const overlapHours = getWorkingHoursOverlap(founderProfile, builderProfile);
+    if (
+      opening.minTimezoneOverlapHours > 0 &&
+      overlapHours !== null &&
+      overlapHours < opening.minTimezoneOverlapHours
+    ) {
+      return {
+        passes: false,
+        reason: `Timezone mismatch: ${overlapHours}h of working-hours overlap, opening requires ${opening.minTimezoneOverlapHours}h`,
+      };
+    }
+    
     return { passes: true, reason: null };
   };
   
@@ -175,7 +227,7 @@ const logger = require('../../../shared/utils/logger');
   
   /**
    * Calculate compensation alignment score
-   * Per PRD Section 8.4 - Factor 1 (Weight: 30%)
+   * Per PRD Section 8.4 - Factor 1 (Default weight: 30%)
    * 
    * @param {Object} opening - Opening with equity/cash ranges
    * @param {Object} builderProfile - Builder's compensation openness
@@ -213,7 +265,7 @@ const logger = require('../../../shared/utils/logger');
   
   /**
    * Calculate commitment overlap score
-   * Per PRD Section 8.4 - Factor 2 (Weight: 20%)
+   * Per PRD Section 8.4 - Factor 2 (Default weight: 20%)
    * 
    * @param {Object} opening - Opening with hours requirement
    * @param {Object} builderProfile - Builder's availability
@@ -236,7 +288,7 @@ const logger = require('../../../shared/utils/logger');
   
   /**
    * Calculate stage compatibility score
-   * Per PRD Section 8.4 - Factor 3 (Weight: 15%)
+   * Per PRD Section 8.4 - Factor 3 (Default weight: 15%)
    * 
    * @param {Object} founderProfile - Founder's startup stage
    * @param {Object} builderProfile - Builder's risk appetite
@@ -256,41 +308,78 @@ const logger = require('../../../shared/utils/logger');
   
   /**
    * Calculate skill match score
-   * Per PRD Section 8.4 - Factor 4 (Weight: 15%)
+   * Per PRD Section 8.4 - Factor 4 (Default weight: 15%)
+   * 
+   * Related skills from the skill taxonomy earn partial credit, scaled by the
+   * builder's declared years with the skill against the years required.
    * 
    * @param {Object} opening - Opening with required skills
    * @param {Object} builderProfile - Builder's skills
+   * @param {Object} [skillGraph] - Skill taxonomy graph (defaults to exact/substring matching)
    * @returns {number} Score 0-100
    */
-  const calculateSkillScore = (opening, builderProfile) => {
-    const required = opening.skillsRequired || [];
-    const available = builderProfile.skills || [];
-    
-    if (required.length === 0) return 100; // No specific skills required
-    
-    // Case-insensitive comparison
-    const requiredLower = required.map(s => s.toLowerCase());
-    const availableLower = available.map(s => s.toLowerCase());
-    
-    const matched = requiredLower.filter(skill => 
-      availableLower.some(s => s.includes(skill) || skill.includes(s))
-    );
-    
-    const matchRatio = matched.length / required.length;
-    return Math.round(matchRatio * 100);
+  const calculateSkillScore = (opening, builderProfile, skillGraph = EMPTY_SKILL_GRAPH) => {
+    return matchSkills(opening, builderProfile, skillGraph).percentage;
+  };
+  
+  /**
+   * Split an opening's required skills into matched, related and missing
+   * 
+   * @param {Object} opening - Opening with required skills
+   * @param {Object} builderProfile - Builder's skills
+   * @param {Object} [skillGraph] - Skill taxonomy graph
+   * @returns {Object} { required, matched, related, missing, credit, percentage } (original casing)
+   */
+  const matchSkills = (opening, builderProfile, skillGraph = EMPTY_SKILL_GRAPH) => {
+    return matchSkillsWithGraph(opening.skillsRequired || [], builderProfile.skills || [], {
+      graph: skillGraph,
+      skillExperience: builderProfile.skillExperience,
+      experienceRequired: opening.experienceRequired,
+    });
   };
   
   /**
    * Calculate scenario compatibility score
-   * Per PRD Section 8.4 - Factor 5 (Weight: 10%)
+   * Per PRD Section 8.4 - Factor 5 (Default weight: 10%)
    * 
    * @param {string} founderId - Founder user ID
    * @param {string} builderId - Builder user ID
+   * @param {Map<string, Object>} [scenarioResponses] - Prefetched responses keyed by user ID
    * @returns {Promise<number>} Score 0-100
    */
-  const calculateScenarioScore = async (founderId, builderId) => {
-    const compatibility = await profileService.calculateScenarioCompatibility(founderId, builderId);
+  const calculateScenarioScore = async (founderId, builderId, scenarioResponses = null) => {
+    const compatibility = await compareScenarios(founderId, builderId, scenarioResponses);
+    
+    return scoreScenarioComparison(compatibility);
+  };
+  
+  /**
+   * Compare both users' scenario responses
+   * Uses the prefetched map when given, otherwise loads both responses
+   * 
+   * @param {string} founderId - Founder user ID
+   * @param {string} builderId - Builder user ID
+   * @param {Map<string, Object>} [scenarioResponses] - Prefetched responses keyed by user ID
+   * @returns {Promise<Object>} Scenario compatibility with per-scenario breakdown
+   */
+  const compareScenarios = async (founderId, builderId, scenarioResponses = null) => {
+    if (scenarioResponses) {
+      return profileService.compareScenarioResponses(
+        scenarioResponses.get(founderId.toString()),
+        scenarioResponses.get(builderId.toString())
+      );
+    }
     
+    return profileService.calculateScenarioCompatibility(founderId, builderId);
+  };
+  
+  /**
+   * Turn a scenario comparison into a factor score
+   * 
+   * @param {Object} compatibility - Result of compareScenarios
+   * @returns {number} Score 0-100
+   */
+  const scoreScenarioComparison = (compatibility) => {
     if (compatibility.score === null) {
       // If scenarios not completed, return neutral score
       return 50;
@@ -301,7 +390,7 @@ const logger = require('../../../shared/utils/logger');
   
   /**
    * Calculate geography score
-   * Per PRD Section 8.4 - Factor 6 (Weight: 10%)
+   * Per PRD Section 8.4 - Factor 6 (Default weight: 10%)
    * 
    * @param {Object} opening - Opening location preferences
    * @param {Object} builderProfile - Builder location
@@ -309,20 +398,81 @@ const logger = require('../../../shared/utils/logger');
    * @returns {number} Score 0-100
    */
   const calculateGeographyScore = (opening, builderProfile, founderProfile) => {
-    // Both prefer remote
-    if (
-      opening.remotePreference === REMOTE_PREFERENCES.REMOTE && 
-      builderProfile.remotePreference === REMOTE_PREFERENCES.REMOTE
-    ) {
-      return 100;
-    }
+    return assessGeography(opening, builderProfile, founderProfile).score;
+  };
+  
+  /**
+   * Describe a profile's working schedule for overlap calculations
+   * Profiles with a timezone but no working hours get the configured default hours
+   * 
+   * @param {Object} profile - Founder or builder profile
+   * @returns {Object|null} { timezone, workingHours } or null without a timezone
+   */
+  const getWorkingSchedule = (profile) => {
+    const timezone = profile?.location?.timezone;
+    if (!timezone) return null;
+    
+    const { start, end } = profile.workingHours || {};
+    
+    return {
+      timezone,
+      workingHours: start && end ? { start, end } : config.matching.timezone.defaultWorkingHours,
+    };
+  };
+  
+  /**
+   * Hours the founder and builder are both working on a typical day
+   * 
+   * @param {Object} founderProfile - Founder's profile
+   * @param {Object} builderProfile - Builder's profile
+   * @returns {number|null} Overlap in hours, or null if either timezone is unknown
+   */
+  const getWorkingHoursOverlap = (founderProfile, builderProfile) => {
+    const founderSchedule = getWorkingSchedule(founderProfile);
+    const builderSchedule = getWorkingSchedule(builderProfile);
+    
+    if (!founderSchedule || !builderSchedule) return null;
+    
+    return calculateOverlapHours(founderSchedule, builderSchedule);
+  };
+  
+  /**
+   * Work out which geography rule applies to a pair
+   * 
+   * Unless both are in the same city, work that isn't on-site is scored by
+   * hours of working-hours overlap once both sides have set a timezone.
+   * Location rules are the fallback when either timezone is unknown.
+   * 
+   * @param {Object} opening - Opening location preferences
+   * @param {Object} builderProfile - Builder location
+   * @param {Object} founderProfile - Founder location
+   * @returns {Object} { score, rule, place, overlapHours } - place is the shared city/country, if any
+   */
+  const assessGeography = (opening, builderProfile, founderProfile) => {
+    const overlapHours = getWorkingHoursOverlap(founderProfile, builderProfile);
     
     // Check city match
     const founderCity = founderProfile.location?.city?.toLowerCase();
     const builderCity = builderProfile.location?.city?.toLowerCase();
     
     if (founderCity && builderCity && founderCity === builderCity) {
-      return 100;
+      return { score: 100, rule: 'SAME_CITY', place: founderProfile.location.city, overlapHours };
+    }
+    
+    // Remote/hybrid: what matters is being online at the same time
+    if (overlapHours !== null && opening.remotePreference !== REMOTE_PREFERENCES.ONSITE) {
+      const { idealOverlapHours } = config.matching.timezone;
+      const score = Math.round(Math.min(1, overlapHours / idealOverlapHours) * 100);
+      
+      return { score, rule: 'TIMEZONE_OVERLAP', place: null, overlapHours };
+    }
+    
+    // Both prefer remote
+    if (
+      opening.remotePreference === REMOTE_PREFERENCES.REMOTE && 
+      builderProfile.remotePreference === REMOTE_PREFERENCES.REMOTE
+    ) {
+      return { score: 100, rule: 'BOTH_REMOTE', place: null, overlapHours };
     }
     
     // Same country
@@ -330,7 +480,7 @@ const logger = require('../../../shared/utils/logger');
     const builderCountry = builderProfile.location?.country?.toLowerCase();
     
     if (founderCountry && builderCountry && founderCountry === builderCountry) {
-      return 75;
+      return { score: 75, rule: 'SAME_COUNTRY', place: founderProfile.location.country, overlapHours };
     }
     
     // Both flexible (hybrid)
@@ -338,194 +488,866 @@ const logger = require('../../../shared/utils/logger');
       opening.remotePreference === REMOTE_PREFERENCES.HYBRID || 
       builderProfile.remotePreference === REMOTE_PREFERENCES.HYBRID
     ) {
-      return 50;
+      return { score: 50, rule: 'HYBRID', place: null, overlapHours };
     }
     
     // Different countries, different preferences
-    return 25;
+    return { score: 25, rule: 'DIFFERENT', place: null, overlapHours };
   };
   
   // ============================================
-  // MAIN MATCHING FUNCTIONS
+  // BUILDER FIT (WHAT THE BUILDER WANTS)
   // ============================================
   
   /**
-   * Calculate full compatibility score between an opening and a builder
+   * Does the startup's industry match the builder's preferred industries
    * 
-   * @param {Object} opening - Opening document
    * @param {Object} founderProfile - Founder's profile
-   * @param {Object} builderProfile - Builder's profile
-   * @param {string} founderId - Founder user ID
-   * @param {string} builderId - Builder user ID
-   * @returns {Promise<Object>} Match score and breakdown
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object|null} { score, text } or null if either side is unspecified
    */
-  const calculateCompatibility = async (opening, founderProfile, builderProfile, founderId, builderId) => {
-    // First apply hard filters
-    const hardFilterResult = applyHardFilters(opening, founderProfile, builderProfile);
+  const scoreIndustryFit = (founderProfile, builderProfile) => {
+    const preferred = builderProfile.preferredIndustries || [];
+    const industries = founderProfile.industry || [];
     
-    if (!hardFilterResult.passes) {
-      return {
-        score: 0,
-        passes: false,
-        reason: hardFilterResult.reason,
-        breakdown: null,
-      };
-    }
+    if (preferred.length === 0 || industries.length === 0) return null;
     
-    // Calculate individual scores
-    const compensationScore = calculateCompensationScore(opening, builderProfile);
-    const commitmentScore = calculateCommitmentScore(opening, builderProfile);
-    const stageScore = calculateStageScore(founderProfile, builderProfile);
-    const skillScore = calculateSkillScore(opening, builderProfile);
-    const scenarioScore = await calculateScenarioScore(founderId, builderId);
-    const geographyScore = calculateGeographyScore(opening, builderProfile, founderProfile);
+    const preferredLower = preferred.map(i => i.toLowerCase());
+    const shared = industries.filter(i => preferredLower.includes(i.toLowerCase()));
     
-    // Calculate weighted total
-    const totalScore = Math.round(
-      (compensationScore * WEIGHTS.COMPENSATION) +
-      (commitmentScore * WEIGHTS.COMMITMENT) +
-      (stageScore * WEIGHTS.STAGE) +
-      (skillScore * WEIGHTS.SKILLS) +
-      (scenarioScore * WEIGHTS.SCENARIO) +
-      (geographyScore * WEIGHTS.GEOGRAPHY)
+    return shared.length > 0
+      ? { score: 100, text: `Startup is in ${shared.join(', ')}, a preferred industry` }
+      : { score: 0, text: `Startup is in ${industries.join(', ')}, builder prefers ${preferred.join(', ')}` };
+  };
+  
+  /**
+   * Is the startup at a stage the builder wants to join
+   * One stage away from a preferred stage earns half credit
+   * 
+   * @param {Object} founderProfile - Founder's profile
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object|null} { score, text } or null if the builder has no preference
+   */
+  const scoreStagePreference = (founderProfile, builderProfile) => {
+    const preferred = builderProfile.preferredStages || [];
+    const stage = founderProfile.startupStage;
+    
+    if (preferred.length === 0 || !stage) return null;
+    
+    if (preferred.includes(stage)) {
+      return { score: 100, text: `Startup is at ${stage}, a preferred stage` };
+    }
+    
+    const distance = Math.min(
+      ...preferred.map(p => Math.abs(STAGE_ORDER.indexOf(p) - STAGE_ORDER.indexOf(stage)))
     );
     
-    // Determine match quality
-    let quality = 'WEAK';
-    if (totalScore >= SCORE_THRESHOLDS.EXCELLENT) quality = 'EXCELLENT';
-    else if (totalScore >= SCORE_THRESHOLDS.GOOD) quality = 'GOOD';
-    else if (totalScore >= SCORE_THRESHOLDS.FAIR) quality = 'FAIR';
+    return {
+      score: distance === 1 ? 50 : 0,
+      text: `Startup is at ${stage}, builder prefers ${preferred.join(', ')}`,
+    };
+  };
+  
+  /**
+   * Does the opening's cash reach the builder's expected minimum
+   * Only compared when both use the same currency
+   * 
+   * @param {Object} opening - Opening
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object|null} { score, text } or null if the builder expects no cash
+   */
+  const scoreCashExpectation = (opening, builderProfile) => {
+    const expected = builderProfile.expectedCashRange?.min || 0;
+    
+    if (expected === 0) return null;
+    if (
+      builderProfile.preferredCurrency &&
+      opening.cashCurrency &&
+      builderProfile.preferredCurrency !== opening.cashCurrency
+    ) {
+      return null;
+    }
+    
+    const offered = opening.cashRange?.max || 0;
     
     return {
-      score: totalScore,
-      passes: true,
-      quality,
-      breakdown: {
-        compensation: { score: compensationScore, weight: WEIGHTS.COMPENSATION, weighted: Math.round(compensationScore * WEIGHTS.COMPENSATION) },
-        commitment: { score: commitmentScore, weight: WEIGHTS.COMMITMENT, weighted: Math.round(commitmentScore * WEIGHTS.COMMITMENT) },
-        stage: { score: stageScore, weight: WEIGHTS.STAGE, weighted: Math.round(stageScore * WEIGHTS.STAGE) },
-        skills: { score: skillScore, weight: WEIGHTS.SKILLS, weighted: Math.round(skillScore * WEIGHTS.SKILLS) },
-        scenario: { score: scenarioScore, weight: WEIGHTS.SCENARIO, weighted: Math.round(scenarioScore * WEIGHTS.SCENARIO) },
-        geography: { score: geographyScore, weight: WEIGHTS.GEOGRAPHY, weighted: Math.round(geographyScore * WEIGHTS.GEOGRAPHY) },
-      },
+      score: Math.round(Math.min(1, offered / expected) * 100),
+      text: `Offers up to ${offered} cash, builder expects at least ${expected}`,
     };
   };
   
   /**
-   * Generate matches for a specific opening
+   * Does the opening's duration suit the builder
+   * PERMANENT openings count as LONG_TERM
    * 
-   * @param {string} openingId - Opening ID
-   * @param {Object} [options={}] - Options
-   * @param {number} [options.limit=50] - Max matches to generate
-   * @param {number} [options.minScore=60] - Minimum score to include
-   * @returns {Promise<Object[]>} Array of matches with scores
+   * @param {Object} opening - Opening
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object|null} { score, text } or null if either side is unspecified
    */
-  const generateMatchesForOpening = async (openingId, options = {}) => {
-    const { limit = 50, minScore = 60 } = options;
+  const scoreDurationFit = (opening, builderProfile) => {
+    const preferred = builderProfile.durationPreference;
+    const duration = opening.duration === 'PERMANENT' ? DURATION_PREFERENCES.LONG_TERM : opening.duration;
     
-    // Get opening with founder profile
-    const opening = await Opening.findById(openingId)
-      .populate('founder')
-      .populate('founderProfile');
+    if (!preferred || !duration) return null;
     
-    if (!opening) {
-      throw ApiError.notFound('Opening not found');
-    }
+    const fits = preferred === DURATION_PREFERENCES.FLEXIBLE ||
+      duration === DURATION_PREFERENCES.FLEXIBLE ||
+      preferred === duration;
     
-    if (opening.status !== 'ACTIVE') {
-      throw ApiError.badRequest('Opening is not active');
-    }
+    return fits
+      ? { score: 100, text: `${opening.duration} role suits a ${preferred} preference` }
+      : { score: 25, text: `${opening.duration} role, builder prefers ${preferred}` };
+  };
+  
+  /**
+   * Is the opening's role type one the builder is interested in
+   * 
+   * @param {Object} opening - Opening
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object|null} { score, text } or null if the builder listed no roles
+   */
+  const scoreRoleInterest = (opening, builderProfile) => {
+    const roles = builderProfile.rolesInterested || [];
     
-    // Get all eligible builders
-    const builderProfiles = await BuilderProfile.find({
-      isComplete: true,
-      isVisible: true,
-      isOpenToOpportunities: true,
-    }).populate('user');
+    if (roles.length === 0) return null;
     
-    const matches = [];
+    return roles.includes(opening.roleType)
+      ? { score: 100, text: `Interested in ${opening.roleType} roles` }
+      : { score: 0, text: `Opening is ${opening.roleType}, builder wants ${roles.join(', ')}` };
+  };
+  
+  /**
+   * Score how well the opening fits what the builder wants
+   * The other half of the mutual score: the soft factors score the builder
+   * against the opening, this scores the opening against the builder.
+   * 
+   * @param {Object} opening - Opening
+   * @param {Object} founderProfile - Founder's profile (stage, industry)
+   * @param {Object} builderProfile - Builder's preferences
+   * @returns {Object} { score, factors: { [factor]: { score, weight, text } } }
+   *   score is null when the builder has declared no preferences
+   */
+  const assessBuilderFit = (opening, founderProfile, builderProfile) => {
+    const assessed = {
+      industry: scoreIndustryFit(founderProfile, builderProfile),
+      stage: scoreStagePreference(founderProfile, builderProfile),
+      cash: scoreCashExpectation(opening, builderProfile),
+      duration: scoreDurationFit(opening, builderProfile),
+      role: scoreRoleInterest(opening, builderProfile),
+    };
     
-    for (const builderProfile of builderProfiles) {
-      // Skip if builder is the founder (dual profile case)
-      if (builderProfile.user._id.toString() === opening.founder._id.toString()) {
-        continue;
-      }
-      
-      try {
-        const compatibility = await calculateCompatibility(
-          opening,
-          opening.founderProfile,
-          builderProfile,
-          opening.founder._id,
-          builderProfile.user._id
-        );
-        
-        if (compatibility.passes && compatibility.score >= minScore) {
-          matches.push({
-            builder: builderProfile.user._id,
-            builderProfile: builderProfile._id,
-            compatibility,
-          });
-        }
-      } catch (error) {
-        logger.warn('Error calculating compatibility', {
-          openingId,
-          builderId: builderProfile.user._id,
-          error: error.message,
-        });
-      }
-    }
+    const declared = Object.keys(BUILDER_FIT_WEIGHTS).filter(factor => assessed[factor]);
+    const totalWeight = declared.reduce((sum, factor) => sum + BUILDER_FIT_WEIGHTS[factor], 0);
     
-    // Sort by score descending and limit
-    matches.sort((a, b) => b.compatibility.score - a.compatibility.score);
+    const factors = {};
+    declared.forEach((factor) => {
+      factors[factor] = {
+        ...assessed[factor],
+        weight: Math.round((BUILDER_FIT_WEIGHTS[factor] / totalWeight) * 100) / 100,
+      };
+    });
     
-    return matches.slice(0, limit);
+    const score = declared.length === 0
+      ? null
+      : Math.round(
+        declared.reduce((sum, factor) => sum + assessed[factor].score * BUILDER_FIT_WEIGHTS[factor], 0) / totalWeight
+      );
+    
+    return { score, factors };
   };
   
+  // ============================================
+  // MATCH EXPLANATIONS
+  // ============================================
+  
   /**
-   * Generate matches for a specific builder
+   * Factor scores at or above this are explained as reasons, below as caveats
+   */
+  const REASON_MIN_SCORE = 75;
+  
+  /**
+   * Describe what the opening offers vs what the builder accepts
    * 
-   * @param {string} builderId - Builder user ID
-   * @param {Object} [options={}] - Options
-   * @param {number} [options.limit=50] - Max matches to generate
-   * @param {number} [options.minScore=60] - Minimum score to include
-   * @returns {Promise<Object[]>} Array of matches with scores
+   * @param {Object} opening - Opening with equity/cash ranges
+   * @param {Object} builderProfile - Builder's compensation openness
+   * @returns {string}
    */
-  const generateMatchesForBuilder = async (builderId, options = {}) => {
-    const { limit = 50, minScore = 60 } = options;
+  const describeCompensation = (opening, builderProfile) => {
+    const offered = [];
+    if (opening.equityRange?.max > 0) offered.push('equity');
+    if (opening.cashRange?.max > 0) offered.push('cash');
     
-    // Get builder profile
-    const builderProfile = await BuilderProfile.findOne({ user: builderId })
-      .populate('user');
+    const accepted = builderProfile.compensationOpenness || [];
     
-    if (!builderProfile) {
-      throw ApiError.notFound('Builder profile not found');
+    return `Offers ${offered.join(' + ') || 'no compensation'}, builder accepts ${accepted.join(', ') || 'nothing listed'}`;
+  };
+  
+  /**
+   * Describe the working style comparison
+   * 
+   * @param {Object} comparison - Result of compareScenarios
+   * @returns {string}
+   */
+  const describeScenarios = (comparison) => {
+    if (comparison.score === null) {
+      return 'Working-style scenarios not completed by both sides';
     }
     
-    if (!builderProfile.isComplete) {
-      throw ApiError.badRequest('Builder profile is not complete');
-    }
+    const scenarios = Object.values(comparison.breakdown);
+    const [topDisagreement] = comparison.disagreements;
     
-    // Get all active openings
-    const openings = await Opening.find({ status: 'ACTIVE' })
-      .populate('founder')
-      .populate('founderProfile');
+    // A weak score is best explained by the situation they would clash over
+    if (comparison.score < REASON_MIN_SCORE && topDisagreement) {
+      return `Would disagree in "${topDisagreement.title}": ${topDisagreement.text}`;
+    }
     
-    const matches = [];
+    const aligned = scenarios.filter((scenario) =>
+      [SCENARIO_RELATIONS.SAME, SCENARIO_RELATIONS.COMPLEMENTARY].includes(scenario.relation)
+    ).length;
     
-    for (const opening of openings) {
-      // Skip if builder is the founder (dual profile case)
-      if (opening.founder._id.toString() === builderId.toString()) {
-        continue;
-      }
-      
+    return `Same or complementary answers on ${aligned} of ${scenarios.length} working-style scenarios`;
+  };
+  
+  /**
+   * Describe which geography rule applied
+   * 
+   * @param {Object} opening - Opening location preferences
+   * @param {Object} builderProfile - Builder location
+   * @param {Object} founderProfile - Founder location
+   * @returns {string}
+   */
+  const describeGeography = (opening, builderProfile, founderProfile) => {
+    const { rule, place, overlapHours } = assessGeography(opening, builderProfile, founderProfile);
+    
+    switch (rule) {
+      case 'TIMEZONE_OVERLAP':
+        return `${overlapHours}h of working-hours overlap ` +
+          `(${founderProfile.location.timezone} and ${builderProfile.location.timezone})`;
+      case 'BOTH_REMOTE':
+        return 'Both prefer remote';
+      case 'SAME_CITY':
+      case 'SAME_COUNTRY':
+        return `Both based in ${place}`;
+      default:
+        return `Opening is ${opening.remotePreference}, builder prefers ${builderProfile.remotePreference}`;
+    }
+  };
+  
+  /**
+   * Describe skill coverage, naming related skills that earned partial credit
+   * 
+   * @param {Object} skills - Result of matchSkills
+   * @returns {string}
+   */
+  const describeSkills = (skills) => {
+    if (skills.required.length === 0) return 'No specific skills required';
+    
+    const details = [];
+    if (skills.related.length > 0) {
+      details.push(`related: ${skills.related.map(r => `${r.via} for ${r.skill}`).join(', ')}`);
+    }
+    if (skills.missing.length > 0) {
+      details.push(`missing ${skills.missing.join(', ')}`);
+    }
+    
+    return `${skills.matched.length} of ${skills.required.length} required skills` +
+      (details.length > 0 ? ` (${details.join('; ')})` : '');
+  };
+  
+  /**
+   * Build human-readable reasons and caveats from the factor inputs
+   * 
+   * @param {Object} opening - Opening
+   * @param {Object} founderProfile - Founder's profile
+   * @param {Object} builderProfile - Builder's profile
+   * @param {Object} factorScores - Score per factor (0-100)
+   * @param {Object} scenarioComparison - Result of compareScenarios
+   * @param {Object} [skillGraph] - Skill taxonomy graph
+   * @param {Object} [builderFit] - Result of assessBuilderFit (computed if omitted)
+   * @returns {Object} { reasons: [{ factor, text }], caveats: [{ factor, text }] }
+   *   Builder-fit items use factor "builderFit.<name>" (e.g. builderFit.industry)
+   */
+  const explainCompatibility = (opening, founderProfile, builderProfile, factorScores, scenarioComparison, skillGraph = EMPTY_SKILL_GRAPH, builderFit = null) => {
+    const skills = matchSkills(opening, builderProfile, skillGraph);
+    const risk = builderProfile.riskAppetite;
+    const stage = founderProfile.startupStage;
+    const isGoodStage = factorScores.stage >= REASON_MIN_SCORE;
+    
+    const lines = {
+      compensation: describeCompensation(opening, builderProfile),
+      commitment: `Commits ${builderProfile.hoursPerWeek}h vs ${opening.hoursPerWeek}h requested`,
+      stage: `Risk appetite is ${risk} ${isGoodStage ? 'and' : 'but'} startup is at ${stage} stage`,
+      skills: describeSkills(skills),
+      scenario: describeScenarios(scenarioComparison),
+      geography: describeGeography(opening, builderProfile, founderProfile),
+    };
+    
+    const items = WEIGHT_FACTORS.map((factor) => ({
+      factor,
+      score: factorScores[factor],
+      text: lines[factor],
+    }));
+    
+    const { factors: builderFactors } = builderFit || assessBuilderFit(opening, founderProfile, builderProfile);
+    Object.entries(builderFactors).forEach(([factor, { score, text }]) => {
+      items.push({ factor: `builderFit.${factor}`, score, text });
+    });
+    
+    const explanation = { reasons: [], caveats: [] };
+    
+    // Strongest factors first so the top reason is the most convincing one
+    items
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ factor, score, text }) => {
+        const bucket = score >= REASON_MIN_SCORE ? explanation.reasons : explanation.caveats;
+        bucket.push({ factor, text });
+      });
+    
+    // Weakest caveat first
+    explanation.caveats.reverse();
+    
+    return explanation;
+  };
+  
+  // ============================================
+  // WEIGHT PROFILES
+  // ============================================
+  
+  /**
+   * In-memory cache of the active weight profile
+   * Avoids a DB round-trip for every pair scored
+   */
+  let activeProfileCache = { profile: null, loadedAt: 0 };
+  
+  /**
+   * Drop the cached active profile (after activation/rollback)
+   */
+  const clearWeightProfileCache = () => {
+    activeProfileCache = { profile: null, loadedAt: 0 };
+  };
+  
+  /**
+   * Validate a weights object and normalise it to the known factors
+   * 
+   * @param {Object} weights - Factor weights
+   * @returns {Object} Weights containing exactly WEIGHT_FACTORS
+   * @throws {ApiError} If a factor is missing/out of range or the sum is not 1.0
+   */
+  const normalizeWeights = (weights) => {
+    if (!weights || typeof weights !== 'object') {
+      throw ApiError.badRequest('weights object is required');
+    }
+    
+    const normalized = {};
+    const errors = [];
+    
+    WEIGHT_FACTORS.forEach((factor) => {
+      const value = Number(weights[factor]);
+      if (weights[factor] === undefined || Number.isNaN(value) || value < 0 || value > 1) {
+        errors.push(`${factor} must be a number between 0 and 1`);
+        return;
+      }
+      normalized[factor] = value;
+    });
+    
+    if (errors.length > 0) {
+      throw ApiError.validationError('Invalid weights', errors);
+    }
+    
+    const total = WEIGHT_FACTORS.reduce((sum, factor) => sum + normalized[factor], 0);
+    if (Math.abs(total - 1) > 0.001) {
+      throw ApiError.badRequest(`Weights must sum to 1.0 (got ${total.toFixed(3)})`);
+    }
+    
+    return normalized;
+  };
+  
+  /**
+   * Get the active weight profile
+   * Seeds version 1 from config defaults on first use
+   * 
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.fresh=false] - Bypass the in-memory cache
+   * @returns {Promise<Object>} Active profile (lean)
+   */
+  const getActiveWeightProfile = async (options = {}) => {
+    const { fresh = false } = options;
+    const now = Date.now();
+    
+    if (
+      !fresh &&
+      activeProfileCache.profile &&
+      now - activeProfileCache.loadedAt < config.matching.weightProfileCacheMs
+    ) {
+      return activeProfileCache.profile;
+    }
+    
+    let profile = await WeightProfile.findActive().lean();
+    
+    if (!profile) {
+      const hasAny = await WeightProfile.exists({});
+      
+      if (hasAny) {
+        // Profiles exist but none is active - refuse to guess which one to use
+        throw ApiError.internal('No active matching weight profile');
+      }
+      
+      try {
+        const seeded = await WeightProfile.create({
+          version: 1,
+          name: 'PRD default',
+          description: 'Seeded from config.matching.weights',
+          weights: DEFAULT_WEIGHTS,
+          isActive: true,
+          activatedAt: new Date(),
+        });
+        profile = seeded.toObject();
+        logger.info('Seeded default matching weight profile', { version: 1 });
+      } catch (error) {
+        // Another process seeded it first
+        if (error.code !== 11000) throw error;
+        profile = await WeightProfile.findActive().lean();
+      }
+    }
+    
+    activeProfileCache = { profile, loadedAt: now };
+    
+    return profile;
+  };
+  
+  /**
+   * List all weight profiles, newest first
+   * 
+   * @returns {Promise<Object[]>} Weight profiles
+   */
+  const listWeightProfiles = async () => {
+    // Make sure the seed exists so v1 shows up in the list
+    await getActiveWeightProfile();
+    
+    return WeightProfile.find()
+      .sort({ version: -1 })
+      .populate('createdBy', 'name email')
+      .populate('activatedBy', 'name email')
+      .lean();
+  };
+  
+  /**
+   * Get a weight profile by version
+   * 
+   * @param {number} version - Profile version
+   * @returns {Promise<Object>} Weight profile
+   * @throws {ApiError} If not found
+   */
+  const getWeightProfile = async (version) => {
+    const profile = await WeightProfile.findByVersion(Number(version));
+    
+    if (!profile) {
+      throw ApiError.notFound(`Weight profile v${version} not found`);
+    }
+    
+    return profile;
+  };
+  
+  /**
+   * Create a new (inactive) weight profile
+   * 
+   * @param {string} adminId - Admin user ID
+   * @param {Object} data - Profile data
+   * @param {string} data.name - Profile name
+   * @param {string} [data.description] - What was tuned and why
+   * @param {Object} data.weights - Factor weights (must sum to 1.0)
+   * @param {boolean} [data.activate=false] - Activate immediately
+   * @returns {Promise<Object>} Created profile
+   */
+  const createWeightProfile = async (adminId, data = {}) => {
+    if (!data.name) {
+      throw ApiError.badRequest('name is required');
+    }
+    
+    const weights = normalizeWeights(data.weights);
+    
+    // Ensure v1 exists before allocating the next version
+    await getActiveWeightProfile();
+    
+    let profile;
+    try {
+      profile = await WeightProfile.create({
+        version: await WeightProfile.getNextVersion(),
+        name: data.name,
+        description: data.description,
+        weights,
+        createdBy: adminId,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ApiError.conflict('Another weight profile was created concurrently, please retry');
+      }
+      throw error;
+    }
+    
+    logger.info('Weight profile created', { version: profile.version, adminId });
+    
+    if (data.activate) {
+      return activateWeightProfile(profile.version, adminId);
+    }
+    
+    return profile;
+  };
+  
+  /**
+   * Activate a weight profile
+   * 
+   * @param {number} version - Version to activate
+   * @param {string} adminId - Admin user ID
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.isRollback=false] - Keep the target's own rollback chain
+   * @returns {Promise<Object>} Activated profile
+   * @throws {ApiError} If not found or already active
+   */
+  const activateWeightProfile = async (version, adminId, options = {}) => {
+    const { isRollback = false } = options;
+    
+    const target = await getWeightProfile(version);
+    
+    if (target.isActive) {
+      throw ApiError.badRequest(`Weight profile v${target.version} is already active`);
+    }
+    
+    let current = null;
+    
+    // Swap in one transaction so readers never see zero or two active
+    // profiles; the unique partial index rejects a concurrent activation
+    try {
+      await WeightProfile.db.transaction(async (session) => {
+        current = await WeightProfile.findActive().session(session);
+        
+        if (current && current._id.equals(target._id)) {
+          throw ApiError.badRequest(`Weight profile v${target.version} is already active`);
+        }
+        
+        if (current) {
+          current.isActive = false;
+          current.deactivatedAt = new Date();
+          await current.save({ session });
+        }
+        
+        target.isActive = true;
+        target.activatedAt = new Date();
+        target.activatedBy = adminId;
+        if (!isRollback) {
+          target.previousVersion = current ? current.version : null;
+        }
+        
+        await target.save({ session });
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ApiError.conflict('Another weight profile was activated concurrently, please retry');
+      }
+      throw error;
+    }
+    
+    clearWeightProfileCache();
+    
+    logger.warn('Weight profile activated', {
+      version: target.version,
+      previousVersion: current ? current.version : null,
+      isRollback,
+      adminId,
+    });
+    
+    return target;
+  };
+  
+  /**
+   * Roll back to the profile that was active before the current one
+   * 
+   * @param {string} adminId - Admin user ID
+   * @param {number} [toVersion] - Explicit target version (defaults to previousVersion)
+   * @returns {Promise<Object>} Re-activated profile
+   * @throws {ApiError} If there is nothing to roll back to
+   */
+  const rollbackWeightProfile = async (adminId, toVersion = null) => {
+    const current = await getActiveWeightProfile({ fresh: true });
+    const targetVersion = toVersion || current.previousVersion;
+    
+    if (!targetVersion) {
+      throw ApiError.badRequest(`Weight profile v${current.version} has no previous version to roll back to`);
+    }
+    
+    return activateWeightProfile(targetVersion, adminId, { isRollback: true });
+  };
+  
+  // ============================================
+  // SCENARIO PREFETCH
+  // ============================================
+  
+  /**
+   * Load scenario responses in a single query
+   * 
+   * @param {string[]} [userIds] - Users to load (all responses when omitted)
+   * @returns {Promise<Map<string, Object>>} Responses keyed by user ID
+   */
+  const loadScenarioResponses = async (userIds = null) => {
+    const query = userIds ? { user: { $in: userIds } } : {};
+    const responses = await ScenarioResponse.find(query).lean();
+    
+    return new Map(responses.map((response) => [response.user.toString(), response]));
+  };
+  
+  // ============================================
+  // MAIN MATCHING FUNCTIONS
+  // ============================================
+  
+  /**
+   * Calculate full compatibility score between an opening and a builder
+   * 
+   * @param {Object} opening - Opening document
+   * @param {Object} founderProfile - Founder's profile
+   * @param {Object} builderProfile - Builder's profile
+   * @param {string} founderId - Founder user ID
+   * @param {string} builderId - Builder user ID
+   * @param {Object} [options={}] - Options
+   * @param {Object} [options.weightProfile] - Weight profile to score with (defaults to active)
+   * @param {Map<string, Object>} [options.scenarioResponses] - Prefetched scenario responses by user ID
+   * @param {Object} [options.skillGraph] - Skill taxonomy graph (defaults to the cached graph)
+   * @returns {Promise<Object>} Match score and breakdown
+   */
+  const calculateCompatibility = async (opening, founderProfile, builderProfile, founderId, builderId, options = {}) => {
+    const weightProfile = options.weightProfile || await getActiveWeightProfile();
+    const skillGraph = options.skillGraph || await skillService.getSkillGraph();
+    const { weights } = weightProfile;
+    
+    // First apply hard filters
+    const hardFilterResult = applyHardFilters(opening, founderProfile, builderProfile);
+    
+    if (!hardFilterResult.passes) {
+      return {
+        score: 0,
+        passes: false,
+        reason: hardFilterResult.reason,
+        breakdown: null,
+        explanation: {
+          reasons: [],
+          caveats: [{ factor: 'hardFilter', text: hardFilterResult.reason }],
+        },
+        weightProfileVersion: weightProfile.version,
+      };
+    }
+    
+    // Calculate individual scores
+    const compensationScore = calculateCompensationScore(opening, builderProfile);
+    const commitmentScore = calculateCommitmentScore(opening, builderProfile);
+    const stageScore = calculateStageScore(founderProfile, builderProfile);
+    const skillScore = calculateSkillScore(opening, builderProfile, skillGraph);
+    const scenarioComparison = await compareScenarios(founderId, builderId, options.scenarioResponses);
+    const scenarioScore = scoreScenarioComparison(scenarioComparison);
+    const geographyScore = calculateGeographyScore(opening, builderProfile, founderProfile);
+    
+    const factorScores = {
+      compensation: compensationScore,
+      commitment: commitmentScore,
+      stage: stageScore,
+      skills: skillScore,
+      scenario: scenarioScore,
+      geography: geographyScore,
+    };
+    
+    // Builder fits opening: weighted soft factors
+    const openingFitScore = Math.round(
+      WEIGHT_FACTORS.reduce((sum, factor) => sum + factorScores[factor] * weights[factor], 0)
+    );
+    
+    // Opening fits builder: only counts once the builder has declared preferences
+    const builderFit = assessBuilderFit(opening, founderProfile, builderProfile);
+    const builderFitWeight = builderFit.score === null ? 0 : config.matching.mutualFit.builderFitWeight;
+    
+    const totalScore = Math.round(
+      openingFitScore * (1 - builderFitWeight) + (builderFit.score || 0) * builderFitWeight
+    );
+    
+    // Determine match quality
+    let quality = 'WEAK';
+    if (totalScore >= SCORE_THRESHOLDS.EXCELLENT) quality = 'EXCELLENT';
+    else if (totalScore >= SCORE_THRESHOLDS.GOOD) quality = 'GOOD';
+    else if (totalScore >= SCORE_THRESHOLDS.FAIR) quality = 'FAIR';
+    
+    const breakdown = {};
+    WEIGHT_FACTORS.forEach((factor) => {
+      breakdown[factor] = {
+        score: factorScores[factor],
+        weight: weights[factor],
+        weighted: Math.round(factorScores[factor] * weights[factor]),
+      };
+    });
+    
+    // Both halves of the mutual score
+    breakdown.mutualFit = {
+      openingFit: {
+        score: openingFitScore,
+        weight: Math.round((1 - builderFitWeight) * 100) / 100,
+      },
+      builderFit: {
+        score: builderFit.score,
+        weight: builderFitWeight,
+        factors: builderFit.factors,
+      },
+    };
+    
+    return {
+      score: totalScore,
+      passes: true,
+      quality,
+      breakdown,
+      explanation: explainCompatibility(
+        opening,
+        founderProfile,
+        builderProfile,
+        factorScores,
+        scenarioComparison,
+        skillGraph,
+        builderFit
+      ),
+      weightProfileVersion: weightProfile.version,
+    };
+  };
+  
+  /**
+   * Generate matches for a specific opening
+   * 
+   * @param {string} openingId - Opening ID
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.limit=50] - Max matches to generate
+   * @param {number} [options.minScore=60] - Minimum score to include
+   * @param {Object} [options.weightProfile] - Weight profile to score with (defaults to active)
+   * @returns {Promise<Object[]>} Array of matches with scores
+   */
+  const generateMatchesForOpening = async (openingId, options = {}) => {
+    const { limit = 50, minScore = 60 } = options;
+    
+    // Get opening with founder profile
+    const opening = await Opening.findById(openingId)
+      .populate('founder')
+      .populate('founderProfile');
+    
+    if (!opening) {
+      throw ApiError.notFound('Opening not found');
+    }
+    
+    if (opening.status !== 'ACTIVE') {
+      throw ApiError.badRequest('Opening is not active');
+    }
+    
+    // Get all eligible builders
+    const builderProfiles = await BuilderProfile.find({
+      isComplete: true,
+      isVisible: true,
+      isOpenToOpportunities: true,
+    }).populate('user');
+    
+    // Score every pair with the same profile, even if it is switched mid-run
+    const weightProfile = options.weightProfile || await getActiveWeightProfile();
+    const skillGraph = await skillService.getSkillGraph();
+    
+    // One query for all scenario responses instead of two per pair
+    const scenarioResponses = await loadScenarioResponses([
+      opening.founder._id,
+      ...builderProfiles.map((builderProfile) => builderProfile.user._id),
+    ]);
+    
+    const matches = [];
+    
+    for (const builderProfile of builderProfiles) {
+      // Skip if builder is the founder (dual profile case)
+      if (builderProfile.user._id.toString() === opening.founder._id.toString()) {
+        continue;
+      }
+      
+      try {
+        const compatibility = await calculateCompatibility(
+          opening,
+          opening.founderProfile,
+          builderProfile,
+          opening.founder._id,
+          builderProfile.user._id,
+          { weightProfile, scenarioResponses, skillGraph }
+        );
+        
+        if (compatibility.passes && compatibility.score >= minScore) {
+          matches.push({
+            builder: builderProfile.user._id,
+            builderProfile: builderProfile._id,
+            compatibility,
+          });
+        }
+      } catch (error) {
+        logger.warn('Error calculating compatibility', {
+          openingId,
+          builderId: builderProfile.user._id,
+          error: error.message,
+        });
+      }
+    }
+    
+    // Sort by score descending and limit
+    matches.sort((a, b) => b.compatibility.score - a.compatibility.score);
+    
+    return matches.slice(0, limit);
+  };
+  
+  /**
+   * Generate matches for a specific builder
+   * 
+   * @param {string} builderId - Builder user ID
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.limit=50] - Max matches to generate
+   * @param {number} [options.minScore=60] - Minimum score to include
+   * @returns {Promise<Object[]>} Array of matches with scores
+   */
+  const generateMatchesForBuilder = async (builderId, options = {}) => {
+    const { limit = 50, minScore = 60 } = options;
+    
+    // Get builder profile
+    const builderProfile = await BuilderProfile.findOne({ user: builderId })
+      .populate('user');
+    
+    if (!builderProfile) {
+      throw ApiError.notFound('Builder profile not found');
+    }
+    
+    if (!builderProfile.isComplete) {
+      throw ApiError.badRequest('Builder profile is not complete');
+    }
+    
+    // Get all active openings
+    const openings = await Opening.find({ status: 'ACTIVE' })
+      .populate('founder')
+      .populate('founderProfile');
+    
+    const weightProfile = await getActiveWeightProfile();
+    const skillGraph = await skillService.getSkillGraph();
+    
+    const scenarioResponses = await loadScenarioResponses([
+      builderId,
+      ...openings.map((opening) => opening.founder._id),
+    ]);
+    
+    const matches = [];
+    
+    for (const opening of openings) {
+      // Skip if builder is the founder (dual profile case)
+      if (opening.founder._id.toString() === builderId.toString()) {
+        continue;
+      }
+      
       try {
         const compatibility = await calculateCompatibility(
           opening,
           opening.founderProfile,
           builderProfile,
           opening.founder._id,
-          builderId
+          builderId,
+          { weightProfile, scenarioResponses, skillGraph }
         );
         
         if (compatibility.passes && compatibility.score >= minScore) {
@@ -566,6 +1388,8 @@ const logger = require('../../../shared/utils/logger');
       builderProfile,
       compatibilityScore,
       scoreBreakdown,
+      explanation,
+      weightProfileVersion,
     } = matchData;
     
     // Check if match already exists
@@ -579,6 +1403,8 @@ const logger = require('../../../shared/utils/logger');
       // Update existing match
       match.compatibilityScore = compatibilityScore;
       match.scoreBreakdown = scoreBreakdown;
+      match.explanation = explanation;
+      match.weightProfileVersion = weightProfileVersion;
       await match.save();
       logger.debug('Match updated', { matchId: match._id });
     } else {
@@ -591,6 +1417,8 @@ const logger = require('../../../shared/utils/logger');
         builderProfile,
         compatibilityScore,
         scoreBreakdown,
+        explanation,
+        weightProfileVersion,
         status: MATCH_STATUS.PENDING,
       });
       logger.info('Match created', { matchId: match._id });
@@ -600,71 +1428,445 @@ const logger = require('../../../shared/utils/logger');
   };
   
   /**
-   * Get daily matches for a founder
+   * Fill in explanations for matches scored before explanations were stored
+   * Re-explains just those pairs from current profile data and saves the result
    * 
-   * @param {string} founderId - Founder user ID
-   * @param {Object} [options={}] - Options
-   * @param {number} [options.limit=5] - Number of matches (5 for free, unlimited for Pro)
-   * @returns {Promise<Object[]>} Daily matches
+   * @param {Object[]} matches - Match documents
+   * @returns {Promise<Object[]>} The same matches, with explanation set where possible
    */
-  const getDailyMatchesForFounder = async (founderId, options = {}) => {
-    const { limit = 5 } = options;
+  const ensureExplanations = async (matches) => {
+    const missing = matches.filter((match) => !match.explanation);
     
-    // Get founder's active openings
-    const openings = await Opening.find({ 
-      founder: founderId, 
-      status: 'ACTIVE',
-    });
+    if (missing.length === 0) {
+      return matches;
+    }
+    
+    // Works whether or not the path was populated by the caller
+    const idOf = (match, path) => match.populated(path) || match[path];
+    
+    const [openings, builderProfiles, scenarioResponses, weightProfile, skillGraph] = await Promise.all([
+      Opening.find({ _id: { $in: missing.map((match) => idOf(match, 'opening')) } })
+        .populate('founderProfile')
+        .lean(),
+      BuilderProfile.find({ _id: { $in: missing.map((match) => idOf(match, 'builderProfile')) } }).lean(),
+      loadScenarioResponses(missing.flatMap((match) => [idOf(match, 'founder'), idOf(match, 'builder')])),
+      getActiveWeightProfile(),
+      skillService.getSkillGraph(),
+    ]);
+    
+    const openingsById = new Map(openings.map((opening) => [opening._id.toString(), opening]));
+    const buildersById = new Map(builderProfiles.map((profile) => [profile._id.toString(), profile]));
+    
+    for (const match of missing) {
+      const opening = openingsById.get(idOf(match, 'opening').toString());
+      const builderProfile = buildersById.get(idOf(match, 'builderProfile').toString());
+      
+      if (!opening?.founderProfile || !builderProfile) {
+        continue;
+      }
+      
+      try {
+        const compatibility = await calculateCompatibility(
+          opening,
+          opening.founderProfile,
+          builderProfile,
+          idOf(match, 'founder'),
+          idOf(match, 'builder'),
+          { weightProfile, scenarioResponses, skillGraph }
+        );
+        
+        match.explanation = compatibility.explanation;
+        await Match.updateOne({ _id: match._id }, { $set: { explanation: compatibility.explanation } });
+      } catch (error) {
+        logger.warn('Error explaining match', {
+          matchId: match._id,
+          error: error.message,
+        });
+      }
+    }
+    
+    return matches;
+  };
+  
+  // ============================================
+  // DAILY DROPS
+  // ============================================
+  
+  /**
+   * How each side finds, shows and tracks its matches
+   */
+  const DROP_SIDE_SETTINGS = {
+    [DROP_SIDES.FOUNDER]: {
+      profileModel: FounderProfile,
+      actionField: 'founderAction',
+      droppedAtField: 'founderDroppedAt',
+      counterpartField: 'builder',
+      preferenceSide: preferenceService.PREFERENCE_SIDES.FOUNDER,
+      populate: [
+        { path: 'builder', select: 'name email avatarUrl' },
+        {
+          path: 'builderProfile',
+          select: 'displayName skills riskAppetite hoursPerWeek intentStatement compensationOpenness remotePreference location',
+        },
+      ],
+    },
+    [DROP_SIDES.BUILDER]: {
+      profileModel: BuilderProfile,
+      actionField: 'builderAction',
+      droppedAtField: 'builderDroppedAt',
+      counterpartField: 'founder',
+      preferenceSide: preferenceService.PREFERENCE_SIDES.BUILDER,
+      populate: [
+        { path: 'founder', select: 'name email avatarUrl' },
+        { path: 'founderProfile', select: 'startupName startupStage intentStatement location' },
+        { path: 'opening', select: 'title roleType equityRange cashRange hoursPerWeek skillsRequired remotePreference' },
+      ],
+    },
+  };
+  
+  /**
+   * Get the current drop day for a user, in their profile's timezone
+   * 
+   * @param {string} userId - User ID
+   * @param {string} side - DROP_SIDES value
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { start, end, timezone }
+   */
+  const getDropWindow = async (userId, side, now) => {
+    const { profileModel } = DROP_SIDE_SETTINGS[side];
+    const profile = await profileModel.findOne({ user: userId }).select('location.timezone').lean();
+    
+    const timezone = isValidTimezone(profile?.location?.timezone)
+      ? profile.location.timezone
+      : config.matching.drops.defaultTimezone;
+    
+    return { ...getDailyWindow(timezone, config.matching.drops.hour, now), timezone };
+  };
+  
+  /**
+   * Get the configured rollover policy
+   * 
+   * @returns {string} ROLLOVER_POLICIES value
+   */
+  const getRolloverPolicy = () => {
+    const policy = String(config.matching.drops.rolloverPolicy).toUpperCase();
+    return Object.values(ROLLOVER_POLICIES).includes(policy) ? policy : ROLLOVER_POLICIES.CARRY_OVER;
+  };
+  
+  /**
+   * Pick matches from the previous drop that the user never got to
+   * 
+   * @param {string} userId - User ID
+   * @param {string} side - DROP_SIDES value
+   * @param {Date} windowStart - Start of the new drop day
+   * @param {ObjectId[]} [blockedIds=[]] - Users blocked either way, left out
+   * @returns {Promise<Object[]>} Drop items, in the previous drop's order
+   */
+  const selectRollover = async (userId, side, windowStart, blockedIds = []) => {
+    const previous = await MatchDrop.findPrevious(userId, side, windowStart);
     
-    if (openings.length === 0) {
+    if (!previous) {
       return [];
     }
     
-    const allMatches = [];
+    const { actionField, counterpartField } = DROP_SIDE_SETTINGS[side];
+    const candidates = previous.items.filter(
+      (item) => item.rolloverCount < config.matching.drops.maxRollovers
+    );
     
-    for (const opening of openings) {
-      const matches = await Match.find({
-        opening: opening._id,
-        status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] },
-        founderAction: { $in: [null, MATCH_ACTIONS.SAVE] }, // Not yet acted on or saved
-      })
-        .populate('builder', 'name email avatarUrl')
-        .populate('builderProfile', 'displayName skills riskAppetite hoursPerWeek intentStatement')
+    const open = await Match.find({
+      _id: { $in: candidates.map((item) => item.match) },
+      status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] },
+      [actionField]: { $in: [null, MATCH_ACTIONS.SAVE] },
+      [counterpartField]: { $nin: blockedIds },
+    })
+      .select('_id')
+      .lean();
+    
+    const openIds = new Set(open.map((match) => match._id.toString()));
+    
+    return candidates
+      .filter((item) => openIds.has(item.match.toString()))
+      .map((item) => ({
+        match: item.match,
+        source: DROP_ITEM_SOURCES.ROLLOVER,
+        rolloverCount: item.rolloverCount + 1,
+      }));
+  };
+  
+  /**
+   * Find the best matches that have not been in any of the user's drops
+   * 
+   * @param {string} userId - User ID
+   * @param {string} side - DROP_SIDES value
+   * @param {number} count - Matches wanted
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.personalize=true] - Re-rank using the user's past actions
+   * @param {string[]} [options.exclude=[]] - Match IDs already in the drop
+   * @param {ObjectId[]} [options.blockedIds=[]] - Users blocked either way, left out
+   * @returns {Promise<Object[]>} Match IDs, best first
+   */
+  const selectFreshMatches = async (userId, side, count, options = {}) => {
+    const { personalize = true, exclude = [], blockedIds = [] } = options;
+    
+    if (count <= 0) {
+      return [];
+    }
+    
+    const { actionField, droppedAtField, counterpartField, preferenceSide, populate } = DROP_SIDE_SETTINGS[side];
+    
+    const query = {
+      _id: { $nin: exclude },
+      status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] },
+      [actionField]: { $in: [null, MATCH_ACTIONS.SAVE] }, // Not yet acted on or saved
+      [droppedAtField]: null,
+      [counterpartField]: { $nin: blockedIds },
+    };
+    
+    if (side === DROP_SIDES.FOUNDER) {
+      const openingIds = await Opening.find({ founder: userId, status: 'ACTIVE' }).distinct('_id');
+      
+      if (openingIds.length === 0) {
+        return [];
+      }
+      
+      query.opening = { $in: openingIds };
+    } else {
+      query.builder = userId;
+    }
+    
+    let selected = [];
+    
+    if (personalize) {
+      // Re-ranking needs a wider pool than it returns, capped so a large
+      // quota never loads thousands of candidates
+      const { poolMultiplier, maxPoolSize } = config.matching.personalization;
+      const poolSize = Math.min(count * poolMultiplier, maxPoolSize);
+      
+      const pool = await Match.find(query)
+        .populate(populate)
         .sort('-compatibilityScore')
-        .limit(limit);
+        .limit(poolSize);
       
-      allMatches.push(...matches);
+      const reranked = await preferenceService.rerankMatches(userId, preferenceSide, pool);
+      selected = reranked.slice(0, count).map((match) => match._id);
     }
     
-    // Sort all matches by score and limit
-    allMatches.sort((a, b) => b.compatibilityScore - a.compatibilityScore);
+    // Past the re-ranked pool the quota is filled by score alone
+    if (selected.length < count) {
+      const rest = await Match.find({ ...query, _id: { $nin: [...exclude, ...selected] } })
+        .select('_id')
+        .sort('-compatibilityScore')
+        .limit(count - selected.length)
+        .lean();
+      
+      selected = [...selected, ...rest.map((match) => match._id)];
+    }
     
-    return allMatches.slice(0, limit);
+    return selected;
   };
   
   /**
-   * Get daily matches for a builder
+   * Mark matches as handed out to one side
    * 
-   * @param {string} builderId - Builder user ID
+   * @param {ObjectId[]} matchIds - Match IDs
+   * @param {string} side - DROP_SIDES value
+   * @param {Date} droppedAt - Drop time
+   * @returns {Promise<void>}
+   */
+  const markDropped = async (matchIds, side, droppedAt) => {
+    if (matchIds.length === 0) {
+      return;
+    }
+    
+    const { droppedAtField } = DROP_SIDE_SETTINGS[side];
+    await Match.updateMany(
+      { _id: { $in: matchIds }, [droppedAtField]: null },
+      { $set: { [droppedAtField]: droppedAt } }
+    );
+  };
+  
+  /**
+   * Create today's drop: rolled-over matches first, then fresh ones up to the quota
+   * 
+   * @param {Object} user - User document
+   * @param {string} side - DROP_SIDES value
+   * @param {Object} window - { start, end, timezone }
+   * @param {Object} options - { personalize, blockedIds }
+   * @returns {Promise<Object>} Saved drop (or the one a concurrent request saved first)
+   */
+  const createDrop = async (user, side, window, options) => {
+    const quota = user.getDailyMatchLimit();
+    const rolloverPolicy = getRolloverPolicy();
+    
+    const rollover = rolloverPolicy === ROLLOVER_POLICIES.NONE
+      ? []
+      : (await selectRollover(user._id, side, window.start, options.blockedIds)).slice(0, quota);
+    
+    // Carried-over matches use up the day's quota; bonus ones come on top
+    const freshCount = rolloverPolicy === ROLLOVER_POLICIES.CARRY_OVER
+      ? quota - rollover.length
+      : quota;
+    
+    const freshIds = await selectFreshMatches(user._id, side, freshCount, {
+      ...options,
+      exclude: rollover.map((item) => item.match),
+    });
+    
+    let drop;
+    try {
+      drop = await MatchDrop.create({
+        user: user._id,
+        side,
+        windowStart: window.start,
+        windowEnd: window.end,
+        timezone: window.timezone,
+        tier: user.getEffectiveTier(),
+        quota,
+        rolloverPolicy,
+        items: [
+          ...rollover,
+          ...freshIds.map((match) => ({ match, source: DROP_ITEM_SOURCES.FRESH })),
+        ],
+      });
+    } catch (error) {
+      // A concurrent request made today's drop first
+      if (error.code === 11000) {
+        return MatchDrop.findCurrent(user._id, side, window.start);
+      }
+      throw error;
+    }
+    
+    await markDropped(freshIds, side, drop.createdAt);
+    
+    logger.info('Daily match drop created', {
+      userId: user._id,
+      side,
+      quota,
+      fresh: freshIds.length,
+      rolledOver: rollover.length,
+    });
+    
+    return drop;
+  };
+  
+  /**
+   * Add fresh matches to today's drop after an upgrade raised the quota
+   * 
+   * @param {Object} drop - MatchDrop document
+   * @param {Object} user - User document
+   * @param {Object} options - { personalize, blockedIds }
+   * @returns {Promise<Object>} Updated drop
+   */
+  const topUpDrop = async (drop, user, options) => {
+    const quota = user.getDailyMatchLimit();
+    
+    if (quota <= drop.quota) {
+      return drop;
+    }
+    
+    const freshIds = await selectFreshMatches(user._id, drop.side, quota - drop.quota, {
+      ...options,
+      exclude: drop.items.map((item) => item.match),
+    });
+    
+    drop.items.push(...freshIds.map((match) => ({ match, source: DROP_ITEM_SOURCES.FRESH })));
+    drop.quota = quota;
+    drop.tier = user.getEffectiveTier();
+    await drop.save();
+    
+    await markDropped(freshIds, drop.side, new Date());
+    
+    return drop;
+  };
+  
+  /**
+   * Get (or create) today's drop for one side, with its matches loaded
+   * 
+   * @param {string} userId - User ID
+   * @param {string} side - DROP_SIDES value
    * @param {Object} [options={}] - Options
-   * @param {number} [options.limit=5] - Number of matches (5 for free, 15 for Boost)
-   * @returns {Promise<Object[]>} Daily matches
+   * @param {boolean} [options.personalize=true] - Re-rank fresh matches using the user's past actions
+   * @returns {Promise<Object>} { matches, drop }
    */
-  const getDailyMatchesForBuilder = async (builderId, options = {}) => {
-    const { limit = 5 } = options;
+  const getDailyDrop = async (userId, side, options = {}) => {
+    const { personalize = true } = options;
+    const now = new Date();
     
-    const matches = await Match.find({
-      builder: builderId,
-      status: { $in: [MATCH_STATUS.PENDING, MATCH_STATUS.LIKED] },
-      builderAction: { $in: [null, MATCH_ACTIONS.SAVE] }, // Not yet acted on or saved
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+    
+    // Users blocked either way are never surfaced
+    const blockedIds = await blockService.getBlockedUserIds(userId);
+    
+    let drop = await MatchDrop.findCurrent(userId, side, now);
+    
+    if (drop) {
+      drop = await topUpDrop(drop, user, { personalize, blockedIds });
+    } else {
+      const window = await getDropWindow(userId, side, now);
+      drop = await createDrop(user, side, window, { personalize, blockedIds });
+    }
+    
+    const { actionField, counterpartField, populate } = DROP_SIDE_SETTINGS[side];
+    
+    // Matches removed, or with users blocked, since the drop was made are skipped
+    const loaded = await Match.find({
+      _id: { $in: drop.items.map((item) => item.match) },
+      [counterpartField]: { $nin: blockedIds },
     })
-      .populate('founder', 'name email avatarUrl')
-      .populate('founderProfile', 'startupName startupStage intentStatement')
-      .populate('opening', 'title roleType equityRange cashRange hoursPerWeek')
-      .sort('-compatibilityScore')
-      .limit(limit);
+      .populate(populate);
+    const matchesById = new Map(loaded.map((match) => [match._id.toString(), match]));
+    const matches = drop.items
+      .map((item) => matchesById.get(item.match.toString()))
+      .filter(Boolean);
     
-    return matches;
+    const countSource = (source) => drop.items.filter((item) => item.source === source).length;
+    
+    return {
+      matches: await ensureExplanations(matches),
+      drop: {
+        tier: drop.tier,
+        quota: drop.quota,
+        rolloverPolicy: drop.rolloverPolicy,
+        total: matches.length,
+        fresh: countSource(DROP_ITEM_SOURCES.FRESH),
+        rolledOver: countSource(DROP_ITEM_SOURCES.ROLLOVER),
+        remaining: matches.filter((match) => !match[actionField]).length,
+        droppedAt: drop.createdAt,
+        nextDropAt: drop.windowEnd,
+        timezone: drop.timezone,
+      },
+    };
+  };
+  
+  /**
+   * Get daily matches for a founder
+   * Across all of the founder's active openings, sized by subscription tier
+   * 
+   * @param {string} founderId - Founder user ID
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.personalize=true] - Re-rank using the founder's past actions
+   * @returns {Promise<Object>} { matches, drop }
+   */
+  const getDailyMatchesForFounder = async (founderId, options = {}) => {
+    return getDailyDrop(founderId, DROP_SIDES.FOUNDER, options);
+  };
+  
+  /**
+   * Get daily matches for a builder
+   * Sized by subscription tier
+   * 
+   * @param {string} builderId - Builder user ID
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.personalize=true] - Re-rank using the builder's past actions
+   * @returns {Promise<Object>} { matches, drop }
+   */
+  const getDailyMatchesForBuilder = async (builderId, options = {}) => {
+    return getDailyDrop(builderId, DROP_SIDES.BUILDER, options);
   };
   
   /**
@@ -687,6 +1889,10 @@ const logger = require('../../../shared/utils/logger');
       throw ApiError.badRequest('Invalid action');
     }
     
+    if (match.status === MATCH_STATUS.EXPIRED) {
+      throw ApiError.badRequest('This match has expired');
+    }
+    
     // Determine if user is founder or builder
     const isFounder = match.founder.toString() === userId.toString();
     const isBuilder = match.builder.toString() === userId.toString();
@@ -744,9 +1950,15 @@ const logger = require('../../../shared/utils/logger');
    * @returns {Promise<Object[]>} Mutual matches
    */
   const getMutualMatches = async (userId) => {
+    const blockedIds = await blockService.getBlockedUserIds(userId);
+    
     const matches = await Match.find({
-      $or: [{ founder: userId }, { builder: userId }],
+      $or: [
+        { founder: userId, builder: { $nin: blockedIds } },
+        { builder: userId, founder: { $nin: blockedIds } },
+      ],
       isMutual: true,
+      status: { $ne: MATCH_STATUS.EXPIRED }, // Archived for inactivity
     })
       .populate('founder', 'name email avatarUrl')
       .populate('builder', 'name email avatarUrl')
@@ -758,100 +1970,367 @@ const logger = require('../../../shared/utils/logger');
     return matches;
   };
   
+  // ============================================
+  // NIGHTLY GENERATION
+  // ============================================
+  
+  /**
+   * Minimum score for a nightly-generated match
+   */
+  const NIGHTLY_MIN_SCORE = 50;
+  
+  /**
+   * Max matches written per opening per run (highest scores first)
+   */
+  const NIGHTLY_MATCHES_PER_OPENING = 50;
+  
+  /**
+   * Openings loaded per page while walking the cursor
+   */
+  const NIGHTLY_OPENING_PAGE_SIZE = 100;
+  
+  /**
+   * Whether a document changed after the run's cutoff
+   * Everything counts as changed when there is no cutoff (FULL run)
+   * 
+   * @param {Object|null} doc - Lean document with updatedAt
+   * @param {Date|null} since - Change cutoff
+   * @returns {boolean}
+   */
+  const isChangedSince = (doc, since) => {
+    if (!since) return true;
+    return Boolean(doc?.updatedAt && doc.updatedAt > since);
+  };
+  
+  /**
+   * Resume the unfinished run, or start a new one
+   * 
+   * A new run is INCREMENTAL when the previous run completed with the same
+   * weight profile. Otherwise every score is stale and the run is FULL.
+   * 
+   * @param {Object} options - Options
+   * @param {boolean} options.full - Force a FULL run (ignored when resuming)
+   * @returns {Promise<Object>} { run, weightProfile, resumed }
+   * @throws {ApiError} If another run is still in progress
+   */
+  const startOrResumeRun = async ({ full }) => {
+    const unfinished = await MatchGenerationRun.findUnfinished();
+    
+    if (unfinished) {
+      const heartbeatAge = Date.now() - unfinished.heartbeatAt.getTime();
+      
+      if (unfinished.status === RUN_STATUS.RUNNING && heartbeatAge < config.matching.staleRunMs) {
+        throw ApiError.conflict('Match generation is already running');
+      }
+      
+      // Resume with the profile the run started with so all its scores agree
+      const weightProfile = await getWeightProfile(unfinished.weightProfileVersion);
+      
+      unfinished.status = RUN_STATUS.RUNNING;
+      unfinished.resumeCount += 1;
+      unfinished.heartbeatAt = new Date();
+      unfinished.error = null;
+      await unfinished.save();
+      
+      return { run: unfinished, weightProfile: weightProfile.toObject(), resumed: true };
+    }
+    
+    const weightProfile = await getActiveWeightProfile({ fresh: true });
+    const lastCompleted = await MatchGenerationRun.findLastCompleted();
+    
+    const incremental = !full &&
+      lastCompleted &&
+      lastCompleted.weightProfileVersion === weightProfile.version;
+    
+    const run = await MatchGenerationRun.create({
+      mode: incremental ? RUN_MODE.INCREMENTAL : RUN_MODE.FULL,
+      // Use the previous start time so changes made during that run are picked up
+      since: incremental ? lastCompleted.startedAt : null,
+      weightProfileVersion: weightProfile.version,
+    });
+    
+    return { run, weightProfile, resumed: false };
+  };
+  
+  /**
+   * Build the upsert for one scored pair
+   * Existing matches keep their status/actions; only the score is refreshed
+   * 
+   * @param {Object} opening - Opening (lean)
+   * @param {Object} builderProfile - Builder profile (lean)
+   * @param {Object} compatibility - Result of calculateCompatibility
+   * @returns {Object} bulkWrite operation
+   */
+  const buildMatchUpsert = (opening, builderProfile, compatibility) => {
+    const now = new Date();
+    
+    return {
+      updateOne: {
+        filter: { builder: builderProfile.user, opening: opening._id },
+        update: {
+          $set: {
+            compatibilityScore: compatibility.score,
+            scoreBreakdown: compatibility.breakdown,
+            explanation: compatibility.explanation,
+            weightProfileVersion: compatibility.weightProfileVersion,
+          },
+          $setOnInsert: {
+            founder: opening.founder,
+            founderProfile: opening.founderProfile._id,
+            builderProfile: builderProfile._id,
+            status: MATCH_STATUS.PENDING,
+            statusHistory: [{ status: MATCH_STATUS.PENDING, changedAt: now }],
+            lastActivityAt: now,
+          },
+        },
+        upsert: true,
+      },
+    };
+  };
+  
+  /**
+   * Write pending upserts and advance the run's cursor
+   * The cursor only moves once the writes for those openings are stored
+   * 
+   * @param {Object} run - MatchGenerationRun document
+   * @param {Object[]} operations - Pending bulkWrite operations (emptied)
+   * @param {ObjectId|null} cursor - Last opening whose operations are included
+   * @returns {Promise<void>}
+   */
+  const flushAndCheckpoint = async (run, operations, cursor) => {
+    if (operations.length > 0) {
+      const result = await Match.bulkWrite(operations.splice(0), { ordered: false });
+      run.counters.matchesCreated += result.upsertedCount;
+      run.counters.matchesUpdated += result.modifiedCount;
+    }
+    
+    if (cursor) {
+      run.cursor = cursor;
+    }
+    run.heartbeatAt = new Date();
+    await run.save();
+  };
+  
   /**
    * Run nightly match generation job
-   * Generates matches for all active openings and builders
    * 
+   * - Builder profiles, scenario responses and the skill graph are fetched once per run
+   * - INCREMENTAL runs only rescore pairs where the opening, founder profile,
+   *   builder profile or either scenario response changed since the last run
+   *   (run with full=true after editing the skill taxonomy)
+   * - Matches are written with bulkWrite upserts
+   * - Progress is checkpointed so an interrupted run resumes where it stopped
+   * 
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.full=false] - Rescore every pair
    * @returns {Promise<Object>} Job result summary
    */
-  const runNightlyMatchGeneration = async () => {
+  const runNightlyMatchGeneration = async (options = {}) => {
+    const { full = false } = options;
     const startTime = Date.now();
-    let openingsProcessed = 0;
-    let matchesCreated = 0;
-    let matchesUpdated = 0;
-    let errors = 0;
     
-    logger.info('Starting nightly match generation');
+    const { run, weightProfile, resumed } = await startOrResumeRun({ full });
+    const { since, counters } = run;
+    
+    logger.info('Starting nightly match generation', {
+      runId: run._id,
+      mode: run.mode,
+      since,
+      weightProfileVersion: weightProfile.version,
+      resumed,
+      cursor: run.cursor,
+    });
     
     try {
-      // Get all active openings
-      const openings = await Opening.find({ status: 'ACTIVE' })
-        .populate('founder')
-        .populate('founderProfile');
+      // Prefetch everything scoring needs that is shared across openings
+      const [builderProfiles, scenarioResponses, skillGraph] = await Promise.all([
+        BuilderProfile.find({
+          isComplete: true,
+          isVisible: true,
+          isOpenToOpportunities: true,
+        }).lean(),
+        loadScenarioResponses(),
+        skillService.getSkillGraph({ fresh: true }),
+      ]);
+      
+      const changedBuilders = builderProfiles.filter((builderProfile) =>
+        isChangedSince(builderProfile, since) ||
+        isChangedSince(scenarioResponses.get(builderProfile.user.toString()), since)
+      );
       
-      for (const opening of openings) {
-        try {
-          const matches = await generateMatchesForOpening(opening._id, { minScore: 50 });
+      const operations = [];
+      let lastOpeningId = run.cursor;
+      let hasMore = true;
+      
+      while (hasMore) {
+        const openingQuery = { status: 'ACTIVE' };
+        if (lastOpeningId) {
+          openingQuery._id = { $gt: lastOpeningId };
+        }
+        
+        const openings = await Opening.find(openingQuery)
+          .sort({ _id: 1 })
+          .limit(NIGHTLY_OPENING_PAGE_SIZE)
+          .populate('founderProfile')
+          .lean();
+        
+        hasMore = openings.length === NIGHTLY_OPENING_PAGE_SIZE;
+        
+        for (const opening of openings) {
+          lastOpeningId = opening._id;
           
-          for (const matchData of matches) {
-            const existingMatch = await Match.findOne({
-              founder: opening.founder._id,
-              builder: matchData.builder,
-              opening: opening._id,
-            });
+          try {
+            const founderId = opening.founder.toString();
+            
+            const openingChanged =
+              isChangedSince(opening, since) ||
+              isChangedSince(opening.founderProfile, since) ||
+              isChangedSince(scenarioResponses.get(founderId), since);
+            
+            // Unchanged opening: only builders that changed can move its scores
+            const candidates = openingChanged ? builderProfiles : changedBuilders;
+            counters.pairsSkipped += builderProfiles.length - candidates.length;
+            
+            const scored = [];
+            
+            for (const builderProfile of candidates) {
+              const builderId = builderProfile.user.toString();
+              
+              // Skip if builder is the founder (dual profile case)
+              if (builderId === founderId) {
+                continue;
+              }
+              
+              try {
+                const compatibility = await calculateCompatibility(
+                  opening,
+                  opening.founderProfile,
+                  builderProfile,
+                  founderId,
+                  builderId,
+                  { weightProfile, scenarioResponses, skillGraph }
+                );
+                counters.pairsScored++;
+                
+                if (compatibility.passes && compatibility.score >= NIGHTLY_MIN_SCORE) {
+                  scored.push({ builderProfile, compatibility });
+                }
+              } catch (error) {
+                logger.warn('Error calculating compatibility', {
+                  openingId: opening._id,
+                  builderId,
+                  error: error.message,
+                });
+              }
+            }
             
-            if (existingMatch) {
-              existingMatch.compatibilityScore = matchData.compatibility.score;
-              existingMatch.scoreBreakdown = matchData.compatibility.breakdown;
-              await existingMatch.save();
-              matchesUpdated++;
-            } else {
-              await Match.create({
-                founder: opening.founder._id,
-                builder: matchData.builder,
-                opening: opening._id,
-                founderProfile: opening.founderProfile._id,
-                builderProfile: matchData.builderProfile,
-                compatibilityScore: matchData.compatibility.score,
-                scoreBreakdown: matchData.compatibility.breakdown,
-                status: MATCH_STATUS.PENDING,
+            scored
+              .sort((a, b) => b.compatibility.score - a.compatibility.score)
+              .slice(0, NIGHTLY_MATCHES_PER_OPENING)
+              .forEach(({ builderProfile, compatibility }) => {
+                operations.push(buildMatchUpsert(opening, builderProfile, compatibility));
               });
-              matchesCreated++;
+            
+            counters.openingsProcessed++;
+          } catch (error) {
+            logger.error('Error processing opening', {
+              openingId: opening._id,
+              error: error.message,
+            });
+            counters.openingErrors++;
+            if (run.failedOpenings.length < MAX_FAILED_OPENINGS) {
+              run.failedOpenings.push({ openingId: opening._id, error: error.message });
             }
           }
           
-          openingsProcessed++;
-        } catch (error) {
-          logger.error('Error processing opening', {
-            openingId: opening._id,
-            error: error.message,
-          });
-          errors++;
+          if (operations.length >= config.matching.bulkWriteBatchSize) {
+            await flushAndCheckpoint(run, operations, lastOpeningId);
+          }
         }
+        
+        // Checkpoint at page boundaries too, so idle pages still move the cursor
+        await flushAndCheckpoint(run, operations, lastOpeningId);
       }
       
+      run.status = RUN_STATUS.COMPLETED;
+      run.completedAt = new Date();
+      await run.save();
+      
       const duration = Date.now() - startTime;
       
-      logger.info('Nightly match generation completed', {
-        openingsProcessed,
-        matchesCreated,
-        matchesUpdated,
-        errors,
+      const summary = {
+        runId: run._id,
+        mode: run.mode,
+        since,
+        resumed,
+        weightProfileVersion: weightProfile.version,
+        openingsProcessed: counters.openingsProcessed,
+        pairsScored: counters.pairsScored,
+        pairsSkipped: counters.pairsSkipped,
+        matchesCreated: counters.matchesCreated,
+        matchesUpdated: counters.matchesUpdated,
+        openingErrors: counters.openingErrors,
+        failedOpenings: run.failedOpenings.map(({ openingId, error }) => ({ openingId, error })),
         durationMs: duration,
-      });
+      };
+      
+      logger.info('Nightly match generation completed', summary);
       
       return {
         success: true,
-        openingsProcessed,
-        matchesCreated,
-        matchesUpdated,
-        errors,
-        durationMs: duration,
+        ...summary,
       };
     } catch (error) {
-      logger.error('Nightly match generation failed', { error: error.message });
+      logger.error('Nightly match generation failed', {
+        runId: run._id,
+        cursor: run.cursor,
+        error: error.message,
+      });
+      
+      run.status = RUN_STATUS.FAILED;
+      run.error = error.message;
+      await run.save().catch((saveError) => {
+        logger.error('Failed to record match generation failure', { error: saveError.message });
+      });
+      
       throw error;
     }
   };
   
+  /**
+   * List recent nightly generation runs, newest first
+   * 
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.limit=20] - Max runs to return
+   * @returns {Promise<Object[]>} Runs
+   */
+  const listMatchGenerationRuns = async (options = {}) => {
+    const limit = Math.min(parseInt(options.limit, 10) || 20, 100);
+    
+    return MatchGenerationRun.find()
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+  };
+  
   // ============================================
   // EXPORTS
   // ============================================
   
   module.exports = {
     // Constants
-    WEIGHTS,
+    DEFAULT_WEIGHTS,
     SCORE_THRESHOLDS,
+    BUILDER_FIT_WEIGHTS,
+    
+    // Weight profiles
+    getActiveWeightProfile,
+    listWeightProfiles,
+    getWeightProfile,
+    createWeightProfile,
+    activateWeightProfile,
+    rollbackWeightProfile,
+    clearWeightProfileCache,
     
     // Hard filters
     applyHardFilters,
@@ -863,6 +2342,11 @@ const logger = require('../../../shared/utils/logger');
     calculateSkillScore,
     calculateScenarioScore,
     calculateGeographyScore,
+    getWorkingHoursOverlap,
+    assessBuilderFit,
+    
+    // Explanations
+    explainCompatibility,
     
     // Main matching
     calculateCompatibility,
@@ -880,4 +2364,5 @@ const logger = require('../../../shared/utils/logger');
     
     // Jobs
     runNightlyMatchGeneration,
+    listMatchGenerationRuns,
   };
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Match Preference Service
+ *
+ * Learns what each user tends to like or skip from their match actions
+ * and uses it to re-rank daily matches:
+ * - Feature extraction (skills, stage, compensation mix, geography)
+ * - Per-user affinity model built from recent LIKE/SAVE/SKIP history
+ * - Bounded re-ranking, so compatibility still drives the order
+ *
+ * The model is rebuilt from Match history on each request, so it always
+ * reflects changed or undone actions without any stored state.
+ *
+ * @module services/preference
+ */
+
+const { Match } = require('../../models');
+const { MATCH_ACTIONS } = require('../../../shared/constants');
+const { config } = require('../../../shared/config');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Which side of the match the user is acting as
+ */
+const PREFERENCE_SIDES = Object.freeze({
+  FOUNDER: 'FOUNDER',
+  BUILDER: 'BUILDER',
+});
+
+/**
+ * How strongly each action counts towards a feature
+ */
+const ACTION_SIGNALS = Object.freeze({
+  [MATCH_ACTIONS.LIKE]: 1,
+  [MATCH_ACTIONS.SAVE]: 0.5,
+  [MATCH_ACTIONS.SKIP]: -1,
+});
+
+/**
+ * Pseudo-count added to every feature so one action can't swing it to ±1
+ */
+const PRIOR_STRENGTH = 2;
+
+/**
+ * Feature groups, averaged separately so many skills don't drown out stage/geography
+ */
+const FEATURE_GROUPS = Object.freeze(['skills', 'stage', 'compensation', 'geography']);
+
+// ============================================
+// FEATURE EXTRACTION
+// ============================================
+
+/**
+ * Describe an opening's compensation as a single mix
+ *
+ * @param {Object} opening - Opening with equity/cash ranges
+ * @returns {string|null} EQUITY_ONLY, EQUITY_CASH, CASH_ONLY or null
+ */
+const getCompensationMix = (opening) => {
+  const hasEquity = opening.equityRange?.max > 0;
+  const hasCash = opening.cashRange?.max > 0;
+
+  if (hasEquity && hasCash) return 'EQUITY_CASH';
+  if (hasEquity) return 'EQUITY_ONLY';
+  if (hasCash) return 'CASH_ONLY';
+  return null;
+};
+
+/**
+ * Extract the features a builder sees in a match (the opening side)
+ *
+ * @param {Object} opening - Opening
+ * @param {Object} [founderProfile] - Founder profile
+ * @returns {Object} Feature values per group
+ */
+const extractOpeningFeatures = (opening, founderProfile) => {
+  const country = founderProfile?.location?.country;
+
+  return {
+    skills: (opening.skillsRequired || []).map((skill) => skill.toLowerCase()),
+    stage: founderProfile?.startupStage ? [founderProfile.startupStage] : [],
+    compensation: [getCompensationMix(opening)].filter(Boolean),
+    geography: [
+      opening.remotePreference,
+      country && `country:${country.toLowerCase()}`,
+    ].filter(Boolean),
+  };
+};
+
+/**
+ * Extract the features a founder sees in a match (the builder side)
+ * A builder's risk appetite stands in for stage
+ *
+ * @param {Object} builderProfile - Builder profile
+ * @returns {Object} Feature values per group
+ */
+const extractBuilderFeatures = (builderProfile) => {
+  const country = builderProfile.location?.country;
+
+  return {
+    skills: (builderProfile.skills || []).map((skill) => skill.toLowerCase()),
+    stage: builderProfile.riskAppetite ? [builderProfile.riskAppetite] : [],
+    compensation: builderProfile.compensationOpenness || [],
+    geography: [
+      builderProfile.remotePreference,
+      country && `country:${country.toLowerCase()}`,
+    ].filter(Boolean),
+  };
+};
+
+/**
+ * Extract the features of the other party in a match
+ *
+ * @param {Object} match - Match with opening/founderProfile or builderProfile populated
+ * @param {string} side - PREFERENCE_SIDES value of the user
+ * @returns {Object|null} Feature values per group (null if not populated)
+ */
+const extractMatchFeatures = (match, side) => {
+  if (side === PREFERENCE_SIDES.BUILDER) {
+    return match.opening?.skillsRequired !== undefined
+      ? extractOpeningFeatures(match.opening, match.founderProfile)
+      : null;
+  }
+
+  return match.builderProfile?.skills !== undefined
+    ? extractBuilderFeatures(match.builderProfile)
+    : null;
+};
+
+// ============================================
+// PREFERENCE MODEL
+// ============================================
+
+/**
+ * Build a user's preference model from their recent match actions
+ *
+ * @param {string} userId - User ID
+ * @param {string} side - PREFERENCE_SIDES value
+ * @returns {Promise<Object>} { side, actionCount, isTrained, features }
+ *   features maps group -> value -> { signal, count }
+ */
+const buildPreferenceModel = async (userId, side) => {
+  const isBuilder = side === PREFERENCE_SIDES.BUILDER;
+  const actionField = isBuilder ? 'builderAction' : 'founderAction';
+
+  let query = Match.find({
+    [isBuilder ? 'builder' : 'founder']: userId,
+    [actionField]: { $in: Object.keys(ACTION_SIGNALS) },
+  })
+    .sort({ [`${actionField}At`]: -1 })
+    .limit(config.matching.personalization.historyLimit)
+    .select(`${actionField} opening founderProfile builderProfile`);
+
+  query = isBuilder
+    ? query
+      .populate('opening', 'skillsRequired equityRange cashRange remotePreference')
+      .populate('founderProfile', 'startupStage location')
+    : query.populate('builderProfile', 'skills riskAppetite compensationOpenness remotePreference location');
+
+  const history = await query.lean();
+
+  const features = {};
+  FEATURE_GROUPS.forEach((group) => {
+    features[group] = {};
+  });
+
+  history.forEach((match) => {
+    const signal = ACTION_SIGNALS[match[actionField]];
+    const matchFeatures = extractMatchFeatures(match, side);
+
+    if (!matchFeatures) return;
+
+    FEATURE_GROUPS.forEach((group) => {
+      matchFeatures[group].forEach((value) => {
+        const entry = features[group][value] || { signal: 0, count: 0 };
+        entry.signal += signal;
+        entry.count += 1;
+        features[group][value] = entry;
+      });
+    });
+  });
+
+  return {
+    side,
+    actionCount: history.length,
+    isTrained: history.length >= config.matching.personalization.minActions,
+    features,
+  };
+};
+
+/**
+ * Score how well a candidate fits a user's learned preferences
+ *
+ * @param {Object} model - Result of buildPreferenceModel
+ * @param {Object} candidateFeatures - Feature values per group
+ * @returns {number} Affinity from -1 (keeps skipping this) to 1 (keeps liking this)
+ */
+const scoreAffinity = (model, candidateFeatures) => {
+  const groupScores = [];
+
+  FEATURE_GROUPS.forEach((group) => {
+    const known = candidateFeatures[group]
+      .map((value) => model.features[group][value])
+      .filter(Boolean);
+
+    if (known.length === 0) return;
+
+    const total = known.reduce((sum, entry) => sum + entry.signal / (entry.count + PRIOR_STRENGTH), 0);
+    groupScores.push(total / known.length);
+  });
+
+  if (groupScores.length === 0) return 0;
+
+  return groupScores.reduce((sum, score) => sum + score, 0) / groupScores.length;
+};
+
+// ============================================
+// RE-RANKING
+// ============================================
+
+/**
+ * Re-rank matches using the user's learned preferences
+ * Each match moves by at most config.matching.personalization.maxBoost points;
+ * the stored compatibilityScore is not changed.
+ *
+ * @param {string} userId - User ID
+ * @param {string} side - PREFERENCE_SIDES value
+ * @param {Object[]} matches - Matches sorted by compatibility, with the other party populated
+ * @returns {Promise<Object[]>} Matches in personalized order (unchanged if the model is untrained)
+ */
+const rerankMatches = async (userId, side, matches) => {
+  if (matches.length < 2) {
+    return matches;
+  }
+
+  const model = await buildPreferenceModel(userId, side);
+
+  if (!model.isTrained) {
+    return matches;
+  }
+
+  const { maxBoost } = config.matching.personalization;
+
+  return matches
+    .map((match) => {
+      const candidateFeatures = extractMatchFeatures(match, side);
+      const affinity = candidateFeatures ? scoreAffinity(model, candidateFeatures) : 0;
+
+      return { match, rank: match.compatibilityScore + affinity * maxBoost };
+    })
+    .sort((a, b) => b.rank - a.rank)
+    .map(({ match }) => match);
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  PREFERENCE_SIDES,
+
+  // Model
+  buildPreferenceModel,
+  scoreAffinity,
+  extractMatchFeatures,
+
+  // Ranking
+  rerankMatches,
+};
@@ -48,10 +48,16 @@ const Notification = require('../notification/models/Notification');
 
 /**
  * ScenarioResponse model - Working style compatibility quiz
- * Handles: 6 scenario responses, compatibility scoring
+ * Handles: answers by scenario key, bank version, retake tracking
  */
 const ScenarioResponse = require('../profile/models/ScenarioResponse');
 
+/**
+ * ScenarioBank model - Versioned scenario question bank
+ * Handles: admin-added questions, forward migration of answers
+ */
+const { ScenarioBank, INITIAL_SCENARIOS } = require('../profile/models/ScenarioBank');
+
 // ============================================
 // MATCHING MODELS
 // ============================================
@@ -62,24 +68,118 @@ const ScenarioResponse = require('../profile/models/ScenarioResponse');
  */
 const Opening = require('../opening/models/Opening');
 
+/**
+ * OpeningTemplate model - Founders' saved opening templates
+ * Handles: reusable opening fields, usage tracking
+ */
+const OpeningTemplate = require('../opening/models/OpeningTemplate');
+
+/**
+ * OpeningRevision model - Edit history of published openings
+ * Handles: per-field before/after values, material change flags
+ */
+const {
+  OpeningRevision,
+  REVISION_FIELDS,
+  MATERIAL_REVISION_FIELDS,
+} = require('../opening/models/OpeningRevision');
+
 /**
  * Interest model - Builder interest in openings
  * Handles: interest lifecycle, custom answers, status tracking
  */
 const Interest = require('../interest/models/Interest');
 
+/**
+ * InterestBulkAction model - Founder bulk shortlist/pass/move
+ * Handles: per-item results, undo window, deferred builder summaries
+ */
+const InterestBulkAction = require('../interest/models/InterestBulkAction');
+
+/**
+ * InterestCredit models - Builder credits for expressing interest
+ * Handles: daily grants by tier, debits, refunds, admin grants (ledger)
+ */
+const {
+  InterestCreditAccount,
+  InterestCreditEntry,
+  CREDIT_ENTRY_TYPES,
+  CREDIT_BUCKETS,
+} = require('../interest/models/InterestCredit');
+
 /**
  * Match model - Mutual matches between founders and builders
  * Handles: match lifecycle, trials, feedback, outcomes
  */
 const Match = require('../matching/models/Match');
 
+/**
+ * WeightProfile model - Versioned matching algorithm weights
+ * Handles: weight tuning, activation, rollback
+ */
+const { WeightProfile, WEIGHT_FACTORS } = require('../matching/models/WeightProfile');
+
+/**
+ * MatchGenerationRun model - Nightly match generation checkpoints
+ * Handles: incremental runs, resume after interruption, run stats
+ */
+const {
+  MatchGenerationRun,
+  RUN_STATUS,
+  RUN_MODE,
+  MAX_FAILED_OPENINGS,
+} = require('../matching/models/MatchGenerationRun');
+
+/**
+ * MatchDrop model - Stored daily set of matches per user
+ * Handles: tier quotas, same drop on repeat calls, rollover of unseen matches
+ */
+const {
+  MatchDrop,
+  DROP_SIDES,
+  DROP_ITEM_SOURCES,
+  ROLLOVER_POLICIES,
+} = require('../matching/models/MatchDrop');
+
+/**
+ * Skill model - Skill taxonomy (synonyms, parents, adjacency)
+ * Handles: partial skill credit in matching, admin-managed taxonomy
+ */
+const { Skill } = require('../skill/models/Skill');
+
 /**
  * ConnectionRequest model - Direct outreach between users
  * Handles: connection requests, notes, acceptance/decline
  */
 const { ConnectionRequest, CONNECTION_STATUS, CONNECTION_TYPE } = require('../connection/models/ConnectionRequest');
 
+/**
+ * SavedSearch model - Saved opening searches (builders) and talent searches (founders)
+ * Handles: search filters, instant/daily alerts on new openings and newly discoverable builders
+ */
+const {
+  SavedSearch,
+  SAVED_SEARCH_TARGETS,
+  SAVED_SEARCH_FREQUENCIES,
+  MAX_ALERTED,
+} = require('../savedSearch/models/SavedSearch');
+
+// ============================================
+// MODERATION MODELS
+// ============================================
+
+/**
+ * Block model - A user blocking another
+ * Handles: two-way blocking of messages, requests, interests and matches
+ */
+const Block = require('../moderation/models/Block');
+
+/**
+ * Report model - Reports of users and messages
+ * Handles: reason categories, evidence messages, admin review queue
+ */
+const Report = require('../moderation/models/Report');
+
 /**
  * TeamMember model - Track team roster for founders
  * Handles: team members, auto-add from matches, manual entries
@@ -98,6 +198,8 @@ module.exports = {
 
   // Assessment models
   ScenarioResponse,
+  ScenarioBank,
+  INITIAL_SCENARIOS,
 
   // Communication models
   Conversation,
@@ -111,14 +213,44 @@ module.exports = {
 
   // Matching models
   Opening,
+  OpeningTemplate,
+  OpeningRevision,
+  REVISION_FIELDS,
+  MATERIAL_REVISION_FIELDS,
   Interest,
+  InterestBulkAction,
+  InterestCreditAccount,
+  InterestCreditEntry,
+  CREDIT_ENTRY_TYPES,
+  CREDIT_BUCKETS,
   Match,
+  WeightProfile,
+  WEIGHT_FACTORS,
+  MatchGenerationRun,
+  RUN_STATUS,
+  RUN_MODE,
+  MAX_FAILED_OPENINGS,
+  MatchDrop,
+  DROP_SIDES,
+  DROP_ITEM_SOURCES,
+  ROLLOVER_POLICIES,
+  Skill,
 
   // Connection models
   ConnectionRequest,
   CONNECTION_STATUS,
   CONNECTION_TYPE,
 
+  // Saved search models
+  SavedSearch,
+  SAVED_SEARCH_TARGETS,
+  SAVED_SEARCH_FREQUENCIES,
+  MAX_ALERTED,
+
+  // Moderation models
+  Block,
+  Report,
+
   // Team models
   TeamMember,
   TEAM_MEMBER_STATUS,
@@ -145,35 +277,88 @@ module.exports = {
  * 
  * ASSESSMENT MODELS:
  * ------------------
- * ScenarioResponse  - Working style quiz answers (6 scenarios)
+ * ScenarioResponse  - Working style quiz answers, keyed by scenario
  *                     One per user (optional but encouraged), used for compatibility
  * 
+ * ScenarioBank      - Versioned list of scenario questions
+ *                     Exactly one active, older answers are mapped forward to it
+ * 
  * MATCHING MODELS:
  * ----------------
  * Opening           - Role/position a founder is hiring for
  *                     Many per founder, builders express interest in these
  * 
+ * OpeningTemplate   - A founder's saved opening fields, reused to create openings
+ *                     Built-in templates live in utils/openingTemplates, not here
+ * 
+ * OpeningRevision   - One edit to a published opening (changed fields, before/after)
+ *                     Numbered per opening, material changes are reported to applicants
+ * 
  * Interest          - Builder's interest in an opening
  *                     One per builder-opening pair, tracks interest lifecycle
  * 
+ * InterestBulkAction - A founder's bulk shortlist/pass/move on received interests
+ *                     Undoable for a short window, builders are notified after it
+ * 
+ * InterestCreditAccount - A builder's interest credits (daily and bonus balances)
+ *                     One per builder, every change is recorded in InterestCreditEntry
+ * 
+ * InterestCreditEntry - Ledger of credit grants, debits, refunds and expiries
+ *                     Entries for a builder sum to their account balance
+ * 
  * Match             - Mutual match (founder accepted builder's interest)
  *                     One per builder-opening pair, tracks match lifecycle
  * 
+ * WeightProfile     - Versioned weights for the matching algorithm
+ *                     Exactly one active, each Match records the version that scored it
+ * 
+ * MatchGenerationRun - Checkpoint for one nightly generation run
+ *                     Resumable, records the change cutoff for the next incremental run
+ * 
+ * MatchDrop         - A user's daily set of matches (founder or builder side)
+ *                     Sized by subscription tier, unseen matches roll over
+ * 
+ * Skill             - Node in the skill taxonomy (synonyms, parent, related skills)
+ *                     Gives partial credit for related skills when matching
+ * 
+ * SavedSearch       - Saved search filters: openings (builders) or builders (founders, per opening)
+ *                     Alerts instantly or in a daily digest when something new matches
+ * 
+ * MODERATION MODELS:
+ * ------------------
+ * Block             - One user blocking another (unique per direction)
+ *                     Applies both ways: no messages, requests, interests or matches
+ * 
+ * Report            - A report of a user, with copies of the reported messages
+ *                     Reviewed by an admin, outcomes can suspend or ban the user
+ * 
  * RELATIONSHIPS:
  * --------------
  * User (1) -----> (1) FounderProfile (for founders)
  * User (1) -----> (1) BuilderProfile (for builders)
  * User (1) -----> (1) ScenarioResponse (optional)
+ * ScenarioBank (1) -----> (many) ScenarioResponse (scenarioVersion)
  * 
  * FounderProfile (1) -----> (many) Opening
+ * Founder (1) -----> (many) OpeningTemplate -----> (0-1) Opening (sourceOpening)
+ * Opening (1) -----> (many) OpeningRevision (revision)
  * 
  * Opening (1) <-----> (many) Interest
  * Builder (1) -----> (many) Interest
+ * Opening.pipelineStages (1) -----> (many) Interest (stage)
+ * InterestBulkAction (1) -----> (many) Interest (items)
+ * Builder (1) -----> (1) InterestCreditAccount
+ * Builder (1) -----> (many) InterestCreditEntry -----> (0-1) Interest
  * 
  * Interest (1) -----> (0-1) Match
  * Opening (1) <-----> (many) Match
  * Builder (1) -----> (many) Match
  * Founder (1) -----> (many) Match
+ * User (1) -----> (many) MatchDrop -----> (many) Match
+ * Builder (1) -----> (many) SavedSearch -----> (many) Opening (alerted, pending)
+ * Opening (1) -----> (many) SavedSearch (founder talent searches) -----> (many) Builder
+ * User (1) -----> (many) Block -----> (1) User (blocked)
+ * User (1) -----> (many) Report -----> (1) User (reportedUser), (many) Message (evidence)
  * 
  * LIFECYCLE FLOW:
  * ---------------
@@ -183,6 +368,7 @@ module.exports = {
  * 4. Founder creates opening → Opening created
  * 5. Builder expresses interest → Interest created (status: INTERESTED)
  * 6. Founder shortlists → Interest updated (status: SHORTLISTED)
+ *    (Founder may move it through their own pipeline stages at any point)
  * 7. Founder accepts → Match created, Interest updated (status: MATCHED)
  * 8. Trial or hire → Match updated (status: IN_TRIAL, HIRED, etc.)
  */
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Moderation Controller
+ *
+ * Handles HTTP endpoints for keeping users safe:
+ * - Blocking and unblocking users (directly or from a conversation)
+ * - Reporting users and their messages
+ * - The admin report review queue
+ *
+ * @module controllers/moderation
+ */
+
+const blockService = require('../services/block.service');
+const reportService = require('../services/report.service');
+const { ApiResponse, asyncHandler } = require('../../../shared/utils');
+
+// ============================================
+// BLOCKS
+// ============================================
+
+/**
+ * Block a user
+ *
+ * @route POST /api/v1/moderation/blocks
+ * @access Private
+ *
+ * @param {string} req.body.userId - User to block
+ * @param {string} [req.body.reason] - Private note
+ *
+ * @returns {Object} Block and the conversations it closed
+ */
+const blockUser = asyncHandler(async (req, res) => {
+  const { userId, reason } = req.body;
+
+  const result = await blockService.blockUser(req.user._id, userId, { reason });
+
+  return ApiResponse.created('User blocked', result).send(res);
+});
+
+/**
+ * Unblock a user
+ *
+ * @route DELETE /api/v1/moderation/blocks/:userId
+ * @access Private
+ *
+ * @param {string} req.params.userId - Blocked user
+ *
+ * @returns {Object} Conversations between the two users
+ */
+const unblockUser = asyncHandler(async (req, res) => {
+  const result = await blockService.unblockUser(req.user._id, req.params.userId);
+
+  return ApiResponse.ok('User unblocked', result).send(res);
+});
+
+/**
+ * Get the users I have blocked
+ *
+ * @route GET /api/v1/moderation/blocks
+ * @access Private
+ *
+ * @returns {Object} Blocks, newest first
+ */
+const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blocks = await blockService.getBlockedUsers(req.user._id);
+
+  return ApiResponse.ok('Blocked users retrieved', { blocks }).send(res);
+});
+
+/**
+ * Block the other participant of a conversation
+ *
+ * @route POST /api/v1/conversations/:id/block
+ * @access Private (Participants only)
+ *
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} [req.body.reason] - Private note
+ *
+ * @returns {Object} Block and the conversations it closed
+ */
+const blockFromConversation = asyncHandler(async (req, res) => {
+  const result = await blockService.blockFromConversation(req.user._id, req.params.id, {
+    reason: req.body.reason,
+  });
+
+  return ApiResponse.created('User blocked', result).send(res);
+});
+
+/**
+ * Unblock the other participant of a conversation
+ *
+ * @route POST /api/v1/conversations/:id/unblock
+ * @access Private (Participants only)
+ *
+ * @param {string} req.params.id - Conversation ID
+ *
+ * @returns {Object} Conversations between the two users
+ */
+const unblockFromConversation = asyncHandler(async (req, res) => {
+  const result = await blockService.unblockFromConversation(req.user._id, req.params.id);
+
+  return ApiResponse.ok('User unblocked', result).send(res);
+});
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * Report a user
+ *
+ * @route POST /api/v1/moderation/reports
+ * @access Private
+ *
+ * @param {string} req.body.reportedUserId - User to report
+ * @param {string} req.body.reason - REPORT_REASONS value
+ * @param {string} [req.body.details] - What happened
+ * @param {string} [req.body.conversationId] - Conversation the report is about
+ * @param {string[]} [req.body.messageIds] - Reported messages
+ * @param {boolean} [req.body.block] - Also block the user
+ *
+ * @returns {Object} Report and whether the user is now blocked
+ */
+const reportUser = asyncHandler(async (req, res) => {
+  const result = await reportService.reportUser(req.user._id, req.body);
+
+  return ApiResponse.created('Report submitted', result).send(res);
+});
+
+/**
+ * Report the other participant of a conversation
+ *
+ * @route POST /api/v1/conversations/:id/report
+ * @access Private (Participants only)
+ *
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} req.body.reason - REPORT_REASONS value
+ * @param {string} [req.body.details] - What happened
+ * @param {string[]} [req.body.messageIds] - Reported messages
+ * @param {boolean} [req.body.block] - Also block the user
+ *
+ * @returns {Object} Report and whether the user is now blocked
+ */
+const reportFromConversation = asyncHandler(async (req, res) => {
+  const { reason, details, messageIds, block } = req.body;
+
+  const result = await reportService.reportFromConversation(req.user._id, req.params.id, {
+    reason,
+    details,
+    messageIds,
+    block,
+  });
+
+  return ApiResponse.created('Report submitted', result).send(res);
+});
+
+/**
+ * Get the reports I have made
+ *
+ * @route GET /api/v1/moderation/reports/mine
+ * @access Private
+ *
+ * @returns {Object} Reports, newest first
+ */
+const getMyReports = asyncHandler(async (req, res) => {
+  const reports = await reportService.getMyReports(req.user._id);
+
+  return ApiResponse.ok('Reports retrieved', { reports }).send(res);
+});
+
+// ============================================
+// ADMIN REVIEW
+// ============================================
+
+/**
+ * Get the report review queue
+ *
+ * @route GET /api/v1/moderation/reports
+ * @access Private (Admin only)
+ *
+ * @param {string} [req.query.status] - PENDING (default) or RESOLVED
+ * @param {string} [req.query.reason] - REPORT_REASONS value
+ * @param {string} [req.query.reportedUserId] - Only reports about this user
+ *
+ * @returns {Object} Paginated reports
+ */
+const getReviewQueue = asyncHandler(async (req, res) => {
+  const { status, reason, reportedUserId, page = 1, limit = 20 } = req.query;
+
+  const result = await reportService.getReviewQueue({
+    status,
+    reason,
+    reportedUserId,
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return ApiResponse.paginated(result.reports, result.pagination, 'Reports retrieved').send(res);
+});
+
+/**
+ * Get a report
+ *
+ * @route GET /api/v1/moderation/reports/:id
+ * @access Private (Admin only)
+ *
+ * @returns {Object} Report with evidence
+ */
+const getReportById = asyncHandler(async (req, res) => {
+  const report = await reportService.getReportById(req.params.id);
+
+  return ApiResponse.ok('Report retrieved', { report }).send(res);
+});
+
+/**
+ * Record the outcome of a report
+ *
+ * @route POST /api/v1/moderation/reports/:id/review
+ * @access Private (Admin only)
+ *
+ * @param {string} req.body.outcome - NO_ACTION, WARNED, SUSPENDED or BANNED
+ * @param {string} [req.body.note] - Note for the reported user
+ *
+ * @returns {Object} Reviewed report
+ */
+const reviewReport = asyncHandler(async (req, res) => {
+  const { outcome, note } = req.body;
+
+  const report = await reportService.reviewReport(req.params.id, req.user._id, { outcome, note });
+
+  return ApiResponse.updated('Report reviewed', { report }).send(res);
+});
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Blocks
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  blockFromConversation,
+  unblockFromConversation,
+
+  // Reports
+  reportUser,
+  reportFromConversation,
+  getMyReports,
+
+  // Admin review
+  getReviewQueue,
+  getReportById,
+  reviewReport,
+};
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Block model - One user blocking another
+ *
+ * A block works in both directions: neither user can message, send a
+ * connection request to, express interest in an opening of, or be shown in
+ * the matches and discovery results of the other, whoever blocked whom.
+ * Only the blocker can lift it.
+ *
+ * @module models/Block
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const blockSchema = new Schema(
+  {
+    /**
+     * User who blocked
+     */
+    blocker: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Blocker is required'],
+    },
+
+    /**
+     * User who was blocked
+     */
+    blocked: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Blocked user is required'],
+    },
+
+    /**
+     * Conversation the block was made from, if any
+     */
+    conversation: {
+      type: Schema.Types.ObjectId,
+      ref: 'Conversation',
+      default: null,
+    },
+
+    /**
+     * Blocker's private note
+     */
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null,
+    },
+  },
+  {
+    // ==========================================
+    // SCHEMA OPTIONS
+    // ==========================================
+
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// One block per direction
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+// Blocks against a user (the other direction)
+blockSchema.index({ blocked: 1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Check if either user has blocked the other
+ * @param {ObjectId} userId1 - User ID
+ * @param {ObjectId} userId2 - User ID
+ * @returns {Promise<boolean>}
+ */
+blockSchema.statics.existsBetween = async function (userId1, userId2) {
+  const block = await this.exists({
+    $or: [
+      { blocker: userId1, blocked: userId2 },
+      { blocker: userId2, blocked: userId1 },
+    ],
+  });
+
+  return !!block;
+};
+
+/**
+ * Get the IDs of every user blocked by, or blocking, a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<ObjectId[]>}
+ */
+blockSchema.statics.getBlockedUserIds = async function (userId) {
+  const blocks = await this.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+
+  return blocks.map((block) => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ));
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const Block = mongoose.model('Block', blockSchema);
+
+module.exports = Block;
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Report model - A user reporting another user or their messages
+ *
+ * Reports wait in the admin review queue (PENDING) until an admin records an
+ * outcome. Evidence messages are copied when the report is made, so the
+ * reviewer sees what was reported even if the sender edits or deletes it.
+ *
+ * @module models/Report
+ */
+
+const mongoose = require('mongoose');
+const { REPORT_REASONS, REPORT_STATUS, REPORT_OUTCOMES } = require('../../../shared/constants');
+
+const { Schema } = mongoose;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * A reported message, as it was when reported
+ */
+const evidenceSchema = new Schema(
+  {
+    message: {
+      type: Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true,
+    },
+
+    content: {
+      type: String,
+      default: null,
+    },
+
+    attachmentUrl: {
+      type: String,
+      default: null,
+    },
+
+    sentAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const reportSchema = new Schema(
+  {
+    /**
+     * User who made the report
+     */
+    reporter: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reporter is required'],
+    },
+
+    /**
+     * User being reported
+     */
+    reportedUser: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reported user is required'],
+    },
+
+    /**
+     * Conversation the report was made from, if any
+     */
+    conversation: {
+      type: Schema.Types.ObjectId,
+      ref: 'Conversation',
+      default: null,
+    },
+
+    reason: {
+      type: String,
+      enum: {
+        values: Object.values(REPORT_REASONS),
+        message: 'Invalid report reason',
+      },
+      required: [true, 'Report reason is required'],
+    },
+
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Details cannot exceed 2000 characters'],
+      default: null,
+    },
+
+    /**
+     * Reported messages (all sent by reportedUser)
+     */
+    evidence: {
+      type: [evidenceSchema],
+      default: [],
+    },
+
+    // ==========================================
+    // REVIEW
+    // ==========================================
+
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(REPORT_STATUS),
+        message: 'Invalid report status',
+      },
+      default: REPORT_STATUS.PENDING,
+    },
+
+    outcome: {
+      type: String,
+      enum: {
+        values: Object.values(REPORT_OUTCOMES),
+        message: 'Invalid report outcome',
+      },
+      default: null,
+    },
+
+    /**
+     * Admin's note (sent to the reported user with a warning, suspension or ban)
+     */
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review note cannot exceed 1000 characters'],
+      default: null,
+    },
+
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    // ==========================================
+    // SCHEMA OPTIONS
+    // ==========================================
+
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Review queue, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+
+// Reports against a user (repeat offenders)
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+// A user's own reports
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
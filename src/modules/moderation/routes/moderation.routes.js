@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Moderation Routes
+ *
+ * Defines API endpoints for blocking users, reporting users and messages,
+ * and the admin report review queue. Blocking and reporting from a
+ * conversation live on the conversation routes.
+ *
+ * @module routes/moderation
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const moderationController = require('../controllers/moderation.controller');
+const { auth, requireAdmin } = require('../../../shared/middleware/auth');
+
+// ============================================
+// BLOCKS
+// ============================================
+
+/**
+ * @route   GET /api/v1/moderation/blocks
+ * @desc    Get the users I have blocked
+ * @access  Private
+ */
+router.get('/blocks', auth, moderationController.getBlockedUsers);
+
+/**
+ * @route   POST /api/v1/moderation/blocks
+ * @desc    Block a user (both directions: messages, requests, interests, matches)
+ * @access  Private
+ * @body    { userId, reason? }
+ */
+router.post('/blocks', auth, moderationController.blockUser);
+
+/**
+ * @route   DELETE /api/v1/moderation/blocks/:userId
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete('/blocks/:userId', auth, moderationController.unblockUser);
+
+// ============================================
+// REPORTS (Must be before /reports/:id)
+// ============================================
+
+/**
+ * @route   GET /api/v1/moderation/reports/mine
+ * @desc    Get the reports I have made
+ * @access  Private
+ */
+router.get('/reports/mine', auth, moderationController.getMyReports);
+
+/**
+ * @route   POST /api/v1/moderation/reports
+ * @desc    Report a user, optionally with messages from a conversation
+ * @access  Private
+ * @body    { reportedUserId, reason, details?, conversationId?, messageIds?, block? }
+ */
+router.post('/reports', auth, moderationController.reportUser);
+
+// ============================================
+// ADMIN REVIEW QUEUE
+// ============================================
+
+/**
+ * @route   GET /api/v1/moderation/reports
+ * @desc    Get the report review queue
+ * @access  Private (Admin only)
+ * @query   { status?, reason?, reportedUserId?, page?, limit? }
+ */
+router.get('/reports', auth, requireAdmin, moderationController.getReviewQueue);
+
+/**
+ * @route   GET /api/v1/moderation/reports/:id
+ * @desc    Get a report with its evidence
+ * @access  Private (Admin only)
+ */
+router.get('/reports/:id', auth, requireAdmin, moderationController.getReportById);
+
+/**
+ * @route   POST /api/v1/moderation/reports/:id/review
+ * @desc    Record the outcome of a report (SUSPENDED/BANNED act on the reported user)
+ * @access  Private (Admin only)
+ * @body    { outcome, note? }
+ */
+router.post('/reports/:id/review', auth, requireAdmin, moderationController.reviewReport);
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = router;
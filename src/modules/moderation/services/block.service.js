@@ -0,0 +1,314 @@
+/**
+ * @fileoverview Block Service
+ *
+ * Handles users blocking each other:
+ * - Blocking and unblocking, directly or from a conversation
+ * - Listing the users someone has blocked
+ * - Checks used by messaging, connection requests, interests and matching
+ *
+ * A block applies in both directions whoever made it. While any block
+ * stands between two users, their conversations are BLOCKED (no messages)
+ * and pending connection requests between them are closed. Unblocking
+ * restores the conversations to ACTIVE, or ARCHIVED if someone archived
+ * them, once neither user blocks the other.
+ *
+ * @module services/block
+ */
+
+const { Block, User, Conversation, ConnectionRequest, CONNECTION_STATUS } = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const { CONVERSATION_STATUS } = require('../../../shared/constants');
+const { SOCKET_EVENTS } = require('../../../shared/constants/enums');
+const logger = require('../../../shared/utils/logger');
+const socketService = require('../../../socket/socketService');
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Query for every conversation between two users
+ *
+ * @param {string} userId1 - User ID
+ * @param {string} userId2 - User ID
+ * @returns {Object} Conversation query
+ */
+const betweenUsers = (userId1, userId2) => ({
+  participants: { $all: [userId1, userId2] },
+});
+
+/**
+ * Load a conversation the user takes part in and return the other participant
+ *
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<ObjectId>} Other participant's user ID
+ * @throws {ApiError} If not found or not a participant
+ */
+const getOtherParticipant = async (conversationId, userId) => {
+  const conversation = isValidObjectId(conversationId)
+    ? await Conversation.findById(conversationId).select('participants')
+    : null;
+
+  if (!conversation) {
+    throw ApiError.conversationNotFound();
+  }
+
+  const isParticipant = conversation.participants.some(
+    p => p.toString() === userId.toString()
+  );
+
+  if (!isParticipant) {
+    throw ApiError.forbidden('You are not a participant in this conversation');
+  }
+
+  const other = conversation.participants.find(p => p.toString() !== userId.toString());
+
+  if (!other) {
+    throw ApiError.badRequest('This conversation has no other participant');
+  }
+
+  return other;
+};
+
+/**
+ * Tell both users' open conversation rooms that a block changed
+ *
+ * @param {Object[]} conversations - Affected conversations (with _id, status)
+ * @param {string} event - SOCKET_EVENTS value
+ */
+const emitToConversations = (conversations, event) => {
+  conversations.forEach((conversation) => {
+    socketService.emitToConversation(conversation._id.toString(), event, {
+      conversationId: conversation._id,
+      status: conversation.status,
+    });
+  });
+};
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Check if either user has blocked the other
+ *
+ * @param {string} userId1 - User ID
+ * @param {string} userId2 - User ID
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userId1, userId2) => {
+  return Block.existsBetween(userId1, userId2);
+};
+
+/**
+ * Throw if either user has blocked the other
+ *
+ * @param {string} userId1 - User ID
+ * @param {string} userId2 - User ID
+ * @param {string} [message] - Error message
+ * @returns {Promise<void>}
+ * @throws {ApiError} 403 if blocked
+ */
+const assertNotBlocked = async (userId1, userId2, message = 'You cannot interact with this user') => {
+  if (await Block.existsBetween(userId1, userId2)) {
+    throw ApiError.forbidden(message);
+  }
+};
+
+/**
+ * IDs of every user blocked by, or blocking, a user
+ * Used to leave them out of matches, discovery and received interests.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<ObjectId[]>}
+ */
+const getBlockedUserIds = async (userId) => {
+  return Block.getBlockedUserIds(userId);
+};
+
+// ============================================
+// BLOCK / UNBLOCK
+// ============================================
+
+/**
+ * Block a user
+ *
+ * @param {string} blockerId - User blocking
+ * @param {string} blockedId - User being blocked
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.conversationId] - Conversation the block was made from
+ * @param {string} [options.reason] - Private note
+ * @returns {Promise<Object>} { block, conversations } (conversations now BLOCKED)
+ * @throws {ApiError} If the user does not exist, is the blocker or is already blocked
+ */
+const blockUser = async (blockerId, blockedId, options = {}) => {
+  const { conversationId = null, reason = null } = options;
+
+  if (!isValidObjectId(blockedId)) {
+    throw ApiError.badRequest('Invalid user ID');
+  }
+
+  if (blockerId.toString() === blockedId.toString()) {
+    throw ApiError.badRequest('You cannot block yourself');
+  }
+
+  const blocked = await User.exists({ _id: blockedId });
+
+  if (!blocked) {
+    throw ApiError.userNotFound();
+  }
+
+  let block;
+  try {
+    block = await Block.create({
+      blocker: blockerId,
+      blocked: blockedId,
+      conversation: conversationId,
+      reason,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw ApiError.conflict('You have already blocked this user');
+    }
+    throw error;
+  }
+
+  // Stop messaging in every conversation between them
+  await Conversation.updateMany(
+    { ...betweenUsers(blockerId, blockedId), status: { $ne: CONVERSATION_STATUS.BLOCKED } },
+    { $set: { status: CONVERSATION_STATUS.BLOCKED } }
+  );
+
+  // Close pending connection requests either way
+  await Promise.all([
+    ConnectionRequest.updateMany(
+      { sender: blockerId, recipient: blockedId, status: CONNECTION_STATUS.PENDING },
+      { $set: { status: CONNECTION_STATUS.WITHDRAWN, respondedAt: new Date() } }
+    ),
+    ConnectionRequest.updateMany(
+      { sender: blockedId, recipient: blockerId, status: CONNECTION_STATUS.PENDING },
+      { $set: { status: CONNECTION_STATUS.DECLINED, respondedAt: new Date() } }
+    ),
+  ]);
+
+  const conversations = await Conversation.find(betweenUsers(blockerId, blockedId))
+    .select('status')
+    .lean();
+
+  emitToConversations(conversations, SOCKET_EVENTS.CONVERSATION_BLOCKED);
+
+  logger.info('User blocked', { blockerId, blockedId, conversationId });
+
+  return { block, conversations };
+};
+
+/**
+ * Unblock a user
+ * Conversations stay BLOCKED while the other user still blocks this one.
+ *
+ * @param {string} blockerId - User who made the block
+ * @param {string} blockedId - Blocked user
+ * @returns {Promise<Object>} { conversations }
+ * @throws {ApiError} If there is no such block
+ */
+const unblockUser = async (blockerId, blockedId) => {
+  if (!isValidObjectId(blockedId)) {
+    throw ApiError.badRequest('Invalid user ID');
+  }
+
+  const block = await Block.findOneAndDelete({ blocker: blockerId, blocked: blockedId });
+
+  if (!block) {
+    throw ApiError.notFound('You have not blocked this user');
+  }
+
+  const stillBlocked = await Block.existsBetween(blockerId, blockedId);
+
+  if (!stillBlocked) {
+    const query = { ...betweenUsers(blockerId, blockedId), status: CONVERSATION_STATUS.BLOCKED };
+
+    await Promise.all([
+      Conversation.updateMany(
+        { ...query, archivedBy: { $ne: null } },
+        { $set: { status: CONVERSATION_STATUS.ARCHIVED } }
+      ),
+      Conversation.updateMany(
+        { ...query, archivedBy: null },
+        { $set: { status: CONVERSATION_STATUS.ACTIVE } }
+      ),
+    ]);
+  }
+
+  const conversations = await Conversation.find(betweenUsers(blockerId, blockedId))
+    .select('status')
+    .lean();
+
+  if (!stillBlocked) {
+    emitToConversations(conversations, SOCKET_EVENTS.CONVERSATION_UNBLOCKED);
+  }
+
+  logger.info('User unblocked', { blockerId, blockedId, stillBlocked });
+
+  return { conversations };
+};
+
+/**
+ * Block the other participant of a conversation
+ *
+ * @param {string} userId - User blocking
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.reason] - Private note
+ * @returns {Promise<Object>} { block, conversations }
+ */
+const blockFromConversation = async (userId, conversationId, options = {}) => {
+  const otherId = await getOtherParticipant(conversationId, userId);
+
+  return blockUser(userId, otherId, { ...options, conversationId });
+};
+
+/**
+ * Unblock the other participant of a conversation
+ *
+ * @param {string} userId - User who made the block
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} { conversations }
+ */
+const unblockFromConversation = async (userId, conversationId) => {
+  const otherId = await getOtherParticipant(conversationId, userId);
+
+  return unblockUser(userId, otherId);
+};
+
+/**
+ * Get the users someone has blocked
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Blocks, newest first
+ */
+const getBlockedUsers = async (userId) => {
+  return Block.find({ blocker: userId })
+    .populate('blocked', 'name avatarUrl')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Checks
+  isBlockedBetween,
+  assertNotBlocked,
+  getBlockedUserIds,
+
+  // Block / unblock
+  blockUser,
+  unblockUser,
+  blockFromConversation,
+  unblockFromConversation,
+  getBlockedUsers,
+  getOtherParticipant,
+};
@@ -0,0 +1,412 @@
+/**
+ * @fileoverview Report Service
+ *
+ * Handles reports of users and their messages:
+ * - Reporting a user, directly or from a conversation, with evidence messages
+ * - The admin review queue
+ * - Recording an outcome, which can warn, suspend or ban the reported user
+ *
+ * Evidence messages must be from the reported user in the conversation the
+ * report is made from. They are flagged (Message.flag) and copied onto the
+ * report. Reporters are told a report was reviewed, not what was decided.
+ *
+ * @module services/report
+ */
+
+const { Report, User, Conversation, Message } = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const {
+  REPORT_REASONS,
+  REPORT_STATUS,
+  REPORT_OUTCOMES,
+  LIMITS,
+} = require('../../../shared/constants');
+const logger = require('../../../shared/utils/logger');
+const userService = require('../../user/services/user.service');
+const notificationService = require('../../notification/services/notification.service');
+const blockService = require('./block.service');
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Load and copy the reported messages
+ *
+ * @param {string[]} messageIds - Message IDs
+ * @param {string} conversationId - Conversation the report is made from
+ * @param {string} reportedUserId - Reported user (must be the sender)
+ * @returns {Promise<Object>} { evidence, messages }
+ * @throws {ApiError} If a message is not the reported user's in this conversation
+ */
+const loadEvidence = async (messageIds, conversationId, reportedUserId) => {
+  const uniqueIds = [...new Set(messageIds.map(String))];
+
+  if (uniqueIds.length > LIMITS.MAX_REPORT_MESSAGES) {
+    throw ApiError.badRequest(`You can report at most ${LIMITS.MAX_REPORT_MESSAGES} messages at once`);
+  }
+
+  if (uniqueIds.some((id) => !isValidObjectId(id))) {
+    throw ApiError.badRequest('Invalid message ID');
+  }
+
+  const messages = await Message.find({
+    _id: { $in: uniqueIds },
+    conversation: conversationId,
+    sender: reportedUserId,
+  });
+
+  if (messages.length !== uniqueIds.length) {
+    throw ApiError.badRequest('Reported messages must be sent by this user in this conversation');
+  }
+
+  const evidence = messages
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map((message) => ({
+      message: message._id,
+      content: message.content,
+      attachmentUrl: message.attachmentUrl,
+      sentAt: message.createdAt,
+    }));
+
+  return { evidence, messages };
+};
+
+// ============================================
+// REPORTING
+// ============================================
+
+/**
+ * Report a user
+ *
+ * @param {string} reporterId - User making the report
+ * @param {Object} data - Report data
+ * @param {string} data.reportedUserId - User being reported
+ * @param {string} data.reason - REPORT_REASONS value
+ * @param {string} [data.details] - What happened
+ * @param {string} [data.conversationId] - Conversation the report is made from
+ * @param {string[]} [data.messageIds] - Reported messages (needs conversationId)
+ * @param {boolean} [data.block=false] - Also block the user
+ * @returns {Promise<Object>} { report, blocked }
+ * @throws {ApiError} If the input is invalid or a report is already pending
+ */
+const reportUser = async (reporterId, data = {}) => {
+  const {
+    reportedUserId,
+    reason,
+    details = null,
+    conversationId = null,
+    messageIds = [],
+    block = false,
+  } = data;
+
+  if (!Object.values(REPORT_REASONS).includes(reason)) {
+    throw ApiError.badRequest(`reason must be one of ${Object.values(REPORT_REASONS).join(', ')}`);
+  }
+
+  if (!isValidObjectId(reportedUserId)) {
+    throw ApiError.badRequest('Invalid user ID');
+  }
+
+  if (reportedUserId.toString() === reporterId.toString()) {
+    throw ApiError.badRequest('You cannot report yourself');
+  }
+
+  if (!Array.isArray(messageIds)) {
+    throw ApiError.badRequest('messageIds must be an array');
+  }
+
+  if (messageIds.length > 0 && !conversationId) {
+    throw ApiError.badRequest('conversationId is required to report messages');
+  }
+
+  const reportedUser = await User.exists({ _id: reportedUserId });
+
+  if (!reportedUser) {
+    throw ApiError.userNotFound();
+  }
+
+  if (conversationId) {
+    const conversation = isValidObjectId(conversationId)
+      ? await Conversation.exists({ _id: conversationId, participants: { $all: [reporterId, reportedUserId] } })
+      : null;
+
+    if (!conversation) {
+      throw ApiError.badRequest('You and this user are not both in this conversation');
+    }
+  }
+
+  const pending = await Report.exists({
+    reporter: reporterId,
+    reportedUser: reportedUserId,
+    status: REPORT_STATUS.PENDING,
+  });
+
+  if (pending) {
+    throw ApiError.conflict('You already have a report about this user waiting for review');
+  }
+
+  const { evidence, messages } = messageIds.length > 0
+    ? await loadEvidence(messageIds, conversationId, reportedUserId)
+    : { evidence: [], messages: [] };
+
+  const report = await Report.create({
+    reporter: reporterId,
+    reportedUser: reportedUserId,
+    conversation: conversationId,
+    reason,
+    details,
+    evidence,
+  });
+
+  await Promise.all(messages.map((message) => message.flag(reason)));
+
+  // Reporting and blocking are often done together
+  let blocked = false;
+  if (block) {
+    blocked = await blockService.isBlockedBetween(reporterId, reportedUserId);
+    if (!blocked) {
+      await blockService.blockUser(reporterId, reportedUserId, { conversationId });
+      blocked = true;
+    }
+  }
+
+  logger.warn('User reported', {
+    reportId: report._id,
+    reporterId,
+    reportedUserId,
+    reason,
+    evidence: evidence.length,
+  });
+
+  return { report, blocked };
+};
+
+/**
+ * Report the other participant of a conversation
+ *
+ * @param {string} userId - User making the report
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} data - Report data (see reportUser, without reportedUserId)
+ * @returns {Promise<Object>} { report, blocked }
+ */
+const reportFromConversation = async (userId, conversationId, data = {}) => {
+  const otherId = await blockService.getOtherParticipant(conversationId, userId);
+
+  return reportUser(userId, { ...data, reportedUserId: otherId.toString(), conversationId });
+};
+
+/**
+ * Get the reports a user has made
+ * Outcomes and review notes are left out.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Reports, newest first
+ */
+const getMyReports = async (userId) => {
+  return Report.find({ reporter: userId })
+    .select('reportedUser conversation reason details status reviewedAt createdAt')
+    .populate('reportedUser', 'name avatarUrl')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+// ============================================
+// ADMIN REVIEW
+// ============================================
+
+/**
+ * Get the admin review queue
+ * Pending reports are oldest first, reviewed ones newest first. Each report
+ * carries how many reports the reported user has had in total.
+ *
+ * @param {Object} [options={}] - Query options
+ * @param {string} [options.status='PENDING'] - REPORT_STATUS value
+ * @param {string} [options.reason] - REPORT_REASONS value
+ * @param {string} [options.reportedUserId] - Only reports about this user
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} { reports, pagination }
+ */
+const getReviewQueue = async (options = {}) => {
+  const {
+    status = REPORT_STATUS.PENDING,
+    reason,
+    reportedUserId,
+    page = 1,
+    limit = 20,
+  } = options;
+
+  if (!Object.values(REPORT_STATUS).includes(status)) {
+    throw ApiError.badRequest(`status must be one of ${Object.values(REPORT_STATUS).join(', ')}`);
+  }
+
+  const query = { status };
+
+  if (reason) {
+    query.reason = reason;
+  }
+
+  if (reportedUserId) {
+    if (!isValidObjectId(reportedUserId)) {
+      throw ApiError.badRequest('Invalid user ID');
+    }
+    query.reportedUser = reportedUserId;
+  }
+
+  const skip = (page - 1) * limit;
+  const order = status === REPORT_STATUS.PENDING ? { createdAt: 1 } : { reviewedAt: -1 };
+
+  const [reports, total] = await Promise.all([
+    Report.find(query)
+      .populate('reporter', 'name email')
+      .populate('reportedUser', 'name email status')
+      .populate('reviewedBy', 'name')
+      .sort(order)
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Report.countDocuments(query),
+  ]);
+
+  // Reported users deleted since are left unpopulated (null)
+  const reportedUserIds = reports
+    .filter((report) => report.reportedUser)
+    .map((report) => report.reportedUser._id);
+
+  const counts = await Report.aggregate([
+    { $match: { reportedUser: { $in: reportedUserIds } } },
+    { $group: { _id: '$reportedUser', count: { $sum: 1 } } },
+  ]);
+  const countsByUser = new Map(counts.map((entry) => [entry._id.toString(), entry.count]));
+
+  return {
+    reports: reports.map((report) => ({
+      ...report,
+      reportedUserReportCount: report.reportedUser
+        ? countsByUser.get(report.reportedUser._id.toString()) || 0
+        : 0,
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+/**
+ * Get a report (admin)
+ *
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report
+ * @throws {ApiError} If not found
+ */
+const getReportById = async (reportId) => {
+  const report = isValidObjectId(reportId)
+    ? await Report.findById(reportId)
+      .populate('reporter', 'name email')
+      .populate('reportedUser', 'name email status statusReason')
+      .populate('reviewedBy', 'name')
+      .lean()
+    : null;
+
+  if (!report) {
+    throw ApiError.notFound('Report not found');
+  }
+
+  return report;
+};
+
+/**
+ * Record the outcome of a report (admin)
+ * SUSPENDED and BANNED go through userService.suspendUser / banUser;
+ * WARNED sends the reported user a notification with the note.
+ *
+ * @param {string} reportId - Report ID
+ * @param {string} adminId - Reviewing admin
+ * @param {Object} data - Review data
+ * @param {string} data.outcome - REPORT_OUTCOMES value
+ * @param {string} [data.note] - Note (shown to the reported user unless NO_ACTION)
+ * @returns {Promise<Object>} Reviewed report
+ * @throws {ApiError} If not found, already reviewed or the outcome is invalid
+ */
+const reviewReport = async (reportId, adminId, data = {}) => {
+  const { outcome, note = null } = data;
+
+  if (!Object.values(REPORT_OUTCOMES).includes(outcome)) {
+    throw ApiError.badRequest(`outcome must be one of ${Object.values(REPORT_OUTCOMES).join(', ')}`);
+  }
+
+  const report = isValidObjectId(reportId) ? await Report.findById(reportId) : null;
+
+  if (!report) {
+    throw ApiError.notFound('Report not found');
+  }
+
+  if (report.status !== REPORT_STATUS.PENDING) {
+    throw ApiError.conflict('This report has already been reviewed');
+  }
+
+  const statusReason = note || `Reported for ${report.reason.toLowerCase().replace(/_/g, ' ')}`;
+
+  if (outcome === REPORT_OUTCOMES.SUSPENDED) {
+    await userService.suspendUser(report.reportedUser, statusReason);
+  } else if (outcome === REPORT_OUTCOMES.BANNED) {
+    await userService.banUser(report.reportedUser, statusReason);
+  }
+
+  report.status = REPORT_STATUS.RESOLVED;
+  report.outcome = outcome;
+  report.reviewNote = note;
+  report.reviewedBy = adminId;
+  report.reviewedAt = new Date();
+  await report.save();
+
+  try {
+    if (outcome === REPORT_OUTCOMES.WARNED) {
+      await notificationService.notifySystem({
+        userId: report.reportedUser,
+        title: 'Community guidelines warning',
+        message: note
+          ? `Your account was reported and reviewed by our team: ${note}`
+          : 'Your account was reported and reviewed by our team. Please follow the community guidelines.',
+        data: { reportId: report._id },
+      });
+    }
+
+    await notificationService.notifyReportReviewed({
+      userId: report.reporter,
+      report,
+    });
+  } catch (notifError) {
+    logger.warn('Failed to create report review notification', { error: notifError.message });
+  }
+
+  logger.warn('Report reviewed', {
+    reportId,
+    adminId,
+    outcome,
+    reportedUserId: report.reportedUser,
+  });
+
+  return report;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Reporting
+  reportUser,
+  reportFromConversation,
+  getMyReports,
+
+  // Admin review
+  getReviewQueue,
+  getReportById,
+  reviewReport,
+};
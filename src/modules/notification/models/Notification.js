@@ -88,6 +88,10 @@ const notificationSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message',
       },
+      savedSearchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SavedSearch',
+      },
 
       // Actor information (who triggered the notification)
       actorId: {
@@ -12,7 +12,7 @@
 
 const { Notification, User } = require('../../models');
 const { NOTIFICATION_TYPES } = require('../../../shared/constants/enums');
-const { ERROR_CODES } = require('../../../shared/constants');
+const { ERROR_CODES, OPENING_STATUS } = require('../../../shared/constants');
 const { AppError } = require('../../../shared/middleware/errorHandler');
 const socketService = require('../../../socket/socketService');
 
@@ -238,6 +238,249 @@ const notifyTrialReminder = async ({ userId, trial, conversation, daysRemaining
   });
 };
 
+/**
+ * Create reminder for a mutual match nobody has messaged yet
+ */
+const notifyMatchNudge = async ({ userId, otherUser, match, opening, daysLeft }) => {
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.MATCH_NUDGE,
+    title: 'Say hello',
+    message: `You and ${otherUser.name} matched for ${opening.title}. Start the conversation - this match is archived in ${daysLeft} day${daysLeft > 1 ? 's' : ''}`,
+    data: {
+      matchId: match._id,
+      openingId: opening._id,
+      openingTitle: opening.title,
+      actorId: otherUser._id,
+      actorName: otherUser.name,
+      actorAvatar: otherUser.avatarUrl,
+      daysLeft,
+    },
+    actionUrl: `/matches/${match._id}`,
+  });
+};
+
+/**
+ * Create notification for a mutual match archived without a conversation
+ */
+const notifyMatchExpired = async ({ userId, otherUser, match, opening }) => {
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.MATCH_EXPIRED,
+    title: 'Match archived',
+    message: `Your match with ${otherUser.name} for ${opening.title} was archived because nobody started a conversation`,
+    data: {
+      matchId: match._id,
+      openingId: opening._id,
+      openingTitle: opening.title,
+      actorId: otherUser._id,
+      actorName: otherUser.name,
+      actorAvatar: otherUser.avatarUrl,
+    },
+    priority: 'LOW',
+  });
+};
+
+/**
+ * Create one summary notification for a founder's bulk decisions on a builder's interests
+ * interests: [{ _id, opening: { _id, title } }] - all shortlisted, or all passed
+ */
+const notifyInterestUpdates = async ({ builderId, founder, interests, shortlisted }) => {
+  const single = interests.length === 1 ? interests[0] : null;
+  const roles = single
+    ? single.opening.title
+    : `${interests.length} roles (${interests.map((interest) => interest.opening.title).join(', ')})`;
+
+  return createNotification({
+    userId: builderId,
+    type: NOTIFICATION_TYPES.INTEREST_UPDATES,
+    title: shortlisted ? 'You\'ve been shortlisted!' : 'Update on your application',
+    message: shortlisted
+      ? `${founder.name} shortlisted you for ${roles}`
+      : `${founder.name} decided not to move forward for ${roles}`,
+    data: {
+      interestId: single ? single._id : undefined,
+      openingId: single ? single.opening._id : undefined,
+      openingTitle: single ? single.opening.title : undefined,
+      actorId: founder._id,
+      actorName: founder.name,
+      actorAvatar: founder.avatarUrl,
+    },
+    priority: shortlisted ? 'HIGH' : 'NORMAL',
+    actionUrl: single ? `/interests/${single._id}` : '/interests/my',
+  });
+};
+
+/**
+ * Create notification for a new opening matching an instant saved search (sent to builder)
+ */
+const notifySavedSearchMatch = async ({ userId, savedSearch, opening, founderProfile }) => {
+  // Stealth startups are not named outside their matches
+  const named = founderProfile && founderProfile.startupName && !founderProfile.stealthMode;
+  const startup = named ? ` at ${founderProfile.startupName}` : '';
+
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+    title: 'New opening matches your search',
+    message: `${opening.title}${startup} matches "${savedSearch.name}"`,
+    data: {
+      openingId: opening._id,
+      openingTitle: opening.title,
+      savedSearchId: savedSearch._id,
+    },
+    actionUrl: `/openings/${opening._id}`,
+  });
+};
+
+/**
+ * Create the daily digest of openings matching a builder's saved searches
+ * openings: [{ _id, title }]
+ */
+const notifySavedSearchDigest = async ({ userId, openings }) => {
+  const single = openings.length === 1 ? openings[0] : null;
+  const shown = openings.slice(0, 3).map((opening) => opening.title).join(', ');
+  const more = openings.length > 3 ? ` and ${openings.length - 3} more` : '';
+
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST,
+    title: single ? 'A new opening matches your searches' : `${openings.length} new openings match your searches`,
+    message: `${shown}${more}`,
+    data: {
+      openingId: single ? single._id : undefined,
+      openingTitle: single ? single.title : undefined,
+    },
+    priority: 'LOW',
+    actionUrl: single ? `/openings/${single._id}` : '/openings/discover',
+  });
+};
+
+/**
+ * Create notification for a newly discoverable builder matching an instant talent search (sent to founder)
+ */
+const notifyTalentSearchMatch = async ({ userId, savedSearch, opening, builder, profile }) => {
+  const name = profile.displayName || builder.name;
+
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.TALENT_SEARCH_MATCH,
+    title: 'New builder matches your search',
+    message: `${name} matches "${savedSearch.name}" for ${opening.title}`,
+    data: {
+      openingId: opening._id,
+      openingTitle: opening.title,
+      savedSearchId: savedSearch._id,
+      actorId: builder._id,
+      actorName: name,
+      actorAvatar: builder.avatarUrl,
+    },
+    actionUrl: `/profiles/builder/${profile._id}`,
+  });
+};
+
+/**
+ * Create the daily digest of builders matching a founder's talent searches
+ * profiles: [{ _id, displayName, user: { _id, name } }]
+ */
+const notifyTalentSearchDigest = async ({ userId, profiles }) => {
+  const single = profiles.length === 1 ? profiles[0] : null;
+  const names = profiles.map((profile) => profile.displayName || profile.user.name);
+  const shown = names.slice(0, 3).join(', ');
+  const more = names.length > 3 ? ` and ${names.length - 3} more` : '';
+
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.TALENT_SEARCH_DIGEST,
+    title: single ? 'A new builder matches your searches' : `${profiles.length} new builders match your searches`,
+    message: `${shown}${more}`,
+    data: {
+      actorId: single ? single.user._id : undefined,
+      actorName: single ? names[0] : undefined,
+    },
+    priority: 'LOW',
+    actionUrl: single ? `/profiles/builder/${single._id}` : '/saved-searches',
+  });
+};
+
+/**
+ * Create notification for an opening closed or filled while a builder's interest was open
+ */
+const notifyOpeningClosed = async ({ builderId, opening, interestId }) => {
+  const filled = opening.status === OPENING_STATUS.FILLED;
+
+  return createNotification({
+    userId: builderId,
+    type: NOTIFICATION_TYPES.OPENING_CLOSED,
+    title: filled ? 'Opening filled' : 'Opening closed',
+    message: filled
+      ? `${opening.title} has been filled and is no longer taking interests`
+      : `${opening.title} is no longer taking interests`,
+    data: {
+      interestId,
+      openingId: opening._id,
+      openingTitle: opening.title,
+    },
+    priority: 'LOW',
+    actionUrl: `/interests/${interestId}`,
+  });
+};
+
+/**
+ * Notify a builder that an opening they applied to changed materially
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.builderId - Builder's user ID
+ * @param {Object} params.opening - Opening document
+ * @param {ObjectId} params.interestId - Builder's interest
+ * @param {number} params.revision - Revision that made the change
+ * @param {string} params.summary - What changed, e.g. "equity and hours per week"
+ * @param {Object[]} params.changes - Material changes ({ field, before, after })
+ * @param {Date} params.withdrawUntil - End of the penalty-free withdrawal window
+ */
+const notifyOpeningUpdated = async ({
+  builderId,
+  opening,
+  interestId,
+  revision,
+  summary,
+  changes,
+  withdrawUntil,
+}) => {
+  return createNotification({
+    userId: builderId,
+    type: NOTIFICATION_TYPES.OPENING_UPDATED,
+    title: 'Opening updated',
+    message: `${opening.title} changed its ${summary}. You can withdraw and get your credit back until ${withdrawUntil.toDateString()}`,
+    data: {
+      interestId,
+      openingId: opening._id,
+      openingTitle: opening.title,
+      revision,
+      changes,
+      withdrawUntil,
+    },
+    priority: 'HIGH',
+    actionUrl: `/openings/${opening._id}/revisions/diff?from=${revision - 1}&to=${revision}`,
+  });
+};
+
+/**
+ * Tell a reporter their report was reviewed (not the outcome)
+ */
+const notifyReportReviewed = async ({ userId, report }) => {
+  return createNotification({
+    userId,
+    type: NOTIFICATION_TYPES.REPORT_REVIEWED,
+    title: 'Report reviewed',
+    message: 'Thanks for your report. Our team has reviewed it and taken appropriate action.',
+    data: {
+      reportId: report._id,
+    },
+    priority: 'LOW',
+  });
+};
+
 /**
  * Create system notification
  */
@@ -427,6 +670,16 @@ module.exports = {
   notifyTrialAccepted,
   notifyTrialCompleted,
   notifyTrialReminder,
+  notifyMatchNudge,
+  notifyMatchExpired,
+  notifyInterestUpdates,
+  notifySavedSearchMatch,
+  notifySavedSearchDigest,
+  notifyTalentSearchMatch,
+  notifyTalentSearchDigest,
+  notifyOpeningClosed,
+  notifyOpeningUpdated,
+  notifyReportReviewed,
   notifySystem,
 
   // Queries
@@ -5,12 +5,16 @@
  * - Creating and managing openings
  * - Opening search and discovery
  * - Opening status management
+ * - Opening templates and duplication
+ * - Opening revision history
  * - Opening analytics
  *
  * @module controllers/opening
  */
 
 const openingService = require('../services/opening.service');
+const templateService = require('../services/template.service');
+const revisionService = require('../services/revision.service');
 const { ApiResponse, asyncHandler } = require('../../../shared/utils');
 
 // ============================================
@@ -57,7 +61,10 @@ const getOpeningById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const includeFounder = req.query.includeFounder === 'true';
 
-  const opening = await openingService.getOpeningById(id, { includeFounder });
+  const opening = await openingService.getOpeningById(id, {
+    includeFounder,
+    viewerId: req.user._id,
+  });
 
   // Increment view count (async, don't await)
   openingService.incrementOpeningViews(id).catch(() => {});
@@ -109,6 +116,25 @@ const deleteOpening = asyncHandler(async (req, res) => {
 // OPENING STATUS MANAGEMENT
 // ============================================
 
+/**
+ * Publish a draft opening
+ *
+ * @route POST /api/v1/openings/:id/publish
+ * @access Private (Owner only)
+ *
+ * @param {string} req.params.id - Opening ID
+ *
+ * @returns {Object} Active (or scheduled) opening
+ */
+const publishOpening = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const founderId = req.user._id;
+
+  const opening = await openingService.publishOpening(id, founderId);
+
+  return ApiResponse.ok('Opening published successfully', { opening }).send(res);
+});
+
 /**
  * Pause an opening
  *
@@ -168,6 +194,182 @@ const markOpeningFilled = asyncHandler(async (req, res) => {
   return ApiResponse.ok('Opening marked as filled', { opening }).send(res);
 });
 
+// ============================================
+// REVISION HISTORY
+// ============================================
+
+/**
+ * Get an opening's revision history, newest first
+ *
+ * @route GET /api/v1/openings/:id/revisions
+ * @access Private (Owner, or builders who expressed interest)
+ *
+ * @param {string} req.params.id - Opening ID
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ *
+ * @returns {Object} Revisions, current revision number and pagination
+ */
+const getOpeningRevisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await revisionService.getRevisions(req.params.id, req.user._id, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  return ApiResponse.ok('Revisions retrieved', result).send(res);
+});
+
+/**
+ * Compare two revisions of an opening
+ *
+ * @route GET /api/v1/openings/:id/revisions/diff
+ * @access Private (Owner, or builders who expressed interest)
+ *
+ * @param {string} req.params.id - Opening ID
+ * @param {number} [req.query.from] - Older revision (default: the one before `to`)
+ * @param {number} [req.query.to] - Newer revision (default: current)
+ *
+ * @returns {Object} Fields changed between the two revisions
+ */
+const getOpeningRevisionDiff = asyncHandler(async (req, res) => {
+  const diff = await revisionService.getRevisionDiff(req.params.id, req.user._id, {
+    from: req.query.from,
+    to: req.query.to,
+  });
+
+  return ApiResponse.ok('Revision diff retrieved', diff).send(res);
+});
+
+// ============================================
+// TEMPLATES & DUPLICATION
+// ============================================
+
+/**
+ * Get the opening template library (built-in and own templates)
+ *
+ * @route GET /api/v1/openings/templates
+ * @access Private (Founders only)
+ *
+ * @param {string} [req.query.roleType] - Filter by role type
+ *
+ * @returns {Object} Templates
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const templates = await templateService.getTemplates(req.user._id, {
+    roleType: req.query.roleType,
+  });
+
+  return ApiResponse.ok('Templates retrieved', { templates }).send(res);
+});
+
+/**
+ * Get a template
+ *
+ * @route GET /api/v1/openings/templates/:templateId
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.templateId - Built-in key or template ID
+ *
+ * @returns {Object} Template
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await templateService.getTemplateById(req.user._id, req.params.templateId);
+
+  return ApiResponse.ok('Template retrieved', { template }).send(res);
+});
+
+/**
+ * Save a template
+ *
+ * @route POST /api/v1/openings/templates
+ * @access Private (Founders only)
+ *
+ * @param {string} req.body.name - Template name
+ * @param {string} [req.body.openingId] - Save the fields of this opening
+ * @param {Object} [req.body.fields] - Opening fields
+ *
+ * @returns {Object} Created template
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.createTemplate(req.user._id, req.body);
+
+  return ApiResponse.created('Template saved', { template }).send(res);
+});
+
+/**
+ * Update a template
+ *
+ * @route PATCH /api/v1/openings/templates/:templateId
+ * @access Private (Owner only)
+ *
+ * @param {string} req.params.templateId - Template ID
+ * @param {string} [req.body.name] - New name
+ * @param {Object} [req.body.fields] - Opening fields to change
+ *
+ * @returns {Object} Updated template
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await templateService.updateTemplate(req.user._id, req.params.templateId, req.body);
+
+  return ApiResponse.ok('Template updated', { template }).send(res);
+});
+
+/**
+ * Delete a template
+ *
+ * @route DELETE /api/v1/openings/templates/:templateId
+ * @access Private (Owner only)
+ *
+ * @param {string} req.params.templateId - Template ID
+ *
+ * @returns {Object} Success message
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  await templateService.deleteTemplate(req.user._id, req.params.templateId);
+
+  return ApiResponse.ok('Template deleted').send(res);
+});
+
+/**
+ * Create an opening from a template
+ *
+ * @route POST /api/v1/openings/templates/:templateId/use
+ * @access Private (Founders only)
+ *
+ * @param {string} req.params.templateId - Built-in key or template ID
+ * @param {Object} req.body - Opening fields to change, plus publishAt, applicationDeadline, draft
+ *
+ * @returns {Object} Created opening
+ */
+const createOpeningFromTemplate = asyncHandler(async (req, res) => {
+  const opening = await templateService.createOpeningFromTemplate(
+    req.user._id,
+    req.params.templateId,
+    req.body
+  );
+
+  return ApiResponse.created('Opening created successfully', { opening }).send(res);
+});
+
+/**
+ * Duplicate an opening into a new draft
+ *
+ * @route POST /api/v1/openings/:id/duplicate
+ * @access Private (Owner only)
+ *
+ * @param {string} req.params.id - Opening ID
+ * @param {Object} [req.body] - Opening fields to change in the copy
+ *
+ * @returns {Object} Draft opening
+ */
+const duplicateOpening = asyncHandler(async (req, res) => {
+  const opening = await openingService.duplicateOpening(req.params.id, req.user._id, req.body);
+
+  return ApiResponse.created('Opening duplicated as a draft', { opening }).send(res);
+});
+
 // ============================================
 // FOUNDER OPENINGS
 // ============================================
@@ -231,6 +433,7 @@ const getMyOpeningStats = asyncHandler(async (req, res) => {
  * @param {string[]} [req.query.skills] - Filter by skills
  * @param {string} [req.query.startupStage] - Filter by startup stage
  * @param {number} [req.query.minEquity] - Minimum equity
+ * @param {number} [req.query.maxCash] - Maximum cash (lowest offer at or below)
  * @param {string} [req.query.remotePreference] - Remote preference
  * @param {string} [req.query.location] - Location filter
  * @param {string} [req.query.search] - Text search
@@ -246,6 +449,7 @@ const searchOpenings = asyncHandler(async (req, res) => {
     skills,
     startupStage,
     minEquity,
+    maxCash,
     remotePreference,
     location,
     search,
@@ -259,6 +463,7 @@ const searchOpenings = asyncHandler(async (req, res) => {
   if (skills) filters.skills = Array.isArray(skills) ? skills : [skills];
   if (startupStage) filters.startupStage = startupStage;
   if (minEquity) filters.minEquity = parseFloat(minEquity);
+  if (maxCash) filters.maxCash = parseFloat(maxCash);
   if (remotePreference) filters.remotePreference = remotePreference;
   if (location) filters.location = location;
   if (search) filters.search = search;
@@ -267,6 +472,7 @@ const searchOpenings = asyncHandler(async (req, res) => {
     page: parseInt(page, 10),
     limit: parseInt(limit, 10),
     sort,
+    requesterId: req.user._id,
   };
 
   const result = await openingService.searchOpenings(filters, options);
@@ -297,6 +503,7 @@ const getOpeningsByRoleType = asyncHandler(async (req, res) => {
   const result = await openingService.getOpeningsByRoleType(roleType, {
     page: parseInt(page, 10),
     limit: parseInt(limit, 10),
+    requesterId: req.user._id,
   });
 
   return ApiResponse.paginated(
@@ -400,10 +607,24 @@ module.exports = {
   deleteOpening,
 
   // Status management
+  publishOpening,
   pauseOpening,
   resumeOpening,
   markOpeningFilled,
 
+  // Revision history
+  getOpeningRevisions,
+  getOpeningRevisionDiff,
+
+  // Templates & duplication
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createOpeningFromTemplate,
+  duplicateOpening,
+
   // Founder openings
   getMyOpenings,
   getMyOpeningStats,
@@ -17,7 +17,11 @@ const {
   VESTING_TYPES,
   REMOTE_PREFERENCES,
   CURRENCIES,
+  LIMITS,
+  SCREENING_QUESTION_TYPES,
 } = require('../../../shared/constants');
+const { EMPTY_SKILL_GRAPH, matchSkills } = require('../../../shared/utils/skillGraph');
+const { isScoredQuestion, toApplicantQuestions } = require('../../../shared/utils/screening');
 
 const { Schema } = mongoose;
 
@@ -44,6 +48,119 @@ const rangeSchema = new Schema(
   { _id: false }
 );
 
+/**
+ * Screening rules sub-schema - the founder's ideal answer for a question
+ * Hidden from applicants (select: false on the parent path)
+ */
+const screeningRulesSchema = new Schema(
+  {
+    /**
+     * MULTIPLE_CHOICE: options that count as a good answer
+     */
+    preferredOptions: {
+      type: [String],
+      default: undefined,
+    },
+
+    /**
+     * NUMBER: acceptable range (either end optional)
+     */
+    min: {
+      type: Number,
+      default: null,
+    },
+    max: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * YES_NO: the answer the founder is looking for
+     */
+    expectedAnswer: {
+      type: Boolean,
+      default: null,
+    },
+
+    /**
+     * Failing this question knocks the applicant out
+     */
+    knockout: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Importance in the screening score (1-5)
+     */
+    weight: {
+      type: Number,
+      min: [1, 'Weight must be between 1 and 5'],
+      max: [5, 'Weight must be between 1 and 5'],
+      default: 1,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Typed screening question sub-schema
+ * The _id is the question ID applicants answer against
+ */
+const screeningQuestionSchema = new Schema({
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [300, 'Question cannot exceed 300 characters'],
+  },
+  type: {
+    type: String,
+    enum: {
+      values: Object.values(SCREENING_QUESTION_TYPES),
+      message: 'Invalid screening question type',
+    },
+    required: [true, 'Question type is required'],
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  options: {
+    type: [{ type: String, trim: true, maxlength: [100, 'Option cannot exceed 100 characters'] }],
+    default: undefined,
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters'],
+  },
+  rules: {
+    type: screeningRulesSchema,
+    default: () => ({}),
+    select: false,
+  },
+});
+
+/**
+ * Founder-defined pipeline stage sub-schema
+ * The _id is the stage ID interests point at, so renames keep candidates in place
+ */
+const pipelineStageSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Stage name is required'],
+      trim: true,
+      maxlength: [40, 'Stage name cannot exceed 40 characters'],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
 // ============================================
 // MAIN SCHEMA
 // ============================================
@@ -318,6 +435,17 @@ const openingSchema = new Schema(
       maxlength: [100, 'Timezone preference cannot exceed 100 characters'],
     },
 
+    /**
+     * Hard minimum hours of working-hours overlap with the founder (0 = no minimum)
+     * Builders without a timezone are not filtered out
+     */
+    minTimezoneOverlapHours: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum overlap cannot be negative'],
+      max: [12, 'Minimum overlap cannot exceed 12 hours'],
+    },
+
     // ==========================================
     // STATUS & VISIBILITY
     // ==========================================
@@ -335,6 +463,15 @@ const openingSchema = new Schema(
       index: true,
     },
 
+    /**
+     * Paused automatically because maxInterests was reached
+     * Only auto-paused openings are resumed automatically
+     */
+    autoPaused: {
+      type: Boolean,
+      default: false,
+    },
+
     /**
      * Whether opening is visible in discovery
      */
@@ -396,7 +533,16 @@ const openingSchema = new Schema(
     },
 
     /**
-     * Custom questions for applicants
+     * Last moment to express interest; the opening closes automatically after it
+     */
+    applicationDeadline: {
+      type: Date,
+      default: null,
+    },
+
+    /**
+     * Free-text questions for applicants
+     * Superseded by screeningQuestions; kept for openings created before typed questions
      */
     customQuestions: {
       type: [String],
@@ -409,6 +555,45 @@ const openingSchema = new Schema(
       },
     },
 
+    /**
+     * Typed screening questions; answers are auto-scored against the rules
+     */
+    screeningQuestions: {
+      type: [screeningQuestionSchema],
+      default: [],
+      validate: {
+        validator: function (v) {
+          return v.length <= LIMITS.MAX_SCREENING_QUESTIONS;
+        },
+        message: `Maximum ${LIMITS.MAX_SCREENING_QUESTIONS} screening questions allowed`,
+      },
+    },
+
+    /**
+     * Founder's own review stages, in board order ("Intro call", "Take-home")
+     * Internal to the founder - not selected unless asked for
+     */
+    pipelineStages: {
+      type: [pipelineStageSchema],
+      default: [],
+      select: false,
+      validate: [
+        {
+          validator: function (v) {
+            return v.length <= LIMITS.MAX_PIPELINE_STAGES;
+          },
+          message: `Maximum ${LIMITS.MAX_PIPELINE_STAGES} pipeline stages allowed`,
+        },
+        {
+          validator: function (v) {
+            const names = v.map((stage) => stage.name.trim().toLowerCase());
+            return new Set(names).size === names.length;
+          },
+          message: 'Pipeline stage names must be unique',
+        },
+      ],
+    },
+
     // ==========================================
     // ANALYTICS
     // ==========================================
@@ -445,10 +630,26 @@ const openingSchema = new Schema(
       default: 0,
     },
 
+    /**
+     * Latest revision number (0 until edited after publishing, see OpeningRevision)
+     */
+    revision: {
+      type: Number,
+      default: 0,
+    },
+
     // ==========================================
     // DATES
     // ==========================================
 
+    /**
+     * When a SCHEDULED opening goes live
+     */
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * When the opening was published
      */
@@ -457,6 +658,15 @@ const openingSchema = new Schema(
       default: null,
     },
 
+    /**
+     * When the opening was queued for saved search alerts
+     * (cleared once the alerts job picks it up)
+     */
+    searchAlertsQueuedAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * When the opening was closed
      */
@@ -549,6 +759,13 @@ openingSchema.index({ createdAt: -1 });
 openingSchema.index({ lastActivityAt: -1 });
 openingSchema.index({ publishedAt: -1 });
 
+// Lifecycle job lookups
+openingSchema.index({ status: 1, publishAt: 1 });
+openingSchema.index({ status: 1, applicationDeadline: 1 });
+
+// Saved search alert queue
+openingSchema.index({ searchAlertsQueuedAt: 1 });
+
 // Text index for search
 openingSchema.index({
   title: 'text',
@@ -567,10 +784,19 @@ openingSchema.virtual('isOpen').get(function () {
   return (
     this.status === OPENING_STATUS.ACTIVE &&
     this.isVisible &&
-    this.acceptingInterests
+    this.acceptingInterests &&
+    !this.isPastDeadline
   );
 });
 
+/**
+ * Check if the application deadline has passed
+ * (the lifecycle job closes the opening shortly after)
+ */
+openingSchema.virtual('isPastDeadline').get(function () {
+  return Boolean(this.applicationDeadline) && this.applicationDeadline <= new Date();
+});
+
 /**
  * Check if opening is equity-only
  */
@@ -652,6 +878,60 @@ openingSchema.virtual('daysSincePublished').get(function () {
   return Math.floor((new Date() - this.publishedAt) / (1000 * 60 * 60 * 24));
 });
 
+// ============================================
+// PRE-VALIDATE MIDDLEWARE
+// ============================================
+
+/**
+ * Check screening questions fit their type
+ */
+openingSchema.pre('validate', function (next) {
+  if (!this.isModified('screeningQuestions')) return next();
+
+  this.screeningQuestions.forEach((question, index) => {
+    const path = `screeningQuestions.${index}`;
+    const rules = question.rules || {};
+
+    if (question.type === SCREENING_QUESTION_TYPES.MULTIPLE_CHOICE) {
+      const options = question.options || [];
+
+      if (options.length < 2 || options.length > LIMITS.MAX_SCREENING_OPTIONS) {
+        this.invalidate(`${path}.options`, `Multiple choice questions need 2-${LIMITS.MAX_SCREENING_OPTIONS} options`);
+      } else if (new Set(options).size !== options.length) {
+        this.invalidate(`${path}.options`, 'Options must be unique');
+      }
+
+      const unknown = (rules.preferredOptions || []).filter((option) => !options.includes(option));
+      if (unknown.length > 0) {
+        this.invalidate(`${path}.rules.preferredOptions`, `Preferred options must be listed options: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (rules.min != null && rules.max != null && rules.min > rules.max) {
+      this.invalidate(`${path}.rules.min`, 'Minimum cannot be greater than maximum');
+    }
+
+    if (rules.knockout && !isScoredQuestion(question)) {
+      this.invalidate(`${path}.rules.knockout`, 'Knockout questions need an ideal answer to check against');
+    }
+  });
+
+  next();
+});
+
+/**
+ * Check the application deadline falls after the scheduled publish time
+ */
+openingSchema.pre('validate', function (next) {
+  if (!this.isModified('publishAt') && !this.isModified('applicationDeadline')) return next();
+
+  if (this.publishAt && this.applicationDeadline && this.applicationDeadline <= this.publishAt) {
+    this.invalidate('applicationDeadline', 'Application deadline must be after the publish time');
+  }
+
+  next();
+});
+
 // ============================================
 // PRE-SAVE MIDDLEWARE
 // ============================================
@@ -687,6 +967,11 @@ openingSchema.pre('save', function (next) {
     this.filledAt = new Date();
   }
 
+  // Only a paused opening can be auto-paused
+  if (this.isModified('status') && this.status !== OPENING_STATUS.PAUSED) {
+    this.autoPaused = false;
+  }
+
   // Update lastActivityAt
   this.lastActivityAt = new Date();
 
@@ -732,6 +1017,7 @@ openingSchema.methods.getPublicData = function () {
     status: this.status,
     publishedAt: this.publishedAt,
     daysSincePublished: this.daysSincePublished,
+    applicationDeadline: this.applicationDeadline,
   };
 };
 
@@ -752,13 +1038,27 @@ openingSchema.methods.getFullData = function () {
     duration: this.duration,
     startDate: this.startDate,
     timezonePreference: this.timezonePreference,
+    minTimezoneOverlapHours: this.minTimezoneOverlapHours,
     preferredRiskAppetite: this.preferredRiskAppetite,
     customQuestions: this.customQuestions,
+    screeningQuestions: toApplicantQuestions(this.screeningQuestions),
     interestCount: this.interestCount,
     isOpen: this.isOpen,
   };
 };
 
+/**
+ * Full document as JSON for anyone but the owner
+ * Screening questions lose their scoring rules
+ * @returns {Object}
+ */
+openingSchema.methods.toApplicantJSON = function () {
+  return {
+    ...this.toJSON(),
+    screeningQuestions: toApplicantQuestions(this.screeningQuestions),
+  };
+};
+
 /**
  * Get matching data for algorithm
  * @returns {Object} Data for matching
@@ -776,15 +1076,17 @@ openingSchema.methods.getMatchingData = function () {
     location: this.location,
     preferredRiskAppetite: this.preferredRiskAppetite,
     experienceRequired: this.experienceRequired,
+    minTimezoneOverlapHours: this.minTimezoneOverlapHours,
   };
 };
 
 /**
  * Check if a builder matches this opening
  * @param {Object} builderProfile - Builder's profile data
+ * @param {Object} [skillGraph] - Skill taxonomy graph for partial credit on related skills
  * @returns {Object} Match result
  */
-openingSchema.methods.checkBuilderMatch = function (builderProfile) {
+openingSchema.methods.checkBuilderMatch = function (builderProfile, skillGraph = EMPTY_SKILL_GRAPH) {
   const result = {
     isMatch: true,
     score: 0,
@@ -817,17 +1119,18 @@ openingSchema.methods.checkBuilderMatch = function (builderProfile) {
     result.reasons.push('Risk appetite mismatch');
   }
 
-  // Calculate skill match
-  const matchedSkills = this.skillsRequired.filter((skill) =>
-    builderProfile.skills?.includes(skill)
-  );
-  const skillMatchPercentage =
-    this.skillsRequired.length > 0
-      ? Math.round((matchedSkills.length / this.skillsRequired.length) * 100)
-      : 100;
+  // Calculate skill match (related skills earn partial credit)
+  const skills = matchSkills(this.skillsRequired, builderProfile.skills || [], {
+    graph: skillGraph,
+    skillExperience: builderProfile.skillExperience,
+    experienceRequired: this.experienceRequired,
+  });
+  const skillMatchPercentage = skills.percentage;
 
   result.skillMatch = {
-    matched: matchedSkills,
+    matched: skills.matched,
+    related: skills.related,
+    missing: skills.missing,
     percentage: skillMatchPercentage,
   };
 
@@ -1098,6 +1401,19 @@ openingSchema.statics.countActiveByFounder = function (founderId) {
   });
 };
 
+/**
+ * Claim the opening queued longest for saved search alerts
+ * Clears searchAlertsQueuedAt atomically so each queueing is handled once.
+ * @returns {Promise<Opening|null>}
+ */
+openingSchema.statics.claimQueuedSearchAlerts = function () {
+  return this.findOneAndUpdate(
+    { searchAlertsQueuedAt: { $ne: null } },
+    { $set: { searchAlertsQueuedAt: null } },
+    { sort: { searchAlertsQueuedAt: 1 }, new: true }
+  );
+};
+
 // ============================================
 // MODEL EXPORT
 // ============================================
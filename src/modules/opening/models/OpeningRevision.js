@@ -0,0 +1,167 @@
+/**
+ * @fileoverview OpeningRevision model - Edit history of published openings
+ *
+ * Each update to a published opening that changes one of REVISION_FIELDS is
+ * stored as a numbered revision with the before/after value of every field
+ * it changed. Revision 0 is the opening as first published, so any two
+ * revisions can be compared by replaying the changes between them.
+ *
+ * Changes to MATERIAL_REVISION_FIELDS (compensation, commitment, remote
+ * policy) are flagged and reported to builders who already applied.
+ *
+ * @module models/OpeningRevision
+ */
+
+const mongoose = require('mongoose');
+const { TEMPLATE_FIELDS } = require('../../../shared/utils/openingTemplates');
+
+const { Schema } = mongoose;
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Opening fields tracked in the revision history
+ */
+const REVISION_FIELDS = Object.freeze([...TEMPLATE_FIELDS, 'applicationDeadline']);
+
+/**
+ * Fields whose change is material to builders who already applied
+ */
+const MATERIAL_REVISION_FIELDS = Object.freeze([
+  // Compensation
+  'equityRange',
+  'cashRange',
+  'cashCurrency',
+  'vestingType',
+  // Commitment
+  'hoursPerWeek',
+  'duration',
+  // Remote policy
+  'remotePreference',
+]);
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * One changed field
+ */
+const revisionChangeSchema = new Schema(
+  {
+    field: {
+      type: String,
+      enum: REVISION_FIELDS,
+      required: true,
+    },
+
+    before: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    after: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+
+    material: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const openingRevisionSchema = new Schema(
+  {
+    opening: {
+      type: Schema.Types.ObjectId,
+      ref: 'Opening',
+      required: [true, 'Opening is required'],
+    },
+
+    /**
+     * Revision number (1 for the first edit after publishing)
+     */
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    /**
+     * Founder who made the edit
+     */
+    editedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    changes: {
+      type: [revisionChangeSchema],
+      default: [],
+    },
+
+    /**
+     * Any change is to a MATERIAL_REVISION_FIELDS field
+     */
+    material: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Builders told about the material change
+     */
+    notifiedCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    // ==========================================
+    // SCHEMA OPTIONS
+    // ==========================================
+
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// An opening's history, in order
+openingRevisionSchema.index({ opening: 1, revision: 1 }, { unique: true });
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const OpeningRevision = mongoose.model('OpeningRevision', openingRevisionSchema);
+
+module.exports = {
+  OpeningRevision,
+  REVISION_FIELDS,
+  MATERIAL_REVISION_FIELDS,
+};
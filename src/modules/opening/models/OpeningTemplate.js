@@ -0,0 +1,123 @@
+/**
+ * @fileoverview OpeningTemplate model - Founders' saved opening templates
+ *
+ * A template stores the reusable fields of an opening (see
+ * utils/openingTemplates TEMPLATE_FIELDS) under a name. Creating an opening
+ * from it goes through opening.service createOpening, and the fields are
+ * checked against the Opening schema when the template is saved.
+ *
+ * Built-in templates are not stored here; they live in utils/openingTemplates.
+ *
+ * @module models/OpeningTemplate
+ */
+
+const mongoose = require('mongoose');
+const { ROLE_TYPES } = require('../../../shared/constants');
+
+const { Schema } = mongoose;
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const openingTemplateSchema = new Schema(
+  {
+    /**
+     * Founder who owns the template
+     */
+    founder: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Founder is required'],
+    },
+
+    /**
+     * Name shown in the template library
+     */
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+
+    /**
+     * Role type of the fields (for filtering the library)
+     */
+    roleType: {
+      type: String,
+      enum: {
+        values: Object.values(ROLE_TYPES),
+        message: 'Invalid role type',
+      },
+      required: [true, 'Role type is required'],
+    },
+
+    /**
+     * Opening fields the template fills in
+     */
+    fields: {
+      type: Schema.Types.Mixed,
+      required: [true, 'Template fields are required'],
+    },
+
+    /**
+     * Opening the template was saved from, if any
+     */
+    sourceOpening: {
+      type: Schema.Types.ObjectId,
+      ref: 'Opening',
+      default: null,
+    },
+
+    /**
+     * Openings created from this template
+     */
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    // ==========================================
+    // SCHEMA OPTIONS
+    // ==========================================
+
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// A founder's template names are unique
+openingTemplateSchema.index({ founder: 1, name: 1 }, { unique: true });
+
+// A founder's library, by role type
+openingTemplateSchema.index({ founder: 1, roleType: 1 });
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const OpeningTemplate = mongoose.model('OpeningTemplate', openingTemplateSchema);
+
+module.exports = OpeningTemplate;
@@ -50,6 +50,56 @@ router.get('/my', auth, requireFounder, openingController.getMyOpenings);
  */
 router.get('/my/stats', auth, requireFounder, openingController.getMyOpeningStats);
 
+// ============================================
+// TEMPLATE ROUTES (Must be before /:id)
+// ============================================
+
+/**
+ * @route   GET /api/v1/openings/templates
+ * @desc    Get the template library (built-in and own templates)
+ * @access  Private (Founders only)
+ * @query   { roleType? }
+ */
+router.get('/templates', auth, requireFounder, openingController.getTemplates);
+
+/**
+ * @route   GET /api/v1/openings/templates/:templateId
+ * @desc    Get a template (built-in key or own template ID)
+ * @access  Private (Founders only)
+ */
+router.get('/templates/:templateId', auth, requireFounder, openingController.getTemplateById);
+
+/**
+ * @route   POST /api/v1/openings/templates
+ * @desc    Save a template
+ * @access  Private (Founders only)
+ * @body    { name, openingId?, fields? }
+ */
+router.post('/templates', auth, requireFounder, openingController.createTemplate);
+
+/**
+ * @route   POST /api/v1/openings/templates/:templateId/use
+ * @desc    Create an opening from a template
+ * @access  Private (Founders only)
+ * @body    Opening fields to change, { publishAt?, applicationDeadline?, draft? }
+ */
+router.post('/templates/:templateId/use', auth, requireFounder, openingController.createOpeningFromTemplate);
+
+/**
+ * @route   PATCH /api/v1/openings/templates/:templateId
+ * @desc    Update a template
+ * @access  Private (Owner only)
+ * @body    { name?, fields? }
+ */
+router.patch('/templates/:templateId', auth, requireFounder, openingController.updateTemplate);
+
+/**
+ * @route   DELETE /api/v1/openings/templates/:templateId
+ * @desc    Delete a template
+ * @access  Private (Owner only)
+ */
+router.delete('/templates/:templateId', auth, requireFounder, openingController.deleteTemplate);
+
 // ============================================
 // BUILDER-SPECIFIC ROUTES
 // ============================================
@@ -115,7 +165,7 @@ router.get('/', auth, requireCompleteProfile, openingController.searchOpenings);
  * @route   POST /api/v1/openings
  * @desc    Create a new opening
  * @access  Private (Founders only)
- * @body    { title, roleType, description?, skillsRequired[], equityRange?, cashRange?, hoursPerWeek?, remotePreference? }
+ * @body    { title, roleType, description?, skillsRequired[], equityRange?, cashRange?, hoursPerWeek?, remotePreference?, publishAt?, applicationDeadline?, draft? }
  */
 router.post('/', auth, requireFounder, openingController.createOpening);
 
@@ -131,6 +181,22 @@ router.post('/', auth, requireFounder, openingController.createOpening);
  */
 router.get('/:id', auth, openingController.getOpeningById);
 
+/**
+ * @route   GET /api/v1/openings/:id/revisions
+ * @desc    Get the opening's revision history
+ * @access  Private (Owner, or builders who expressed interest)
+ * @query   { page?, limit? }
+ */
+router.get('/:id/revisions', auth, openingController.getOpeningRevisions);
+
+/**
+ * @route   GET /api/v1/openings/:id/revisions/diff
+ * @desc    Compare two revisions of the opening
+ * @access  Private (Owner, or builders who expressed interest)
+ * @query   { from?, to? }
+ */
+router.get('/:id/revisions/diff', auth, openingController.getOpeningRevisionDiff);
+
 /**
  * @route   PATCH /api/v1/openings/:id
  * @desc    Update an opening
@@ -150,6 +216,13 @@ router.delete('/:id', auth, requireFounder, openingController.deleteOpening);
 // OPENING STATUS MANAGEMENT
 // ============================================
 
+/**
+ * @route   POST /api/v1/openings/:id/publish
+ * @desc    Publish a draft opening (scheduled if its publishAt is in the future)
+ * @access  Private (Owner only)
+ */
+router.post('/:id/publish', auth, requireFounder, openingController.publishOpening);
+
 /**
  * @route   POST /api/v1/openings/:id/pause
  * @desc    Pause an opening
@@ -172,6 +245,14 @@ router.post('/:id/resume', auth, requireFounder, openingController.resumeOpening
  */
 router.post('/:id/fill', auth, requireFounder, openingController.markOpeningFilled);
 
+/**
+ * @route   POST /api/v1/openings/:id/duplicate
+ * @desc    Copy an opening into a new draft
+ * @access  Private (Owner only)
+ * @body    Opening fields to change in the copy
+ */
+router.post('/:id/duplicate', auth, requireFounder, openingController.duplicateOpening);
+
 // ============================================
 // INTEREST/ENGAGEMENT
 // ============================================
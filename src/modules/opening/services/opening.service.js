@@ -11,15 +11,24 @@
  * @module services/opening
  */
 
-const { Opening, FounderProfile, User } = require('../../models');
+const { Opening, FounderProfile, User, Interest } = require('../../models');
 const { ApiError } = require('../../../shared/utils');
 const { 
   USER_TYPES, 
   OPENING_STATUS, 
   ROLE_TYPES,
   SUBSCRIPTION_TIERS,
+  INTEREST_STATUS,
 } = require('../../../shared/constants');
 const logger = require('../../../shared/utils/logger');
+const screeningService = require('../../interest/services/screening.service');
+const creditService = require('../../interest/services/credit.service');
+const savedSearchService = require('../../savedSearch/services/savedSearch.service');
+const blockService = require('../../moderation/services/block.service');
+const notificationService = require('../../notification/services/notification.service');
+const revisionService = require('./revision.service');
+const { pickTemplateFields } = require('../../../shared/utils/openingTemplates');
+const { runSideEffect } = require('../../../shared/utils/sideEffects');
 
 // ============================================
 // CONSTANTS
@@ -33,6 +42,221 @@ const MAX_OPENINGS = {
   [SUBSCRIPTION_TIERS.FOUNDER_PRO]: 5,
 };
 
+/**
+ * Statuses after which an opening takes no more interests
+ */
+const FINAL_STATUSES = [OPENING_STATUS.CLOSED, OPENING_STATUS.FILLED];
+
+/**
+ * Statuses only the opening's founder can see
+ */
+const UNPUBLISHED_STATUSES = [OPENING_STATUS.DRAFT, OPENING_STATUS.SCHEDULED];
+
+/**
+ * Statuses that count toward a founder's opening limit (drafts don't)
+ */
+const LIMITED_STATUSES = [OPENING_STATUS.SCHEDULED, OPENING_STATUS.ACTIVE, OPENING_STATUS.PAUSED];
+
+/**
+ * Interest statuses still waiting on the opening (told when it closes)
+ */
+const PENDING_INTEREST_STATUSES = [
+  INTEREST_STATUS.INTERESTED,
+  INTEREST_STATUS.SHORTLISTED,
+  INTEREST_STATUS.MATCH_PROPOSED,
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Refund builders' interest credits when an opening is closed or filled
+ * before the founder looked at their interest
+ *
+ * @param {Object} opening - Opening document (already closed or filled)
+ * @returns {Promise<void>}
+ */
+const refundUnviewedInterests = async (opening) => {
+  const reason = opening.status === OPENING_STATUS.FILLED
+    ? creditService.REFUND_REASONS.OPENING_FILLED
+    : creditService.REFUND_REASONS.OPENING_CLOSED;
+
+  await creditService.refundUnviewedInterests(opening._id, reason);
+};
+
+/**
+ * Queue alerts for builders whose saved searches match an opening that just
+ * went live (published or resumed); the saved search alerts job sends them.
+ *
+ * @param {Object} opening - Opening document (ACTIVE)
+ * @returns {Promise<boolean>} Whether the alerts were queued
+ */
+const alertSavedSearches = (opening) => runSideEffect(
+  'Failed to queue saved search alerts',
+  { openingId: opening._id },
+  () => savedSearchService.queueOpeningAlerts(opening)
+);
+
+/**
+ * Tell builders with a pending interest that the opening was closed or
+ * filled (the builder who filled it is left out)
+ *
+ * @param {Object} opening - Opening document (already closed or filled)
+ * @returns {Promise<void>}
+ */
+const notifyInterestedBuilders = async (opening) => {
+  const query = {
+    opening: opening._id,
+    status: { $in: PENDING_INTEREST_STATUSES },
+  };
+  if (opening.filledBy) {
+    query.builder = { $ne: opening.filledBy };
+  }
+
+  const interests = await Interest.find(query).select('_id builder').lean();
+
+  for (const interest of interests) {
+    await notificationService.notifyOpeningClosed({
+      builderId: interest.builder,
+      opening,
+      interestId: interest._id,
+    });
+  }
+};
+
+/**
+ * Side effects of an opening reaching CLOSED or FILLED: refunds and builder notifications
+ *
+ * @param {Object} opening - Opening document (already closed or filled)
+ * @returns {Promise<void>}
+ */
+const onOpeningClosed = async (opening) => {
+  const context = { openingId: opening._id };
+
+  await runSideEffect('Failed to refund interest credits', context, () => refundUnviewedInterests(opening));
+  await runSideEffect('Failed to notify interested builders', context, () => notifyInterestedBuilders(opening));
+};
+
+/**
+ * Pause an active opening that has reached maxInterests, or resume one that
+ * was auto-paused once it has room again (limit raised or removed, interests
+ * withdrawn). Changes the document without saving it.
+ *
+ * @param {Object} opening - Opening document
+ * @returns {boolean} Whether the status changed
+ */
+const applyInterestCap = (opening) => {
+  if (opening.status === OPENING_STATUS.ACTIVE && opening.isMaxInterestsReached) {
+    opening.status = OPENING_STATUS.PAUSED;
+    opening.autoPaused = true;
+    return true;
+  }
+
+  if (
+    opening.status === OPENING_STATUS.PAUSED &&
+    opening.autoPaused &&
+    !opening.isMaxInterestsReached &&
+    !opening.isPastDeadline
+  ) {
+    opening.status = OPENING_STATUS.ACTIVE;
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Validate the schedule fields of an opening request
+ * Only fields present in the data are returned; null or '' clears a date.
+ *
+ * @param {Object} data - Request data
+ * @returns {Object} { publishAt?, applicationDeadline? }
+ * @throws {ApiError} If a date is invalid or the deadline has passed
+ */
+const parseSchedule = (data) => {
+  const schedule = {};
+
+  ['publishAt', 'applicationDeadline'].forEach((field) => {
+    if (data[field] === undefined) return;
+
+    if (data[field] === null || data[field] === '') {
+      schedule[field] = null;
+      return;
+    }
+
+    const date = new Date(data[field]);
+    if (Number.isNaN(date.getTime())) {
+      throw ApiError.badRequest(`${field} must be a valid date`);
+    }
+    schedule[field] = date;
+  });
+
+  if (schedule.applicationDeadline && schedule.applicationDeadline <= new Date()) {
+    throw ApiError.badRequest('Application deadline must be in the future');
+  }
+
+  return schedule;
+};
+
+/**
+ * Map request data to opening fields, falling back to the founder profile
+ * defaults for compensation, commitment and location
+ *
+ * @param {Object} founderProfile - Founder profile document
+ * @param {Object} openingData - Request data
+ * @returns {Object} Opening fields (status and schedule not included)
+ */
+const buildOpeningFields = (founderProfile, openingData) => ({
+  title: openingData.title,
+  roleType: openingData.roleType,
+  description: openingData.description,
+  summary: openingData.summary,
+  skillsRequired: openingData.skillsRequired || [],
+  skillsPreferred: openingData.skillsPreferred,
+  experienceRequired: openingData.experienceRequired,
+  experienceLevel: openingData.experienceLevel,
+  equityRange: openingData.equityRange || founderProfile.equityRange,
+  cashRange: openingData.cashRange || founderProfile.cashRange,
+  cashCurrency: openingData.cashCurrency || founderProfile.cashCurrency,
+  vestingType: openingData.vestingType || founderProfile.vestingType,
+  vestingDetails: openingData.vestingDetails,
+  compensationNotes: openingData.compensationNotes,
+  hoursPerWeek: openingData.hoursPerWeek || founderProfile.hoursPerWeek,
+  duration: openingData.duration,
+  startDate: openingData.startDate,
+  remotePreference: openingData.remotePreference || founderProfile.remotePreference,
+  location: openingData.location || founderProfile.location,
+  timezonePreference: openingData.timezonePreference,
+  minTimezoneOverlapHours: openingData.minTimezoneOverlapHours,
+  preferredRiskAppetite: openingData.preferredRiskAppetite,
+  customQuestions: openingData.customQuestions,
+  screeningQuestions: openingData.screeningQuestions,
+  maxInterests: openingData.maxInterests,
+});
+
+/**
+ * Check the founder can publish another opening on their subscription
+ *
+ * @param {Object} user - Founder user document
+ * @returns {Promise<void>}
+ * @throws {ApiError} 402 if the limit is reached
+ */
+const assertOpeningLimit = async (user) => {
+  const activeOpeningsCount = await Opening.countDocuments({
+    founder: user._id,
+    status: { $in: LIMITED_STATUSES },
+  });
+  
+  const maxAllowed = MAX_OPENINGS[user.subscriptionTier] || MAX_OPENINGS[SUBSCRIPTION_TIERS.FREE];
+  
+  if (activeOpeningsCount >= maxAllowed) {
+    throw ApiError.paymentRequired(
+      `You've reached your limit of ${maxAllowed} active opening(s). Upgrade to create more.`
+    );
+  }
+};
+
 // ============================================
 // OPENING CRUD
 // ============================================
@@ -51,6 +275,11 @@ const MAX_OPENINGS = {
  * @param {string} [openingData.cashCurrency] - Currency (INR, USD, AED)
  * @param {number} [openingData.hoursPerWeek] - Expected hours per week
  * @param {string} [openingData.remotePreference] - Remote preference
+ * @param {string} [openingData.timezonePreference] - Timezone preference (free text)
+ * @param {number} [openingData.minTimezoneOverlapHours] - Hard minimum working-hours overlap
+ * @param {string} [openingData.publishAt] - Publish later (ISO date); the opening stays SCHEDULED until then
+ * @param {string} [openingData.applicationDeadline] - Close automatically after this date
+ * @param {boolean} [openingData.draft=false] - Save as DRAFT (publish later with publishOpening)
  * @returns {Promise<Object>} Created opening
  * @throws {ApiError} If founder not found or limit reached
  */
@@ -73,44 +302,106 @@ const createOpening = async (founderId, openingData) => {
     throw ApiError.badRequest('Please complete your founder profile first');
   }
   
-  // Check opening limit based on subscription
-  const activeOpeningsCount = await Opening.countDocuments({
-    founder: founderId,
-    status: { $in: [OPENING_STATUS.ACTIVE, OPENING_STATUS.PAUSED] },
-  });
+  const schedule = parseSchedule(openingData);
+  const draft = openingData.draft === true;
+  const scheduled = Boolean(schedule.publishAt) && schedule.publishAt > new Date();
   
-  const maxAllowed = MAX_OPENINGS[user.subscriptionTier] || MAX_OPENINGS[SUBSCRIPTION_TIERS.FREE];
+  // Check opening limit based on subscription (scheduled openings count, drafts don't)
+  if (!draft) {
+    await assertOpeningLimit(user);
+  }
   
-  if (activeOpeningsCount >= maxAllowed) {
-    throw ApiError.paymentRequired(
-      `You've reached your limit of ${maxAllowed} active opening(s). Upgrade to create more.`
-    );
+  let status = OPENING_STATUS.ACTIVE;
+  if (draft) {
+    status = OPENING_STATUS.DRAFT;
+  } else if (scheduled) {
+    status = OPENING_STATUS.SCHEDULED;
   }
   
   // Create opening with founder profile defaults
   const opening = await Opening.create({
+    ...buildOpeningFields(founderProfile, openingData),
     founder: founderId,
     founderProfile: founderProfile._id,
-    title: openingData.title,
-    roleType: openingData.roleType,
-    description: openingData.description,
-    skillsRequired: openingData.skillsRequired || [],
-    equityRange: openingData.equityRange || founderProfile.equityRange,
-    cashRange: openingData.cashRange || founderProfile.cashRange,
-    cashCurrency: openingData.cashCurrency || founderProfile.cashCurrency,
-    vestingType: openingData.vestingType || founderProfile.vestingType,
-    hoursPerWeek: openingData.hoursPerWeek || founderProfile.hoursPerWeek,
-    remotePreference: openingData.remotePreference || founderProfile.remotePreference,
-    location: openingData.location || founderProfile.location,
-    status: OPENING_STATUS.ACTIVE,
+    publishAt: scheduled ? schedule.publishAt : null,
+    applicationDeadline: schedule.applicationDeadline || null,
+    status,
   });
   
   logger.info('Opening created', { 
     openingId: opening._id, 
     founderId, 
     roleType: opening.roleType,
+    status: opening.status,
+  });
+  
+  if (opening.status === OPENING_STATUS.ACTIVE) {
+    await alertSavedSearches(opening);
+  }
+  
+  return opening;
+};
+
+/**
+ * Check opening data passes the same validation as createOpening, without
+ * saving anything (used for templates)
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {Object} openingData - Opening fields
+ * @returns {Promise<void>}
+ * @throws {ApiError|ValidationError} If the founder has no profile or the data is invalid
+ */
+const validateOpeningData = async (founderId, openingData) => {
+  const founderProfile = await FounderProfile.findOne({ user: founderId });
+  
+  if (!founderProfile) {
+    throw ApiError.badRequest('Please complete your founder profile first');
+  }
+  
+  const opening = new Opening({
+    ...buildOpeningFields(founderProfile, openingData),
+    founder: founderId,
+    founderProfile: founderProfile._id,
+    status: OPENING_STATUS.DRAFT,
   });
   
+  await opening.validate();
+};
+
+/**
+ * Copy an opening into a new DRAFT
+ * Status, schedule, counters and pipeline stages start fresh.
+ * 
+ * @param {string} openingId - Opening to copy
+ * @param {string} founderId - Founder's user ID (must own the opening)
+ * @param {Object} [overrides={}] - Opening fields to change in the copy
+ * @returns {Promise<Object>} The new draft opening
+ * @throws {ApiError} If not found or unauthorized
+ */
+const duplicateOpening = async (openingId, founderId, overrides = {}) => {
+  const source = await Opening.findById(openingId).select('+screeningQuestions.rules');
+  
+  if (!source) {
+    throw ApiError.notFound('Opening not found');
+  }
+  
+  if (source.founder.toString() !== founderId.toString()) {
+    throw ApiError.forbidden('You can only duplicate your own openings');
+  }
+  
+  const fields = pickTemplateFields(source.toObject({ virtuals: false }));
+  fields.title = `${source.title} (copy)`.slice(0, 100);
+  
+  const opening = await createOpening(founderId, {
+    ...fields,
+    ...pickTemplateFields(overrides),
+    applicationDeadline: overrides.applicationDeadline,
+    publishAt: overrides.publishAt,
+    draft: true,
+  });
+  
+  logger.info('Opening duplicated', { openingId: opening._id, sourceOpeningId: openingId, founderId });
+  
   return opening;
 };
 
@@ -120,11 +411,12 @@ const createOpening = async (founderId, openingData) => {
  * @param {string} openingId - Opening ID
  * @param {Object} [options={}] - Query options
  * @param {boolean} [options.includeFounder=false] - Include founder details
- * @returns {Promise<Object>} Opening
+ * @param {string} [options.viewerId] - Requesting user; screening rules are only returned to the owner
+ * @returns {Promise<Object>} Opening document for the owner, applicant JSON for everyone else
  * @throws {ApiError} If not found
  */
 const getOpeningById = async (openingId, options = {}) => {
-  let query = Opening.findById(openingId);
+  let query = Opening.findById(openingId).select('+screeningQuestions.rules');
   
   if (options.includeFounder) {
     query = query
@@ -138,11 +430,23 @@ const getOpeningById = async (openingId, options = {}) => {
     throw ApiError.notFound('Opening not found');
   }
   
+  const founderId = (opening.founder._id || opening.founder).toString();
+  
+  if (!options.viewerId || founderId !== options.viewerId.toString()) {
+    // Not published yet
+    if (UNPUBLISHED_STATUSES.includes(opening.status)) {
+      throw ApiError.notFound('Opening not found');
+    }
+    return opening.toApplicantJSON();
+  }
+  
   return opening;
 };
 
 /**
  * Update an opening
+ * Moving publishAt to now or earlier (or clearing it) publishes a scheduled
+ * opening right away. Changing maxInterests auto-pauses or auto-resumes it.
  * 
  * @param {string} openingId - Opening ID
  * @param {string} founderId - Founder's user ID (for authorization)
@@ -151,7 +455,7 @@ const getOpeningById = async (openingId, options = {}) => {
  * @throws {ApiError} If not found or unauthorized
  */
 const updateOpening = async (openingId, founderId, updateData) => {
-  const opening = await Opening.findById(openingId);
+  const opening = await Opening.findById(openingId).select('+screeningQuestions.rules');
   
   if (!opening) {
     throw ApiError.notFound('Opening not found');
@@ -163,13 +467,85 @@ const updateOpening = async (openingId, founderId, updateData) => {
   }
   
   // Don't allow updating certain fields
-  const protectedFields = ['founder', 'founderProfile', 'viewCount', 'interestCount', 'createdAt'];
+  // Pipeline stages are managed through the interest pipeline endpoints
+  // Schedule and auto-pause state are managed below and by the lifecycle job
+  const protectedFields = [
+    'founder', 'founderProfile', 'viewCount', 'interestCount', 'createdAt', 'pipelineStages',
+    'publishedAt', 'autoPaused', 'revision',
+  ];
   protectedFields.forEach(field => delete updateData[field]);
   
+  if (updateData.status !== undefined && updateData.status !== opening.status) {
+    if (opening.status === OPENING_STATUS.DRAFT) {
+      throw ApiError.badRequest('Publish a draft with POST /openings/:id/publish');
+    }
+    if (UNPUBLISHED_STATUSES.includes(updateData.status)) {
+      throw ApiError.badRequest('Published openings cannot be unpublished');
+    }
+  }
+  
+  const schedule = parseSchedule(updateData);
+  delete updateData.publishAt;
+  delete updateData.applicationDeadline;
+  
+  // Edits after publishing go into the revision history
+  const before = opening.publishedAt ? revisionService.snapshotOpening(opening) : null;
+  
   // Update fields
   Object.assign(opening, updateData);
+  
+  if (schedule.publishAt !== undefined) {
+    if (!UNPUBLISHED_STATUSES.includes(opening.status)) {
+      throw ApiError.badRequest('Only drafts and scheduled openings can be rescheduled');
+    }
+    
+    if (opening.status === OPENING_STATUS.DRAFT) {
+      // Applied when the draft is published
+      opening.publishAt = schedule.publishAt;
+    } else if (schedule.publishAt && schedule.publishAt > new Date()) {
+      opening.publishAt = schedule.publishAt;
+    } else {
+      opening.publishAt = null;
+      opening.status = OPENING_STATUS.ACTIVE;
+    }
+  }
+  
+  if (schedule.applicationDeadline !== undefined) {
+    opening.applicationDeadline = schedule.applicationDeadline;
+  }
+  
+  applyInterestCap(opening);
+  
+  if (opening.isModified('status') && opening.status === OPENING_STATUS.ACTIVE && opening.isPastDeadline) {
+    throw ApiError.badRequest('The application deadline has passed. Move it to reopen this opening');
+  }
+  
+  const questionsChanged = opening.isModified('screeningQuestions');
+  const closed = opening.isModified('status') && FINAL_STATUSES.includes(opening.status);
+  const reopened = opening.isModified('status') && opening.status === OPENING_STATUS.ACTIVE;
   await opening.save();
   
+  if (before) {
+    await runSideEffect('Failed to record opening revision', { openingId }, () =>
+      revisionService.recordRevision(opening, before, founderId)
+    );
+  }
+  
+  // Existing applicants are rescored against the new questions
+  if (questionsChanged) {
+    await runSideEffect('Failed to rescore applicants', { openingId }, () =>
+      screeningService.rescoreOpening(opening._id)
+    );
+  }
+  
+  if (closed) {
+    await onOpeningClosed(opening);
+  }
+  
+  if (reopened) {
+    await alertSavedSearches(opening);
+  }
+  
   logger.info('Opening updated', { openingId, founderId });
   
   return opening;
@@ -195,10 +571,16 @@ const deleteOpening = async (openingId, founderId) => {
     throw ApiError.forbidden('You can only delete your own openings');
   }
   
+  const wasOpen = !FINAL_STATUSES.includes(opening.status);
+  
   opening.status = OPENING_STATUS.CLOSED;
   opening.closedAt = new Date();
   await opening.save();
   
+  if (wasOpen) {
+    await onOpeningClosed(opening);
+  }
+  
   logger.info('Opening closed', { openingId, founderId });
   
   return opening;
@@ -208,6 +590,58 @@ const deleteOpening = async (openingId, founderId) => {
 // OPENING STATUS MANAGEMENT
 // ============================================
 
+/**
+ * Publish a draft - right away, or SCHEDULED when its publishAt is in the future
+ * 
+ * @param {string} openingId - Opening ID
+ * @param {string} founderId - Founder's user ID
+ * @returns {Promise<Object>} Active or scheduled opening
+ * @throws {ApiError} If not a draft, past its deadline or over the opening limit
+ */
+const publishOpening = async (openingId, founderId) => {
+  const opening = await Opening.findById(openingId);
+  
+  if (!opening) {
+    throw ApiError.notFound('Opening not found');
+  }
+  
+  if (opening.founder.toString() !== founderId.toString()) {
+    throw ApiError.forbidden('You can only publish your own openings');
+  }
+  
+  if (opening.status !== OPENING_STATUS.DRAFT) {
+    throw ApiError.badRequest('Only drafts can be published');
+  }
+  
+  if (opening.isPastDeadline) {
+    throw ApiError.badRequest('The application deadline has passed. Move it to publish this opening');
+  }
+  
+  const user = await User.findById(founderId);
+  
+  if (!user) {
+    throw ApiError.userNotFound();
+  }
+  
+  await assertOpeningLimit(user);
+  
+  const scheduled = Boolean(opening.publishAt) && opening.publishAt > new Date();
+  
+  opening.status = scheduled ? OPENING_STATUS.SCHEDULED : OPENING_STATUS.ACTIVE;
+  if (!scheduled) {
+    opening.publishAt = null;
+  }
+  await opening.save();
+  
+  logger.info('Opening published', { openingId, founderId, status: opening.status });
+  
+  if (!scheduled) {
+    await alertSavedSearches(opening);
+  }
+  
+  return opening;
+};
+
 /**
  * Pause an opening (temporarily hide from discovery)
  * 
@@ -231,6 +665,7 @@ const pauseOpening = async (openingId, founderId) => {
   }
   
   opening.status = OPENING_STATUS.PAUSED;
+  opening.autoPaused = false;
   await opening.save();
   
   logger.info('Opening paused', { openingId, founderId });
@@ -260,11 +695,21 @@ const resumeOpening = async (openingId, founderId) => {
     throw ApiError.badRequest('Only paused openings can be resumed');
   }
   
+  if (opening.isPastDeadline) {
+    throw ApiError.badRequest('The application deadline has passed. Move it to resume this opening');
+  }
+  
+  if (opening.isMaxInterestsReached) {
+    throw ApiError.badRequest('This opening has reached its interest limit. Raise maxInterests to resume it');
+  }
+  
   opening.status = OPENING_STATUS.ACTIVE;
   await opening.save();
   
   logger.info('Opening resumed', { openingId, founderId });
   
+  await alertSavedSearches(opening);
+  
   return opening;
 };
 
@@ -287,6 +732,8 @@ const markOpeningFilled = async (openingId, founderId, filledByUserId = null) =>
     throw ApiError.forbidden('You can only mark your own openings as filled');
   }
   
+  const wasOpen = !FINAL_STATUSES.includes(opening.status);
+  
   opening.status = OPENING_STATUS.FILLED;
   opening.filledAt = new Date();
   if (filledByUserId) {
@@ -294,11 +741,180 @@ const markOpeningFilled = async (openingId, founderId, filledByUserId = null) =>
   }
   await opening.save();
   
+  if (wasOpen) {
+    await onOpeningClosed(opening);
+  }
+  
   logger.info('Opening marked as filled', { openingId, founderId, filledByUserId });
   
   return opening;
 };
 
+// ============================================
+// AUTOMATIC LIFECYCLE
+// ============================================
+
+/**
+ * Apply maxInterests to a loaded opening and save it if its status changed
+ *
+ * @param {Object} opening - Opening document
+ * @returns {Promise<boolean>} Whether the opening was paused or resumed
+ */
+const saveInterestCap = async (opening) => {
+  if (!applyInterestCap(opening)) return false;
+  
+  await opening.save();
+  
+  logger.info(opening.autoPaused ? 'Opening auto-paused' : 'Opening auto-resumed', {
+    openingId: opening._id,
+    interestCount: opening.interestCount,
+    maxInterests: opening.maxInterests,
+  });
+  
+  if (opening.status === OPENING_STATUS.ACTIVE) {
+    await alertSavedSearches(opening);
+  }
+  
+  return true;
+};
+
+/**
+ * Re-check an opening against its maxInterests after its interest count
+ * changed. Errors are logged and never block the interest action.
+ *
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<void>}
+ */
+const syncInterestCap = async (openingId) => {
+  try {
+    const opening = await Opening.findById(openingId);
+    
+    if (opening) {
+      await saveInterestCap(opening);
+    }
+  } catch (error) {
+    logger.error('Failed to apply interest limit', { openingId, error: error.message });
+  }
+};
+
+/**
+ * Publish scheduled openings whose publishAt has come
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Openings published
+ */
+const publishScheduledOpenings = async (now = new Date()) => {
+  const openings = await Opening.find({
+    status: OPENING_STATUS.SCHEDULED,
+    publishAt: { $lte: now },
+  });
+  
+  let published = 0;
+  
+  for (const opening of openings) {
+    try {
+      opening.status = OPENING_STATUS.ACTIVE;
+      await opening.save();
+      published++;
+      
+      logger.info('Scheduled opening published', { openingId: opening._id, publishAt: opening.publishAt });
+      
+      await alertSavedSearches(opening);
+    } catch (error) {
+      logger.warn('Error publishing scheduled opening', { openingId: opening._id, error: error.message });
+    }
+  }
+  
+  return published;
+};
+
+/**
+ * Close open openings whose application deadline has passed
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Openings closed
+ */
+const closeExpiredOpenings = async (now = new Date()) => {
+  const openings = await Opening.find({
+    status: { $in: [OPENING_STATUS.ACTIVE, OPENING_STATUS.PAUSED] },
+    applicationDeadline: { $lte: now },
+  });
+  
+  let closed = 0;
+  
+  for (const opening of openings) {
+    try {
+      opening.status = OPENING_STATUS.CLOSED;
+      await opening.save();
+      closed++;
+      
+      logger.info('Opening closed at application deadline', { openingId: opening._id });
+      
+      await onOpeningClosed(opening);
+    } catch (error) {
+      logger.warn('Error closing opening at deadline', { openingId: opening._id, error: error.message });
+    }
+  }
+  
+  return closed;
+};
+
+/**
+ * Catch openings whose interest limit was crossed without a sync
+ * (concurrent interests, counts changed outside the interest flow)
+ *
+ * @returns {Promise<Object>} { paused, resumed }
+ */
+const enforceInterestCaps = async () => {
+  const openings = await Opening.find({
+    $or: [
+      {
+        status: OPENING_STATUS.ACTIVE,
+        maxInterests: { $gt: 0 },
+        $expr: { $gte: ['$interestCount', '$maxInterests'] },
+      },
+      {
+        status: OPENING_STATUS.PAUSED,
+        autoPaused: true,
+      },
+    ],
+  });
+  
+  let paused = 0;
+  let resumed = 0;
+  
+  for (const opening of openings) {
+    try {
+      if (!(await saveInterestCap(opening))) continue;
+      
+      if (opening.status === OPENING_STATUS.PAUSED) {
+        paused++;
+      } else {
+        resumed++;
+      }
+    } catch (error) {
+      logger.warn('Error applying interest limit', { openingId: opening._id, error: error.message });
+    }
+  }
+  
+  return { paused, resumed };
+};
+
+/**
+ * Run all time- and count-driven opening transitions
+ *
+ * @returns {Promise<Object>} { published, closed, paused, resumed }
+ */
+const runOpeningLifecycle = async () => {
+  const now = new Date();
+  
+  const published = await publishScheduledOpenings(now);
+  const closed = await closeExpiredOpenings(now);
+  const caps = await enforceInterestCaps();
+  
+  return { published, closed, ...caps };
+};
+
 // ============================================
 // FOUNDER OPENINGS
 // ============================================
@@ -326,6 +942,7 @@ const getFounderOpenings = async (founderId, options = {}) => {
   
   const [openings, total] = await Promise.all([
     Opening.find(query)
+      .select('+screeningQuestions.rules')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
@@ -367,6 +984,8 @@ const getFounderOpeningStats = async (founderId) => {
   // Convert to object
   const result = {
     total: 0,
+    draft: 0,
+    scheduled: 0,
     active: 0,
     paused: 0,
     closed: 0,
@@ -403,16 +1022,25 @@ const getFounderOpeningStats = async (founderId) => {
  * @param {string} [filters.location] - Location (city)
  * @param {string} [filters.search] - Text search
  * @param {Object} [options={}] - Pagination options
+ * @param {string} [options.requesterId] - ID of user making the request
  * @returns {Promise<Object>} Paginated openings
  */
 const searchOpenings = async (filters = {}, options = {}) => {
-  const { page = 1, limit = 20, sort = '-createdAt' } = options;
+  const { page = 1, limit = 20, sort = '-createdAt', requesterId } = options;
   
   // Base query: only active openings
   const query = {
     status: OPENING_STATUS.ACTIVE,
   };
   
+  // Exclude openings of founders blocked either way
+  if (requesterId) {
+    const blockedIds = await blockService.getBlockedUserIds(requesterId);
+    if (blockedIds.length > 0) {
+      query.founder = { $nin: blockedIds };
+    }
+  }
+  
   // Role type filter
   if (filters.roleType) {
     query.roleType = filters.roleType;
@@ -428,6 +1056,11 @@ const searchOpenings = async (filters = {}, options = {}) => {
     query['equityRange.max'] = { $gte: filters.minEquity };
   }
   
+  // Maximum cash filter (opening's lowest offer must fit)
+  if (filters.maxCash !== undefined) {
+    query['cashRange.min'] = { $lte: filters.maxCash };
+  }
+  
   // Remote preference filter
   if (filters.remotePreference) {
     query.remotePreference = filters.remotePreference;
@@ -618,6 +1251,8 @@ const incrementOpeningInterests = async (openingId) => {
   await Opening.findByIdAndUpdate(openingId, {
     $inc: { interestCount: 1 },
   });
+  
+  await syncInterestCap(openingId);
 };
 
 /**
@@ -668,11 +1303,23 @@ module.exports = {
   updateOpening,
   deleteOpening,
   
+  // Templates & duplication
+  validateOpeningData,
+  duplicateOpening,
+  
   // Status management
+  publishOpening,
   pauseOpening,
   resumeOpening,
   markOpeningFilled,
   
+  // Automatic lifecycle
+  syncInterestCap,
+  publishScheduledOpenings,
+  closeExpiredOpenings,
+  enforceInterestCaps,
+  runOpeningLifecycle,
+  
   // Founder openings
   getFounderOpenings,
   getFounderOpeningStats,
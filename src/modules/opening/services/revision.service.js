@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Opening Revision Service
+ *
+ * Edit history of published openings:
+ * - Recording a revision for each update that changes a tracked field
+ * - Telling builders who already applied about material changes, with a
+ *   window to withdraw and get their interest credit back
+ * - Listing revisions and comparing any two of them
+ *
+ * Edits made while an opening is a draft or scheduled are not recorded;
+ * revision 0 is the opening as published.
+ *
+ * @module services/revision
+ */
+
+const {
+  Opening,
+  OpeningRevision,
+  Interest,
+  REVISION_FIELDS,
+  MATERIAL_REVISION_FIELDS,
+} = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const { INTEREST_STATUS } = require('../../../shared/constants');
+const { toApplicantQuestions } = require('../../../shared/utils/screening');
+const logger = require('../../../shared/utils/logger');
+const notificationService = require('../../notification/services/notification.service');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Days a builder has to withdraw without losing their credit after a material change
+ */
+const PENALTY_FREE_WITHDRAWAL_DAYS = 7;
+
+/**
+ * Interest statuses told about material changes
+ */
+const NOTIFIED_INTEREST_STATUSES = [
+  INTEREST_STATUS.INTERESTED,
+  INTEREST_STATUS.SHORTLISTED,
+  INTEREST_STATUS.MATCH_PROPOSED,
+];
+
+/**
+ * How material fields are named in notifications
+ */
+const FIELD_LABELS = {
+  equityRange: 'equity',
+  cashRange: 'cash compensation',
+  cashCurrency: 'currency',
+  vestingType: 'vesting',
+  hoursPerWeek: 'hours per week',
+  duration: 'duration',
+  remotePreference: 'remote policy',
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Tracked field values of an opening, as plain JSON
+ * Take this before applying an update and pass it to recordRevision.
+ *
+ * @param {Object} opening - Opening document (with screeningQuestions.rules selected)
+ * @returns {Object} { [field]: value }
+ */
+const snapshotOpening = (opening) => {
+  const source = opening.toObject({ virtuals: false, depopulate: true });
+
+  return REVISION_FIELDS.reduce((values, field) => {
+    const value = source[field];
+    values[field] = value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+    return values;
+  }, {});
+};
+
+/**
+ * Fields whose value differs between two snapshots
+ *
+ * @param {Object} before - Snapshot before the edit
+ * @param {Object} after - Snapshot after the edit
+ * @returns {Object[]} [{ field, before, after, material }]
+ */
+const diffSnapshots = (before, after) =>
+  REVISION_FIELDS
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({
+      field,
+      before: before[field],
+      after: after[field],
+      material: MATERIAL_REVISION_FIELDS.includes(field),
+    }));
+
+/**
+ * Join field labels for a notification ("equity, vesting and remote policy")
+ *
+ * @param {Object[]} changes - Material changes
+ * @returns {string}
+ */
+const summarizeChanges = (changes) => {
+  const labels = changes.map((change) => FIELD_LABELS[change.field] || change.field);
+
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+    : labels[0];
+};
+
+/**
+ * A change as shown to someone other than the owner (no screening rules)
+ *
+ * @param {Object} change - Revision change
+ * @returns {Object}
+ */
+const toApplicantChange = (change) => {
+  if (change.field !== 'screeningQuestions') {
+    return change;
+  }
+
+  return {
+    ...change,
+    before: change.before ? toApplicantQuestions(change.before) : null,
+    after: change.after ? toApplicantQuestions(change.after) : null,
+  };
+};
+
+/**
+ * Load an opening and check the user may see its history
+ * The founder and builders who expressed interest in it can.
+ *
+ * @param {string} openingId - Opening ID
+ * @param {string} userId - Requesting user's ID
+ * @returns {Promise<Object>} { opening, isOwner }
+ * @throws {ApiError} If not found or not allowed
+ */
+const getViewableOpening = async (openingId, userId) => {
+  const opening = isValidObjectId(openingId)
+    ? await Opening.findById(openingId).select('founder revision title')
+    : null;
+
+  if (!opening) {
+    throw ApiError.notFound('Opening not found');
+  }
+
+  const isOwner = opening.founder.toString() === userId.toString();
+
+  if (!isOwner && !(await Interest.exists({ opening: openingId, builder: userId }))) {
+    throw ApiError.forbidden('Only the founder and builders who applied can see the history of this opening');
+  }
+
+  return { opening, isOwner };
+};
+
+/**
+ * Shape a revision for the API
+ *
+ * @param {Object} revision - Revision (lean)
+ * @param {boolean} isOwner - Requester owns the opening
+ * @returns {Object}
+ */
+const toRevisionJSON = (revision, isOwner) => ({
+  revision: revision.revision,
+  material: revision.material,
+  changes: isOwner ? revision.changes : revision.changes.map(toApplicantChange),
+  editedAt: revision.createdAt,
+  ...(isOwner && { notifiedCount: revision.notifiedCount }),
+});
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Tell builders with a pending interest about a material change and open
+ * their penalty-free withdrawal window
+ *
+ * @param {Object} opening - Opening document (after the edit)
+ * @param {Object} revision - OpeningRevision document
+ * @returns {Promise<number>} Builders notified
+ */
+const notifyApplicants = async (opening, revision) => {
+  const changes = revision.changes
+    .filter((change) => change.material)
+    .map(({ field, before, after }) => ({ field, before, after }));
+  const withdrawUntil = new Date(Date.now() + PENALTY_FREE_WITHDRAWAL_DAYS * 24 * 60 * 60 * 1000);
+
+  const interests = await Interest.find({
+    opening: opening._id,
+    status: { $in: NOTIFIED_INTEREST_STATUSES },
+  })
+    .select('_id builder')
+    .lean();
+
+  if (interests.length === 0) {
+    return 0;
+  }
+
+  await Interest.updateMany(
+    { _id: { $in: interests.map((interest) => interest._id) } },
+    { $set: { penaltyFreeWithdrawalUntil: withdrawUntil } }
+  );
+
+  const summary = summarizeChanges(changes);
+
+  for (const interest of interests) {
+    await notificationService.notifyOpeningUpdated({
+      builderId: interest.builder,
+      opening,
+      interestId: interest._id,
+      revision: revision.revision,
+      summary,
+      changes,
+      withdrawUntil,
+    });
+  }
+
+  return interests.length;
+};
+
+/**
+ * Record a revision for an edit to a published opening
+ * Nothing is recorded when no tracked field changed. Material changes are
+ * reported to builders with a pending interest; a failed notification is
+ * logged and never undoes the revision.
+ *
+ * @param {Object} opening - Opening document (saved, after the edit)
+ * @param {Object} before - snapshotOpening() taken before the edit
+ * @param {string} editorId - User who made the edit
+ * @returns {Promise<Object|null>} Revision, or null if nothing tracked changed
+ */
+const recordRevision = async (opening, before, editorId) => {
+  const changes = diffSnapshots(before, snapshotOpening(opening));
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const { revision: number } = await Opening.findByIdAndUpdate(
+    opening._id,
+    { $inc: { revision: 1 } },
+    { new: true, select: 'revision' }
+  );
+  opening.revision = number;
+
+  const revision = await OpeningRevision.create({
+    opening: opening._id,
+    revision: number,
+    editedBy: editorId,
+    changes,
+    material: changes.some((change) => change.material),
+  });
+
+  if (revision.material) {
+    try {
+      revision.notifiedCount = await notifyApplicants(opening, revision);
+      await revision.save();
+    } catch (error) {
+      logger.error('Failed to notify applicants of opening change', {
+        openingId: opening._id,
+        revision: number,
+        error: error.message,
+      });
+    }
+  }
+
+  logger.info('Opening revision recorded', {
+    openingId: opening._id,
+    revision: number,
+    fields: changes.map((change) => change.field),
+    notified: revision.notifiedCount,
+  });
+
+  return revision;
+};
+
+// ============================================
+// HISTORY
+// ============================================
+
+/**
+ * Get an opening's revisions, newest first
+ *
+ * @param {string} openingId - Opening ID
+ * @param {string} userId - Requesting user (founder or applicant)
+ * @param {Object} [options={}] - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} { revisions, currentRevision, pagination }
+ * @throws {ApiError} If not found or not allowed
+ */
+const getRevisions = async (openingId, userId, options = {}) => {
+  const { page = 1, limit = 20 } = options;
+  const { opening, isOwner } = await getViewableOpening(openingId, userId);
+
+  const skip = (page - 1) * limit;
+
+  const [revisions, total] = await Promise.all([
+    OpeningRevision.find({ opening: opening._id })
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    OpeningRevision.countDocuments({ opening: opening._id }),
+  ]);
+
+  return {
+    revisions: revisions.map((revision) => toRevisionJSON(revision, isOwner)),
+    currentRevision: opening.revision,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+/**
+ * Compare two revisions of an opening
+ * Each field changed in between is listed once, with its value at `from`
+ * and at `to`. Fields changed and then changed back are left out.
+ *
+ * @param {string} openingId - Opening ID
+ * @param {string} userId - Requesting user (founder or applicant)
+ * @param {Object} [options={}] - Revisions to compare
+ * @param {number} [options.from] - Older revision (default: the one before `to`)
+ * @param {number} [options.to] - Newer revision (default: current)
+ * @returns {Promise<Object>} { from, to, material, changes }
+ * @throws {ApiError} If not found, not allowed or the range is invalid
+ */
+const getRevisionDiff = async (openingId, userId, options = {}) => {
+  const { opening, isOwner } = await getViewableOpening(openingId, userId);
+
+  const to = options.to !== undefined ? Number(options.to) : opening.revision;
+  const from = options.from !== undefined ? Number(options.from) : Math.max(to - 1, 0);
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to > opening.revision || from > to) {
+    throw ApiError.badRequest(`from and to must be revisions between 0 and ${opening.revision}, with from <= to`);
+  }
+
+  const revisions = await OpeningRevision.find({
+    opening: opening._id,
+    revision: { $gt: from, $lte: to },
+  })
+    .sort({ revision: 1 })
+    .lean();
+
+  const fields = new Map();
+
+  revisions.forEach((revision) => {
+    revision.changes.forEach((change) => {
+      const earlier = fields.get(change.field);
+      fields.set(change.field, { ...change, before: earlier ? earlier.before : change.before });
+    });
+  });
+
+  const changes = [...fields.values()]
+    .filter((change) => JSON.stringify(change.before) !== JSON.stringify(change.after))
+    .map((change) => (isOwner ? change : toApplicantChange(change)));
+
+  return {
+    from,
+    to,
+    material: changes.some((change) => change.material),
+    changes,
+  };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Recording
+  snapshotOpening,
+  recordRevision,
+
+  // History
+  getRevisions,
+  getRevisionDiff,
+};
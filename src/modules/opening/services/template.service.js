@@ -0,0 +1,295 @@
+/**
+ * @fileoverview Opening Template Service
+ *
+ * The opening template library:
+ * - Built-in templates per role type (utils/openingTemplates)
+ * - Founders' own templates, saved from scratch or from one of their openings
+ * - Creating an opening from a template
+ *
+ * Template fields are checked with the same validation as createOpening
+ * when saved, and openings made from them go through createOpening.
+ *
+ * @module services/template
+ */
+
+const { OpeningTemplate, Opening } = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const { ROLE_TYPES, LIMITS } = require('../../../shared/constants');
+const {
+  pickTemplateFields,
+  getBuiltInTemplate,
+  getBuiltInTemplates,
+} = require('../../../shared/utils/openingTemplates');
+const logger = require('../../../shared/utils/logger');
+const openingService = require('./opening.service');
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Shape a built-in template like a saved one for the API
+ *
+ * @param {Object} template - Built-in template
+ * @returns {Object}
+ */
+const toBuiltInJSON = (template) => ({
+  _id: template.key,
+  name: template.name,
+  roleType: template.fields.roleType,
+  fields: template.fields,
+  builtIn: true,
+});
+
+/**
+ * Get one of the founder's own templates
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template document
+ * @throws {ApiError} If not found
+ */
+const getOwnTemplate = async (founderId, templateId) => {
+  const template = isValidObjectId(templateId)
+    ? await OpeningTemplate.findOne({ _id: templateId, founder: founderId })
+    : null;
+
+  if (!template) {
+    throw ApiError.notFound('Template not found');
+  }
+
+  return template;
+};
+
+/**
+ * Validate a template name
+ *
+ * @param {*} name - Name from the request
+ * @returns {string} Trimmed name
+ * @throws {ApiError} If missing or too long
+ */
+const parseName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw ApiError.badRequest('Template name is required');
+  }
+  if (name.trim().length > 100) {
+    throw ApiError.badRequest('Template name cannot exceed 100 characters');
+  }
+  return name.trim();
+};
+
+// ============================================
+// LIBRARY
+// ============================================
+
+/**
+ * Get the template library: built-in templates, then the founder's own
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {Object} [options={}] - Query options
+ * @param {string} [options.roleType] - Only templates for this role type
+ * @returns {Promise<Object[]>} Templates (built-in ones have builtIn: true and a key as _id)
+ * @throws {ApiError} If roleType is invalid
+ */
+const getTemplates = async (founderId, options = {}) => {
+  const { roleType } = options;
+
+  if (roleType && !Object.values(ROLE_TYPES).includes(roleType)) {
+    throw ApiError.badRequest(`roleType must be one of ${Object.values(ROLE_TYPES).join(', ')}`);
+  }
+
+  const query = { founder: founderId };
+  if (roleType) {
+    query.roleType = roleType;
+  }
+
+  const own = await OpeningTemplate.find(query).sort({ updatedAt: -1 });
+
+  return [
+    ...getBuiltInTemplates(roleType).map(toBuiltInJSON),
+    ...own.map((template) => ({ ...template.toJSON(), builtIn: false })),
+  ];
+};
+
+/**
+ * Get a built-in template by key or one of the founder's own by ID
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} templateId - Built-in key or template ID
+ * @returns {Promise<Object>} Template
+ * @throws {ApiError} If not found
+ */
+const getTemplateById = async (founderId, templateId) => {
+  const builtIn = getBuiltInTemplate(templateId);
+
+  if (builtIn) {
+    return toBuiltInJSON(builtIn);
+  }
+
+  const template = await getOwnTemplate(founderId, templateId);
+
+  return { ...template.toJSON(), builtIn: false };
+};
+
+// ============================================
+// FOUNDER TEMPLATES
+// ============================================
+
+/**
+ * Save a template, from opening fields or from one of the founder's openings
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {Object} data - Template data
+ * @param {string} data.name - Template name (unique per founder)
+ * @param {string} [data.openingId] - Copy the fields of this opening
+ * @param {Object} [data.fields] - Opening fields (override the opening's when both are given)
+ * @returns {Promise<Object>} Created template
+ * @throws {ApiError} If invalid, the opening is not the founder's, or the limit is reached
+ */
+const createTemplate = async (founderId, data = {}) => {
+  const name = parseName(data.name);
+
+  let fields = {};
+  let sourceOpening = null;
+
+  if (data.openingId) {
+    const opening = isValidObjectId(data.openingId)
+      ? await Opening.findById(data.openingId).select('+screeningQuestions.rules')
+      : null;
+
+    if (!opening) {
+      throw ApiError.notFound('Opening not found');
+    }
+
+    if (opening.founder.toString() !== founderId.toString()) {
+      throw ApiError.forbidden('You can only save your own openings as templates');
+    }
+
+    fields = pickTemplateFields(opening.toObject({ virtuals: false }));
+    sourceOpening = opening._id;
+  }
+
+  fields = { ...fields, ...pickTemplateFields(data.fields || {}) };
+
+  const count = await OpeningTemplate.countDocuments({ founder: founderId });
+
+  if (count >= LIMITS.MAX_OPENING_TEMPLATES) {
+    throw ApiError.badRequest(`You can save up to ${LIMITS.MAX_OPENING_TEMPLATES} templates`);
+  }
+
+  await openingService.validateOpeningData(founderId, fields);
+
+  const template = await OpeningTemplate.create({
+    founder: founderId,
+    name,
+    roleType: fields.roleType,
+    fields,
+    sourceOpening,
+  });
+
+  logger.info('Opening template saved', { templateId: template._id, founderId, sourceOpening });
+
+  return template;
+};
+
+/**
+ * Update one of the founder's templates
+ * Fields given replace the template's values for those fields.
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} templateId - Template ID
+ * @param {Object} data - { name?, fields? }
+ * @returns {Promise<Object>} Updated template
+ * @throws {ApiError} If not found or invalid
+ */
+const updateTemplate = async (founderId, templateId, data = {}) => {
+  const template = await getOwnTemplate(founderId, templateId);
+
+  if (data.name !== undefined) {
+    template.name = parseName(data.name);
+  }
+
+  if (data.fields !== undefined) {
+    const fields = { ...template.fields, ...pickTemplateFields(data.fields || {}) };
+
+    await openingService.validateOpeningData(founderId, fields);
+
+    template.fields = fields;
+    template.roleType = fields.roleType;
+    template.markModified('fields');
+  }
+
+  await template.save();
+
+  return template;
+};
+
+/**
+ * Delete one of the founder's templates
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<void>}
+ * @throws {ApiError} If not found
+ */
+const deleteTemplate = async (founderId, templateId) => {
+  const template = await getOwnTemplate(founderId, templateId);
+
+  await template.deleteOne();
+};
+
+// ============================================
+// USING TEMPLATES
+// ============================================
+
+/**
+ * Create an opening from a built-in or saved template
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} templateId - Built-in key or template ID
+ * @param {Object} [data={}] - Opening fields to change, plus publishAt, applicationDeadline and draft
+ * @returns {Promise<Object>} Created opening
+ * @throws {ApiError} If the template is not found or createOpening rejects the data
+ */
+const createOpeningFromTemplate = async (founderId, templateId, data = {}) => {
+  const builtIn = getBuiltInTemplate(templateId);
+  const template = builtIn ? null : await getOwnTemplate(founderId, templateId);
+  const fields = builtIn ? builtIn.fields : template.fields;
+
+  const opening = await openingService.createOpening(founderId, {
+    ...pickTemplateFields(fields),
+    ...pickTemplateFields(data),
+    publishAt: data.publishAt,
+    applicationDeadline: data.applicationDeadline,
+    draft: data.draft === true,
+  });
+
+  if (template) {
+    await OpeningTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  logger.info('Opening created from template', { openingId: opening._id, templateId, founderId });
+
+  return opening;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Library
+  getTemplates,
+  getTemplateById,
+
+  // Founder templates
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+
+  // Using templates
+  createOpeningFromTemplate,
+};
@@ -5,13 +5,14 @@
  * - Founder profile management
  * - Builder profile management
  * - Dual profile & role switching
- * - Scenario responses
+ * - Scenario responses and question bank admin
  * - Profile search & discovery
  *
  * @module controllers/profile
  */
 
 const profileService = require('../services/profile.service');
+const scenarioService = require('../services/scenario.service');
 const { ApiResponse, asyncHandler } = require('../../../shared/utils');
 
 // ============================================
@@ -345,6 +346,20 @@ const switchRole = asyncHandler(async (req, res) => {
 // SCENARIO RESPONSES
 // ============================================
 
+/**
+ * Get the active scenario questions
+ *
+ * @route GET /api/v1/profiles/scenarios/bank
+ * @access Private
+ *
+ * @returns {Object} Bank version and questions
+ */
+const getScenarioQuestions = asyncHandler(async (req, res) => {
+  const bank = await scenarioService.getQuestionnaire();
+
+  return ApiResponse.ok('Scenario questions retrieved', { bank }).send(res);
+});
+
 /**
  * Save scenario responses
  *
@@ -352,12 +367,8 @@ const switchRole = asyncHandler(async (req, res) => {
  * @access Private
  *
  * @param {Object} req.body
- * @param {string} req.body.scenario1 - Response A/B/C/D
- * @param {string} req.body.scenario2 - Response A/B/C/D
- * @param {string} req.body.scenario3 - Response A/B/C/D
- * @param {string} req.body.scenario4 - Response A/B/C/D
- * @param {string} req.body.scenario5 - Response A/B/C/D
- * @param {string} req.body.scenario6 - Response A/B/C/D
+ * @param {Object} req.body.answers - Option per scenario key ({ scenario1: 'A', ... })
+ *   Merged with existing answers; scenario1..scenario6 at the top level still work
  *
  * @returns {Object} Saved scenario responses
  */
@@ -376,7 +387,7 @@ const saveScenarios = asyncHandler(async (req, res) => {
  * @route GET /api/v1/profiles/scenarios/me
  * @access Private
  *
- * @returns {Object} Scenario responses
+ * @returns {Object} Scenario responses, with missingScenarios after a bank change
  */
 const getMyScenarios = asyncHandler(async (req, res) => {
   const userId = req.user._id;
@@ -394,7 +405,7 @@ const getMyScenarios = asyncHandler(async (req, res) => {
  *
  * @param {string} req.params.userId - Other user's ID
  *
- * @returns {Object} Compatibility score and breakdown
+ * @returns {Object} Weighted score, per-scenario breakdown (user1 is the current user) and disagreements
  */
 const getScenarioCompatibility = asyncHandler(async (req, res) => {
   const currentUserId = req.user._id;
@@ -405,6 +416,80 @@ const getScenarioCompatibility = asyncHandler(async (req, res) => {
   return ApiResponse.ok('Compatibility calculated', result).send(res);
 });
 
+// ============================================
+// SCENARIO BANK ADMIN
+// ============================================
+
+/**
+ * List scenario bank versions
+ *
+ * @route GET /api/v1/profiles/scenarios/banks
+ * @access Private (Admin only)
+ *
+ * @returns {Object} Banks, newest first
+ */
+const listScenarioBanks = asyncHandler(async (req, res) => {
+  const banks = await scenarioService.listBanks();
+
+  return ApiResponse.ok('Scenario banks retrieved', {
+    banks,
+    count: banks.length,
+  }).send(res);
+});
+
+/**
+ * Get a scenario bank version
+ *
+ * @route GET /api/v1/profiles/scenarios/banks/:version
+ * @access Private (Admin only)
+ *
+ * @param {number} req.params.version - Bank version
+ *
+ * @returns {Object} Bank
+ */
+const getScenarioBank = asyncHandler(async (req, res) => {
+  const bank = await scenarioService.getBank(req.params.version);
+
+  return ApiResponse.ok('Scenario bank retrieved', { bank }).send(res);
+});
+
+/**
+ * Create a scenario bank version
+ *
+ * @route POST /api/v1/profiles/scenarios/banks
+ * @access Private (Admin only)
+ *
+ * @param {Object[]} [req.body.scenarios] - Full question list
+ * @param {Object[]} [req.body.add] - Questions to append to the base version
+ * @param {string[]} [req.body.remove] - Keys to drop from the base version
+ * @param {number} [req.body.baseVersion] - Version to build on (defaults to active)
+ * @param {string} [req.body.notes] - What changed
+ * @param {boolean} [req.body.activate=false] - Activate immediately
+ *
+ * @returns {Object} Created bank (and migrated response count when activated)
+ */
+const createScenarioBank = asyncHandler(async (req, res) => {
+  const result = await scenarioService.createBankVersion(req.user._id, req.body);
+
+  return ApiResponse.created('Scenario bank created', result).send(res);
+});
+
+/**
+ * Activate a scenario bank version and map stored responses forward
+ *
+ * @route POST /api/v1/profiles/scenarios/banks/:version/activate
+ * @access Private (Admin only)
+ *
+ * @param {number} req.params.version - Bank version
+ *
+ * @returns {Object} Activated bank and migrated response count
+ */
+const activateScenarioBank = asyncHandler(async (req, res) => {
+  const result = await scenarioService.activateBank(Number(req.params.version), req.user._id);
+
+  return ApiResponse.ok(`Scenario bank v${result.bank.version} activated`, result).send(res);
+});
+
 // ============================================
 // SEARCH & DISCOVERY
 // ============================================
@@ -698,10 +783,17 @@ module.exports = {
   switchRole,
 
   // Scenarios
+  getScenarioQuestions,
   saveScenarios,
   getMyScenarios,
   getScenarioCompatibility,
 
+  // Scenario bank admin
+  listScenarioBanks,
+  getScenarioBank,
+  createScenarioBank,
+  activateScenarioBank,
+
   // Search & discovery
   searchBuilders,
   searchFounders,
@@ -15,11 +15,13 @@
 const mongoose = require('mongoose');
 const {
   RISK_APPETITES,
+  EXPERIENCE_LEVELS,
   COMPENSATION_TYPES,
   DURATION_PREFERENCES,
   REMOTE_PREFERENCES,
   ROLE_TYPES,
 } = require('../../../shared/constants');
+const { TIME_OF_DAY_REGEX, isValidTimezone } = require('../../../shared/utils/timezone');
 
 const { Schema } = mongoose;
 
@@ -269,8 +271,8 @@ const builderProfileSchema = new Schema(
      */
     experienceLevel: {
       type: String,
-      enum: ['STUDENT', 'ENTRY', 'MID', 'SENIOR', 'LEAD', 'EXECUTIVE'],
-      default: 'ENTRY',
+      enum: Object.values(EXPERIENCE_LEVELS),
+      default: EXPERIENCE_LEVELS.ENTRY,
     },
 
     // ==========================================
@@ -491,9 +493,32 @@ const builderProfileSchema = new Schema(
         trim: true,
         maxlength: [100, 'Country cannot exceed 100 characters'],
       },
+      /**
+       * IANA timezone, e.g. "Asia/Kolkata" (used for working-hours overlap)
+       */
       timezone: {
         type: String,
         trim: true,
+        validate: {
+          validator: function (v) {
+            return !v || isValidTimezone(v);
+          },
+          message: 'Invalid timezone (use an IANA name such as "Europe/Berlin")',
+        },
+      },
+    },
+
+    /**
+     * Typical working hours in local time ("HH:mm", 24-hour)
+     */
+    workingHours: {
+      start: {
+        type: String,
+        match: [TIME_OF_DAY_REGEX, 'Working hours start must be HH:mm'],
+      },
+      end: {
+        type: String,
+        match: [TIME_OF_DAY_REGEX, 'Working hours end must be HH:mm'],
       },
     },
 
@@ -650,6 +675,15 @@ const builderProfileSchema = new Schema(
       index: true,
     },
 
+    /**
+     * When the profile was queued for talent search alerts after becoming
+     * discoverable (cleared once the alerts job picks it up)
+     */
+    talentAlertsQueuedAt: {
+      type: Date,
+      default: null,
+    },
+
     /**
      * Admin verification status
      */
@@ -759,6 +793,9 @@ builderProfileSchema.index({ hoursPerWeek: 1 });
 builderProfileSchema.index({ createdAt: -1 });
 builderProfileSchema.index({ lastActiveAt: -1 });
 
+// Talent search alert queue
+builderProfileSchema.index({ talentAlertsQueuedAt: 1 });
+
 // Text index for search
 builderProfileSchema.index({
   displayName: 'text',
@@ -931,6 +968,7 @@ builderProfileSchema.methods.getPublicProfile = function () {
     rolesInterested: this.rolesInterested,
     intentStatement: this.intentStatement,
     location: this.location,
+    workingHours: this.workingHours,
     remotePreference: this.remotePreference,
     openToRelocation: this.openToRelocation,
     portfolioLinks: this.portfolioLinks,
@@ -960,6 +998,7 @@ builderProfileSchema.methods.getMatchingData = function () {
     preferredStages: this.preferredStages,
     remotePreference: this.remotePreference,
     location: this.location,
+    workingHours: this.workingHours,
   };
 };
 
@@ -1039,6 +1078,17 @@ builderProfileSchema.methods.incrementShortlists = async function () {
   await this.updateOne({ $inc: { shortlistCount: 1 } });
 };
 
+/**
+ * Decrement shortlist count (shortlist undone)
+ * @returns {Promise<void>}
+ */
+builderProfileSchema.methods.decrementShortlists = async function () {
+  await this.constructor.updateOne(
+    { _id: this._id, shortlistCount: { $gt: 0 } },
+    { $inc: { shortlistCount: -1 } }
+  );
+};
+
 /**
  * Increment match count
  * @returns {Promise<void>}
@@ -1222,6 +1272,19 @@ builderProfileSchema.statics.findImmediatelyAvailable = function (minHours = 20)
     .populate('user', 'name profilePhoto isVerified');
 };
 
+/**
+ * Claim the profile queued longest for talent search alerts
+ * Clears talentAlertsQueuedAt atomically so each queueing is handled once.
+ * @returns {Promise<BuilderProfile|null>}
+ */
+builderProfileSchema.statics.claimQueuedTalentAlerts = function () {
+  return this.findOneAndUpdate(
+    { talentAlertsQueuedAt: { $ne: null } },
+    { $set: { talentAlertsQueuedAt: null } },
+    { sort: { talentAlertsQueuedAt: 1 }, new: true }
+  );
+};
+
 // ============================================
 // MODEL EXPORT
 // ============================================
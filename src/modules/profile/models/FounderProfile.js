@@ -20,6 +20,7 @@ const {
   REMOTE_PREFERENCES,
   CURRENCIES,
 } = require('../../../shared/constants');
+const { TIME_OF_DAY_REGEX, isValidTimezone } = require('../../../shared/utils/timezone');
 
 const { Schema } = mongoose;
 
@@ -498,9 +499,32 @@ const founderProfileSchema = new Schema(
         trim: true,
         maxlength: [100, 'Country cannot exceed 100 characters'],
       },
+      /**
+       * IANA timezone, e.g. "Asia/Kolkata" (used for working-hours overlap)
+       */
       timezone: {
         type: String,
         trim: true,
+        validate: {
+          validator: function (v) {
+            return !v || isValidTimezone(v);
+          },
+          message: 'Invalid timezone (use an IANA name such as "Europe/Berlin")',
+        },
+      },
+    },
+
+    /**
+     * Typical working hours in local time ("HH:mm", 24-hour)
+     */
+    workingHours: {
+      start: {
+        type: String,
+        match: [TIME_OF_DAY_REGEX, 'Working hours start must be HH:mm'],
+      },
+      end: {
+        type: String,
+        match: [TIME_OF_DAY_REGEX, 'Working hours end must be HH:mm'],
       },
     },
 
@@ -936,6 +960,7 @@ founderProfileSchema.methods.getPublicProfile = function () {
     vestingType: this.vestingType,
     intentStatement: this.intentStatement,
     location: this.location,
+    workingHours: this.workingHours,
     remotePreference: this.remotePreference,
     hoursPerWeek: this.hoursPerWeek,
     teamSize: this.teamSize,
@@ -967,6 +992,7 @@ founderProfileSchema.methods.getMatchingData = function () {
     hoursPerWeek: this.hoursPerWeek,
     remotePreference: this.remotePreference,
     location: this.location,
+    workingHours: this.workingHours,
   };
 };
 
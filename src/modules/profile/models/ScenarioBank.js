@@ -0,0 +1,486 @@
+/**
+ * @fileoverview ScenarioBank model - Versioned working-style question bank
+ *
+ * Each version is a complete list of scenario questions:
+ * - Stable keys, so answers survive reordering and rewording
+ * - Per-question weight, working-style labels and answer relations
+ * - Instructions for carrying answers over from the version it was built on
+ *
+ * Exactly one version is active. Version 1 is seeded from INITIAL_SCENARIOS,
+ * the six questions the quiz launched with.
+ *
+ * @module models/ScenarioBank
+ */
+
+const mongoose = require('mongoose');
+const { SCENARIO_KEY_REGEX } = require('../../../shared/utils/scenarioBank');
+
+const { Schema } = mongoose;
+
+// ============================================
+// SEED QUESTIONS
+// ============================================
+
+/**
+ * The original six scenarios (bank version 1)
+ * Keys match the scenario1..scenario6 fields of pre-bank responses.
+ *
+ * weight        - relative importance in the overall score
+ * styleKey      - field name in the working style profile
+ * options.style - working-style label for each answer
+ * complementary - answer pairs that work well together
+ * conflicts     - answer pairs that clash, with the disagreement in plain words
+ * Any other pair of different answers is NEUTRAL.
+ */
+const INITIAL_SCENARIOS = [
+  {
+    key: 'scenario1',
+    title: 'The 2 AM Crisis',
+    context: 'Critical bug discovered. Investor demo in 7 hours.',
+    options: [
+      { value: 'A', text: 'Pull all-nighter, fix immediately', style: 'Action-oriented, immediate response' },
+      { value: 'B', text: 'Assess severity, sleep if not critical, fix with clear head', style: 'Measured, prioritizes clear thinking' },
+      { value: 'C', text: 'Wake team immediately, all hands on deck', style: 'Collaborative, team-based approach' },
+      { value: 'D', text: 'Push the demo, never present broken product', style: 'Quality-focused, avoids compromises' },
+    ],
+    weight: 1,
+    styleKey: 'crisisResponse',
+    complementary: [['A', 'C'], ['B', 'D']],
+    conflicts: [
+      { pair: ['A', 'D'], text: 'One would fix it overnight, the other would push the investor demo' },
+      { pair: ['B', 'C'], text: 'One would sleep on it if it can wait, the other would wake the whole team now' },
+    ],
+  },
+  {
+    key: 'scenario2',
+    title: 'The Co-founder Disagreement',
+    context: 'Fundamental product direction disagreement for 2 weeks.',
+    options: [
+      { value: 'A', text: 'Expertise-based authority — expert decides', style: 'Expertise-driven decisions' },
+      { value: 'B', text: 'Data-driven — run experiments, let data decide', style: 'Data-driven, experimental' },
+      { value: 'C', text: 'External arbitration — bring in advisor', style: 'Seeks external perspective' },
+      { value: 'D', text: 'Disagree and commit — one person decides, both align', style: 'Decisive with alignment focus' },
+    ],
+    weight: 1.5,
+    styleKey: 'conflictStyle',
+    complementary: [['A', 'D'], ['B', 'C']],
+    conflicts: [
+      { pair: ['A', 'C'], text: 'One would let the domain expert decide, the other would bring in an outside advisor' },
+      { pair: ['B', 'D'], text: 'One would run experiments until the data decides, the other would have one person call it and move on' },
+    ],
+  },
+  {
+    key: 'scenario3',
+    title: 'The Underperforming Teammate',
+    context: 'First hire at 40% expected output after 6 weeks.',
+    options: [
+      { value: 'A', text: 'Direct conversation, 2-week improvement window, then decide', style: 'Direct, structured feedback' },
+      { value: 'B', text: 'Part ways quickly — can\'t carry passengers early stage', style: 'Decisive, quick decisions' },
+      { value: 'C', text: 'Role adjustment — maybe wrong seat, not wrong bus', style: 'Adaptive, finds right fit' },
+      { value: 'D', text: 'More patience — 6 weeks isn\'t enough to judge', style: 'Patient, long-term view' },
+    ],
+    weight: 1,
+    styleKey: 'managementApproach',
+    complementary: [['A', 'C'], ['B', 'A']],
+    conflicts: [
+      { pair: ['B', 'D'], text: 'One would part ways quickly, the other would give the hire more time' },
+      { pair: ['B', 'C'], text: 'One would let the hire go, the other would look for a better-fitting role first' },
+    ],
+  },
+  {
+    key: 'scenario4',
+    title: 'The Runway Crunch',
+    context: '3 months runway, revenue not growing fast enough.',
+    options: [
+      { value: 'A', text: 'Cut costs aggressively to extend runway', style: 'Conservative, capital preservation' },
+      { value: 'B', text: 'Double down on growth, burn to hit numbers', style: 'Growth-focused, risk-tolerant' },
+      { value: 'C', text: 'Start fundraising immediately', style: 'External funding oriented' },
+      { value: 'D', text: 'Revenue shortcuts — consulting, services, anything', style: 'Revenue-creative, bootstrapper' },
+    ],
+    weight: 1.25,
+    styleKey: 'financialMindset',
+    complementary: [['A', 'D'], ['B', 'C']],
+    conflicts: [
+      { pair: ['A', 'B'], text: 'One would cut costs to extend runway, the other would burn harder to hit growth numbers' },
+      { pair: ['B', 'D'], text: 'One would spend on growth, the other would detour into consulting or services revenue' },
+    ],
+  },
+  {
+    key: 'scenario5',
+    title: 'The Competitor Launch',
+    context: 'Well-funded competitor ships feature you\'ve built for 3 months.',
+    options: [
+      { value: 'A', text: 'Ship now — second is fine if better', style: 'Execution-focused, ship fast' },
+      { value: 'B', text: 'Pivot — find angle they\'re not covering', style: 'Differentiation-focused' },
+      { value: 'C', text: 'Ignore — focus on users, not competitors', style: 'Customer-obsessed, ignores noise' },
+      { value: 'D', text: 'Study them — learn from their launch before shipping', style: 'Strategic, learns from others' },
+    ],
+    weight: 0.75,
+    styleKey: 'competitiveStrategy',
+    complementary: [['A', 'D'], ['B', 'C']],
+    conflicts: [
+      { pair: ['A', 'B'], text: 'One would ship what is built, the other would pivot to an angle the competitor missed' },
+      { pair: ['C', 'D'], text: 'One would ignore the competitor, the other would study their launch before shipping' },
+    ],
+  },
+  {
+    key: 'scenario6',
+    title: 'The Equity Negotiation',
+    context: 'Talented person wants 5%, you think they deserve 2%.',
+    options: [
+      { value: 'A', text: 'Meet middle — relationship over negotiation', style: 'Relationship-oriented compromiser' },
+      { value: 'B', text: 'Hold firm — explain reasoning, take it or leave it', style: 'Principled, holds position' },
+      { value: 'C', text: 'Milestone-based — 2% now, path to 4% on performance', style: 'Performance-based, structured' },
+      { value: 'D', text: 'Understand first — ask them to justify before countering', style: 'Understanding-first approach' },
+    ],
+    weight: 1,
+    styleKey: 'negotiationStyle',
+    complementary: [['A', 'C'], ['B', 'D']],
+    conflicts: [
+      { pair: ['A', 'B'], text: 'One would meet in the middle, the other would hold firm at their number' },
+    ],
+  },
+];
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Answer option sub-schema
+ */
+const optionSchema = new Schema(
+  {
+    /**
+     * Stored answer value ("A", "B", ...)
+     */
+    value: {
+      type: String,
+      required: [true, 'Option value is required'],
+      trim: true,
+      maxlength: [10, 'Option value cannot exceed 10 characters'],
+    },
+
+    text: {
+      type: String,
+      required: [true, 'Option text is required'],
+      trim: true,
+      maxlength: [300, 'Option text cannot exceed 300 characters'],
+    },
+
+    /**
+     * Working-style label shown on the profile
+     */
+    style: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Option style cannot exceed 100 characters'],
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Conflicting answer pair sub-schema
+ */
+const conflictSchema = new Schema(
+  {
+    pair: {
+      type: [String],
+      validate: {
+        validator: (v) => v.length === 2,
+        message: 'A conflict pair must have exactly 2 options',
+      },
+    },
+
+    /**
+     * The disagreement in plain words
+     */
+    text: {
+      type: String,
+      required: [true, 'Conflict text is required'],
+      trim: true,
+      maxlength: [300, 'Conflict text cannot exceed 300 characters'],
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Scenario question sub-schema
+ */
+const scenarioSchema = new Schema(
+  {
+    /**
+     * Stable identifier; answers are stored under it
+     */
+    key: {
+      type: String,
+      required: [true, 'Scenario key is required'],
+      match: [SCENARIO_KEY_REGEX, 'Scenario key must start with a letter and use letters, digits or underscores'],
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Scenario title is required'],
+      trim: true,
+      maxlength: [100, 'Scenario title cannot exceed 100 characters'],
+    },
+
+    context: {
+      type: String,
+      required: [true, 'Scenario context is required'],
+      trim: true,
+      maxlength: [500, 'Scenario context cannot exceed 500 characters'],
+    },
+
+    options: {
+      type: [optionSchema],
+      validate: {
+        validator: (v) => v.length >= 2 && v.length <= 6,
+        message: 'A scenario needs 2-6 options',
+      },
+    },
+
+    /**
+     * Relative importance in the overall score
+     */
+    weight: {
+      type: Number,
+      default: 1,
+      min: [0.1, 'Weight must be at least 0.1'],
+      max: [5, 'Weight cannot exceed 5'],
+    },
+
+    /**
+     * Field name in the working style profile
+     */
+    styleKey: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    /**
+     * Answer pairs that work well together
+     */
+    complementary: {
+      type: [[String]],
+      default: [],
+    },
+
+    /**
+     * Answer pairs that clash
+     */
+    conflicts: {
+      type: [conflictSchema],
+      default: [],
+    },
+
+    /**
+     * Where answers come from when moving to this version
+     * key     - scenario key in the base version (defaults to this key)
+     * options - previous option value -> option value in this version
+     */
+    migrateFrom: {
+      key: {
+        type: String,
+        default: null,
+      },
+      options: {
+        type: Map,
+        of: String,
+        default: undefined,
+      },
+    },
+
+    /**
+     * Don't carry answers over from the base version (question reworded)
+     */
+    resetAnswers: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const scenarioBankSchema = new Schema(
+  {
+    /**
+     * Sequential version number (1, 2, 3...)
+     */
+    version: {
+      type: Number,
+      required: [true, 'Version is required'],
+      min: 1,
+    },
+
+    /**
+     * Version this one was built from; migrateFrom refers to its questions
+     */
+    baseVersion: {
+      type: Number,
+      default: null,
+    },
+
+    /**
+     * Questions in display order
+     */
+    scenarios: {
+      type: [scenarioSchema],
+      validate: {
+        validator: (v) => v.length >= 1 && v.length <= 30,
+        message: 'A question bank needs 1-30 scenarios',
+      },
+    },
+
+    /**
+     * What changed in this version
+     */
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    /**
+     * Whether new answers are collected against this version
+     */
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+
+    /**
+     * Admin who created the version (null for the built-in seed)
+     */
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    activatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    activatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    /**
+     * Responses mapped forward when this version was activated
+     */
+    migratedResponses: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+scenarioBankSchema.index({ version: 1 }, { unique: true });
+
+// At most one active bank
+scenarioBankSchema.index(
+  { isActive: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Keys must be unique, and relations must reference real options
+ */
+scenarioBankSchema.pre('validate', function (next) {
+  const seen = new Set();
+
+  (this.scenarios || []).forEach((scenario, index) => {
+    if (seen.has(scenario.key)) {
+      this.invalidate(`scenarios.${index}.key`, `Duplicate scenario key "${scenario.key}"`);
+    }
+    seen.add(scenario.key);
+
+    const values = new Set(scenario.options.map((option) => option.value));
+    if (values.size !== scenario.options.length) {
+      this.invalidate(`scenarios.${index}.options`, `Duplicate option values in "${scenario.key}"`);
+    }
+
+    const pairs = [...scenario.complementary, ...scenario.conflicts.map((conflict) => conflict.pair)];
+    if (pairs.some((pair) => pair.some((value) => !values.has(value)))) {
+      this.invalidate(`scenarios.${index}`, `Answer pairs in "${scenario.key}" reference unknown options`);
+    }
+  });
+
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Get the currently active bank
+ * @returns {Promise<ScenarioBank|null>}
+ */
+scenarioBankSchema.statics.findActive = function () {
+  return this.findOne({ isActive: true });
+};
+
+/**
+ * Find a bank by version number
+ * @param {number} version - Bank version
+ * @returns {Promise<ScenarioBank|null>}
+ */
+scenarioBankSchema.statics.findByVersion = function (version) {
+  return this.findOne({ version });
+};
+
+/**
+ * Get the next free version number
+ * @returns {Promise<number>}
+ */
+scenarioBankSchema.statics.getNextVersion = async function () {
+  const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version + 1 : 1;
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const ScenarioBank = mongoose.model('ScenarioBank', scenarioBankSchema);
+
+module.exports = {
+  ScenarioBank,
+  INITIAL_SCENARIOS,
+};
@@ -1,109 +1,34 @@
 /**
  * @fileoverview ScenarioResponse model - Working style compatibility quiz
  * 
- * Stores user responses to 6 scenario-based questions that assess
- * working style preferences. Used for compatibility matching.
+ * Stores a user's answers to the scenario questions that assess working
+ * style preferences. Used for compatibility matching.
  * 
- * Scenarios:
- * 1. The 2 AM Crisis - Crisis response
- * 2. The Co-founder Disagreement - Conflict resolution
- * 3. The Underperforming Teammate - People management
- * 4. The Runway Crunch - Financial decisions
- * 5. The Competitor Launch - Competitive response
- * 6. The Equity Negotiation - Negotiation style
+ * Questions come from the versioned question bank (ScenarioBank). Answers
+ * are stored by scenario key together with the bank version they were
+ * given against, so questions can be added or changed without a schema
+ * change. Older answers are mapped forward when a new bank is activated.
+ * 
+ * Responses saved before the bank existed keep their scenario1..scenario6
+ * fields; they are read as answers to bank version 1.
+ * 
+ * Scoring and migration live in utils/scenarioBank.
  * 
  * @module models/ScenarioResponse
  */
 
 const mongoose = require('mongoose');
 const { SCENARIO_OPTIONS } = require('../../../shared/constants');
+const {
+  LEGACY_SCENARIO_FIELDS,
+  readAnswers,
+  interpretScore,
+  getMissingScenarios,
+  getWorkingStyleProfile,
+} = require('../../../shared/utils/scenarioBank');
 
 const { Schema } = mongoose;
 
-// ============================================
-// SCENARIO DEFINITIONS
-// ============================================
-
-/**
- * Scenario definitions with questions and options
- * This is the source of truth for scenario content
- */
-const SCENARIOS = {
-  scenario1: {
-    id: 'crisis_response',
-    title: 'The 2 AM Crisis',
-    context: 'Critical bug discovered. Investor demo in 7 hours.',
-    options: {
-      A: 'Pull all-nighter, fix immediately',
-      B: 'Assess severity, sleep if not critical, fix with clear head',
-      C: 'Wake team immediately, all hands on deck',
-      D: 'Push the demo, never present broken product',
-    },
-    // Adjacent pairs for scoring (options that are somewhat similar)
-    adjacentPairs: [['A', 'C'], ['B', 'D']],
-  },
-  scenario2: {
-    id: 'conflict_resolution',
-    title: 'The Co-founder Disagreement',
-    context: 'Fundamental product direction disagreement for 2 weeks.',
-    options: {
-      A: 'Expertise-based authority — expert decides',
-      B: 'Data-driven — run experiments, let data decide',
-      C: 'External arbitration — bring in advisor',
-      D: 'Disagree and commit — one person decides, both align',
-    },
-    adjacentPairs: [['A', 'D'], ['B', 'C']],
-  },
-  scenario3: {
-    id: 'people_management',
-    title: 'The Underperforming Teammate',
-    context: 'First hire at 40% expected output after 6 weeks.',
-    options: {
-      A: 'Direct conversation, 2-week improvement window, then decide',
-      B: 'Part ways quickly — can\'t carry passengers early stage',
-      C: 'Role adjustment — maybe wrong seat, not wrong bus',
-      D: 'More patience — 6 weeks isn\'t enough to judge',
-    },
-    adjacentPairs: [['A', 'C'], ['B', 'A']],
-  },
-  scenario4: {
-    id: 'financial_decisions',
-    title: 'The Runway Crunch',
-    context: '3 months runway, revenue not growing fast enough.',
-    options: {
-      A: 'Cut costs aggressively to extend runway',
-      B: 'Double down on growth, burn to hit numbers',
-      C: 'Start fundraising immediately',
-      D: 'Revenue shortcuts — consulting, services, anything',
-    },
-    adjacentPairs: [['A', 'D'], ['B', 'C']],
-  },
-  scenario5: {
-    id: 'competitive_response',
-    title: 'The Competitor Launch',
-    context: 'Well-funded competitor ships feature you\'ve built for 3 months.',
-    options: {
-      A: 'Ship now — second is fine if better',
-      B: 'Pivot — find angle they\'re not covering',
-      C: 'Ignore — focus on users, not competitors',
-      D: 'Study them — learn from their launch before shipping',
-    },
-    adjacentPairs: [['A', 'D'], ['B', 'C']],
-  },
-  scenario6: {
-    id: 'negotiation_style',
-    title: 'The Equity Negotiation',
-    context: 'Talented person wants 5%, you think they deserve 2%.',
-    options: {
-      A: 'Meet middle — relationship over negotiation',
-      B: 'Hold firm — explain reasoning, take it or leave it',
-      C: 'Milestone-based — 2% now, path to 4% on performance',
-      D: 'Understand first — ask them to justify before countering',
-    },
-    adjacentPairs: [['A', 'C'], ['B', 'D']],
-  },
-};
-
 // ============================================
 // SCHEMA DEFINITION
 // ============================================
@@ -130,7 +55,22 @@ const scenarioResponseSchema = new Schema(
     // ==========================================
 
     /**
-     * Response to Scenario 1: The 2 AM Crisis
+     * Answers by scenario key (see ScenarioBank), e.g. { scenario1: 'A' }
+     */
+    answers: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+
+    // ==========================================
+    // LEGACY RESPONSES
+    // ==========================================
+
+    /**
+     * Pre-bank answers (The 2 AM Crisis ... The Equity Negotiation)
+     * No longer written; read as bank version 1 while answers is empty,
+     * and cleared once the response is migrated
      */
     scenario1: {
       type: String,
@@ -138,67 +78,46 @@ const scenarioResponseSchema = new Schema(
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 1',
       },
-      required: [true, 'Response to scenario 1 is required'],
     },
 
-    /**
-     * Response to Scenario 2: The Co-founder Disagreement
-     */
     scenario2: {
       type: String,
       enum: {
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 2',
       },
-      required: [true, 'Response to scenario 2 is required'],
     },
 
-    /**
-     * Response to Scenario 3: The Underperforming Teammate
-     */
     scenario3: {
       type: String,
       enum: {
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 3',
       },
-      required: [true, 'Response to scenario 3 is required'],
     },
 
-    /**
-     * Response to Scenario 4: The Runway Crunch
-     */
     scenario4: {
       type: String,
       enum: {
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 4',
       },
-      required: [true, 'Response to scenario 4 is required'],
     },
 
-    /**
-     * Response to Scenario 5: The Competitor Launch
-     */
     scenario5: {
       type: String,
       enum: {
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 5',
       },
-      required: [true, 'Response to scenario 5 is required'],
     },
 
-    /**
-     * Response to Scenario 6: The Equity Negotiation
-     */
     scenario6: {
       type: String,
       enum: {
         values: Object.values(SCENARIO_OPTIONS),
         message: 'Invalid option for scenario 6',
       },
-      required: [true, 'Response to scenario 6 is required'],
     },
 
     // ==========================================
@@ -246,7 +165,7 @@ const scenarioResponseSchema = new Schema(
     },
 
     /**
-     * Version of scenarios (for future updates)
+     * Question bank version the answers are mapped to
      */
     scenarioVersion: {
       type: Number,
@@ -314,256 +233,110 @@ scenarioResponseSchema.virtual('daysUntilRetake').get(function () {
 });
 
 /**
- * Get all responses as an object
+ * Get all answers as an object (legacy responses included)
  */
 scenarioResponseSchema.virtual('responses').get(function () {
-  return {
-    scenario1: this.scenario1,
-    scenario2: this.scenario2,
-    scenario3: this.scenario3,
-    scenario4: this.scenario4,
-    scenario5: this.scenario5,
-    scenario6: this.scenario6,
-  };
+  return readAnswers(this).answers;
 });
 
 /**
- * Get responses as array
+ * Get answers as array, in stored order
  */
 scenarioResponseSchema.virtual('responsesArray').get(function () {
-  return [
-    this.scenario1,
-    this.scenario2,
-    this.scenario3,
-    this.scenario4,
-    this.scenario5,
-    this.scenario6,
-  ];
+  return Object.values(this.responses);
 });
 
 // ============================================
 // INSTANCE METHODS
 // ============================================
 
-/**
- * Calculate compatibility score with another user's responses
- * @param {ScenarioResponse} otherResponses - Other user's scenario responses
- * @returns {Object} Compatibility result with score and breakdown
- */
-scenarioResponseSchema.methods.calculateCompatibility = function (otherResponses) {
-  const scenarioKeys = ['scenario1', 'scenario2', 'scenario3', 'scenario4', 'scenario5', 'scenario6'];
-  let totalScore = 0;
-  const breakdown = {};
-
-  for (const key of scenarioKeys) {
-    const myResponse = this[key];
-    const theirResponse = otherResponses[key];
-    const scenario = SCENARIOS[key];
-    
-    let score = 0;
-    let matchType = 'opposite';
-
-    if (myResponse === theirResponse) {
-      // Exact match: 10 points
-      score = 10;
-      matchType = 'exact';
-    } else if (scenario.adjacentPairs.some(pair => 
-      pair.includes(myResponse) && pair.includes(theirResponse)
-    )) {
-      // Adjacent match: 5 points
-      score = 5;
-      matchType = 'adjacent';
-    }
-    // Opposite: 0 points (default)
-
-    totalScore += score;
-    breakdown[key] = {
-      title: scenario.title,
-      myResponse,
-      theirResponse,
-      score,
-      maxScore: 10,
-      matchType,
-    };
-  }
-
-  // Normalize to 100%
-  const maxScore = 60;
-  const percentageScore = Math.round((totalScore / maxScore) * 100);
-
-  return {
-    score: percentageScore,
-    rawScore: totalScore,
-    maxRawScore: maxScore,
-    breakdown,
-    interpretation: this.getScoreInterpretation(percentageScore),
-  };
-};
-
 /**
  * Get interpretation of compatibility score
  * @param {number} score - Percentage score (0-100)
  * @returns {Object} Interpretation with level and description
  */
 scenarioResponseSchema.methods.getScoreInterpretation = function (score) {
-  if (score >= 90) {
-    return {
-      level: 'EXCELLENT',
-      description: 'Highly aligned working styles',
-      color: 'green',
-    };
-  }
-  if (score >= 75) {
-    return {
-      level: 'GOOD',
-      description: 'Strong compatibility with minor differences',
-      color: 'blue',
-    };
-  }
-  if (score >= 60) {
-    return {
-      level: 'MODERATE',
-      description: 'Some alignment, may need communication about differences',
-      color: 'yellow',
-    };
-  }
-  if (score >= 40) {
-    return {
-      level: 'LOW',
-      description: 'Different approaches, requires discussion',
-      color: 'orange',
-    };
-  }
-  return {
-    level: 'MINIMAL',
-    description: 'Significantly different working styles',
-    color: 'red',
-  };
+  return interpretScore(score);
 };
 
 /**
  * Get working style summary based on responses
+ * @param {Object} bank - Question bank the answers are mapped to
  * @returns {Object} Working style profile
  */
-scenarioResponseSchema.methods.getWorkingStyleProfile = function () {
-  const profile = {
-    crisisResponse: '',
-    conflictStyle: '',
-    managementApproach: '',
-    financialMindset: '',
-    competitiveStrategy: '',
-    negotiationStyle: '',
-  };
-
-  // Crisis Response (Scenario 1)
-  const crisisStyles = {
-    A: 'Action-oriented, immediate response',
-    B: 'Measured, prioritizes clear thinking',
-    C: 'Collaborative, team-based approach',
-    D: 'Quality-focused, avoids compromises',
-  };
-  profile.crisisResponse = crisisStyles[this.scenario1];
-
-  // Conflict Style (Scenario 2)
-  const conflictStyles = {
-    A: 'Expertise-driven decisions',
-    B: 'Data-driven, experimental',
-    C: 'Seeks external perspective',
-    D: 'Decisive with alignment focus',
-  };
-  profile.conflictStyle = conflictStyles[this.scenario2];
-
-  // Management Approach (Scenario 3)
-  const managementStyles = {
-    A: 'Direct, structured feedback',
-    B: 'Decisive, quick decisions',
-    C: 'Adaptive, finds right fit',
-    D: 'Patient, long-term view',
-  };
-  profile.managementApproach = managementStyles[this.scenario3];
-
-  // Financial Mindset (Scenario 4)
-  const financialStyles = {
-    A: 'Conservative, capital preservation',
-    B: 'Growth-focused, risk-tolerant',
-    C: 'External funding oriented',
-    D: 'Revenue-creative, bootstrapper',
-  };
-  profile.financialMindset = financialStyles[this.scenario4];
-
-  // Competitive Strategy (Scenario 5)
-  const competitiveStyles = {
-    A: 'Execution-focused, ship fast',
-    B: 'Differentiation-focused',
-    C: 'Customer-obsessed, ignores noise',
-    D: 'Strategic, learns from others',
-  };
-  profile.competitiveStrategy = competitiveStyles[this.scenario5];
-
-  // Negotiation Style (Scenario 6)
-  const negotiationStyles = {
-    A: 'Relationship-oriented compromiser',
-    B: 'Principled, holds position',
-    C: 'Performance-based, structured',
-    D: 'Understanding-first approach',
-  };
-  profile.negotiationStyle = negotiationStyles[this.scenario6];
-
-  return profile;
+scenarioResponseSchema.methods.getWorkingStyleProfile = function (bank) {
+  return getWorkingStyleProfile(bank, this.responses);
 };
 
 /**
  * Get data safe for display (without sensitive info)
+ * @param {Object} bank - Question bank the answers are mapped to
  * @returns {Object} Safe scenario data
  */
-scenarioResponseSchema.methods.getPublicData = function () {
+scenarioResponseSchema.methods.getPublicData = function (bank) {
   return {
     id: this._id,
     completedAt: this.completedAt,
     canRetake: this.canRetake,
     daysUntilRetake: this.daysUntilRetake,
-    workingStyleProfile: this.getWorkingStyleProfile(),
+    workingStyleProfile: this.getWorkingStyleProfile(bank),
   };
 };
 
 /**
  * Get full data for owner
+ * @param {Object} bank - Question bank the answers are mapped to
  * @returns {Object} Complete scenario data
  */
-scenarioResponseSchema.methods.getOwnerData = function () {
+scenarioResponseSchema.methods.getOwnerData = function (bank) {
   return {
     id: this._id,
     responses: this.responses,
+    scenarioVersion: this.scenarioVersion,
+    missingScenarios: getMissingScenarios(bank, this.responses),
     completedAt: this.completedAt,
     retakeCount: this.retakeCount,
     lastRetakeAt: this.lastRetakeAt,
     canRetake: this.canRetake,
     daysUntilRetake: this.daysUntilRetake,
-    workingStyleProfile: this.getWorkingStyleProfile(),
+    workingStyleProfile: this.getWorkingStyleProfile(bank),
   };
 };
 
+/**
+ * Replace the stored answers
+ * Clears the legacy scenario1..scenario6 fields so they are not read again
+ * @param {Object} answers - Answers by scenario key
+ * @param {number} version - Bank version the answers belong to
+ * @returns {ScenarioResponse} this (not saved)
+ */
+scenarioResponseSchema.methods.setAnswers = function (answers, version) {
+  this.answers = answers;
+  this.scenarioVersion = version;
+
+  LEGACY_SCENARIO_FIELDS.forEach((field) => this.set(field, undefined));
+
+  return this;
+};
+
 /**
  * Update responses (for retake)
- * @param {Object} newResponses - New scenario responses
+ * @param {Object} newAnswers - Answers by scenario key
+ * @param {number} version - Bank version the answers belong to
+ * @param {number} [completionTime] - Seconds taken
  * @returns {Promise<ScenarioResponse>}
  */
-scenarioResponseSchema.methods.retake = async function (newResponses) {
+scenarioResponseSchema.methods.retake = async function (newAnswers, version, completionTime = null) {
   if (!this.canRetake) {
     throw new Error(`Cannot retake for ${this.daysUntilRetake} more days`);
   }
 
-  this.scenario1 = newResponses.scenario1;
-  this.scenario2 = newResponses.scenario2;
-  this.scenario3 = newResponses.scenario3;
-  this.scenario4 = newResponses.scenario4;
-  this.scenario5 = newResponses.scenario5;
-  this.scenario6 = newResponses.scenario6;
+  this.setAnswers(newAnswers, version);
   this.retakeCount += 1;
   this.lastRetakeAt = new Date();
   
-  if (newResponses.completionTime) {
-    this.completionTime = newResponses.completionTime;
+  if (completionTime) {
+    this.completionTime = completionTime;
   }
 
   return this.save();
@@ -573,14 +346,6 @@ scenarioResponseSchema.methods.retake = async function (newResponses) {
 // STATIC METHODS
 // ============================================
 
-/**
- * Get scenario definitions (for frontend)
- * @returns {Object} All scenario definitions
- */
-scenarioResponseSchema.statics.getScenarioDefinitions = function () {
-  return SCENARIOS;
-};
-
 /**
  * Find responses by user ID
  * @param {ObjectId} userId - User's ID
@@ -603,39 +368,36 @@ scenarioResponseSchema.statics.hasCompleted = async function (userId) {
 /**
  * Create or update scenario responses
  * @param {ObjectId} userId - User's ID
- * @param {Object} responses - Scenario responses
+ * @param {Object} answers - Answers by scenario key
+ * @param {number} version - Bank version the answers belong to
  * @returns {Promise<ScenarioResponse>}
  */
-scenarioResponseSchema.statics.createOrUpdate = async function (userId, responses) {
+scenarioResponseSchema.statics.createOrUpdate = async function (userId, answers, version) {
   const existing = await this.findByUserId(userId);
   
   if (existing) {
-    return existing.retake(responses);
+    return existing.retake(answers, version);
   }
 
   return this.create({
     user: userId,
-    ...responses,
+    answers,
+    scenarioVersion: version,
   });
 };
 
 /**
- * Calculate compatibility between two users
- * @param {ObjectId} userId1 - First user's ID
- * @param {ObjectId} userId2 - Second user's ID
- * @returns {Promise<Object|null>} Compatibility result or null if either hasn't completed
+ * Find responses mapped to an older bank version
+ * @param {number} version - Current bank version
+ * @returns {Query}
  */
-scenarioResponseSchema.statics.calculateUserCompatibility = async function (userId1, userId2) {
-  const [responses1, responses2] = await Promise.all([
-    this.findByUserId(userId1),
-    this.findByUserId(userId2),
-  ]);
-
-  if (!responses1 || !responses2) {
-    return null;
-  }
-
-  return responses1.calculateCompatibility(responses2);
+scenarioResponseSchema.statics.findBehindVersion = function (version) {
+  return this.find({
+    $or: [
+      { scenarioVersion: { $lt: version } },
+      { scenarioVersion: { $exists: false } },
+    ],
+  });
 };
 
 /**
@@ -645,17 +407,11 @@ scenarioResponseSchema.statics.calculateUserCompatibility = async function (user
 scenarioResponseSchema.statics.getStatistics = async function () {
   const total = await this.countDocuments();
   
-  const responseDistribution = await this.aggregate([
-    {
-      $group: {
-        _id: null,
-        scenario1_A: { $sum: { $cond: [{ $eq: ['$scenario1', 'A'] }, 1, 0] } },
-        scenario1_B: { $sum: { $cond: [{ $eq: ['$scenario1', 'B'] }, 1, 0] } },
-        scenario1_C: { $sum: { $cond: [{ $eq: ['$scenario1', 'C'] }, 1, 0] } },
-        scenario1_D: { $sum: { $cond: [{ $eq: ['$scenario1', 'D'] }, 1, 0] } },
-        // Add more scenarios as needed
-      },
-    },
+  // Counts per scenario key and option, e.g. { scenario1_A: 12 }
+  const distribution = await this.aggregate([
+    { $project: { answers: { $objectToArray: { $ifNull: ['$answers', {}] } } } },
+    { $unwind: '$answers' },
+    { $group: { _id: { $concat: ['$answers.k', '_', '$answers.v'] }, count: { $sum: 1 } } },
   ]);
 
   const avgCompletionTime = await this.aggregate([
@@ -666,7 +422,7 @@ scenarioResponseSchema.statics.getStatistics = async function () {
   return {
     totalCompletions: total,
     avgCompletionTimeSeconds: avgCompletionTime[0]?.avgTime || null,
-    responseDistribution: responseDistribution[0] || {},
+    responseDistribution: Object.fromEntries(distribution.map((entry) => [entry._id, entry.count])),
   };
 };
 
@@ -676,7 +432,4 @@ scenarioResponseSchema.statics.getStatistics = async function () {
 
 const ScenarioResponse = mongoose.model('ScenarioResponse', scenarioResponseSchema);
 
-// Also export scenario definitions for use elsewhere
-ScenarioResponse.SCENARIOS = SCENARIOS;
-
 module.exports = ScenarioResponse;
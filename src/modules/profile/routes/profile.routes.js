@@ -11,7 +11,7 @@ const router = express.Router();
 
 const profileController = require('../controllers/profile.controller');
 const uploadController = require('../../upload/controllers/upload.controller');
-const { auth, requireCompleteProfile, requireFounder } = require('../../../shared/middleware/auth');
+const { auth, requireCompleteProfile, requireFounder, requireAdmin } = require('../../../shared/middleware/auth');
 const { uploadPitchDeck, requireFile } = require('../../../shared/middleware/upload');
 
 // ============================================
@@ -193,11 +193,18 @@ router.post('/switch-role', auth, profileController.switchRole);
 // SCENARIO ROUTES
 // ============================================
 
+/**
+ * @route   GET /api/v1/profiles/scenarios/bank
+ * @desc    Get the active scenario questions
+ * @access  Private
+ */
+router.get('/scenarios/bank', auth, profileController.getScenarioQuestions);
+
 /**
  * @route   POST /api/v1/profiles/scenarios
- * @desc    Save scenario responses
+ * @desc    Save scenario responses (merged with existing answers)
  * @access  Private
- * @body    { scenario1: 'A'|'B'|'C'|'D', scenario2: ..., ... scenario6: ... }
+ * @body    { answers: { [scenarioKey]: option } }
  */
 router.post('/scenarios', auth, profileController.saveScenarios);
 
@@ -220,6 +227,44 @@ router.get(
   profileController.getScenarioCompatibility
 );
 
+// ============================================
+// SCENARIO BANK ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/profiles/scenarios/banks
+ * @desc    List scenario question bank versions
+ * @access  Private (Admin only)
+ */
+router.get('/scenarios/banks', auth, requireAdmin, profileController.listScenarioBanks);
+
+/**
+ * @route   POST /api/v1/profiles/scenarios/banks
+ * @desc    Create a question bank version (full list, or add/remove against a base version)
+ * @access  Private (Admin only)
+ * @body    { scenarios?, add?, remove?: string[], baseVersion?, notes?, activate? }
+ */
+router.post('/scenarios/banks', auth, requireAdmin, profileController.createScenarioBank);
+
+/**
+ * @route   GET /api/v1/profiles/scenarios/banks/:version
+ * @desc    Get a question bank version
+ * @access  Private (Admin only)
+ */
+router.get('/scenarios/banks/:version', auth, requireAdmin, profileController.getScenarioBank);
+
+/**
+ * @route   POST /api/v1/profiles/scenarios/banks/:version/activate
+ * @desc    Activate a question bank version and map stored responses forward
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/scenarios/banks/:version/activate',
+  auth,
+  requireAdmin,
+  profileController.activateScenarioBank
+);
+
 // ============================================
 // SEARCH & DISCOVERY ROUTES
 // ============================================
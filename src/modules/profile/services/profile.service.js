@@ -15,8 +15,35 @@
 const { User, FounderProfile, BuilderProfile, ScenarioResponse } = require('../../models');
 const { ApiError } = require('../../../shared/utils');
 const { USER_TYPES } = require('../../../shared/constants');
+const { compareAnswers, getMissingScenarios } = require('../../../shared/utils/scenarioBank');
+const scenarioService = require('./scenario.service');
+const savedSearchService = require('../../savedSearch/services/savedSearch.service');
+const blockService = require('../../moderation/services/block.service');
+const { isDiscoverableBuilder } = require('../../../shared/utils/searchFilters');
+const { runSideEffect } = require('../../../shared/utils/sideEffects');
 const logger = require('../../../shared/utils/logger');
 
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Queue alerts for founders' saved talent searches when a builder profile
+ * has just become discoverable (complete, visible and open to
+ * opportunities); the saved search alerts job sends them.
+ *
+ * @param {Object} profile - Saved builder profile
+ * @param {boolean} wasDiscoverable - Whether it was discoverable before the save
+ * @returns {Promise<void>}
+ */
+const alertTalentSearches = async (profile, wasDiscoverable) => {
+  if (wasDiscoverable || !isDiscoverableBuilder(profile)) return;
+
+  await runSideEffect('Failed to queue talent search alerts', { profileId: profile._id }, () =>
+    savedSearchService.queueBuilderAlerts(profile)
+  );
+};
+
 // ============================================
 // FOUNDER PROFILE
 // ============================================
@@ -293,6 +320,8 @@ const createBuilderProfile = async (userId, profileData) => {
 
   logger.info('Builder profile created', { userId, profileId: profile._id });
 
+  await alertTalentSearches(profile, false);
+
   return profile;
 };
 
@@ -318,6 +347,7 @@ const updateBuilderProfile = async (userId, profileData) => {
   }
   
   // Update profile fields
+  const wasDiscoverable = isDiscoverableBuilder(profile);
   Object.assign(profile, profileData);
   await profile.save();
   
@@ -330,6 +360,8 @@ const updateBuilderProfile = async (userId, profileData) => {
   
   logger.info('Builder profile updated', { userId });
   
+  await alertTalentSearches(profile, wasDiscoverable);
+  
   return profile;
 };
 
@@ -349,6 +381,7 @@ const upsertBuilderProfile = async (userId, profileData) => {
   
   // Check if profile exists
   let profile = await BuilderProfile.findOne({ user: userId });
+  const wasDiscoverable = isDiscoverableBuilder(profile);
   
   if (profile) {
     // Update existing profile
@@ -387,6 +420,8 @@ const upsertBuilderProfile = async (userId, profileData) => {
   
   await user.save();
   
+  await alertTalentSearches(profile, wasDiscoverable);
+  
   return profile;
 };
 
@@ -755,56 +790,103 @@ const updateProfile = async (userId, profileData, profileType = null) => {
 // SCENARIO RESPONSES
 // ============================================
 
+/**
+ * Validate submitted answers against the active question bank
+ * 
+ * @param {Object} bank - Active question bank
+ * @param {Object} submitted - Answers by scenario key
+ * @returns {Object} Answers with option values in their stored form
+ * @throws {ApiError} If a key is unknown or an option is invalid
+ */
+const normalizeScenarioAnswers = (bank, submitted) => {
+  const normalized = {};
+  
+  for (const [key, value] of Object.entries(submitted)) {
+    const scenario = bank.scenarios.find((entry) => entry.key === key);
+    
+    if (!scenario) {
+      throw ApiError.badRequest(`Unknown scenario "${key}"`);
+    }
+    
+    const option = scenario.options.find(
+      (entry) => entry.value.toUpperCase() === String(value || '').trim().toUpperCase()
+    );
+    
+    if (!option) {
+      const values = scenario.options.map((entry) => entry.value).join(', ');
+      throw ApiError.badRequest(`${key} must be one of ${values}`);
+    }
+    
+    normalized[key] = option.value;
+  }
+  
+  return normalized;
+};
+
 /**
  * Save scenario responses for a user
+ * Answers are merged into the user's existing answers (mapped to the active
+ * bank first), so after a new question is added only that one needs answering.
+ * Every question in the active bank must be answered once merged.
  * 
  * @param {string} userId - User ID
  * @param {Object} responses - Scenario responses
- * @param {string} responses.scenario1 - Response to scenario 1 (A/B/C/D)
- * @param {string} responses.scenario2 - Response to scenario 2
- * @param {string} responses.scenario3 - Response to scenario 3
- * @param {string} responses.scenario4 - Response to scenario 4
- * @param {string} responses.scenario5 - Response to scenario 5
- * @param {string} responses.scenario6 - Response to scenario 6
- * @returns {Promise<Object>} Saved scenario response
+ * @param {Object} [responses.answers] - Answers by scenario key ({ scenario1: 'A', ... })
+ * @param {string} [responses.scenario1] - Top-level scenario keys are accepted too (pre-bank clients)
+ * @returns {Promise<Object>} Saved scenario response (owner view)
  */
-const saveScenarioResponses = async (userId, responses) => {
+const saveScenarioResponses = async (userId, responses = {}) => {
   const user = await User.findById(userId);
   
   if (!user) {
     throw ApiError.userNotFound();
   }
   
-  // Validate all 6 scenarios are present
-  const requiredScenarios = ['scenario1', 'scenario2', 'scenario3', 'scenario4', 'scenario5', 'scenario6'];
-  const validOptions = ['A', 'B', 'C', 'D'];
+  const banks = await scenarioService.getScenarioBanks();
+  const { active } = banks;
   
-  for (const scenario of requiredScenarios) {
-    if (!responses[scenario]) {
-      throw ApiError.badRequest(`${scenario} response is required`);
-    }
-    if (!validOptions.includes(responses[scenario].toUpperCase())) {
-      throw ApiError.badRequest(`${scenario} must be A, B, C, or D`);
-    }
+  if (responses.answers !== undefined && (typeof responses.answers !== 'object' || Array.isArray(responses.answers))) {
+    throw ApiError.badRequest('answers must be an object of scenario key to option');
   }
   
-  // Normalize responses to uppercase
-  const normalizedResponses = {};
-  for (const scenario of requiredScenarios) {
-    normalizedResponses[scenario] = responses[scenario].toUpperCase();
+  const submitted = { ...(responses.answers || {}) };
+  active.scenarios.forEach(({ key }) => {
+    if (responses[key] !== undefined && submitted[key] === undefined) {
+      submitted[key] = responses[key];
+    }
+  });
+  
+  if (Object.keys(submitted).length === 0) {
+    throw ApiError.badRequest('answers is required');
   }
   
+  const normalized = normalizeScenarioAnswers(active, submitted);
+  
   // Upsert scenario response
   let scenarioResponse = await ScenarioResponse.findOne({ user: userId });
+  const current = scenarioService.getCurrentAnswers(scenarioResponse, banks).answers;
+  const merged = { ...current, ...normalized };
+  
+  const missing = getMissingScenarios(active, merged);
+  if (missing.length > 0) {
+    throw ApiError.badRequest(`Responses required for: ${missing.join(', ')}`);
+  }
+  
+  const isRetake = Object.keys(normalized).some((key) => current[key] && current[key] !== normalized[key]);
   
   if (scenarioResponse) {
-    Object.assign(scenarioResponse, normalizedResponses);
+    scenarioResponse.setAnswers(merged, active.version);
     scenarioResponse.completedAt = new Date();
+    if (isRetake) {
+      scenarioResponse.retakeCount += 1;
+      scenarioResponse.lastRetakeAt = new Date();
+    }
     await scenarioResponse.save();
   } else {
     scenarioResponse = await ScenarioResponse.create({
       user: userId,
-      ...normalizedResponses,
+      answers: merged,
+      scenarioVersion: active.version,
       completedAt: new Date(),
     });
   }
@@ -813,86 +895,82 @@ const saveScenarioResponses = async (userId, responses) => {
   user.scenarioComplete = true;
   await user.save();
   
-  logger.info('Scenario responses saved', { userId });
+  logger.info('Scenario responses saved', { userId, bankVersion: active.version, isRetake });
   
-  return scenarioResponse;
+  return scenarioResponse.getOwnerData(active);
 };
 
 /**
  * Get scenario responses for a user
+ * Responses behind the active bank are mapped forward and saved on read
  * 
  * @param {string} userId - User ID
- * @returns {Promise<Object|null>} Scenario responses or null
+ * @returns {Promise<Object|null>} Scenario responses (owner view, with missingScenarios) or null
  */
 const getScenarioResponses = async (userId) => {
-  return ScenarioResponse.findOne({ user: userId });
+  const scenarioResponse = await ScenarioResponse.findOne({ user: userId });
+  
+  if (!scenarioResponse) {
+    return null;
+  }
+  
+  const banks = await scenarioService.getScenarioBanks();
+  
+  if (scenarioService.migrateResponseDocument(scenarioResponse, banks)) {
+    await scenarioResponse.save();
+  }
+  
+  return scenarioResponse.getOwnerData(banks.active);
 };
 
 /**
- * Calculate scenario compatibility between two users
+ * Compare two sets of scenario responses
+ * Both sides are mapped to the active bank, and only the questions both
+ * have answered are compared (users may be on different bank versions).
  * 
- * @param {string} userId1 - First user ID
- * @param {string} userId2 - Second user ID
- * @returns {Promise<Object>} Compatibility score and breakdown
+ * @param {Object|null} responses1 - First user's ScenarioResponse (document or lean)
+ * @param {Object|null} responses2 - Second user's ScenarioResponse (document or lean)
+ * @returns {Promise<Object>} Weighted score, per-scenario breakdown and named disagreements
  */
-const calculateScenarioCompatibility = async (userId1, userId2) => {
-  const [responses1, responses2] = await Promise.all([
-    ScenarioResponse.findOne({ user: userId1 }),
-    ScenarioResponse.findOne({ user: userId2 }),
-  ]);
-  
+const compareScenarioResponses = async (responses1, responses2) => {
   // If either user hasn't completed scenarios, return null
   if (!responses1 || !responses2) {
     return {
       score: null,
       breakdown: null,
+      disagreements: [],
       reason: 'One or both users have not completed scenario assessment',
     };
   }
   
-  const scenarios = ['scenario1', 'scenario2', 'scenario3', 'scenario4', 'scenario5', 'scenario6'];
-  let totalScore = 0;
-  const breakdown = {};
+  const banks = await scenarioService.getScenarioBanks();
+  const comparison = compareAnswers(
+    banks.active,
+    scenarioService.getCurrentAnswers(responses1, banks).answers,
+    scenarioService.getCurrentAnswers(responses2, banks).answers
+  );
   
-  // Scoring per PRD:
-  // Exact match: 10 points
-  // Adjacent match: 5 points
-  // Opposite match: 0 points
-  const adjacentPairs = {
-    'A': ['B'],
-    'B': ['A', 'C'],
-    'C': ['B', 'D'],
-    'D': ['C'],
-  };
-  
-  for (const scenario of scenarios) {
-    const r1 = responses1[scenario];
-    const r2 = responses2[scenario];
-    
-    let score = 0;
-    let match = 'opposite';
-    
-    if (r1 === r2) {
-      score = 10;
-      match = 'exact';
-    } else if (adjacentPairs[r1]?.includes(r2)) {
-      score = 5;
-      match = 'adjacent';
-    }
-    
-    totalScore += score;
-    breakdown[scenario] = { user1: r1, user2: r2, score, match };
+  if (comparison.score === null) {
+    return { ...comparison, reason: 'The users have not answered any of the same scenarios' };
   }
   
-  // Normalize to 100%
-  const normalizedScore = Math.round((totalScore / 60) * 100);
+  return comparison;
+};
+
+/**
+ * Calculate scenario compatibility between two users
+ * 
+ * @param {string} userId1 - First user ID
+ * @param {string} userId2 - Second user ID
+ * @returns {Promise<Object>} Compatibility score and breakdown
+ */
+const calculateScenarioCompatibility = async (userId1, userId2) => {
+  const [responses1, responses2] = await Promise.all([
+    ScenarioResponse.findOne({ user: userId1 }),
+    ScenarioResponse.findOne({ user: userId2 }),
+  ]);
   
-  return {
-    score: normalizedScore,
-    rawScore: totalScore,
-    maxScore: 60,
-    breakdown,
-  };
+  return compareScenarioResponses(responses1, responses2);
 };
 
 // ============================================
@@ -922,9 +1000,10 @@ const searchBuilderProfiles = async (filters = {}, options = {}) => {
     isOpenToOpportunities: true,
   };
 
-  // Exclude the requester from results
+  // Exclude the requester, and users blocked either way, from results
   if (requesterId) {
-    query.user = { $ne: requesterId };
+    const blockedIds = await blockService.getBlockedUserIds(requesterId);
+    query.user = { $nin: [requesterId, ...blockedIds] };
   }
 
   // Skills filter (any match)
@@ -963,7 +1042,7 @@ const searchBuilderProfiles = async (filters = {}, options = {}) => {
   const publicFields = [
     'user', 'displayName', 'headline', 'skills', 'riskAppetite',
     'compensationOpenness', 'hoursPerWeek', 'durationPreference',
-    'intentStatement', 'location', 'remotePreference', 'rolesInterested',
+    'intentStatement', 'location', 'workingHours', 'remotePreference', 'rolesInterested',
     'experience', 'education', 'portfolioLinks', 'socialLinks',
     'isVerified', 'createdAt', 'lastActiveAt',
   ].join(' ');
@@ -1030,9 +1109,10 @@ const searchFounderProfiles = async (filters = {}, options = {}) => {
     isVisible: true,
   };
 
-  // Exclude the requester from results
+  // Exclude the requester, and users blocked either way, from results
   if (requesterId) {
-    query.user = { $ne: requesterId };
+    const blockedIds = await blockService.getBlockedUserIds(requesterId);
+    query.user = { $nin: [requesterId, ...blockedIds] };
   }
 
   // Startup stage filter
@@ -1066,7 +1146,7 @@ const searchFounderProfiles = async (filters = {}, options = {}) => {
   const publicFields = [
     'user', 'startupName', 'tagline', 'description', 'startupStage',
     'industry', 'rolesSeeking', 'skillsNeeded', 'equityRange', 'cashRange',
-    'cashCurrency', 'vestingType', 'intentStatement', 'location',
+    'cashCurrency', 'vestingType', 'intentStatement', 'location', 'workingHours',
     'remotePreference', 'hoursPerWeek', 'isSolo', 'existingCofounderCount',
     'experience', 'education', 'totalYearsExperience', 'previousStartupCount',
     'hasPreviousExit', 'socialLinks', 'isVerified', 'createdAt', 'lastActiveAt',
@@ -1154,9 +1234,10 @@ const discoverBuilderProfiles = async (filters = {}, options = {}) => {
     query.isOpenToOpportunities = filters.isOpenToOpportunities === 'true' || filters.isOpenToOpportunities === true;
   }
 
-  // Exclude the requester from results
+  // Exclude the requester, and users blocked either way, from results
   if (requesterId) {
-    query.user = { $ne: requesterId };
+    const blockedIds = await blockService.getBlockedUserIds(requesterId);
+    query.user = { $nin: [requesterId, ...blockedIds] };
   }
 
   // Text search across name, headline, skills
@@ -1227,7 +1308,7 @@ const discoverBuilderProfiles = async (filters = {}, options = {}) => {
   const publicFields = [
     'user', 'displayName', 'headline', 'bio', 'skills', 'primarySkills',
     'riskAppetite', 'compensationOpenness', 'hoursPerWeek', 'durationPreference',
-    'intentStatement', 'location', 'remotePreference', 'rolesInterested',
+    'intentStatement', 'location', 'workingHours', 'remotePreference', 'rolesInterested',
     'experienceLevel', 'yearsOfExperience', 'experience', 'education',
     'portfolioLinks', 'socialLinks', 'isVerified', 'isOpenToOpportunities',
     'createdAt', 'lastActiveAt',
@@ -1306,9 +1387,10 @@ const discoverFounderProfiles = async (filters = {}, options = {}) => {
     query.isVisible = true;
   }
 
-  // Exclude the requester from results
+  // Exclude the requester, and users blocked either way, from results
   if (requesterId) {
-    query.user = { $ne: requesterId };
+    const blockedIds = await blockService.getBlockedUserIds(requesterId);
+    query.user = { $nin: [requesterId, ...blockedIds] };
   }
 
   // Text search across startup name, tagline, description
@@ -1370,7 +1452,7 @@ const discoverFounderProfiles = async (filters = {}, options = {}) => {
   const publicFields = [
     'user', 'startupName', 'tagline', 'description', 'startupStage',
     'industry', 'rolesSeeking', 'skillsNeeded', 'equityRange', 'cashRange',
-    'cashCurrency', 'vestingType', 'intentStatement', 'location',
+    'cashCurrency', 'vestingType', 'intentStatement', 'location', 'workingHours',
     'remotePreference', 'hoursPerWeek', 'isSolo', 'existingCofounderCount',
     'experience', 'education', 'totalYearsExperience', 'previousStartupCount',
     'hasPreviousExit', 'socialLinks', 'isVerified', 'createdAt', 'lastActiveAt',
@@ -1454,6 +1536,7 @@ module.exports = {
   // Scenarios
   saveScenarioResponses,
   getScenarioResponses,
+  compareScenarioResponses,
   calculateScenarioCompatibility,
   
   // Search
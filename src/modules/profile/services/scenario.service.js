@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Scenario Question Bank Service
+ *
+ * Manages the versioned working-style question bank:
+ * - Seeding version 1 from the original six scenarios
+ * - Cached banks for scoring and answer migration
+ * - Mapping stored responses forward to the active version
+ * - Admin create/activate of new versions
+ *
+ * Versions only move forward: a response's answers can be mapped to a newer
+ * bank, never back to an older one.
+ *
+ * @module services/scenario
+ */
+
+const { ScenarioBank, INITIAL_SCENARIOS } = require('../models/ScenarioBank');
+const ScenarioResponse = require('../models/ScenarioResponse');
+const { ApiError } = require('../../../shared/utils');
+const {
+  LEGACY_SCENARIO_FIELDS,
+  readAnswers,
+  migrateAnswers,
+} = require('../../../shared/utils/scenarioBank');
+const { config } = require('../../../shared/config');
+const logger = require('../../../shared/utils/logger');
+
+/**
+ * Responses rewritten per bulkWrite when a version is activated
+ */
+const MIGRATION_BATCH_SIZE = 500;
+
+// ============================================
+// SEEDING
+// ============================================
+
+/**
+ * Seed bank version 1 if no bank exists
+ *
+ * @returns {Promise<boolean>} True if the bank was seeded
+ */
+const ensureDefaultBank = async () => {
+  if (await ScenarioBank.exists({})) {
+    return false;
+  }
+
+  try {
+    await ScenarioBank.create({
+      version: 1,
+      scenarios: INITIAL_SCENARIOS,
+      notes: 'Original six scenarios',
+      isActive: true,
+      activatedAt: new Date(),
+    });
+  } catch (error) {
+    // Another process seeded it first
+    if (error.code !== 11000) throw error;
+    return false;
+  }
+
+  logger.info('Seeded default scenario question bank', { version: 1 });
+
+  return true;
+};
+
+// ============================================
+// CACHED BANKS
+// ============================================
+
+/**
+ * In-memory cache of every bank version
+ * Banks are small and change rarely; scoring needs them for every pair
+ */
+let bankCache = { banks: null, loadedAt: 0 };
+
+/**
+ * Drop the cached banks (after a version is created or activated)
+ */
+const clearScenarioBankCache = () => {
+  bankCache = { banks: null, loadedAt: 0 };
+};
+
+/**
+ * Get the active bank and all versions
+ *
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.fresh=false] - Bypass the in-memory cache
+ * @returns {Promise<Object>} { active, byVersion } (lean banks)
+ */
+const getScenarioBanks = async (options = {}) => {
+  const { fresh = false } = options;
+  const now = Date.now();
+
+  if (
+    !fresh &&
+    bankCache.banks &&
+    now - bankCache.loadedAt < config.matching.scenarioBankCacheMs
+  ) {
+    return bankCache.banks;
+  }
+
+  await ensureDefaultBank();
+
+  const banks = await ScenarioBank.find().sort({ version: 1 }).lean();
+  const active = banks.find((bank) => bank.isActive);
+
+  if (!active) {
+    // Banks exist but none is active - refuse to guess which one to use
+    throw ApiError.internal('No active scenario question bank');
+  }
+
+  bankCache = {
+    banks: { active, byVersion: new Map(banks.map((bank) => [bank.version, bank])) },
+    loadedAt: now,
+  };
+
+  return bankCache.banks;
+};
+
+/**
+ * Get the active bank
+ *
+ * @returns {Promise<Object>} Active bank (lean)
+ */
+const getActiveBank = async () => {
+  const { active } = await getScenarioBanks();
+  return active;
+};
+
+/**
+ * Active bank as shown to quiz takers
+ * Scoring details (weights, relations, migration rules) stay server-side
+ *
+ * @returns {Promise<Object>} { version, scenarios: [{ key, title, context, options: [{ value, text }] }] }
+ */
+const getQuestionnaire = async () => {
+  const active = await getActiveBank();
+
+  return {
+    version: active.version,
+    scenarios: active.scenarios.map((scenario) => ({
+      key: scenario.key,
+      title: scenario.title,
+      context: scenario.context,
+      options: scenario.options.map(({ value, text }) => ({ value, text })),
+    })),
+  };
+};
+
+// ============================================
+// ANSWER MIGRATION
+// ============================================
+
+/**
+ * A response's answers mapped to the active bank
+ * Works on documents and lean objects; nothing is written
+ *
+ * @param {Object|null} response - ScenarioResponse document or lean object
+ * @param {Object} banks - Result of getScenarioBanks
+ * @returns {Object} { answers, version, migrated } (migrated: answers were behind the active bank)
+ */
+const getCurrentAnswers = (response, banks) => {
+  const { active, byVersion } = banks;
+  const { version, answers } = readAnswers(response);
+
+  if (!response || version >= active.version) {
+    return { answers, version: version || active.version, migrated: false };
+  }
+
+  return {
+    answers: migrateAnswers(byVersion, answers, version, active.version),
+    version: active.version,
+    migrated: true,
+  };
+};
+
+/**
+ * Bring a response document up to the active bank in place (not saved)
+ * Also moves legacy scenario1..scenario6 answers into the answers map.
+ *
+ * @param {Object} response - ScenarioResponse document
+ * @param {Object} banks - Result of getScenarioBanks
+ * @returns {boolean} True if the document changed
+ */
+const migrateResponseDocument = (response, banks) => {
+  const isLegacy = response.answers.size === 0 && LEGACY_SCENARIO_FIELDS.some((field) => response[field]);
+  const { answers, version, migrated } = getCurrentAnswers(response, banks);
+
+  if (!migrated && !isLegacy) {
+    return false;
+  }
+
+  response.setAnswers(answers, version);
+
+  return true;
+};
+
+/**
+ * Map every stored response behind the active bank forward
+ *
+ * @param {Object} [banks] - Result of getScenarioBanks (loaded fresh when omitted)
+ * @returns {Promise<number>} Responses rewritten
+ */
+const migrateStoredResponses = async (banks = null) => {
+  const current = banks || await getScenarioBanks({ fresh: true });
+  const unsetLegacy = Object.fromEntries(LEGACY_SCENARIO_FIELDS.map((field) => [field, '']));
+
+  let migrated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await ScenarioResponse.bulkWrite(operations, { ordered: false });
+    migrated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = ScenarioResponse.findBehindVersion(current.active.version).lean().cursor();
+
+  for await (const response of cursor) {
+    const { answers, version } = getCurrentAnswers(response, current);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: response._id },
+        update: {
+          $set: { answers, scenarioVersion: version },
+          $unset: unsetLegacy,
+        },
+      },
+    });
+
+    if (operations.length >= MIGRATION_BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  return migrated;
+};
+
+// ============================================
+// ADMIN MANAGEMENT
+// ============================================
+
+/**
+ * List all bank versions, newest first
+ *
+ * @returns {Promise<Object[]>} Banks
+ */
+const listBanks = async () => {
+  await ensureDefaultBank();
+
+  return ScenarioBank.find()
+    .sort({ version: -1 })
+    .populate('createdBy', 'name email')
+    .populate('activatedBy', 'name email')
+    .lean();
+};
+
+/**
+ * Get a bank by version
+ *
+ * @param {number} version - Bank version
+ * @returns {Promise<Object>} Bank document
+ * @throws {ApiError} If not found
+ */
+const getBank = async (version) => {
+  const bank = await ScenarioBank.findByVersion(Number(version));
+
+  if (!bank) {
+    throw ApiError.notFound(`Scenario bank v${version} not found`);
+  }
+
+  return bank;
+};
+
+/**
+ * Create a new (inactive) bank version
+ * Starts from the base version's questions unless a full list is given
+ *
+ * @param {string} adminId - Admin user ID
+ * @param {Object} data - Version data
+ * @param {Object[]} [data.scenarios] - Full question list (replaces the base questions)
+ * @param {Object[]} [data.add] - Questions to append to the base questions
+ * @param {string[]} [data.remove] - Keys of base questions to drop
+ * @param {number} [data.baseVersion] - Version to build on (defaults to the active one)
+ * @param {string} [data.notes] - What changed
+ * @param {boolean} [data.activate=false] - Activate immediately
+ * @returns {Promise<Object>} Created bank (or activation result)
+ */
+const createBankVersion = async (adminId, data = {}) => {
+  const { active } = await getScenarioBanks({ fresh: true });
+  const base = data.baseVersion ? (await getBank(data.baseVersion)).toObject() : active;
+
+  if (data.scenarios !== undefined && !Array.isArray(data.scenarios)) {
+    throw ApiError.badRequest('scenarios must be an array');
+  }
+  if (data.add !== undefined && !Array.isArray(data.add)) {
+    throw ApiError.badRequest('add must be an array of scenarios');
+  }
+  if (data.remove !== undefined && !Array.isArray(data.remove)) {
+    throw ApiError.badRequest('remove must be an array of scenario keys');
+  }
+  if (!data.scenarios && !data.add?.length && !data.remove?.length) {
+    throw ApiError.badRequest('Provide scenarios, add or remove');
+  }
+
+  const removed = new Set(data.remove || []);
+  const unknown = [...removed].filter((key) => !base.scenarios.some((scenario) => scenario.key === key));
+  if (unknown.length > 0) {
+    throw ApiError.badRequest(`Unknown scenario keys in remove: ${unknown.join(', ')}`);
+  }
+
+  // Carried-over questions keep their answers as-is; their old migration rules pointed further back
+  const kept = base.scenarios
+    .filter((scenario) => !removed.has(scenario.key))
+    .map(({ migrateFrom, resetAnswers, ...scenario }) => scenario);
+
+  const scenarios = [...(data.scenarios || kept), ...(data.add || [])];
+
+  let bank;
+  try {
+    bank = await ScenarioBank.create({
+      version: await ScenarioBank.getNextVersion(),
+      baseVersion: base.version,
+      scenarios,
+      notes: data.notes,
+      createdBy: adminId,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw ApiError.conflict('Another scenario bank was created concurrently, please retry');
+    }
+    throw error;
+  }
+
+  clearScenarioBankCache();
+
+  logger.info('Scenario bank created', {
+    version: bank.version,
+    baseVersion: bank.baseVersion,
+    scenarios: bank.scenarios.length,
+    adminId,
+  });
+
+  if (data.activate) {
+    return activateBank(bank.version, adminId);
+  }
+
+  return { bank };
+};
+
+/**
+ * Activate a bank version and map stored responses forward to it
+ *
+ * @param {number} version - Version to activate
+ * @param {string} adminId - Admin user ID
+ * @returns {Promise<Object>} { bank, migratedResponses } (null if the migration failed)
+ * @throws {ApiError} If not found, already active or older than the active bank
+ */
+const activateBank = async (version, adminId) => {
+  const target = await getBank(version);
+
+  if (target.isActive) {
+    throw ApiError.badRequest(`Scenario bank v${target.version} is already active`);
+  }
+
+  let current = null;
+
+  // Swap in one transaction so scenario reads never see zero or two active
+  // banks; the unique partial index rejects a concurrent activation
+  try {
+    await ScenarioBank.db.transaction(async (session) => {
+      current = await ScenarioBank.findActive().session(session);
+
+      if (current && current._id.equals(target._id)) {
+        throw ApiError.badRequest(`Scenario bank v${target.version} is already active`);
+      }
+
+      if (current && target.version < current.version) {
+        throw ApiError.badRequest(
+          `Scenario bank v${target.version} is older than the active v${current.version}; create a new version instead`
+        );
+      }
+
+      if (current) {
+        current.isActive = false;
+        await current.save({ session });
+      }
+
+      target.isActive = true;
+      target.activatedAt = new Date();
+      target.activatedBy = adminId;
+
+      await target.save({ session });
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw ApiError.conflict('Another scenario bank was activated concurrently, please retry');
+    }
+    throw error;
+  }
+
+  clearScenarioBankCache();
+
+  // Reads migrate lazily too, so a failure here only delays the rewrite:
+  // the bank stays active and migratedResponses is left unset (null)
+  let migratedResponses = null;
+  try {
+    migratedResponses = await migrateStoredResponses();
+
+    target.migratedResponses = migratedResponses;
+    await target.save();
+  } catch (error) {
+    logger.error('Failed to migrate stored scenario responses', {
+      version: target.version,
+      error: error.message,
+    });
+  }
+
+  logger.warn('Scenario bank activated', {
+    version: target.version,
+    previousVersion: current ? current.version : null,
+    migratedResponses,
+    adminId,
+  });
+
+  return { bank: target, migratedResponses };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Banks
+  getScenarioBanks,
+  getActiveBank,
+  getQuestionnaire,
+  clearScenarioBankCache,
+  ensureDefaultBank,
+
+  // Migration
+  getCurrentAnswers,
+  migrateResponseDocument,
+  migrateStoredResponses,
+
+  // Admin
+  listBanks,
+  getBank,
+  createBankVersion,
+  activateBank,
+};
@@ -22,6 +22,9 @@ const connectionRoutes = require('../connection/routes/connection.routes');
 const trialRoutes = require('../trial/routes/trial.routes');
 const notificationRoutes = require('../notification/routes/notification.routes');
 const teamRoutes = require('../team/routes/team.routes');
+const skillRoutes = require('../skill/routes/skill.routes');
+const savedSearchRoutes = require('../savedSearch/routes/savedSearch.routes');
+const moderationRoutes = require('../moderation/routes/moderation.routes');
 
 // ============================================
 // MOUNT ROUTES
@@ -40,6 +43,9 @@ router.use('/connections', connectionRoutes);
 router.use('/trials', trialRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/team', teamRoutes);
+router.use('/skills', skillRoutes);
+router.use('/saved-searches', savedSearchRoutes);
+router.use('/moderation', moderationRoutes);
 
 // ============================================
 // EXPORTS
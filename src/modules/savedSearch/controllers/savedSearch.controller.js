@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Saved Search Controller
+ *
+ * Handles HTTP endpoints for saved searches (builders search openings,
+ * founders search builders for one of their openings):
+ * - Saving, listing, updating and deleting searches
+ * - Running a saved search on demand
+ *
+ * @module controllers/savedSearch
+ */
+
+const savedSearchService = require('../services/savedSearch.service');
+const openingService = require('../../opening/services/opening.service');
+const profileService = require('../../profile/services/profile.service');
+const { SAVED_SEARCH_TARGETS } = require('../../models');
+const { ApiResponse, asyncHandler } = require('../../../shared/utils');
+const { toLiteralPatterns } = require('../../../shared/utils/searchFilters');
+
+// ============================================
+// SAVED SEARCH CRUD
+// ============================================
+
+/**
+ * Save a search
+ *
+ * @route POST /api/v1/saved-searches
+ * @access Private (Founders and builders)
+ */
+const createSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await savedSearchService.createSavedSearch(req.user._id, req.body);
+
+  return ApiResponse.created('Search saved', { savedSearch }).send(res);
+});
+
+/**
+ * Get my saved searches
+ *
+ * @route GET /api/v1/saved-searches
+ * @access Private (Founders and builders)
+ */
+const getSavedSearches = asyncHandler(async (req, res) => {
+  const savedSearches = await savedSearchService.getSavedSearches(req.user._id, {
+    openingId: req.query.openingId,
+  });
+
+  return ApiResponse.ok('Saved searches retrieved', { savedSearches }).send(res);
+});
+
+/**
+ * Get a saved search
+ *
+ * @route GET /api/v1/saved-searches/:id
+ * @access Private (Founders and builders)
+ */
+const getSavedSearchById = asyncHandler(async (req, res) => {
+  const savedSearch = await savedSearchService.getSavedSearchById(req.user._id, req.params.id);
+
+  return ApiResponse.ok('Saved search retrieved', { savedSearch }).send(res);
+});
+
+/**
+ * Update a saved search
+ *
+ * @route PATCH /api/v1/saved-searches/:id
+ * @access Private (Founders and builders)
+ */
+const updateSavedSearch = asyncHandler(async (req, res) => {
+  const savedSearch = await savedSearchService.updateSavedSearch(req.user._id, req.params.id, req.body);
+
+  return ApiResponse.ok('Saved search updated', { savedSearch }).send(res);
+});
+
+/**
+ * Delete a saved search
+ *
+ * @route DELETE /api/v1/saved-searches/:id
+ * @access Private (Founders and builders)
+ */
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+  await savedSearchService.deleteSavedSearch(req.user._id, req.params.id);
+
+  return ApiResponse.ok('Saved search deleted').send(res);
+});
+
+// ============================================
+// RESULTS
+// ============================================
+
+/**
+ * Run a saved search now
+ * Talent searches only return builders who are visible and open to opportunities.
+ *
+ * @route GET /api/v1/saved-searches/:id/results
+ * @access Private (Founders and builders)
+ *
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Items per page
+ */
+const getSavedSearchResults = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const savedSearch = await savedSearchService.getSavedSearchById(req.user._id, req.params.id);
+  const options = {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  };
+
+  if (savedSearch.target === SAVED_SEARCH_TARGETS.BUILDERS) {
+    const result = await profileService.discoverBuilderProfiles(
+      {
+        ...toLiteralPatterns(savedSearch.filters.toObject(), ['location', 'search']),
+        isVisible: true,
+        isOpenToOpportunities: true,
+      },
+      { ...options, requesterId: req.user._id }
+    );
+
+    return ApiResponse.paginated(
+      result.profiles,
+      result.pagination,
+      'Builder profiles retrieved successfully'
+    ).send(res);
+  }
+
+  const result = await openingService.searchOpenings(
+    toLiteralPatterns(savedSearch.filters.toObject(), ['location']),
+    { ...options, requesterId: req.user._id }
+  );
+
+  return ApiResponse.paginated(
+    result.openings,
+    result.pagination,
+    'Openings retrieved successfully'
+  ).send(res);
+});
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults,
+};
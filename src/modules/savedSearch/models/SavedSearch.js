@@ -0,0 +1,284 @@
+/**
+ * @fileoverview SavedSearch model - Saved opening and talent searches
+ *
+ * Two kinds of search, told apart by target:
+ * - OPENINGS: a builder's GET /openings filters, alerted when a newly
+ *   published or resumed opening matches
+ * - BUILDERS: a founder's builder discovery filters, saved against one of
+ *   their openings and alerted when a builder becomes newly visible or
+ *   open to opportunities and matches
+ *
+ * Alerts are either INSTANT (a notification right away) or DAILY (matches
+ * are queued and sent as one digest a day). Each search remembers what it
+ * already alerted about, so toggling an opening or a profile off and on
+ * does not alert twice.
+ *
+ * @module models/SavedSearch
+ */
+
+const mongoose = require('mongoose');
+const {
+  ROLE_TYPES,
+  STARTUP_STAGES,
+  REMOTE_PREFERENCES,
+  RISK_APPETITES,
+  EXPERIENCE_LEVELS,
+} = require('../../../shared/constants');
+
+const { Schema } = mongoose;
+
+// ============================================
+// ENUMS
+// ============================================
+
+/**
+ * What a saved search looks for
+ * OPENINGS - openings, saved by builders
+ * BUILDERS - builder profiles, saved by founders against an opening
+ */
+const SAVED_SEARCH_TARGETS = Object.freeze({
+  OPENINGS: 'OPENINGS',
+  BUILDERS: 'BUILDERS',
+});
+
+/**
+ * How often a saved search alerts
+ */
+const SAVED_SEARCH_FREQUENCIES = Object.freeze({
+  INSTANT: 'INSTANT',
+  DAILY: 'DAILY',
+});
+
+/**
+ * Openings/builders remembered per search for de-duplicating alerts
+ */
+const MAX_ALERTED = 200;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Filters, as accepted by opening search (OPENINGS) or builder discovery
+ * (BUILDERS); only the target's fields are set, unset filters are omitted
+ */
+const searchFiltersSchema = new Schema(
+  {
+    // Shared
+    skills: {
+      type: [String],
+      default: undefined,
+    },
+    remotePreference: {
+      type: String,
+      enum: Object.values(REMOTE_PREFERENCES),
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    search: {
+      type: String,
+      trim: true,
+    },
+
+    // OPENINGS
+    roleType: {
+      type: String,
+      enum: Object.values(ROLE_TYPES),
+    },
+    startupStage: {
+      type: String,
+      enum: Object.values(STARTUP_STAGES),
+    },
+    minEquity: {
+      type: Number,
+      min: 0,
+    },
+    maxCash: {
+      type: Number,
+      min: 0,
+    },
+
+    // BUILDERS
+    minHours: {
+      type: Number,
+      min: 0,
+    },
+    maxHours: {
+      type: Number,
+      min: 0,
+    },
+    riskAppetite: {
+      type: String,
+      enum: Object.values(RISK_APPETITES),
+    },
+    rolesInterested: {
+      type: [{ type: String, enum: Object.values(ROLE_TYPES) }],
+      default: undefined,
+    },
+    experienceLevel: {
+      type: String,
+      enum: Object.values(EXPERIENCE_LEVELS),
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const savedSearchSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+
+    target: {
+      type: String,
+      enum: Object.values(SAVED_SEARCH_TARGETS),
+      default: SAVED_SEARCH_TARGETS.OPENINGS,
+    },
+
+    /**
+     * Opening a BUILDERS search is for (the founder's own)
+     */
+    opening: {
+      type: Schema.Types.ObjectId,
+      ref: 'Opening',
+      default: null,
+      required: [
+        function () { return this.target === SAVED_SEARCH_TARGETS.BUILDERS; },
+        'Opening is required for a talent search',
+      ],
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [80, 'Name cannot exceed 80 characters'],
+    },
+
+    filters: {
+      type: searchFiltersSchema,
+      default: () => ({}),
+    },
+
+    frequency: {
+      type: String,
+      enum: Object.values(SAVED_SEARCH_FREQUENCIES),
+      default: SAVED_SEARCH_FREQUENCIES.INSTANT,
+    },
+
+    /**
+     * Paused searches keep their filters but send no alerts
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Openings already alerted about (OPENINGS, most recent MAX_ALERTED)
+     */
+    alertedOpenings: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'Opening' }],
+      default: [],
+      select: false,
+    },
+
+    /**
+     * Openings waiting for the next daily digest (OPENINGS)
+     */
+    pendingOpenings: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'Opening' }],
+      default: [],
+    },
+
+    /**
+     * Builders (users) already alerted about (BUILDERS, most recent MAX_ALERTED)
+     */
+    alertedBuilders: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+      select: false,
+    },
+
+    /**
+     * Builders (users) waiting for the next daily digest (BUILDERS)
+     */
+    pendingBuilders: {
+      type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+
+    lastMatchedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastDigestAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.alertedOpenings;
+        delete ret.alertedBuilders;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// A user's searches, newest first
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+
+// Alerting: active searches of a target, narrowed by role type
+savedSearchSchema.index({ target: 1, isActive: 1, 'filters.roleType': 1 });
+
+// A founder's talent searches for an opening
+savedSearchSchema.index({ opening: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+/**
+ * Matches waiting for the next digest
+ */
+savedSearchSchema.virtual('pendingCount').get(function () {
+  const pending = this.target === SAVED_SEARCH_TARGETS.BUILDERS ? this.pendingBuilders : this.pendingOpenings;
+  return pending ? pending.length : 0;
+});
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = {
+  SavedSearch,
+  SAVED_SEARCH_TARGETS,
+  SAVED_SEARCH_FREQUENCIES,
+  MAX_ALERTED,
+};
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Saved Search Routes
+ *
+ * Defines API endpoints for saved searches: builders save opening searches,
+ * founders save talent searches against their openings.
+ *
+ * @module routes/savedSearch
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const savedSearchController = require('../controllers/savedSearch.controller');
+const { auth, requireRole } = require('../../../shared/middleware/auth');
+const { USER_TYPES } = require('../../../shared/constants');
+
+const requireSearcher = requireRole(USER_TYPES.FOUNDER, USER_TYPES.BUILDER);
+
+// ============================================
+// GET ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/saved-searches
+ * @desc    Get my saved searches
+ * @access  Private (Founders and builders)
+ * @query   { openingId? }
+ */
+router.get('/', auth, requireSearcher, savedSearchController.getSavedSearches);
+
+/**
+ * @route   GET /api/v1/saved-searches/:id
+ * @desc    Get a saved search
+ * @access  Private (Founders and builders)
+ */
+router.get('/:id', auth, requireSearcher, savedSearchController.getSavedSearchById);
+
+/**
+ * @route   GET /api/v1/saved-searches/:id/results
+ * @desc    Run a saved search now
+ * @access  Private (Founders and builders)
+ * @query   { page?, limit? }
+ */
+router.get('/:id/results', auth, requireSearcher, savedSearchController.getSavedSearchResults);
+
+// ============================================
+// POST ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/saved-searches
+ * @desc    Save a search
+ * @access  Private (Founders and builders)
+ * @body    { name, filters, frequency?, openingId? (founders, required) }
+ */
+router.post('/', auth, requireSearcher, savedSearchController.createSavedSearch);
+
+// ============================================
+// PATCH ROUTES
+// ============================================
+
+/**
+ * @route   PATCH /api/v1/saved-searches/:id
+ * @desc    Update a saved search (name, filters, frequency, on/off)
+ * @access  Private (Founders and builders)
+ * @body    { name?, filters?, frequency?, isActive? }
+ */
+router.patch('/:id', auth, requireSearcher, savedSearchController.updateSavedSearch);
+
+// ============================================
+// DELETE ROUTES
+// ============================================
+
+/**
+ * @route   DELETE /api/v1/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private (Founders and builders)
+ */
+router.delete('/:id', auth, requireSearcher, savedSearchController.deleteSavedSearch);
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = router;
@@ -0,0 +1,783 @@
+/**
+ * @fileoverview Saved Search Service
+ *
+ * Builders save opening searches; founders save talent (builder) searches
+ * against one of their openings. Both get alerted about new matches:
+ * - CRUD on a user's saved searches (limited per user)
+ * - Matching a newly published or resumed opening against builders'
+ *   searches, and a newly discoverable builder against founders' searches
+ * - INSTANT searches notify right away, DAILY searches queue the match
+ *   for the daily digest
+ *
+ * Matching scans every saved search, so it never runs inside the request
+ * that published the opening or updated the profile: the opening or builder
+ * profile is queued and the saved search alerts job (every minute) sends
+ * the alerts.
+ *
+ * A user hears about an opening or builder once, however many of their
+ * searches match it. Builders are never alerted about openings they already
+ * expressed interest in, and founders never about builders who already
+ * expressed interest in the opening. Builders only ever show up while
+ * complete, visible and open to opportunities, and stealth startups are
+ * not named in alerts. Users blocked either way never hear about each
+ * other's openings or profiles.
+ *
+ * @module services/savedSearch
+ */
+
+const {
+  SavedSearch,
+  SAVED_SEARCH_TARGETS,
+  SAVED_SEARCH_FREQUENCIES,
+  MAX_ALERTED,
+  Opening,
+  FounderProfile,
+  BuilderProfile,
+  Interest,
+  User,
+} = require('../../models');
+const { ApiError, isValidObjectId } = require('../../../shared/utils');
+const {
+  isEmptyFilters,
+  normalizeOpeningFilters,
+  matchesOpeningFilters,
+  normalizeBuilderFilters,
+  isDiscoverableBuilder,
+  matchesBuilderFilters,
+} = require('../../../shared/utils/searchFilters');
+const {
+  OPENING_STATUS,
+  USER_TYPES,
+  USER_STATUS,
+  LIMITS,
+} = require('../../../shared/constants');
+const logger = require('../../../shared/utils/logger');
+const notificationService = require('../../notification/services/notification.service');
+const blockService = require('../../moderation/services/block.service');
+
+/**
+ * Openings a founder can keep talent searches on
+ */
+const OPEN_OPENING_STATUSES = [OPENING_STATUS.ACTIVE, OPENING_STATUS.PAUSED];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Validate filters from a request for a search target, throwing on bad or empty input
+ *
+ * @param {string} target - SAVED_SEARCH_TARGETS value
+ * @param {Object} input - Raw filters
+ * @returns {Object} Normalized filters
+ * @throws {ApiError} If a filter is invalid or none is set
+ */
+const parseFilters = (target, input) => {
+  if (!input || typeof input !== 'object') {
+    throw ApiError.badRequest('filters object is required');
+  }
+
+  const { filters, errors } = target === SAVED_SEARCH_TARGETS.BUILDERS
+    ? normalizeBuilderFilters(input)
+    : normalizeOpeningFilters(input);
+
+  if (errors.length > 0) {
+    throw ApiError.validationError('Invalid search filters', errors);
+  }
+
+  if (isEmptyFilters(filters)) {
+    throw ApiError.badRequest('Set at least one filter to save a search');
+  }
+
+  return filters;
+};
+
+/**
+ * Validate an alert frequency
+ *
+ * @param {string} frequency - Frequency
+ * @throws {ApiError} If not a SAVED_SEARCH_FREQUENCIES value
+ */
+const assertFrequency = (frequency) => {
+  if (!Object.values(SAVED_SEARCH_FREQUENCIES).includes(frequency)) {
+    throw ApiError.badRequest(
+      `frequency must be one of ${Object.values(SAVED_SEARCH_FREQUENCIES).join(', ')}`
+    );
+  }
+};
+
+/**
+ * Validate a saved search name
+ *
+ * @param {string} name - Name
+ * @returns {string} Trimmed name
+ * @throws {ApiError} If missing or too long
+ */
+const parseName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw ApiError.badRequest('Name is required');
+  }
+  if (name.trim().length > 80) {
+    throw ApiError.badRequest('Name cannot exceed 80 characters');
+  }
+  return name.trim();
+};
+
+/**
+ * What a user's saved searches look for: founders search builders,
+ * builders search openings
+ *
+ * @param {Object} user - User (userType)
+ * @returns {string} SAVED_SEARCH_TARGETS value
+ * @throws {ApiError} For other user types
+ */
+const getTargetForUser = (user) => {
+  if (user.userType === USER_TYPES.FOUNDER) return SAVED_SEARCH_TARGETS.BUILDERS;
+  if (user.userType === USER_TYPES.BUILDER) return SAVED_SEARCH_TARGETS.OPENINGS;
+  throw ApiError.forbidden('Only founders and builders can save searches');
+};
+
+/**
+ * Load a founder's own opening that a talent search can be saved against
+ *
+ * @param {string} founderId - Founder's user ID
+ * @param {string} openingId - Opening ID
+ * @returns {Promise<Object>} Opening
+ * @throws {ApiError} If invalid, not found, not theirs, or closed/filled
+ */
+const getSearchableOpening = async (founderId, openingId) => {
+  if (!openingId) {
+    throw ApiError.badRequest('openingId is required for a talent search');
+  }
+  if (!isValidObjectId(openingId)) {
+    throw ApiError.badRequest('Invalid opening ID');
+  }
+
+  const opening = await Opening.findOne({ _id: openingId, founder: founderId }).select('title status');
+
+  if (!opening) {
+    throw ApiError.notFound('Opening not found');
+  }
+
+  if (!OPEN_OPENING_STATUSES.includes(opening.status)) {
+    throw ApiError.badRequest('Talent searches can only be saved for active or paused openings');
+  }
+
+  return opening;
+};
+
+// ============================================
+// SAVED SEARCH CRUD
+// ============================================
+
+/**
+ * Save a search
+ * Builders save opening searches; founders save talent searches and must
+ * say which of their openings the search is for.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} data - { name, filters, frequency?, openingId? (founders) }
+ * @returns {Promise<Object>} Created saved search
+ * @throws {ApiError} If input is invalid or the user has too many searches
+ */
+const createSavedSearch = async (userId, data = {}) => {
+  const user = await User.findById(userId).select('userType');
+
+  if (!user) {
+    throw ApiError.userNotFound();
+  }
+
+  const target = getTargetForUser(user);
+  const name = parseName(data.name);
+  const filters = parseFilters(target, data.filters);
+  const frequency = data.frequency || SAVED_SEARCH_FREQUENCIES.INSTANT;
+  assertFrequency(frequency);
+
+  const opening = target === SAVED_SEARCH_TARGETS.BUILDERS
+    ? await getSearchableOpening(userId, data.openingId)
+    : null;
+
+  const count = await SavedSearch.countDocuments({ user: userId });
+  if (count >= LIMITS.MAX_SAVED_SEARCHES) {
+    throw ApiError.badRequest(`You can save up to ${LIMITS.MAX_SAVED_SEARCHES} searches`);
+  }
+
+  const savedSearch = await SavedSearch.create({
+    user: userId,
+    target,
+    opening: opening ? opening._id : null,
+    name,
+    filters,
+    frequency,
+  });
+
+  logger.info('Saved search created', { savedSearchId: savedSearch._id, userId, target, frequency });
+
+  return savedSearch;
+};
+
+/**
+ * Get a user's saved searches, newest first
+ *
+ * @param {string} userId - User ID
+ * @param {Object} [options={}] - { openingId: only talent searches for this opening }
+ * @returns {Promise<Object[]>} Saved searches
+ */
+const getSavedSearches = async (userId, options = {}) => {
+  const query = { user: userId };
+
+  if (options.openingId) {
+    if (!isValidObjectId(options.openingId)) {
+      throw ApiError.badRequest('Invalid opening ID');
+    }
+    query.opening = options.openingId;
+  }
+
+  return SavedSearch.find(query)
+    .populate('opening', 'title status')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Get one of a user's saved searches
+ *
+ * @param {string} userId - User ID
+ * @param {string} savedSearchId - Saved search ID
+ * @returns {Promise<Object>} Saved search
+ * @throws {ApiError} If not found or not the user's
+ */
+const getSavedSearchById = async (userId, savedSearchId) => {
+  if (!isValidObjectId(savedSearchId)) {
+    throw ApiError.badRequest('Invalid saved search ID');
+  }
+
+  const savedSearch = await SavedSearch.findOne({ _id: savedSearchId, user: userId });
+
+  if (!savedSearch) {
+    throw ApiError.notFound('Saved search not found');
+  }
+
+  return savedSearch;
+};
+
+/**
+ * Update a saved search
+ * Changing filters keeps what was already alerted about; turning a
+ * search off drops any matches still waiting for the digest. A talent
+ * search stays on the opening it was saved for.
+ *
+ * @param {string} userId - User ID
+ * @param {string} savedSearchId - Saved search ID
+ * @param {Object} updates - { name?, filters?, frequency?, isActive? }
+ * @returns {Promise<Object>} Updated saved search
+ */
+const updateSavedSearch = async (userId, savedSearchId, updates = {}) => {
+  const savedSearch = await getSavedSearchById(userId, savedSearchId);
+
+  if (updates.name !== undefined) {
+    savedSearch.name = parseName(updates.name);
+  }
+
+  if (updates.filters !== undefined) {
+    savedSearch.filters = parseFilters(savedSearch.target, updates.filters);
+  }
+
+  if (updates.frequency !== undefined) {
+    assertFrequency(updates.frequency);
+    savedSearch.frequency = updates.frequency;
+  }
+
+  if (updates.isActive !== undefined) {
+    savedSearch.isActive = Boolean(updates.isActive);
+    if (!savedSearch.isActive) {
+      savedSearch.pendingOpenings = [];
+      savedSearch.pendingBuilders = [];
+    }
+  }
+
+  await savedSearch.save();
+
+  logger.info('Saved search updated', { savedSearchId, userId });
+
+  return savedSearch;
+};
+
+/**
+ * Delete a saved search
+ *
+ * @param {string} userId - User ID
+ * @param {string} savedSearchId - Saved search ID
+ * @returns {Promise<void>}
+ */
+const deleteSavedSearch = async (userId, savedSearchId) => {
+  const savedSearch = await getSavedSearchById(userId, savedSearchId);
+  await savedSearch.deleteOne();
+
+  logger.info('Saved search deleted', { savedSearchId, userId });
+};
+
+// ============================================
+// ALERTS
+// ============================================
+
+/**
+ * Notify INSTANT searches (once per user) and queue DAILY ones, then
+ * remember the item on every alerted search
+ *
+ * @param {Object[]} alerted - Matching saved searches (lean)
+ * @param {ObjectId} itemId - Opening or builder user ID
+ * @param {Object} fields - { alerted, pending } field names on SavedSearch
+ * @param {Function} notify - async (savedSearch) => notification
+ * @returns {Promise<Object>} { matched, notified, queued }
+ */
+const deliverAlerts = async (alerted, itemId, fields, notify) => {
+  const result = { matched: alerted.length, notified: 0, queued: 0 };
+
+  // Instant searches first, so a user with both kinds gets one alert now
+  const notifiedUsers = new Set();
+
+  for (const savedSearch of alerted.filter((search) => search.frequency === SAVED_SEARCH_FREQUENCIES.INSTANT)) {
+    const userId = savedSearch.user.toString();
+    if (notifiedUsers.has(userId)) continue;
+    notifiedUsers.add(userId);
+
+    try {
+      await notify(savedSearch);
+      result.notified += 1;
+    } catch (error) {
+      logger.error('Failed to send saved search alert', {
+        savedSearchId: savedSearch._id,
+        itemId,
+        error: error.message,
+      });
+    }
+  }
+
+  const queuedIds = alerted
+    .filter((search) => search.frequency === SAVED_SEARCH_FREQUENCIES.DAILY && !notifiedUsers.has(search.user.toString()))
+    .map((search) => search._id);
+  result.queued = queuedIds.length;
+
+  await Promise.all([
+    SavedSearch.updateMany(
+      { _id: { $in: alerted.map((search) => search._id) } },
+      {
+        $push: { [fields.alerted]: { $each: [itemId], $slice: -MAX_ALERTED } },
+        $set: { lastMatchedAt: new Date() },
+      }
+    ),
+    queuedIds.length > 0
+      ? SavedSearch.updateMany(
+        { _id: { $in: queuedIds } },
+        { $addToSet: { [fields.pending]: itemId } }
+      )
+      : null,
+  ]);
+
+  return result;
+};
+
+/**
+ * Keep only builders who can still act on an opening: active builder
+ * accounts that have not already expressed interest in it
+ *
+ * @param {Object} opening - Opening
+ * @param {string[]} userIds - Candidate users
+ * @returns {Promise<Set<string>>} Eligible user IDs
+ */
+const getEligibleBuilders = async (opening, userIds) => {
+  const [builders, interested] = await Promise.all([
+    User.find({
+      _id: { $in: userIds },
+      userType: USER_TYPES.BUILDER,
+      status: USER_STATUS.ACTIVE,
+    }).distinct('_id'),
+    Interest.distinct('builder', { opening: opening._id, builder: { $in: userIds } }),
+  ]);
+
+  const excluded = new Set(interested.map((id) => id.toString()));
+  return new Set(builders.map((id) => id.toString()).filter((id) => !excluded.has(id)));
+};
+
+/**
+ * Queue alerts for an opening that just went live (published or resumed)
+ * The saved search alerts job sends them (see sendQueuedAlerts).
+ *
+ * @param {Object} opening - Opening
+ * @returns {Promise<void>}
+ */
+const queueOpeningAlerts = async (opening) => {
+  await Opening.updateOne(
+    { _id: opening._id },
+    { $set: { searchAlertsQueuedAt: new Date() } }
+  );
+};
+
+/**
+ * Alert builders' saved searches about an opening that just went live
+ * Called by sendQueuedAlerts for each queued opening.
+ *
+ * @param {Object} opening - Opening (status ACTIVE)
+ * @returns {Promise<Object>} { matched, notified, queued }
+ */
+const alertOpeningPublished = async (opening) => {
+  if (opening.status !== OPENING_STATUS.ACTIVE) {
+    return { matched: 0, notified: 0, queued: 0 };
+  }
+
+  const founderProfile = await FounderProfile.findById(opening.founderProfile)
+    .select('startupName startupStage stealthMode')
+    .lean();
+
+  const blockedIds = await blockService.getBlockedUserIds(opening.founder);
+
+  // Searches saved before talent searches existed have no target
+  const cursor = SavedSearch.find({
+    target: { $ne: SAVED_SEARCH_TARGETS.BUILDERS },
+    isActive: true,
+    user: { $nin: [opening.founder, ...blockedIds] },
+    alertedOpenings: { $ne: opening._id },
+    'filters.roleType': { $in: [null, opening.roleType] },
+  })
+    .select('user name filters frequency')
+    .lean()
+    .cursor();
+
+  const matches = [];
+  for await (const savedSearch of cursor) {
+    if (matchesOpeningFilters(savedSearch.filters || {}, opening, founderProfile)) {
+      matches.push(savedSearch);
+    }
+  }
+
+  if (matches.length === 0) {
+    return { matched: 0, notified: 0, queued: 0 };
+  }
+
+  const eligible = await getEligibleBuilders(opening, [...new Set(matches.map((search) => search.user.toString()))]);
+  const alerted = matches.filter((search) => eligible.has(search.user.toString()));
+
+  if (alerted.length === 0) {
+    return { matched: 0, notified: 0, queued: 0 };
+  }
+
+  const result = await deliverAlerts(
+    alerted,
+    opening._id,
+    { alerted: 'alertedOpenings', pending: 'pendingOpenings' },
+    (savedSearch) => notificationService.notifySavedSearchMatch({
+      userId: savedSearch.user,
+      savedSearch,
+      opening,
+      founderProfile,
+    })
+  );
+
+  logger.info('Saved search alerts sent', { openingId: opening._id, ...result });
+
+  return result;
+};
+
+/**
+ * Queue alerts for a builder profile that just became discoverable
+ * The saved search alerts job sends them (see sendQueuedAlerts).
+ *
+ * @param {Object} profile - Builder profile
+ * @returns {Promise<void>}
+ */
+const queueBuilderAlerts = async (profile) => {
+  await BuilderProfile.updateOne(
+    { _id: profile._id },
+    { $set: { talentAlertsQueuedAt: new Date() } }
+  );
+};
+
+/**
+ * Alert founders' talent searches about a builder who just became
+ * discoverable (profile completed, made visible, or open to opportunities
+ * again). Only searches on the founder's active or paused openings count,
+ * and never for an opening the builder already expressed interest in.
+ * Called by sendQueuedAlerts for each queued profile.
+ *
+ * @param {Object} profile - Builder profile (complete, visible, open)
+ * @returns {Promise<Object>} { matched, notified, queued }
+ */
+const alertBuilderDiscoverable = async (profile) => {
+  const none = { matched: 0, notified: 0, queued: 0 };
+
+  if (!isDiscoverableBuilder(profile)) {
+    return none;
+  }
+
+  const builder = await User.findOne({ _id: profile.user, status: USER_STATUS.ACTIVE })
+    .select('name avatarUrl')
+    .lean();
+
+  if (!builder) {
+    return none;
+  }
+
+  const blockedIds = await blockService.getBlockedUserIds(builder._id);
+
+  const cursor = SavedSearch.find({
+    target: SAVED_SEARCH_TARGETS.BUILDERS,
+    isActive: true,
+    user: { $nin: [builder._id, ...blockedIds] },
+    alertedBuilders: { $ne: builder._id },
+  })
+    .select('user name filters frequency opening')
+    .lean()
+    .cursor();
+
+  const matches = [];
+  for await (const savedSearch of cursor) {
+    if (matchesBuilderFilters(savedSearch.filters || {}, profile)) {
+      matches.push(savedSearch);
+    }
+  }
+
+  if (matches.length === 0) {
+    return none;
+  }
+
+  const openingIds = [...new Set(matches.map((search) => search.opening.toString()))];
+  const founderIds = [...new Set(matches.map((search) => search.user.toString()))];
+
+  const [openings, interested, founders] = await Promise.all([
+    Opening.find({ _id: { $in: openingIds }, status: { $in: OPEN_OPENING_STATUSES } })
+      .select('title founder')
+      .lean(),
+    Interest.distinct('opening', { builder: builder._id, opening: { $in: openingIds } }),
+    User.find({ _id: { $in: founderIds }, status: USER_STATUS.ACTIVE }).distinct('_id'),
+  ]);
+
+  const openingsById = new Map(openings.map((opening) => [opening._id.toString(), opening]));
+  const excludedOpenings = new Set(interested.map((id) => id.toString()));
+  const activeFounders = new Set(founders.map((id) => id.toString()));
+
+  const alerted = matches.filter((search) => {
+    const opening = openingsById.get(search.opening.toString());
+    return opening
+      && opening.founder.toString() === search.user.toString()
+      && !excludedOpenings.has(search.opening.toString())
+      && activeFounders.has(search.user.toString());
+  });
+
+  if (alerted.length === 0) {
+    return none;
+  }
+
+  const result = await deliverAlerts(
+    alerted,
+    builder._id,
+    { alerted: 'alertedBuilders', pending: 'pendingBuilders' },
+    (savedSearch) => notificationService.notifyTalentSearchMatch({
+      userId: savedSearch.user,
+      savedSearch,
+      opening: openingsById.get(savedSearch.opening.toString()),
+      builder,
+      profile,
+    })
+  );
+
+  logger.info('Talent search alerts sent', { builderId: builder._id, ...result });
+
+  return result;
+};
+
+/**
+ * Send the alerts for every queued opening and builder profile, oldest first
+ * An opening that is no longer ACTIVE, or a builder no longer discoverable,
+ * by now alerts nobody.
+ *
+ * @returns {Promise<Object>} { openings, builders, matched, notified, queued }
+ */
+const sendQueuedAlerts = async () => {
+  const result = { openings: 0, builders: 0, matched: 0, notified: 0, queued: 0 };
+
+  let opening = await Opening.claimQueuedSearchAlerts();
+
+  while (opening) {
+    result.openings += 1;
+
+    try {
+      const sent = await alertOpeningPublished(opening);
+      result.matched += sent.matched;
+      result.notified += sent.notified;
+      result.queued += sent.queued;
+    } catch (error) {
+      logger.error('Failed to send saved search alerts', { openingId: opening._id, error: error.message });
+    }
+
+    opening = await Opening.claimQueuedSearchAlerts();
+  }
+
+  let profile = await BuilderProfile.claimQueuedTalentAlerts();
+
+  while (profile) {
+    result.builders += 1;
+
+    try {
+      const sent = await alertBuilderDiscoverable(profile);
+      result.matched += sent.matched;
+      result.notified += sent.notified;
+      result.queued += sent.queued;
+    } catch (error) {
+      logger.error('Failed to send talent search alerts', { profileId: profile._id, error: error.message });
+    }
+
+    profile = await BuilderProfile.claimQueuedTalentAlerts();
+  }
+
+  return result;
+};
+
+// ============================================
+// DAILY DIGEST
+// ============================================
+
+/**
+ * Read and clear a user's queued matches in one field
+ * Only what was read is cleared, so matches queued meanwhile wait for tomorrow.
+ *
+ * @param {string} userId - User ID
+ * @param {string} field - pendingOpenings or pendingBuilders
+ * @returns {Promise<string[]>} Queued IDs (unique)
+ */
+const takePending = async (userId, field) => {
+  const searches = await SavedSearch.find({ user: userId, [`${field}.0`]: { $exists: true } })
+    .select(field)
+    .lean();
+
+  await Promise.all(searches.map((search) => SavedSearch.updateOne(
+    { _id: search._id },
+    {
+      $pullAll: { [field]: search[field] },
+      $set: { lastDigestAt: new Date() },
+    }
+  )));
+
+  return [...new Set(searches.flatMap((search) => search[field].map((id) => id.toString())))];
+};
+
+/**
+ * Send a builder's digest of queued openings
+ * Openings that are no longer active, that the builder has since
+ * expressed interest in, or whose founder is blocked either way are dropped.
+ *
+ * @param {string} userId - Builder's user ID
+ * @returns {Promise<number>} Openings in the digest (0 = nothing sent)
+ */
+const sendOpeningDigest = async (userId) => {
+  const openingIds = await takePending(userId, 'pendingOpenings');
+  if (openingIds.length === 0) return 0;
+
+  const blockedIds = await blockService.getBlockedUserIds(userId);
+
+  const [openings, interested] = await Promise.all([
+    Opening.find({ _id: { $in: openingIds }, status: OPENING_STATUS.ACTIVE, founder: { $nin: blockedIds } })
+      .select('title')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Interest.distinct('opening', { builder: userId, opening: { $in: openingIds } }),
+  ]);
+
+  const excluded = new Set(interested.map((id) => id.toString()));
+  const digest = openings.filter((opening) => !excluded.has(opening._id.toString()));
+
+  if (digest.length === 0) return 0;
+
+  await notificationService.notifySavedSearchDigest({ userId, openings: digest });
+  return digest.length;
+};
+
+/**
+ * Send a founder's digest of queued builders
+ * Builders who are no longer discoverable, or blocked either way, are dropped.
+ *
+ * @param {string} userId - Founder's user ID
+ * @returns {Promise<number>} Builders in the digest (0 = nothing sent)
+ */
+const sendTalentDigest = async (userId) => {
+  const builderIds = await takePending(userId, 'pendingBuilders');
+  if (builderIds.length === 0) return 0;
+
+  const blockedIds = await blockService.getBlockedUserIds(userId);
+
+  const [profiles, activeBuilders] = await Promise.all([
+    BuilderProfile.find({
+      user: { $in: builderIds, $nin: blockedIds },
+      isComplete: true,
+      isVisible: true,
+      isOpenToOpportunities: true,
+    })
+      .select('user displayName')
+      .populate('user', 'name')
+      .lean(),
+    User.find({ _id: { $in: builderIds }, status: USER_STATUS.ACTIVE }).distinct('_id'),
+  ]);
+
+  const active = new Set(activeBuilders.map((id) => id.toString()));
+  const digest = profiles.filter((profile) => profile.user && active.has(profile.user._id.toString()));
+
+  if (digest.length === 0) return 0;
+
+  await notificationService.notifyTalentSearchDigest({ userId, profiles: digest });
+  return digest.length;
+};
+
+/**
+ * Send each user one digest of the matches queued on their DAILY searches
+ * (openings for builders, builders for founders)
+ *
+ * @returns {Promise<Object>} { users, notified, openings, builders }
+ */
+const sendDailyDigests = async () => {
+  const result = { users: 0, notified: 0, openings: 0, builders: 0 };
+
+  const userIds = await SavedSearch.distinct('user', {
+    $or: [
+      { 'pendingOpenings.0': { $exists: true } },
+      { 'pendingBuilders.0': { $exists: true } },
+    ],
+  });
+
+  for (const userId of userIds) {
+    result.users += 1;
+
+    try {
+      const openings = await sendOpeningDigest(userId);
+      const builders = await sendTalentDigest(userId);
+
+      if (openings > 0) result.notified += 1;
+      if (builders > 0) result.notified += 1;
+      result.openings += openings;
+      result.builders += builders;
+    } catch (error) {
+      logger.error('Failed to send saved search digest', { userId, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // CRUD
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch,
+
+  // Alerts
+  queueOpeningAlerts,
+  alertOpeningPublished,
+  queueBuilderAlerts,
+  alertBuilderDiscoverable,
+  sendQueuedAlerts,
+  sendDailyDigests,
+};
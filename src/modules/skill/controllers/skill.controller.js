@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Skill Taxonomy Controller
+ *
+ * Handles HTTP endpoints for the skill taxonomy:
+ * - Browsing skills and their relationships
+ * - Admin management of synonyms, hierarchy and adjacency
+ *
+ * @module controllers/skill
+ */
+
+const skillService = require('../services/skill.service');
+const { ApiResponse, asyncHandler } = require('../../../shared/utils');
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * List skills
+ *
+ * @route GET /api/v1/skills
+ * @access Private
+ */
+const listSkills = asyncHandler(async (req, res) => {
+  const { category, search, includeInactive } = req.query;
+
+  const skills = await skillService.listSkills({
+    category,
+    search,
+    includeInactive: includeInactive === 'true' && req.user.isAdmin,
+  });
+
+  return ApiResponse.ok('Skills retrieved successfully', { skills }).send(res);
+});
+
+/**
+ * Get a skill with its parent, children and related skills
+ *
+ * @route GET /api/v1/skills/:skillId
+ * @access Private
+ */
+const getSkillById = asyncHandler(async (req, res) => {
+  const skill = await skillService.getSkillById(req.params.skillId);
+
+  return ApiResponse.ok('Skill retrieved successfully', { skill }).send(res);
+});
+
+// ============================================
+// ADMIN MANAGEMENT
+// ============================================
+
+/**
+ * Create a skill
+ *
+ * @route POST /api/v1/skills
+ * @access Private (Admin only)
+ */
+const createSkill = asyncHandler(async (req, res) => {
+  const skill = await skillService.createSkill(req.user._id, req.body);
+
+  return ApiResponse.created('Skill created successfully', { skill }).send(res);
+});
+
+/**
+ * Update a skill
+ *
+ * @route PATCH /api/v1/skills/:skillId
+ * @access Private (Admin only)
+ */
+const updateSkill = asyncHandler(async (req, res) => {
+  const skill = await skillService.updateSkill(req.user._id, req.params.skillId, req.body);
+
+  return ApiResponse.ok('Skill updated successfully', { skill }).send(res);
+});
+
+/**
+ * Deactivate a skill
+ *
+ * @route DELETE /api/v1/skills/:skillId
+ * @access Private (Admin only)
+ */
+const deactivateSkill = asyncHandler(async (req, res) => {
+  const skill = await skillService.deactivateSkill(req.user._id, req.params.skillId);
+
+  return ApiResponse.ok('Skill deactivated successfully', { skill }).send(res);
+});
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  listSkills,
+  getSkillById,
+  createSkill,
+  updateSkill,
+  deactivateSkill,
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Skill model - Skill taxonomy used by matching
+ *
+ * Each skill is a node in the taxonomy graph:
+ * - Synonyms that mean the same skill ("ReactJS" = "React")
+ * - An optional parent for broader/narrower skills (React -> Frontend Development)
+ * - Weighted adjacency to related skills (React <-> React Native at 0.6)
+ *
+ * Seeded from the predefined skill lists; admins maintain it through the API.
+ *
+ * @module models/Skill
+ */
+
+const mongoose = require('mongoose');
+const { SKILL_CATEGORIES } = require('../../../shared/constants/enums');
+const { normalizeSkillName } = require('../../../shared/utils/skillGraph');
+
+const { Schema } = mongoose;
+
+// ============================================
+// SUB-SCHEMAS
+// ============================================
+
+/**
+ * Related skill sub-schema
+ */
+const relatedSkillSchema = new Schema(
+  {
+    skill: {
+      type: Schema.Types.ObjectId,
+      ref: 'Skill',
+      required: [true, 'Related skill is required'],
+    },
+
+    /**
+     * Partial credit the related skill earns (0-1)
+     */
+    weight: {
+      type: Number,
+      required: [true, 'Related skill weight is required'],
+      min: [0.05, 'Weight must be at least 0.05'],
+      max: [0.95, 'Weight must be below 1 (use a synonym for equivalent skills)'],
+    },
+  },
+  { _id: false }
+);
+
+// ============================================
+// MAIN SCHEMA
+// ============================================
+
+const skillSchema = new Schema(
+  {
+    /**
+     * Canonical display name
+     */
+    name: {
+      type: String,
+      required: [true, 'Skill name is required'],
+      trim: true,
+      maxlength: [60, 'Skill name cannot exceed 60 characters'],
+    },
+
+    /**
+     * Skill category
+     */
+    category: {
+      type: String,
+      enum: {
+        values: Object.values(SKILL_CATEGORIES),
+        message: 'Invalid skill category',
+      },
+      required: [true, 'Skill category is required'],
+    },
+
+    /**
+     * Other names for the same skill
+     */
+    synonyms: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function (v) {
+          return v.length <= 20;
+        },
+        message: 'Maximum 20 synonyms allowed',
+      },
+    },
+
+    /**
+     * Normalized name + synonyms, unique across the taxonomy (maintained on validate)
+     */
+    aliases: {
+      type: [String],
+      default: [],
+    },
+
+    /**
+     * Broader skill this one belongs to
+     */
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: 'Skill',
+      default: null,
+    },
+
+    /**
+     * Adjacent skills with partial credit
+     */
+    related: {
+      type: [relatedSkillSchema],
+      default: [],
+    },
+
+    /**
+     * Inactive skills are ignored by matching
+     */
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    /**
+     * Seeded from the predefined skill lists
+     */
+    isBuiltIn: {
+      type: Boolean,
+      default: false,
+    },
+
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    updatedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.aliases;
+        delete ret.__v;
+        return ret;
+      },
+    },
+
+    toObject: {
+      virtuals: true,
+    },
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// A name or synonym can only belong to one skill
+skillSchema.index({ aliases: 1 }, { unique: true });
+skillSchema.index({ category: 1, isActive: 1 });
+skillSchema.index({ parent: 1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Keep aliases in sync with name and synonyms
+ */
+skillSchema.pre('validate', function (next) {
+  if (this.isModified('name') || this.isModified('synonyms')) {
+    this.synonyms = [...new Set(this.synonyms.map((s) => s.trim()).filter(Boolean))];
+    this.aliases = [...new Set([this.name, ...this.synonyms].map(normalizeSkillName))];
+  }
+
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Find a skill by name or synonym
+ * @param {string} name - Skill name or synonym
+ * @returns {Promise<Skill|null>}
+ */
+skillSchema.statics.findByAlias = function (name) {
+  return this.findOne({ aliases: normalizeSkillName(name) });
+};
+
+// ============================================
+// MODEL EXPORT
+// ============================================
+
+const Skill = mongoose.model('Skill', skillSchema);
+
+module.exports = {
+  Skill,
+};
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Skill Taxonomy Routes
+ *
+ * Defines all skill taxonomy API endpoints.
+ *
+ * @module routes/skill
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const skillController = require('../controllers/skill.controller');
+const { auth, requireAdmin } = require('../../../shared/middleware/auth');
+
+// ============================================
+// GET ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/skills
+ * @desc    List skills in the taxonomy
+ * @access  Private
+ * @query   { category?, search?, includeInactive? (admin only) }
+ */
+router.get('/', auth, skillController.listSkills);
+
+/**
+ * @route   GET /api/v1/skills/:skillId
+ * @desc    Get a skill with its parent, children and related skills
+ * @access  Private
+ */
+router.get('/:skillId', auth, skillController.getSkillById);
+
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/v1/skills
+ * @desc    Create a skill
+ * @access  Private (Admin only)
+ * @body    { name, category, synonyms?, parent?, related?: [{ skill, weight }] }
+ */
+router.post('/', auth, requireAdmin, skillController.createSkill);
+
+/**
+ * @route   PATCH /api/v1/skills/:skillId
+ * @desc    Update a skill's name, synonyms, parent or related skills
+ * @access  Private (Admin only)
+ * @body    { name?, category?, synonyms?, parent?, related?, isActive? }
+ */
+router.patch('/:skillId', auth, requireAdmin, skillController.updateSkill);
+
+/**
+ * @route   DELETE /api/v1/skills/:skillId
+ * @desc    Deactivate a skill (ignored by matching)
+ * @access  Private (Admin only)
+ */
+router.delete('/:skillId', auth, requireAdmin, skillController.deactivateSkill);
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = router;
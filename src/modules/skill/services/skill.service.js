@@ -0,0 +1,409 @@
+/**
+ * @fileoverview Skill Taxonomy Service
+ *
+ * Manages the skill taxonomy used for partial skill credit in matching:
+ * - Seeding built-in skills and relationships
+ * - Cached skill graph for scoring
+ * - Admin create/update/deactivate
+ *
+ * @module services/skill
+ */
+
+const { Skill } = require('../models/Skill');
+const { ApiError } = require('../../../shared/utils');
+const { isValidObjectId } = require('../../../shared/utils/helpers');
+const {
+  SKILL_CATEGORIES,
+  TECHNICAL_SKILLS,
+  DESIGN_SKILLS,
+  BUSINESS_SKILLS,
+  SKILL_TAXONOMY,
+} = require('../../../shared/constants/enums');
+const { createSkillGraph } = require('../../../shared/utils/skillGraph');
+const { config } = require('../../../shared/config');
+const logger = require('../../../shared/utils/logger');
+
+// ============================================
+// SEEDING
+// ============================================
+
+/**
+ * Category of each predefined skill
+ */
+const BUILT_IN_CATEGORIES = [
+  [TECHNICAL_SKILLS, SKILL_CATEGORIES.TECHNICAL],
+  [DESIGN_SKILLS, SKILL_CATEGORIES.DESIGN],
+  [BUSINESS_SKILLS, SKILL_CATEGORIES.BUSINESS],
+];
+
+/**
+ * Seed the predefined skills and their relationships if the taxonomy is empty
+ *
+ * @returns {Promise<boolean>} True if the taxonomy was seeded
+ */
+const ensureDefaultTaxonomy = async () => {
+  if (await Skill.exists({})) {
+    return false;
+  }
+
+  const docs = BUILT_IN_CATEGORIES.flatMap(([names, category]) =>
+    names.map((name) => ({
+      name,
+      category,
+      synonyms: SKILL_TAXONOMY[name]?.synonyms || [],
+      isBuiltIn: true,
+    }))
+  );
+
+  try {
+    await Skill.insertMany(docs, { ordered: false });
+  } catch (error) {
+    // Another process seeded concurrently - its documents win
+    if (error.code !== 11000 && !error.writeErrors) throw error;
+  }
+
+  // Second pass: parents and related skills need the inserted IDs
+  const skills = await Skill.find({ isBuiltIn: true }).select('name').lean();
+  const idsByName = new Map(skills.map((skill) => [skill.name, skill._id]));
+
+  const operations = Object.entries(SKILL_TAXONOMY)
+    .filter(([name]) => idsByName.has(name))
+    .map(([name, entry]) => ({
+      updateOne: {
+        filter: { _id: idsByName.get(name) },
+        update: {
+          $set: {
+            parent: entry.parent ? idsByName.get(entry.parent) || null : null,
+            related: Object.entries(entry.related || {})
+              .filter(([relatedName]) => idsByName.has(relatedName))
+              .map(([relatedName, weight]) => ({ skill: idsByName.get(relatedName), weight })),
+          },
+        },
+      },
+    }));
+
+  if (operations.length > 0) {
+    await Skill.bulkWrite(operations);
+  }
+
+  logger.info('Seeded default skill taxonomy', { skills: docs.length });
+
+  return true;
+};
+
+// ============================================
+// SKILL GRAPH
+// ============================================
+
+/**
+ * In-memory cache of the skill graph
+ */
+let graphCache = { graph: null, loadedAt: 0 };
+
+/**
+ * Drop the cached graph (after taxonomy changes)
+ */
+const clearSkillGraphCache = () => {
+  graphCache = { graph: null, loadedAt: 0 };
+};
+
+/**
+ * Get the skill graph used for matching
+ *
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.fresh=false] - Bypass the in-memory cache
+ * @returns {Promise<Object>} Skill graph (see utils/skillGraph)
+ */
+const getSkillGraph = async (options = {}) => {
+  const { fresh = false } = options;
+  const now = Date.now();
+
+  if (
+    !fresh &&
+    graphCache.graph &&
+    now - graphCache.loadedAt < config.matching.skillTaxonomyCacheMs
+  ) {
+    return graphCache.graph;
+  }
+
+  await ensureDefaultTaxonomy();
+
+  const skills = await Skill.find({ isActive: true })
+    .select('name synonyms parent related')
+    .lean();
+
+  graphCache = { graph: createSkillGraph(skills), loadedAt: now };
+
+  return graphCache.graph;
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * List skills in the taxonomy
+ *
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.category] - Skill category
+ * @param {string} [filters.search] - Name/synonym prefix
+ * @param {boolean} [filters.includeInactive=false] - Include deactivated skills
+ * @returns {Promise<Object[]>} Skills sorted by name
+ */
+const listSkills = async (filters = {}) => {
+  const { category, search, includeInactive = false } = filters;
+
+  await ensureDefaultTaxonomy();
+
+  const query = {};
+
+  if (!includeInactive) {
+    query.isActive = true;
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (search) {
+    const escaped = search.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    query.aliases = { $regex: `^${escaped}` };
+  }
+
+  return Skill.find(query)
+    .populate('parent', 'name')
+    .populate('related.skill', 'name')
+    .sort({ name: 1 })
+    .lean();
+};
+
+/**
+ * Get a skill with its children
+ *
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<Object>} Skill with children
+ * @throws {ApiError} If not found
+ */
+const getSkillById = async (skillId) => {
+  if (!isValidObjectId(skillId)) {
+    throw ApiError.badRequest('Invalid skill ID');
+  }
+
+  const skill = await Skill.findById(skillId)
+    .populate('parent', 'name')
+    .populate('related.skill', 'name')
+    .lean();
+
+  if (!skill) {
+    throw ApiError.notFound('Skill not found');
+  }
+
+  const children = await Skill.find({ parent: skill._id, isActive: true })
+    .select('name')
+    .sort({ name: 1 })
+    .lean();
+
+  return { ...skill, children };
+};
+
+// ============================================
+// ADMIN MANAGEMENT
+// ============================================
+
+/**
+ * Resolve a skill reference given as an ID or a name/synonym
+ *
+ * @param {string} ref - Skill ID, name or synonym
+ * @param {string} field - Field name for error messages
+ * @returns {Promise<Object>} Skill document
+ * @throws {ApiError} If the skill does not exist
+ */
+const resolveSkillRef = async (ref, field) => {
+  const skill = isValidObjectId(ref)
+    ? await Skill.findById(ref)
+    : await Skill.findByAlias(ref);
+
+  if (!skill) {
+    throw ApiError.badRequest(`${field}: skill "${ref}" not found`);
+  }
+
+  return skill;
+};
+
+/**
+ * Check that setting parentId on skillId would not create a cycle
+ *
+ * @param {ObjectId} skillId - Skill being updated
+ * @param {ObjectId} parentId - Proposed parent
+ * @throws {ApiError} If the parent is the skill itself or one of its descendants
+ */
+const assertNoParentCycle = async (skillId, parentId) => {
+  let currentId = parentId;
+
+  for (let depth = 0; currentId && depth < 20; depth++) {
+    if (currentId.toString() === skillId.toString()) {
+      throw ApiError.badRequest('parent would create a cycle in the skill tree');
+    }
+
+    const current = await Skill.findById(currentId).select('parent').lean();
+    currentId = current?.parent;
+  }
+};
+
+/**
+ * Apply taxonomy fields from request data to a skill document
+ *
+ * @param {Object} skill - Skill document
+ * @param {Object} data - Request data
+ * @returns {Promise<void>}
+ */
+const applySkillData = async (skill, data) => {
+  if (data.name !== undefined) skill.name = data.name;
+  if (data.category !== undefined) skill.category = data.category;
+  if (data.isActive !== undefined) skill.isActive = Boolean(data.isActive);
+
+  if (data.synonyms !== undefined) {
+    if (!Array.isArray(data.synonyms)) {
+      throw ApiError.badRequest('synonyms must be an array of strings');
+    }
+    skill.synonyms = data.synonyms;
+  }
+
+  if (data.parent !== undefined) {
+    if (data.parent === null) {
+      skill.parent = null;
+    } else {
+      const parent = await resolveSkillRef(data.parent, 'parent');
+      await assertNoParentCycle(skill._id, parent._id);
+      skill.parent = parent._id;
+    }
+  }
+
+  if (data.related !== undefined) {
+    if (!Array.isArray(data.related)) {
+      throw ApiError.badRequest('related must be an array of { skill, weight }');
+    }
+
+    const related = [];
+    for (const entry of data.related) {
+      const relatedSkill = await resolveSkillRef(entry.skill, 'related');
+
+      if (relatedSkill._id.equals(skill._id)) {
+        throw ApiError.badRequest('A skill cannot be related to itself');
+      }
+
+      related.push({ skill: relatedSkill._id, weight: Number(entry.weight) });
+    }
+    skill.related = related;
+  }
+};
+
+/**
+ * Save a skill, translating alias clashes into a readable conflict
+ *
+ * @param {Object} skill - Skill document
+ * @returns {Promise<Object>} Saved skill
+ */
+const saveSkill = async (skill) => {
+  try {
+    await skill.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw ApiError.conflict('Another skill already uses this name or synonym');
+    }
+    throw error;
+  }
+
+  clearSkillGraphCache();
+
+  return skill;
+};
+
+/**
+ * Create a skill
+ *
+ * @param {string} adminId - Admin user ID
+ * @param {Object} data - Skill data
+ * @param {string} data.name - Skill name
+ * @param {string} data.category - Skill category
+ * @param {string[]} [data.synonyms] - Other names
+ * @param {string} [data.parent] - Parent skill ID or name
+ * @param {Object[]} [data.related] - [{ skill: ID or name, weight: 0.05-0.95 }]
+ * @returns {Promise<Object>} Created skill
+ */
+const createSkill = async (adminId, data = {}) => {
+  if (!data.name || !data.category) {
+    throw ApiError.badRequest('name and category are required');
+  }
+
+  await ensureDefaultTaxonomy();
+
+  const skill = new Skill({ createdBy: adminId, updatedBy: adminId });
+  await applySkillData(skill, data);
+  await saveSkill(skill);
+
+  logger.info('Skill created', { skillId: skill._id, name: skill.name, adminId });
+
+  return skill;
+};
+
+/**
+ * Update a skill
+ *
+ * @param {string} adminId - Admin user ID
+ * @param {string} skillId - Skill ID
+ * @param {Object} data - Fields to update (name, category, synonyms, parent, related, isActive)
+ * @returns {Promise<Object>} Updated skill
+ * @throws {ApiError} If not found
+ */
+const updateSkill = async (adminId, skillId, data = {}) => {
+  if (!isValidObjectId(skillId)) {
+    throw ApiError.badRequest('Invalid skill ID');
+  }
+
+  const skill = await Skill.findById(skillId);
+
+  if (!skill) {
+    throw ApiError.notFound('Skill not found');
+  }
+
+  await applySkillData(skill, data);
+  skill.updatedBy = adminId;
+  await saveSkill(skill);
+
+  logger.info('Skill updated', { skillId, fields: Object.keys(data), adminId });
+
+  return skill;
+};
+
+/**
+ * Deactivate a skill
+ * Kept in the collection so existing profiles and openings still display it
+ *
+ * @param {string} adminId - Admin user ID
+ * @param {string} skillId - Skill ID
+ * @returns {Promise<Object>} Deactivated skill
+ */
+const deactivateSkill = async (adminId, skillId) => {
+  return updateSkill(adminId, skillId, { isActive: false });
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Graph
+  getSkillGraph,
+  clearSkillGraphCache,
+  ensureDefaultTaxonomy,
+
+  // Queries
+  listSkills,
+  getSkillById,
+
+  // Admin
+  createSkill,
+  updateSkill,
+  deactivateSkill,
+};
@@ -365,6 +365,14 @@ const userSchema = new Schema(
       default: true,
     },
 
+    /**
+     * Re-rank daily matches using past LIKE/SAVE/SKIP actions
+     */
+    personalizedMatching: {
+      type: Boolean,
+      default: true,
+    },
+
     // ==========================================
     // ADMIN FIELDS
     // ==========================================
@@ -620,6 +628,15 @@ userSchema.methods.hasFeatureAccess = function (feature) {
   return features[feature] === true || features[feature] > 0;
 };
 
+/**
+ * Get the tier the user is currently entitled to
+ * An expired paid subscription falls back to FREE
+ * @returns {string} SUBSCRIPTION_TIERS value
+ */
+userSchema.methods.getEffectiveTier = function () {
+  return this.isSubscriptionActive ? this.subscriptionTier : SUBSCRIPTION_TIERS.FREE;
+};
+
 /**
  * Get daily match limit based on subscription
  * @returns {number} Daily match limit
@@ -627,7 +644,7 @@ userSchema.methods.hasFeatureAccess = function (feature) {
 userSchema.methods.getDailyMatchLimit = function () {
   const { config } = require('../../../shared/config');
   
-  switch (this.subscriptionTier) {
+  switch (this.getEffectiveTier()) {
     case SUBSCRIPTION_TIERS.FOUNDER_PRO:
       return config.matching.dailyLimits.pro;
     case SUBSCRIPTION_TIERS.BUILDER_BOOST:
@@ -740,6 +757,7 @@ userSchema.methods.toSafeObject = function () {
     location: this.location,
     emailNotifications: this.emailNotifications,
     pushNotifications: this.pushNotifications,
+    personalizedMatching: this.personalizedMatching,
     lastLoginAt: this.lastLoginAt,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
@@ -36,7 +36,7 @@ router.get('/me', auth, userController.getMe);
  * @route   PATCH /api/v1/users/me
  * @desc    Update current user's basic info
  * @access  Private
- * @body    { name?, phone?, location?, avatarUrl?, timezone? }
+ * @body    { name?, phone?, location?, avatarUrl?, timezone?, personalizedMatching? }
  */
 router.patch('/me', auth, userController.updateMe);
 
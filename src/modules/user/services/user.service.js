@@ -177,12 +177,13 @@ const getUserWithProfile = async (userId) => {
  * @param {string} [updateData.phone] - User phone
  * @param {string} [updateData.location] - User location
  * @param {string} [updateData.avatarUrl] - Profile picture URL
+ * @param {boolean} [updateData.personalizedMatching] - Re-rank daily matches from past actions
  * @returns {Promise<Object>} Updated user
  * @throws {ApiError} If user not found or validation fails
  */
 const updateUser = async (userId, updateData) => {
   // Fields that can be updated
-  const allowedFields = ['name', 'phone', 'location', 'avatarUrl', 'profilePhoto', 'timezone'];
+  const allowedFields = ['name', 'phone', 'location', 'avatarUrl', 'profilePhoto', 'timezone', 'personalizedMatching'];
   
   // Filter to only allowed fields
   const filteredData = Object.keys(updateData)
@@ -142,14 +142,91 @@ const config = {
       pro: parseInt(process.env.PRO_DAILY_MATCH_LIMIT, 10) || 999,
       boost: parseInt(process.env.BOOST_DAILY_MATCH_LIMIT, 10) || 15,
     },
-    // Matching algorithm weights
+    // Default matching algorithm weights (PRD Section 8.4)
+    // Seeds weight profile v1; later versions are managed in the database
     weights: {
-      skills: 0.25,
-      compensation: 0.25,
+      compensation: 0.30,
       commitment: 0.20,
-      scenario: 0.15,
-      geography: 0.15,
+      stage: 0.15,
+      skills: 0.15,
+      scenario: 0.10,
+      geography: 0.10,
     },
+    // How long the active weight profile is cached in memory
+    weightProfileCacheMs: parseInt(process.env.WEIGHT_PROFILE_CACHE_MS, 10) || 60 * 1000,
+    // How long the skill taxonomy graph is cached in memory
+    skillTaxonomyCacheMs: parseInt(process.env.SKILL_TAXONOMY_CACHE_MS, 10) || 5 * 60 * 1000,
+    // How long the scenario question banks are cached in memory
+    scenarioBankCacheMs: parseInt(process.env.SCENARIO_BANK_CACHE_MS, 10) || 5 * 60 * 1000,
+    // Nightly generation: matches written per bulkWrite / checkpoint
+    bulkWriteBatchSize: parseInt(process.env.MATCHING_BULK_WRITE_BATCH_SIZE, 10) || 500,
+    // A RUNNING nightly run with no checkpoint for this long is treated as interrupted
+    staleRunMs: parseInt(process.env.MATCHING_STALE_RUN_MS, 10) || 30 * 60 * 1000,
+    // Re-ranking daily matches from each user's LIKE/SAVE/SKIP history
+    personalization: {
+      // Most points a learned preference can add to / remove from a match's rank
+      maxBoost: parseInt(process.env.PERSONALIZATION_MAX_BOOST, 10) || 10,
+      // Actions needed before a preference model is trusted
+      minActions: parseInt(process.env.PERSONALIZATION_MIN_ACTIONS, 10) || 5,
+      // Most recent actions the model learns from
+      historyLimit: parseInt(process.env.PERSONALIZATION_HISTORY_LIMIT, 10) || 200,
+      // Candidate pool fetched per requested match, so re-ranking has room to work
+      poolMultiplier: parseInt(process.env.PERSONALIZATION_POOL_MULTIPLIER, 10) || 3,
+      // Most candidates loaded and re-ranked per drop, whatever the tier quota
+      maxPoolSize: parseInt(process.env.PERSONALIZATION_MAX_POOL_SIZE, 10) || 150,
+    },
+    // Mutual fit: share of the score from how well the opening fits the builder's preferences
+    mutualFit: {
+      builderFitWeight: parseFloat(process.env.BUILDER_FIT_WEIGHT) || 0.35,
+    },
+    // Geography scoring from working-hours overlap
+    timezone: {
+      // Overlap (hours) that earns a full geography score for remote/hybrid work
+      idealOverlapHours: parseFloat(process.env.IDEAL_TIMEZONE_OVERLAP_HOURS) || 4,
+      // Assumed working hours for profiles that set a timezone but no hours
+      defaultWorkingHours: { start: '09:00', end: '18:00' },
+    },
+    // Daily drops: each user's stored set of matches for the day
+    drops: {
+      // Local hour (0-23) the next drop becomes available
+      hour: parseInt(process.env.MATCH_DROP_HOUR ?? '8', 10),
+      // Timezone for users whose profile has none
+      defaultTimezone: process.env.MATCH_DROP_TIMEZONE || 'Asia/Kolkata',
+      // NONE, CARRY_OVER or BONUS (see ROLLOVER_POLICIES)
+      rolloverPolicy: process.env.MATCH_ROLLOVER_POLICY || 'CARRY_OVER',
+      // Drops an unseen match can roll over into before it is dropped for good
+      maxRollovers: parseInt(process.env.MATCH_MAX_ROLLOVERS, 10) || 2,
+    },
+    // Expiring stale matches and resurfacing them after both profiles change
+    expiry: {
+      // PENDING/LIKED matches with no activity for this long expire
+      pendingDays: parseInt(process.env.MATCH_PENDING_EXPIRY_DAYS, 10) || 14,
+      // Days after becoming mutual to nudge both sides if nobody has messaged
+      nudgeDays: [2, 5],
+      // Mutual matches with no conversation this long after matching are archived
+      archiveDays: parseInt(process.env.MATCH_ARCHIVE_DAYS, 10) || 10,
+      // Expired matches are reconsidered after this long if both profiles changed
+      resurfaceAfterDays: parseInt(process.env.MATCH_RESURFACE_AFTER_DAYS, 10) || 30,
+      // Lowest rescored compatibility for a resurfaced match
+      resurfaceMinScore: parseInt(process.env.MATCH_RESURFACE_MIN_SCORE, 10) || 50,
+      // Matches processed per batch
+      batchSize: parseInt(process.env.MATCH_EXPIRY_BATCH_SIZE, 10) || 200,
+    },
+  },
+  
+  // Interests
+  interests: {
+    // Bulk shortlist/pass/move on received interests
+    bulk: {
+      // How long a bulk action can be undone; builders are notified once it closes
+      undoWindowMs: parseInt(process.env.BULK_INTEREST_UNDO_WINDOW_MS, 10) || 5 * 60 * 1000,
+    },
+  },
+  
+  // Conversations
+  conversations: {
+    // How long after sending a message its sender can edit it
+    messageEditWindowMs: parseInt(process.env.MESSAGE_EDIT_WINDOW_MS, 10) || 15 * 60 * 1000,
   },
   
   // Subscription Pricing (in smallest currency unit - paise for INR)
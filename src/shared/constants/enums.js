@@ -134,6 +134,8 @@ const USER_TYPES = Object.freeze({
    * @enum {string}
    */
   const OPENING_STATUS = Object.freeze({
+    DRAFT: 'DRAFT',         // Saved but not published
+    SCHEDULED: 'SCHEDULED', // Waiting for its publishAt time
     ACTIVE: 'ACTIVE',
     PAUSED: 'PAUSED',
     CLOSED: 'CLOSED',
@@ -350,6 +352,16 @@ const USER_TYPES = Object.freeze({
     TRIAL_ACCEPTED: 'TRIAL_ACCEPTED',
     TRIAL_COMPLETED: 'TRIAL_COMPLETED',
     TRIAL_REMINDER: 'TRIAL_REMINDER',
+    MATCH_NUDGE: 'MATCH_NUDGE',             // Mutual match with no conversation yet
+    MATCH_EXPIRED: 'MATCH_EXPIRED',         // Mutual match archived for inactivity
+    INTEREST_UPDATES: 'INTEREST_UPDATES',   // Summary of a founder's bulk shortlist/pass decisions
+    SAVED_SEARCH_MATCH: 'SAVED_SEARCH_MATCH', // New opening matches an instant saved search
+    SAVED_SEARCH_DIGEST: 'SAVED_SEARCH_DIGEST', // Daily digest of openings matching saved searches
+    TALENT_SEARCH_MATCH: 'TALENT_SEARCH_MATCH', // Newly discoverable builder matches an instant talent search
+    TALENT_SEARCH_DIGEST: 'TALENT_SEARCH_DIGEST', // Daily digest of builders matching talent searches
+    OPENING_CLOSED: 'OPENING_CLOSED',       // Opening a builder is interested in was closed or filled
+    OPENING_UPDATED: 'OPENING_UPDATED',     // Compensation, commitment or remote policy of an applied-to opening changed
+    REPORT_REVIEWED: 'REPORT_REVIEWED',     // An admin reviewed a report the user made
     PROFILE_VIEW: 'PROFILE_VIEW',
     SYSTEM: 'SYSTEM',
   });
@@ -373,12 +385,19 @@ const USER_TYPES = Object.freeze({
     SEND_MESSAGE: 'send_message',
     NEW_MESSAGE: 'new_message',
     MESSAGE_SENT: 'message_sent',
+    MESSAGE_EDITED: 'message_edited',
+    MESSAGE_REACTION: 'message_reaction',
     TYPING_START: 'typing_start',
     TYPING_STOP: 'typing_stop',
     USER_TYPING: 'user_typing',
     USER_STOPPED_TYPING: 'user_stopped_typing',
     MARK_READ: 'mark_read',
     MESSAGES_READ: 'messages_read',
+    MESSAGES_DELIVERED: 'messages_delivered',
+    SYNC_MESSAGES: 'sync_messages',
+    MESSAGES_SYNCED: 'messages_synced',
+    CONVERSATION_BLOCKED: 'conversation_blocked',
+    CONVERSATION_UNBLOCKED: 'conversation_unblocked',
 
     // Notifications
     NEW_NOTIFICATION: 'new_notification',
@@ -422,6 +441,8 @@ const USER_TYPES = Object.freeze({
     'Full-Stack Development',
     'Mobile Development (iOS)',
     'Mobile Development (Android)',
+    'Swift',
+    'Kotlin',
     'React',
     'React Native',
     'Flutter',
@@ -437,6 +458,7 @@ const USER_TYPES = Object.freeze({
     'Cloud Infrastructure (GCP)',
     'Cloud Infrastructure (Azure)',
     'Data Engineering',
+    'Artificial Intelligence',
     'Machine Learning',
     'Data Science',
     'Blockchain',
@@ -499,6 +521,81 @@ const USER_TYPES = Object.freeze({
     ...BUSINESS_SKILLS,
   ]);
   
+  /**
+   * Built-in skill relationships, seeded into the skill taxonomy
+   * - parent: broader skill this one belongs to
+   * - synonyms: other names that mean the same skill
+   * - related: adjacent skills and the partial credit they earn (0-1)
+   * Admins extend or override these through the skills API
+   */
+  const SKILL_TAXONOMY = Object.freeze({
+    // Technical
+    'Frontend Development': { synonyms: ['Frontend', 'Front-end Development', 'Front End'], related: { 'Full-Stack Development': 0.6, 'UI Design': 0.3 } },
+    'Backend Development': { synonyms: ['Backend', 'Back-end Development', 'Server-side Development'], related: { 'Full-Stack Development': 0.6, 'System Design': 0.5 } },
+    'Full-Stack Development': { synonyms: ['Full Stack', 'Fullstack Development'] },
+    'Mobile Development (iOS)': { synonyms: ['iOS Development'], related: { 'Mobile Development (Android)': 0.5 } },
+    'Mobile Development (Android)': { synonyms: ['Android Development'] },
+    'Swift': { parent: 'Mobile Development (iOS)' },
+    'Kotlin': { parent: 'Mobile Development (Android)', related: { 'Java': 0.5 } },
+    'React': { parent: 'Frontend Development', synonyms: ['ReactJS', 'React.js'], related: { 'React Native': 0.6, 'JavaScript': 0.5, 'TypeScript': 0.4 } },
+    'React Native': { related: { 'Mobile Development (iOS)': 0.7, 'Mobile Development (Android)': 0.7, 'Flutter': 0.5 } },
+    'Flutter': { related: { 'Mobile Development (iOS)': 0.7, 'Mobile Development (Android)': 0.7 } },
+    'Node.js': { parent: 'Backend Development', synonyms: ['Node', 'NodeJS'], related: { 'JavaScript': 0.7, 'TypeScript': 0.6 } },
+    'Python': { parent: 'Backend Development', related: { 'Data Science': 0.5, 'Machine Learning': 0.5, 'Data Engineering': 0.5 } },
+    'Java': { parent: 'Backend Development' },
+    'Go': { parent: 'Backend Development', synonyms: ['Golang'] },
+    'Rust': { parent: 'Backend Development' },
+    'TypeScript': { synonyms: ['TS'], related: { 'JavaScript': 0.8 } },
+    'JavaScript': { synonyms: ['JS', 'ECMAScript'], related: { 'Frontend Development': 0.5 } },
+    'DevOps': { synonyms: ['SRE', 'Site Reliability Engineering'] },
+    'Cloud Infrastructure (AWS)': { parent: 'DevOps', synonyms: ['AWS', 'Amazon Web Services'], related: { 'Cloud Infrastructure (GCP)': 0.6, 'Cloud Infrastructure (Azure)': 0.6 } },
+    'Cloud Infrastructure (GCP)': { parent: 'DevOps', synonyms: ['GCP', 'Google Cloud'], related: { 'Cloud Infrastructure (Azure)': 0.6 } },
+    'Cloud Infrastructure (Azure)': { parent: 'DevOps', synonyms: ['Azure', 'Microsoft Azure'] },
+    'Data Engineering': { related: { 'Database Management': 0.5, 'Data Science': 0.4 } },
+    'Artificial Intelligence': { synonyms: ['AI'] },
+    'Machine Learning': { parent: 'Artificial Intelligence', synonyms: ['ML'], related: { 'Data Science': 0.7 } },
+    'Data Science': { related: { 'Analytics': 0.5 } },
+    'Blockchain': { synonyms: ['Web3', 'Smart Contracts'] },
+    'Security': { synonyms: ['Cybersecurity', 'InfoSec'] },
+    'QA/Testing': { synonyms: ['QA', 'Testing', 'Quality Assurance'] },
+    'Database Management': { parent: 'Backend Development', synonyms: ['Databases', 'DBA'] },
+    'API Development': { parent: 'Backend Development', synonyms: ['REST APIs', 'GraphQL'] },
+    'System Design': { synonyms: ['Software Architecture'] },
+  
+    // Design
+    'UI Design': { parent: 'Product Design', synonyms: ['Visual Design', 'Interface Design'], related: { 'UX Design': 0.6 } },
+    'UX Design': { parent: 'Product Design', synonyms: ['User Experience', 'Interaction Design'], related: { 'User Research': 0.6 } },
+    'Product Design': { related: { 'Product Management': 0.3 } },
+    'Brand Design': { parent: 'Graphic Design', synonyms: ['Branding', 'Visual Identity'] },
+    'Graphic Design': { related: { 'Illustration': 0.5 } },
+    'Motion Design': { synonyms: ['Animation', 'Motion Graphics'], related: { 'Graphic Design': 0.4 } },
+    'Design Systems': { parent: 'UI Design' },
+    'User Research': { synonyms: ['UX Research'] },
+    'Figma': { parent: 'UI Design', related: { 'Sketch': 0.8, 'Adobe XD': 0.8 } },
+    'Sketch': { parent: 'UI Design', related: { 'Adobe XD': 0.8 } },
+    'Adobe XD': { parent: 'UI Design' },
+    'Prototyping': { parent: 'UX Design' },
+    'Wireframing': { parent: 'UX Design' },
+  
+    // Business
+    'Product Management': { synonyms: ['Product Owner'], related: { 'Project Management': 0.4, 'Strategy': 0.4 } },
+    'Project Management': { synonyms: ['Program Management'], related: { 'Operations': 0.4 } },
+    'Business Development': { synonyms: ['BD', 'Partnerships'], related: { 'Sales': 0.6 } },
+    'Marketing': { related: { 'Growth': 0.6 } },
+    'Growth': { synonyms: ['Growth Hacking', 'Growth Marketing'], related: { 'Analytics': 0.4 } },
+    'Content Marketing': { parent: 'Marketing', synonyms: ['Content Writing', 'Copywriting'] },
+    'SEO': { parent: 'Marketing', synonyms: ['Search Engine Optimization'] },
+    'Social Media': { parent: 'Marketing', synonyms: ['Social Media Marketing'] },
+    'Community Building': { synonyms: ['Community Management'], related: { 'Social Media': 0.4 } },
+    'Operations': { synonyms: ['Ops', 'BizOps'] },
+    'Finance': { synonyms: ['Financial Modeling', 'Accounting'], related: { 'Fundraising': 0.5 } },
+    'Legal': { synonyms: ['Compliance'] },
+    'HR': { synonyms: ['Recruiting', 'People Operations', 'Talent Acquisition'] },
+    'Fundraising': { synonyms: ['Investor Relations'] },
+    'Strategy': { synonyms: ['Business Strategy'] },
+    'Analytics': { synonyms: ['Data Analysis', 'Business Intelligence'], related: { 'Data Science': 0.5 } },
+  });
+  
   // ============================================
   // ICE BREAKER PROMPTS
   // ============================================
@@ -618,6 +715,7 @@ const USER_TYPES = Object.freeze({
     DESIGN_SKILLS,
     BUSINESS_SKILLS,
     ALL_SKILLS,
+    SKILL_TAXONOMY,
     
     // Ice breakers
     ICE_BREAKER_PROMPTS,
@@ -91,6 +91,22 @@ const USER_TYPES = Object.freeze({
     HIGH: 'HIGH',
   });
   
+  // ============================================
+  // EXPERIENCE LEVELS
+  // ============================================
+  
+  /**
+   * Builder's overall experience level
+   */
+  const EXPERIENCE_LEVELS = Object.freeze({
+    STUDENT: 'STUDENT',
+    ENTRY: 'ENTRY',
+    MID: 'MID',
+    SENIOR: 'SENIOR',
+    LEAD: 'LEAD',
+    EXECUTIVE: 'EXECUTIVE',
+  });
+  
   // ============================================
   // COMPENSATION TYPES
   // ============================================
@@ -179,12 +195,25 @@ const USER_TYPES = Object.freeze({
    * Status of an opening/position
    */
   const OPENING_STATUS = Object.freeze({
+    DRAFT: 'DRAFT',         // Saved but not published
+    SCHEDULED: 'SCHEDULED', // Waiting for its publishAt time
     ACTIVE: 'ACTIVE',
     PAUSED: 'PAUSED',
     CLOSED: 'CLOSED',
     FILLED: 'FILLED',
   });
   
+  /**
+   * Answer types for an opening's screening questions
+   */
+  const SCREENING_QUESTION_TYPES = Object.freeze({
+    TEXT: 'TEXT',                         // Free text, not scored
+    MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',   // One of the listed options
+    NUMBER: 'NUMBER',                     // Numeric answer, scored against a range
+    YES_NO: 'YES_NO',                     // Yes/no, scored against the expected answer
+    URL: 'URL',                           // Link (portfolio, GitHub), scored on being given
+  });
+  
   // ============================================
   // INTEREST STATUS
   // ============================================
@@ -195,11 +224,43 @@ const USER_TYPES = Object.freeze({
   const INTEREST_STATUS = Object.freeze({
     INTERESTED: 'INTERESTED',
     SHORTLISTED: 'SHORTLISTED',
+    MATCH_PROPOSED: 'MATCH_PROPOSED',
     MATCHED: 'MATCHED',
+    MATCH_DECLINED: 'MATCH_DECLINED',
     PASSED: 'PASSED',
     WITHDRAWN: 'WITHDRAWN',
   });
   
+  /**
+   * Kind of entry in an interest's statusHistory
+   */
+  const INTEREST_HISTORY_TYPES = Object.freeze({
+    STATUS: 'STATUS',   // Status change (builder-visible lifecycle)
+    STAGE: 'STAGE',     // Move between the founder's pipeline stages
+  });
+  
+  /**
+   * Why a founder passed on an interest (founder only)
+   */
+  const INTEREST_PASS_REASONS = Object.freeze({
+    SKILLS_MISMATCH: 'SKILLS_MISMATCH',
+    EXPERIENCE_MISMATCH: 'EXPERIENCE_MISMATCH',
+    COMPENSATION_MISMATCH: 'COMPENSATION_MISMATCH',
+    AVAILABILITY_MISMATCH: 'AVAILABILITY_MISMATCH',
+    CULTURE_FIT: 'CULTURE_FIT',
+    POSITION_FILLED: 'POSITION_FILLED',
+    OTHER: 'OTHER',
+  });
+  
+  /**
+   * Actions a founder can apply to many received interests at once
+   */
+  const BULK_INTEREST_ACTIONS = Object.freeze({
+    SHORTLIST: 'SHORTLIST',
+    PASS: 'PASS',
+    MOVE: 'MOVE',       // Move to a pipeline stage
+  });
+  
   // ============================================
   // MATCH STATUS
   // ============================================
@@ -234,6 +295,14 @@ const MATCH_ACTIONS = Object.freeze({
     SAVE: 'SAVE',
   });
   
+  /**
+   * Why a match was expired
+   */
+  const MATCH_EXPIRY_REASONS = Object.freeze({
+    NO_ACTION: 'NO_ACTION',               // Pending too long without a LIKE/SKIP
+    NO_CONVERSATION: 'NO_CONVERSATION',   // Mutual but nobody started talking
+  });
+  
   // ============================================
   // CONVERSATION STATUS
   // ============================================
@@ -244,6 +313,7 @@ const MATCH_ACTIONS = Object.freeze({
   const CONVERSATION_STATUS = Object.freeze({
     ACTIVE: 'ACTIVE',
     ARCHIVED: 'ARCHIVED',
+    BLOCKED: 'BLOCKED',       // One participant blocked the other
   });
   
   // ============================================
@@ -262,6 +332,49 @@ const MATCH_ACTIONS = Object.freeze({
     ATTACHMENT: 'ATTACHMENT',
   });
   
+  /**
+   * Where a message is on its way to the recipient
+   */
+  const MESSAGE_STATUS = Object.freeze({
+    SENT: 'SENT',           // Saved, not yet received by the recipient
+    DELIVERED: 'DELIVERED', // Received by one of the recipient's devices
+    READ: 'READ',           // Read by the recipient
+  });
+  
+  // ============================================
+  // MODERATION
+  // ============================================
+  
+  /**
+   * Why a user or message was reported
+   */
+  const REPORT_REASONS = Object.freeze({
+    HARASSMENT: 'HARASSMENT',
+    SPAM: 'SPAM',
+    SCAM: 'SCAM',                         // Fraud, fake opportunity, asking for money
+    INAPPROPRIATE_CONTENT: 'INAPPROPRIATE_CONTENT',
+    IMPERSONATION: 'IMPERSONATION',
+    OTHER: 'OTHER',
+  });
+  
+  /**
+   * Where a report is in the admin review queue
+   */
+  const REPORT_STATUS = Object.freeze({
+    PENDING: 'PENDING',
+    RESOLVED: 'RESOLVED',
+  });
+  
+  /**
+   * What an admin decided about a report
+   */
+  const REPORT_OUTCOMES = Object.freeze({
+    NO_ACTION: 'NO_ACTION',
+    WARNED: 'WARNED',                     // Reported user sent a warning
+    SUSPENDED: 'SUSPENDED',               // Reported user suspended (userService.suspendUser)
+    BANNED: 'BANNED',                     // Reported user banned (userService.banUser)
+  });
+  
   // ============================================
   // ICE BREAKER PROMPTS
   // ============================================
@@ -374,9 +487,18 @@ const MATCH_ACTIONS = Object.freeze({
     MAX_SKILLS: 20,
     MAX_PORTFOLIO_LINKS: 10,
     MAX_CUSTOM_QUESTIONS: 5,
+    MAX_PIPELINE_STAGES: 10,
+    MAX_SCREENING_QUESTIONS: 10,
+    MAX_SCREENING_OPTIONS: 10,
+    MAX_BULK_INTERESTS: 100,
+    MAX_SAVED_SEARCHES: 10,
+    MAX_OPENING_TEMPLATES: 20,
     MAX_INTENT_LENGTH: 300,
     MAX_BIO_LENGTH: 1000,
     MAX_MESSAGE_LENGTH: 5000,
+    MAX_REACTIONS_PER_MESSAGE: 5, // Per user
+    MAX_REPORT_MESSAGES: 20,      // Evidence messages per report
+    MAX_SYNC_MESSAGES: 200,       // Missed messages returned per catch-up
     
     // OTP limits
     OTP_EXPIRY_MINUTES: 10,
@@ -482,6 +604,7 @@ const MATCH_ACTIONS = Object.freeze({
     STARTUP_STAGES,
     ROLE_TYPES,
     RISK_APPETITES,
+    EXPERIENCE_LEVELS,
     COMPENSATION_TYPES,
     VESTING_TYPES,
     DURATION_PREFERENCES,
@@ -491,19 +614,30 @@ const MATCH_ACTIONS = Object.freeze({
     
     // Opening constants
     OPENING_STATUS,
+    SCREENING_QUESTION_TYPES,
     
     // Interest constants
     INTEREST_STATUS,
+    INTEREST_HISTORY_TYPES,
+    INTEREST_PASS_REASONS,
+    BULK_INTEREST_ACTIONS,
     
     // Match constants
     MATCH_STATUS,
     MATCH_ACTIONS,
+    MATCH_EXPIRY_REASONS,
     
     // Conversation constants
     CONVERSATION_STATUS,
     MESSAGE_TYPES,
+    MESSAGE_STATUS,
     ICE_BREAKER_PROMPTS,
     
+    // Moderation constants
+    REPORT_REASONS,
+    REPORT_STATUS,
+    REPORT_OUTCOMES,
+    
     // Trial constants
     TRIAL_STATUS,
     TRIAL_DURATIONS,
@@ -486,6 +486,24 @@ const isValidObjectId = (id) => {
   return /^[0-9a-fA-F]{24}$/.test(id);
 };
 
+/**
+ * Checks if a string is a single emoji (including skin tones, flags and ZWJ sequences)
+ * @param {string} value - String to check
+ * @returns {boolean} True if the string is one emoji
+ * 
+ * @example
+ * isEmoji('👍🏽') // true
+ * isEmoji('ok') // false
+ */
+const isEmoji = (value) => {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 16) {
+    return false;
+  }
+  
+  const emojiRegex = /^(?:\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*)$/u;
+  return emojiRegex.test(value);
+};
+
 // ============================================
 // PAGINATION HELPERS
 // ============================================
@@ -561,6 +579,7 @@ module.exports = {
   isValidIndianPhone,
   normalizePhone,
   isValidObjectId,
+  isEmoji,
   
   // Pagination
   parsePagination,
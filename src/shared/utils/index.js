@@ -87,6 +87,7 @@ module.exports = {
   isValidIndianPhone: helpers.isValidIndianPhone,
   normalizePhone: helpers.normalizePhone,
   isValidObjectId: helpers.isValidObjectId,
+  isEmoji: helpers.isEmoji,
   
   // Pagination
   parsePagination: helpers.parsePagination,
@@ -0,0 +1,312 @@
+/**
+ * @fileoverview Opening templates - Built-in starting points and field copying
+ *
+ * Templates hold the reusable part of an opening (role, compensation,
+ * vesting, skills, questions). Founders start from a built-in template,
+ * one of their own saved templates, or an existing opening; the result
+ * always goes through opening.service createOpening.
+ *
+ * Built-in templates leave out currency, location and the cash range of
+ * paid roles so the founder profile defaults fill them in.
+ *
+ * @module utils/openingTemplates
+ */
+
+const { ROLE_TYPES, VESTING_TYPES, REMOTE_PREFERENCES, SCREENING_QUESTION_TYPES } = require('../constants');
+
+// ============================================
+// COPYABLE FIELDS
+// ============================================
+
+/**
+ * Opening fields a template or duplicate carries over
+ * Status, schedule, counters and pipeline stages always start fresh.
+ */
+const TEMPLATE_FIELDS = Object.freeze([
+  'title',
+  'roleType',
+  'description',
+  'summary',
+  'skillsRequired',
+  'skillsPreferred',
+  'experienceRequired',
+  'experienceLevel',
+  'equityRange',
+  'cashRange',
+  'cashCurrency',
+  'vestingType',
+  'vestingDetails',
+  'compensationNotes',
+  'hoursPerWeek',
+  'duration',
+  'startDate',
+  'remotePreference',
+  'location',
+  'timezonePreference',
+  'minTimezoneOverlapHours',
+  'preferredRiskAppetite',
+  'maxInterests',
+  'customQuestions',
+  'screeningQuestions',
+]);
+
+/**
+ * Copy the template fields out of an opening, template or request body
+ * Screening questions lose their IDs so the copy gets its own.
+ *
+ * @param {Object} [source={}] - Plain object (call toObject() on documents first)
+ * @returns {Object} Only the fields that are set
+ */
+const pickTemplateFields = (source = {}) => {
+  const fields = {};
+
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      fields[field] = source[field];
+    }
+  });
+
+  if (Array.isArray(fields.screeningQuestions)) {
+    fields.screeningQuestions = fields.screeningQuestions.map(({ _id, id, ...question }) => question);
+  }
+
+  return fields;
+};
+
+// ============================================
+// BUILT-IN TEMPLATES
+// ============================================
+
+/**
+ * Built-in templates, at least one per role type
+ * key is stable and used as the template ID in the API.
+ */
+const BUILT_IN_TEMPLATES = Object.freeze([
+  {
+    key: 'technical-cofounder',
+    name: 'Technical co-founder',
+    fields: {
+      title: 'Technical Co-Founder',
+      roleType: ROLE_TYPES.COFOUNDER,
+      description: 'We are looking for a technical co-founder to own the product and engineering from day one: choose the stack, ship the first versions with us, and build the engineering team as we grow. You will share the risk and the upside as a true partner.',
+      summary: 'Own product and engineering as a co-founder',
+      skillsRequired: ['System Design', 'Full Stack Development'],
+      experienceLevel: 'SENIOR',
+      equityRange: { min: 10, max: 25 },
+      cashRange: { min: 0, max: 0 },
+      vestingType: VESTING_TYPES.STANDARD_4Y,
+      vestingDetails: '4-year vesting with a 1-year cliff',
+      hoursPerWeek: 40,
+      duration: 'PERMANENT',
+      preferredRiskAppetite: ['HIGH'],
+      screeningQuestions: [
+        {
+          prompt: 'Can you commit full time within the next 3 months?',
+          type: SCREENING_QUESTION_TYPES.YES_NO,
+          required: true,
+          rules: { expectedAnswer: true, knockout: true },
+        },
+        { prompt: 'Link to something you have built', type: SCREENING_QUESTION_TYPES.URL },
+      ],
+    },
+  },
+  {
+    key: 'growth-cofounder',
+    name: 'Growth co-founder',
+    fields: {
+      title: 'Growth Co-Founder',
+      roleType: ROLE_TYPES.COFOUNDER,
+      description: 'We are looking for a growth co-founder to own how we find, win and keep customers: positioning, early sales, marketing experiments and the first growth hires. You will work side by side with the founding team on every major decision.',
+      summary: 'Own go-to-market and growth as a co-founder',
+      skillsRequired: ['Growth Marketing', 'Sales'],
+      experienceLevel: 'SENIOR',
+      equityRange: { min: 8, max: 20 },
+      cashRange: { min: 0, max: 0 },
+      vestingType: VESTING_TYPES.STANDARD_4Y,
+      vestingDetails: '4-year vesting with a 1-year cliff',
+      hoursPerWeek: 40,
+      duration: 'PERMANENT',
+      preferredRiskAppetite: ['HIGH'],
+      screeningQuestions: [
+        {
+          prompt: 'Can you commit full time within the next 3 months?',
+          type: SCREENING_QUESTION_TYPES.YES_NO,
+          required: true,
+          rules: { expectedAnswer: true, knockout: true },
+        },
+        { prompt: 'Describe a growth channel you took from zero to meaningful traction', type: SCREENING_QUESTION_TYPES.TEXT },
+      ],
+    },
+  },
+  {
+    key: 'founding-engineer',
+    name: 'Founding engineer',
+    fields: {
+      title: 'Founding Engineer',
+      roleType: ROLE_TYPES.EMPLOYEE,
+      description: 'Join as one of the first engineers and build core parts of the product end to end. You will work directly with the founders, talk to users, and have real influence over architecture, tooling and engineering culture.',
+      summary: 'Build the core product as one of the first engineers',
+      skillsRequired: ['JavaScript', 'Node.js', 'React'],
+      experienceRequired: 3,
+      experienceLevel: 'MID',
+      equityRange: { min: 0.5, max: 2 },
+      vestingType: VESTING_TYPES.STANDARD_4Y,
+      hoursPerWeek: 40,
+      duration: 'PERMANENT',
+      preferredRiskAppetite: ['MEDIUM', 'HIGH'],
+      screeningQuestions: [
+        {
+          prompt: 'Years of professional engineering experience',
+          type: SCREENING_QUESTION_TYPES.NUMBER,
+          unit: 'years',
+          required: true,
+          rules: { min: 3 },
+        },
+        { prompt: 'GitHub or portfolio link', type: SCREENING_QUESTION_TYPES.URL },
+      ],
+    },
+  },
+  {
+    key: 'early-product-designer',
+    name: 'Early product designer',
+    fields: {
+      title: 'Product Designer',
+      roleType: ROLE_TYPES.EMPLOYEE,
+      description: 'Own the end-to-end design of our product, from user research and flows to polished UI and a lightweight design system. You will work closely with the founders and engineers and ship every week.',
+      summary: 'Own product design from research to shipped UI',
+      skillsRequired: ['Product Design', 'Figma', 'UX Research'],
+      experienceRequired: 2,
+      experienceLevel: 'MID',
+      equityRange: { min: 0.25, max: 1 },
+      vestingType: VESTING_TYPES.STANDARD_4Y,
+      hoursPerWeek: 40,
+      duration: 'PERMANENT',
+      preferredRiskAppetite: ['MEDIUM', 'HIGH'],
+      screeningQuestions: [
+        { prompt: 'Portfolio link', type: SCREENING_QUESTION_TYPES.URL, required: true },
+      ],
+    },
+  },
+  {
+    key: 'engineering-intern',
+    name: 'Engineering intern',
+    fields: {
+      title: 'Software Engineering Intern',
+      roleType: ROLE_TYPES.INTERN,
+      description: 'Work on real features alongside the founding team. You will pair with experienced engineers, ship code to production and learn how an early-stage startup builds and iterates on a product.',
+      summary: 'Ship real features with the founding team',
+      skillsRequired: ['JavaScript'],
+      experienceLevel: 'STUDENT',
+      equityRange: { min: 0, max: 0 },
+      hoursPerWeek: 30,
+      duration: 'SHORT_TERM',
+      remotePreference: REMOTE_PREFERENCES.REMOTE,
+      preferredRiskAppetite: ['LOW', 'MEDIUM', 'HIGH'],
+      screeningQuestions: [
+        {
+          prompt: 'How many hours a week can you commit?',
+          type: SCREENING_QUESTION_TYPES.NUMBER,
+          unit: 'hours',
+          required: true,
+          rules: { min: 20 },
+        },
+        { prompt: 'GitHub link', type: SCREENING_QUESTION_TYPES.URL },
+      ],
+    },
+  },
+  {
+    key: 'growth-intern',
+    name: 'Growth intern',
+    fields: {
+      title: 'Growth & Marketing Intern',
+      roleType: ROLE_TYPES.INTERN,
+      description: 'Help us run growth experiments across content, social and outreach. You will own small campaigns end to end, measure what works and learn the full go-to-market playbook of an early-stage startup.',
+      summary: 'Run growth experiments and own small campaigns',
+      skillsRequired: ['Content Marketing', 'Social Media'],
+      experienceLevel: 'STUDENT',
+      equityRange: { min: 0, max: 0 },
+      hoursPerWeek: 25,
+      duration: 'SHORT_TERM',
+      remotePreference: REMOTE_PREFERENCES.REMOTE,
+      preferredRiskAppetite: ['LOW', 'MEDIUM', 'HIGH'],
+      screeningQuestions: [
+        { prompt: 'Share something you wrote or a campaign you ran', type: SCREENING_QUESTION_TYPES.URL },
+      ],
+    },
+  },
+  {
+    key: 'fractional-cto',
+    name: 'Fractional CTO',
+    fields: {
+      title: 'Fractional CTO',
+      roleType: ROLE_TYPES.FRACTIONAL,
+      description: 'We need an experienced technical leader a few days a month to guide architecture, review hiring and vendor decisions, and help us plan the roadmap until we hire a full-time CTO.',
+      summary: 'Part-time technical leadership until a full-time CTO joins',
+      skillsRequired: ['System Design', 'Technical Leadership'],
+      experienceRequired: 8,
+      experienceLevel: 'LEAD',
+      equityRange: { min: 0.25, max: 1 },
+      vestingType: VESTING_TYPES.CUSTOM,
+      vestingDetails: 'Monthly vesting for the length of the engagement',
+      hoursPerWeek: 10,
+      duration: 'FLEXIBLE',
+      remotePreference: REMOTE_PREFERENCES.REMOTE,
+      preferredRiskAppetite: ['LOW', 'MEDIUM', 'HIGH'],
+    },
+  },
+  {
+    key: 'fractional-cfo',
+    name: 'Fractional CFO',
+    fields: {
+      title: 'Fractional CFO',
+      roleType: ROLE_TYPES.FRACTIONAL,
+      description: 'We are looking for a part-time finance lead to own our financial model, set up reporting and compliance, and prepare us for fundraising conversations.',
+      summary: 'Part-time finance lead for modelling, reporting and fundraising',
+      skillsRequired: ['Financial Modeling', 'Fundraising'],
+      experienceRequired: 8,
+      experienceLevel: 'LEAD',
+      equityRange: { min: 0, max: 0.5 },
+      vestingType: VESTING_TYPES.CUSTOM,
+      vestingDetails: 'Monthly vesting for the length of the engagement',
+      hoursPerWeek: 8,
+      duration: 'FLEXIBLE',
+      remotePreference: REMOTE_PREFERENCES.REMOTE,
+      preferredRiskAppetite: ['LOW', 'MEDIUM', 'HIGH'],
+    },
+  },
+]);
+
+/**
+ * Find a built-in template by key
+ *
+ * @param {string} key - Template key
+ * @returns {Object|null}
+ */
+const getBuiltInTemplate = (key) => BUILT_IN_TEMPLATES.find((template) => template.key === key) || null;
+
+/**
+ * Built-in templates, optionally for one role type
+ *
+ * @param {string} [roleType] - Role type filter
+ * @returns {Object[]}
+ */
+const getBuiltInTemplates = (roleType = null) => (
+  roleType
+    ? BUILT_IN_TEMPLATES.filter((template) => template.fields.roleType === roleType)
+    : [...BUILT_IN_TEMPLATES]
+);
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  // Copying
+  TEMPLATE_FIELDS,
+  pickTemplateFields,
+
+  // Built-in templates
+  BUILT_IN_TEMPLATES,
+  getBuiltInTemplate,
+  getBuiltInTemplates,
+};
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Scenario bank - Scoring and migration for versioned scenario questions
+ *
+ * Scenario questions live in a versioned bank (ScenarioBank model). Each
+ * question has a stable key, and a user's answers are stored by key with
+ * the bank version they were given against:
+ * - Answers are mapped forward one version at a time, from each bank to
+ *   the bank it was built on (renamed keys, remapped options, dropped questions)
+ * - Compatibility compares only the questions both users have answered
+ *
+ * Responses saved before the bank existed carry scenario1..scenario6
+ * fields instead of an answers map; those are read as version 1 answers.
+ *
+ * @module utils/scenarioBank
+ */
+
+// ============================================
+// RELATIONS
+// ============================================
+
+/**
+ * How two answers to the same scenario relate
+ * SAME          - identical answer
+ * COMPLEMENTARY - different answers that work well together
+ * NEUTRAL       - different, but not a source of friction
+ * CONFLICTING   - answers that would lead to a real disagreement
+ */
+const SCENARIO_RELATIONS = Object.freeze({
+  SAME: 'SAME',
+  COMPLEMENTARY: 'COMPLEMENTARY',
+  NEUTRAL: 'NEUTRAL',
+  CONFLICTING: 'CONFLICTING',
+});
+
+/**
+ * Score (0-100) each relation earns for a scenario
+ */
+const SCENARIO_RELATION_SCORES = Object.freeze({
+  [SCENARIO_RELATIONS.SAME]: 100,
+  [SCENARIO_RELATIONS.COMPLEMENTARY]: 75,
+  [SCENARIO_RELATIONS.NEUTRAL]: 40,
+  [SCENARIO_RELATIONS.CONFLICTING]: 0,
+});
+
+/**
+ * Fields used by responses saved before the question bank existed
+ */
+const LEGACY_SCENARIO_FIELDS = ['scenario1', 'scenario2', 'scenario3', 'scenario4', 'scenario5', 'scenario6'];
+
+/**
+ * Scenario keys: start with a letter, letters/digits/underscores (Mongoose Map safe)
+ */
+const SCENARIO_KEY_REGEX = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+// ============================================
+// ANSWERS
+// ============================================
+
+/**
+ * Read a response's answers as a plain object
+ * Accepts documents (Mongoose Map) and lean objects, new and legacy shapes
+ *
+ * @param {Object|null} response - ScenarioResponse document or lean object
+ * @returns {Object} { version, answers } where answers maps scenario key -> option
+ */
+const readAnswers = (response) => {
+  if (!response) {
+    return { version: null, answers: {} };
+  }
+
+  const stored = response.answers instanceof Map
+    ? Object.fromEntries(response.answers)
+    : { ...(response.answers || {}) };
+
+  if (Object.keys(stored).length > 0) {
+    return { version: response.scenarioVersion || 1, answers: stored };
+  }
+
+  const legacy = {};
+  LEGACY_SCENARIO_FIELDS.forEach((field) => {
+    if (response[field]) legacy[field] = response[field];
+  });
+
+  return { version: 1, answers: legacy };
+};
+
+/**
+ * Map answers from one bank version to the next
+ *
+ * A scenario in the newer bank takes its answer from:
+ * - nowhere, if resetAnswers is set (reworded question, ask again)
+ * - migrateFrom.key in the older bank, if set
+ * - otherwise the scenario with the same key in the older bank
+ * Options pass through migrateFrom.options when given, unchanged otherwise.
+ * Answers that do not land on an option of the newer scenario are dropped,
+ * as are answers to scenarios the newer bank no longer has.
+ *
+ * @param {Object} answers - Answers against the newer bank's baseVersion
+ * @param {Object} toBank - Newer bank ({ scenarios })
+ * @returns {Object} Answers against the newer bank
+ */
+const migrateAnswersOneStep = (answers, toBank) => {
+  const migrated = {};
+
+  toBank.scenarios.forEach((scenario) => {
+    if (scenario.resetAnswers) return;
+
+    const sourceKey = scenario.migrateFrom?.key || scenario.key;
+    const previous = answers[sourceKey];
+
+    if (!previous) return;
+
+    const optionMap = scenario.migrateFrom?.options;
+    const mapped = optionMap
+      ? (optionMap instanceof Map ? optionMap.get(previous) : optionMap[previous])
+      : previous;
+
+    if (mapped && scenario.options.some((option) => option.value === mapped)) {
+      migrated[scenario.key] = mapped;
+    }
+  });
+
+  return migrated;
+};
+
+/**
+ * Map answers forward to a target version
+ * Follows the target's baseVersion chain back to the answers' version and
+ * applies each step in order, so versions that were never built on are skipped.
+ *
+ * @param {Map<number, Object>} banksByVersion - All banks by version
+ * @param {Object} answers - Answers against fromVersion
+ * @param {number} fromVersion - Version the answers were given against
+ * @param {number} toVersion - Target version
+ * @returns {Object} Answers against toVersion (unchanged if already there or newer)
+ */
+const migrateAnswers = (banksByVersion, answers, fromVersion, toVersion) => {
+  const steps = [];
+  let bank = banksByVersion.get(toVersion);
+
+  while (bank && bank.version > fromVersion) {
+    steps.unshift(bank);
+    bank = bank.baseVersion ? banksByVersion.get(bank.baseVersion) : null;
+  }
+
+  return steps.reduce((current, step) => migrateAnswersOneStep(current, step), answers);
+};
+
+/**
+ * Scenarios in a bank the answers don't cover
+ *
+ * @param {Object} bank - Question bank
+ * @param {Object} answers - Answers by scenario key
+ * @returns {string[]} Unanswered scenario keys, in question order
+ */
+const getMissingScenarios = (bank, answers) =>
+  bank.scenarios.filter((scenario) => !answers[scenario.key]).map((scenario) => scenario.key);
+
+// ============================================
+// COMPATIBILITY SCORING
+// ============================================
+
+/**
+ * Whether an unordered answer pair is in a list of pairs
+ *
+ * @param {string[][]} pairs - Answer pairs
+ * @param {string} a - First answer
+ * @param {string} b - Second answer
+ * @returns {boolean}
+ */
+const hasPair = (pairs, a, b) => (pairs || []).some((pair) => pair.includes(a) && pair.includes(b));
+
+/**
+ * Classify how two answers to a scenario relate
+ *
+ * @param {Object} scenario - Scenario definition
+ * @param {string} a - First answer
+ * @param {string} b - Second answer
+ * @returns {Object} { relation, disagreement }
+ */
+const getScenarioRelation = (scenario, a, b) => {
+  if (a === b) {
+    return { relation: SCENARIO_RELATIONS.SAME, disagreement: null };
+  }
+
+  const conflict = (scenario.conflicts || []).find(({ pair }) => hasPair([pair], a, b));
+  if (conflict) {
+    return { relation: SCENARIO_RELATIONS.CONFLICTING, disagreement: conflict.text };
+  }
+
+  const relation = hasPair(scenario.complementary, a, b)
+    ? SCENARIO_RELATIONS.COMPLEMENTARY
+    : SCENARIO_RELATIONS.NEUTRAL;
+
+  return { relation, disagreement: null };
+};
+
+/**
+ * Interpret a compatibility score
+ *
+ * @param {number} score - Percentage score (0-100)
+ * @returns {Object} Interpretation with level and description
+ */
+const interpretScore = (score) => {
+  if (score >= 90) {
+    return {
+      level: 'EXCELLENT',
+      description: 'Highly aligned working styles',
+      color: 'green',
+    };
+  }
+  if (score >= 75) {
+    return {
+      level: 'GOOD',
+      description: 'Strong compatibility with minor differences',
+      color: 'blue',
+    };
+  }
+  if (score >= 60) {
+    return {
+      level: 'MODERATE',
+      description: 'Some alignment, may need communication about differences',
+      color: 'yellow',
+    };
+  }
+  if (score >= 40) {
+    return {
+      level: 'LOW',
+      description: 'Different approaches, requires discussion',
+      color: 'orange',
+    };
+  }
+  return {
+    level: 'MINIMAL',
+    description: 'Significantly different working styles',
+    color: 'red',
+  };
+};
+
+/**
+ * Label for an answer's working style
+ *
+ * @param {Object} scenario - Scenario definition
+ * @param {string} answer - Option value
+ * @returns {string|null}
+ */
+const getOptionStyle = (scenario, answer) =>
+  scenario.options.find((option) => option.value === answer)?.style || null;
+
+/**
+ * Compare two users' answers scenario by scenario
+ * Only scenarios both users have answered count towards the score.
+ *
+ * @param {Object} bank - Question bank both answer sets are migrated to
+ * @param {Object} answers1 - First user's answers by scenario key
+ * @param {Object} answers2 - Second user's answers by scenario key
+ * @returns {Object} { score, breakdown, disagreements, interpretation, sharedScenarios, totalScenarios, bankVersion }
+ *   breakdown: per scenario { title, weight, user1, user2, user1Style, user2Style, relation, score, disagreement }
+ *   disagreements: conflicting scenarios, most important first
+ *   score is null when the users share no answered scenario
+ */
+const compareAnswers = (bank, answers1, answers2) => {
+  const breakdown = {};
+  const disagreements = [];
+  let weightedScore = 0;
+  let totalWeight = 0;
+
+  for (const scenario of bank.scenarios) {
+    const user1 = answers1[scenario.key];
+    const user2 = answers2[scenario.key];
+
+    if (!user1 || !user2) continue;
+
+    const { relation, disagreement } = getScenarioRelation(scenario, user1, user2);
+    const score = SCENARIO_RELATION_SCORES[relation];
+
+    weightedScore += score * scenario.weight;
+    totalWeight += scenario.weight;
+
+    breakdown[scenario.key] = {
+      title: scenario.title,
+      weight: scenario.weight,
+      user1,
+      user2,
+      user1Style: getOptionStyle(scenario, user1),
+      user2Style: getOptionStyle(scenario, user2),
+      relation,
+      score,
+      disagreement,
+    };
+
+    if (disagreement) {
+      disagreements.push({
+        scenario: scenario.key,
+        title: scenario.title,
+        weight: scenario.weight,
+        text: disagreement,
+      });
+    }
+  }
+
+  const sharedScenarios = Object.keys(breakdown).length;
+  const score = totalWeight > 0 ? Math.round(weightedScore / totalWeight) : null;
+
+  return {
+    score,
+    breakdown: sharedScenarios > 0 ? breakdown : null,
+    disagreements: disagreements.sort((a, b) => b.weight - a.weight),
+    interpretation: score === null ? null : interpretScore(score),
+    sharedScenarios,
+    totalScenarios: bank.scenarios.length,
+    bankVersion: bank.version,
+  };
+};
+
+/**
+ * Working style summary from a user's answers
+ *
+ * @param {Object} bank - Question bank the answers are migrated to
+ * @param {Object} answers - Answers by scenario key
+ * @returns {Object} styleKey -> style label ('' when unanswered)
+ */
+const getWorkingStyleProfile = (bank, answers) => {
+  const profile = {};
+
+  bank.scenarios.forEach((scenario) => {
+    if (scenario.styleKey) {
+      profile[scenario.styleKey] = getOptionStyle(scenario, answers[scenario.key]) || '';
+    }
+  });
+
+  return profile;
+};
+
+module.exports = {
+  SCENARIO_RELATIONS,
+  SCENARIO_RELATION_SCORES,
+  LEGACY_SCENARIO_FIELDS,
+  SCENARIO_KEY_REGEX,
+  readAnswers,
+  migrateAnswers,
+  getMissingScenarios,
+  getScenarioRelation,
+  interpretScore,
+  compareAnswers,
+  getWorkingStyleProfile,
+};
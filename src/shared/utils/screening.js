@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Screening - Typed screening answers and auto-scoring
+ *
+ * Openings ask applicants typed screening questions (multiple choice,
+ * number, yes/no, URL, free text). Each question may carry founder-only
+ * rules describing the ideal answer:
+ * - MULTIPLE_CHOICE: preferredOptions
+ * - NUMBER: min and/or max
+ * - YES_NO: expectedAnswer
+ * - URL: any valid link counts
+ * plus a weight (1-5) and a knockout flag. A knockout question the answer
+ * does not satisfy (or leaves blank) knocks the applicant out.
+ *
+ * The screening score is the weighted average (0-100) over scored
+ * questions. Free-text questions are never scored.
+ *
+ * @module utils/screening
+ */
+
+const { SCREENING_QUESTION_TYPES } = require('../constants');
+
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+// ============================================
+// ANSWERS
+// ============================================
+
+/**
+ * Whether a raw answer counts as left blank
+ *
+ * @param {*} value - Raw answer
+ * @returns {boolean}
+ */
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Check if a string is an http(s) URL
+ *
+ * @param {string} value - Candidate URL
+ * @returns {boolean}
+ */
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Coerce a raw answer to the question's type
+ *
+ * @param {Object} question - Screening question
+ * @param {*} value - Raw answer (not blank)
+ * @returns {Object} { value, answer } on success (answer is the display text), { error } otherwise
+ */
+const parseAnswer = (question, value) => {
+  switch (question.type) {
+    case SCREENING_QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const choice = String(value).trim();
+      if (!question.options.includes(choice)) {
+        return { error: 'Answer must be one of the listed options' };
+      }
+      return { value: choice, answer: choice };
+    }
+
+    case SCREENING_QUESTION_TYPES.NUMBER: {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        return { error: 'Answer must be a number' };
+      }
+      return { value: number, answer: question.unit ? `${number} ${question.unit}` : String(number) };
+    }
+
+    case SCREENING_QUESTION_TYPES.YES_NO: {
+      const normalized = typeof value === 'boolean' ? value : String(value).trim().toLowerCase();
+      if (normalized === true || normalized === 'yes' || normalized === 'true') {
+        return { value: true, answer: 'Yes' };
+      }
+      if (normalized === false || normalized === 'no' || normalized === 'false') {
+        return { value: false, answer: 'No' };
+      }
+      return { error: 'Answer must be yes or no' };
+    }
+
+    case SCREENING_QUESTION_TYPES.URL: {
+      const url = String(value).trim();
+      if (url.length > MAX_TEXT_ANSWER_LENGTH || !isHttpUrl(url)) {
+        return { error: 'Answer must be a valid http(s) link' };
+      }
+      return { value: url, answer: url };
+    }
+
+    default: {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+        return { error: `Answer cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters` };
+      }
+      return { value: text, answer: text };
+    }
+  }
+};
+
+/**
+ * Validate and normalize an applicant's answers
+ *
+ * @param {Object[]} questions - Opening screening questions
+ * @param {Object[]} [input=[]] - Raw answers [{ questionId, value }]
+ * @returns {Object} { answers, errors }
+ *   answers: [{ questionId, question, type, answer, value }] in question order
+ *   errors: [{ questionId, message }] - empty when the answers are valid
+ */
+const normalizeScreeningAnswers = (questions, input = []) => {
+  const errors = [];
+
+  if (!Array.isArray(input)) {
+    return { answers: [], errors: [{ questionId: null, message: 'answers must be an array' }] };
+  }
+
+  const byQuestion = new Map();
+
+  input.forEach((entry) => {
+    const questionId = entry?.questionId ? String(entry.questionId) : null;
+
+    if (!questionId || !questions.some((question) => question._id.toString() === questionId)) {
+      errors.push({ questionId, message: 'Unknown screening question' });
+      return;
+    }
+    if (byQuestion.has(questionId)) {
+      errors.push({ questionId, message: 'Question answered more than once' });
+      return;
+    }
+
+    byQuestion.set(questionId, entry.value);
+  });
+
+  const answers = [];
+
+  questions.forEach((question) => {
+    const questionId = question._id.toString();
+    const raw = byQuestion.get(questionId);
+
+    if (isBlank(raw)) {
+      if (question.required) {
+        errors.push({ questionId, message: `Answer required: ${question.prompt}` });
+      }
+      return;
+    }
+
+    const parsed = parseAnswer(question, raw);
+
+    if (parsed.error) {
+      errors.push({ questionId, message: parsed.error });
+      return;
+    }
+
+    answers.push({
+      questionId: question._id,
+      question: question.prompt,
+      type: question.type,
+      answer: parsed.answer,
+      value: parsed.value,
+    });
+  });
+
+  return { answers, errors };
+};
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Whether a question's rules make it count towards the score
+ *
+ * @param {Object} question - Screening question (with rules)
+ * @returns {boolean}
+ */
+const isScoredQuestion = (question) => {
+  const rules = question.rules || {};
+
+  switch (question.type) {
+    case SCREENING_QUESTION_TYPES.MULTIPLE_CHOICE:
+      return (rules.preferredOptions || []).length > 0;
+    case SCREENING_QUESTION_TYPES.NUMBER:
+      return rules.min != null || rules.max != null;
+    case SCREENING_QUESTION_TYPES.YES_NO:
+      return rules.expectedAnswer != null;
+    case SCREENING_QUESTION_TYPES.URL:
+      return true;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Score one answer against its question's rules
+ * Numbers outside the range earn partial credit proportional to how close they are.
+ *
+ * @param {Object} question - Screening question (with rules)
+ * @param {*} value - Normalized answer value (undefined if unanswered)
+ * @returns {Object} { score: 0-100, passed } (passed: the answer meets the ideal)
+ */
+const scoreAnswer = (question, value) => {
+  const rules = question.rules || {};
+
+  if (value === undefined || value === null) {
+    return { score: 0, passed: false };
+  }
+
+  switch (question.type) {
+    case SCREENING_QUESTION_TYPES.MULTIPLE_CHOICE: {
+      const passed = rules.preferredOptions.includes(value);
+      return { score: passed ? 100 : 0, passed };
+    }
+
+    case SCREENING_QUESTION_TYPES.NUMBER: {
+      if (typeof value !== 'number') return { score: 0, passed: false };
+
+      if (rules.min != null && value < rules.min) {
+        return { score: rules.min > 0 ? Math.max(0, Math.round((value / rules.min) * 100)) : 0, passed: false };
+      }
+      if (rules.max != null && value > rules.max) {
+        return { score: value > 0 ? Math.max(0, Math.round((rules.max / value) * 100)) : 0, passed: false };
+      }
+      return { score: 100, passed: true };
+    }
+
+    case SCREENING_QUESTION_TYPES.YES_NO: {
+      const passed = value === rules.expectedAnswer;
+      return { score: passed ? 100 : 0, passed };
+    }
+
+    case SCREENING_QUESTION_TYPES.URL: {
+      const passed = typeof value === 'string' && isHttpUrl(value);
+      return { score: passed ? 100 : 0, passed };
+    }
+
+    default:
+      return { score: null, passed: null };
+  }
+};
+
+/**
+ * Score an applicant's answers
+ *
+ * @param {Object[]} questions - Opening screening questions (with rules)
+ * @param {Object[]} answers - Normalized answers [{ questionId, value }]
+ * @returns {Object} { score, knockedOut, knockoutReasons, results }
+ *   score: weighted 0-100, or null when no question is scored
+ *   knockoutReasons: prompts of the knockout questions that failed
+ *   results: Map of questionId -> { score, passed } for scored questions
+ */
+const scoreScreening = (questions, answers) => {
+  const valuesById = new Map(answers.filter((entry) => entry.questionId).map((entry) => [entry.questionId.toString(), entry.value]));
+  const results = new Map();
+  const knockoutReasons = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  questions.forEach((question) => {
+    if (!isScoredQuestion(question)) return;
+
+    const questionId = question._id.toString();
+    const result = scoreAnswer(question, valuesById.get(questionId));
+    const weight = question.rules?.weight || 1;
+
+    results.set(questionId, result);
+    weighted += result.score * weight;
+    totalWeight += weight;
+
+    if (question.rules?.knockout && !result.passed) {
+      knockoutReasons.push(question.prompt);
+    }
+  });
+
+  return {
+    score: totalWeight > 0 ? Math.round(weighted / totalWeight) : null,
+    knockedOut: knockoutReasons.length > 0,
+    knockoutReasons,
+    results,
+  };
+};
+
+/**
+ * Screening questions as shown to applicants (rules stripped)
+ *
+ * @param {Object[]} questions - Opening screening questions
+ * @returns {Object[]} [{ id, prompt, type, required, options, unit }]
+ */
+const toApplicantQuestions = (questions) =>
+  (questions || []).map((question) => ({
+    id: question._id,
+    prompt: question.prompt,
+    type: question.type,
+    required: !!question.required,
+    options: question.type === SCREENING_QUESTION_TYPES.MULTIPLE_CHOICE ? question.options : undefined,
+    unit: question.unit || undefined,
+  }));
+
+module.exports = {
+  normalizeScreeningAnswers,
+  isScoredQuestion,
+  scoreAnswer,
+  scoreScreening,
+  toApplicantQuestions,
+};
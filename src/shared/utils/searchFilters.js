@@ -0,0 +1,389 @@
+/**
+ * @fileoverview Search filters - Validation and in-memory matching
+ *
+ * Saved searches store the same filters as the on-demand searches:
+ * - Openings (builders): roleType, skills, startupStage, minEquity, maxCash,
+ *   remotePreference, location and free text, as in opening.service
+ *   searchOpenings
+ * - Builders (founders): skills, minHours/maxHours, riskAppetite,
+ *   rolesInterested, remotePreference, experienceLevel, location and free
+ *   text, as in profile.service discoverBuilderProfiles
+ *
+ * When an opening goes live or a builder becomes discoverable, it is checked
+ * against every saved search here, without a database query per search.
+ * The matchers follow the query semantics of those services, with two
+ * differences. Opening free text is approximated: MongoDB $text stems words,
+ * here a term matches a word in the title, description or skills when either
+ * is a prefix of the other ("design" matches "designer"). And saved locations
+ * and builder free text are matched as case-insensitive literal text, never
+ * as patterns, since they run in-process against every new opening or
+ * builder.
+ *
+ * @module utils/searchFilters
+ */
+
+const {
+  OPENING_STATUS,
+  ROLE_TYPES,
+  STARTUP_STAGES,
+  REMOTE_PREFERENCES,
+  RISK_APPETITES,
+  EXPERIENCE_LEVELS,
+  LIMITS,
+} = require('../constants');
+
+const MAX_LOCATION_LENGTH = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+// ============================================
+// MATCHING HELPERS
+// ============================================
+
+/**
+ * Whether text contains a saved value as a literal substring, ignoring case
+ *
+ * @param {string} text - Text to look in
+ * @param {string} value - Saved filter value
+ * @returns {boolean}
+ */
+const containsText = (text, value) => text.toLowerCase().includes(value.toLowerCase());
+
+/**
+ * Saved filters ready for the on-demand search services, which build
+ * case-insensitive patterns from some text filters: those values are
+ * escaped so a saved search returns what its alerts match
+ *
+ * @param {Object} filters - Normalized filters
+ * @param {string[]} fields - Filters the service uses as patterns
+ * @returns {Object} Copy of the filters
+ */
+const toLiteralPatterns = (filters, fields) => {
+  const result = { ...filters };
+
+  fields.forEach((field) => {
+    if (typeof result[field] === 'string') {
+      result[field] = result[field].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  });
+
+  return result;
+};
+
+// ============================================
+// VALIDATION HELPERS
+// ============================================
+
+/**
+ * Check that a value is one of an enum's values (when given)
+ *
+ * @param {Object} input - Raw filters
+ * @param {string} field - Filter name
+ * @param {Object} values - Frozen enum
+ * @param {Object} filters - Normalized filters (written to)
+ * @param {string[]} errors - Validation errors (written to)
+ */
+const pickEnum = (input, field, values, filters, errors) => {
+  const value = input[field];
+  if (value === undefined || value === null || value === '') return;
+
+  if (!Object.values(values).includes(value)) {
+    errors.push(`${field} must be one of ${Object.values(values).join(', ')}`);
+    return;
+  }
+  filters[field] = value;
+};
+
+/**
+ * Check that a value is a non-negative number (when given)
+ *
+ * @param {Object} input - Raw filters
+ * @param {string} field - Filter name
+ * @param {Object} filters - Normalized filters (written to)
+ * @param {string[]} errors - Validation errors (written to)
+ * @param {Object} [options] - { integer }
+ */
+const pickNumber = (input, field, filters, errors, { integer = false } = {}) => {
+  const value = input[field];
+  if (value === undefined || value === null || value === '') return;
+
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    errors.push(`${field} must be a non-negative ${integer ? 'whole number' : 'number'}`);
+    return;
+  }
+  filters[field] = number;
+};
+
+/**
+ * Collect a list of strings (single value or array), optionally from an enum
+ *
+ * @param {Object} input - Raw filters
+ * @param {string} field - Filter name
+ * @param {Object} filters - Normalized filters (written to)
+ * @param {string[]} errors - Validation errors (written to)
+ * @param {Object} [values] - Frozen enum the entries must belong to
+ */
+const pickList = (input, field, filters, errors, values = null) => {
+  if (input[field] === undefined || input[field] === null) return;
+
+  const list = (Array.isArray(input[field]) ? input[field] : [input[field]])
+    .filter((entry) => typeof entry === 'string')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (list.length > LIMITS.MAX_SKILLS) {
+    errors.push(`${field} cannot have more than ${LIMITS.MAX_SKILLS} entries`);
+    return;
+  }
+
+  if (values && list.some((entry) => !Object.values(values).includes(entry))) {
+    errors.push(`${field} entries must be one of ${Object.values(values).join(', ')}`);
+    return;
+  }
+
+  if (list.length > 0) {
+    filters[field] = [...new Set(list)];
+  }
+};
+
+/**
+ * Collect a free-text filter
+ *
+ * @param {Object} input - Raw filters
+ * @param {string} field - Filter name
+ * @param {number} maxLength - Maximum length
+ * @param {Object} filters - Normalized filters (written to)
+ * @param {string[]} errors - Validation errors (written to)
+ */
+const pickText = (input, field, maxLength, filters, errors) => {
+  if (typeof input[field] !== 'string' || !input[field].trim()) return;
+
+  const value = input[field].trim();
+  if (value.length > maxLength) {
+    errors.push(`${field} cannot exceed ${maxLength} characters`);
+    return;
+  }
+
+  filters[field] = value;
+};
+
+/**
+ * Whether no filter is set
+ *
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+const isEmptyFilters = (filters) => Object.keys(filters).length === 0;
+
+// ============================================
+// OPENING FILTERS
+// ============================================
+
+/**
+ * Validate and normalize opening search filters
+ * Unset filters are left out of the result.
+ *
+ * @param {Object} [input={}] - Raw filters (request body or query)
+ * @returns {Object} { filters, errors }
+ */
+const normalizeOpeningFilters = (input = {}) => {
+  const filters = {};
+  const errors = [];
+
+  pickEnum(input, 'roleType', ROLE_TYPES, filters, errors);
+  pickEnum(input, 'startupStage', STARTUP_STAGES, filters, errors);
+  pickEnum(input, 'remotePreference', REMOTE_PREFERENCES, filters, errors);
+  pickNumber(input, 'minEquity', filters, errors);
+  pickNumber(input, 'maxCash', filters, errors);
+  pickList(input, 'skills', filters, errors);
+  // Matched against the city as case-insensitive literal text
+  pickText(input, 'location', MAX_LOCATION_LENGTH, filters, errors);
+  pickText(input, 'search', MAX_SEARCH_LENGTH, filters, errors);
+
+  return { filters, errors };
+};
+
+/**
+ * Lowercase words of a piece of text
+ *
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+const tokenize = (text) => (text || '').toLowerCase().split(/[^a-z0-9+#.]+/).filter(Boolean);
+
+/**
+ * Approximate MongoDB $text: any non-negated term matches and no negated term does
+ *
+ * @param {string} search - Search text
+ * @param {Object} opening - Opening
+ * @returns {boolean}
+ */
+const matchesText = (search, opening) => {
+  const words = tokenize([
+    opening.title,
+    opening.description,
+    ...(opening.skillsRequired || []),
+  ].join(' '));
+
+  const hasWord = (term) => words.some((word) => word.startsWith(term) || term.startsWith(word));
+
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const negated = terms.filter((term) => term.startsWith('-')).flatMap((term) => tokenize(term.slice(1)));
+  const wanted = terms.filter((term) => !term.startsWith('-')).flatMap(tokenize);
+
+  if (negated.some(hasWord)) return false;
+  return wanted.length === 0 || wanted.some(hasWord);
+};
+
+/**
+ * Check a single opening against search filters
+ *
+ * @param {Object} filters - Normalized filters
+ * @param {Object} opening - Opening (document or lean)
+ * @param {Object} [founderProfile] - The opening's founder profile (needed for startupStage)
+ * @returns {boolean}
+ */
+const matchesOpeningFilters = (filters, opening, founderProfile = null) => {
+  if (opening.status !== OPENING_STATUS.ACTIVE) return false;
+
+  if (filters.roleType && opening.roleType !== filters.roleType) return false;
+
+  if (filters.skills && filters.skills.length > 0) {
+    const required = opening.skillsRequired || [];
+    if (!filters.skills.some((skill) => required.includes(skill))) return false;
+  }
+
+  if (filters.minEquity !== undefined && filters.minEquity !== null) {
+    const max = opening.equityRange ? opening.equityRange.max : undefined;
+    if (typeof max !== 'number' || max < filters.minEquity) return false;
+  }
+
+  if (filters.maxCash !== undefined && filters.maxCash !== null) {
+    const min = opening.cashRange ? opening.cashRange.min : undefined;
+    if (typeof min !== 'number' || min > filters.maxCash) return false;
+  }
+
+  if (filters.remotePreference && opening.remotePreference !== filters.remotePreference) return false;
+
+  if (filters.location) {
+    const city = opening.location ? opening.location.city : null;
+    if (!city || !containsText(city, filters.location)) return false;
+  }
+
+  if (filters.startupStage) {
+    if (!founderProfile || founderProfile.startupStage !== filters.startupStage) return false;
+  }
+
+  if (filters.search && !matchesText(filters.search, opening)) return false;
+
+  return true;
+};
+
+// ============================================
+// BUILDER FILTERS
+// ============================================
+
+/**
+ * Validate and normalize builder search filters
+ * Visibility is not a filter: saved searches only ever see builders who
+ * are complete, visible and open to opportunities.
+ *
+ * @param {Object} [input={}] - Raw filters (request body or query)
+ * @returns {Object} { filters, errors }
+ */
+const normalizeBuilderFilters = (input = {}) => {
+  const filters = {};
+  const errors = [];
+
+  pickList(input, 'skills', filters, errors);
+  pickNumber(input, 'minHours', filters, errors, { integer: true });
+  pickNumber(input, 'maxHours', filters, errors, { integer: true });
+  pickEnum(input, 'riskAppetite', RISK_APPETITES, filters, errors);
+  pickList(input, 'rolesInterested', filters, errors, ROLE_TYPES);
+  pickEnum(input, 'remotePreference', REMOTE_PREFERENCES, filters, errors);
+  pickEnum(input, 'experienceLevel', EXPERIENCE_LEVELS, filters, errors);
+  // Both matched as case-insensitive literal text
+  pickText(input, 'location', MAX_LOCATION_LENGTH, filters, errors);
+  pickText(input, 'search', MAX_SEARCH_LENGTH, filters, errors);
+
+  if (filters.minHours !== undefined && filters.maxHours !== undefined && filters.minHours > filters.maxHours) {
+    errors.push('minHours cannot be more than maxHours');
+  }
+
+  return { filters, errors };
+};
+
+/**
+ * Whether a builder profile shows up in founder search at all
+ *
+ * @param {Object} profile - Builder profile (document or lean)
+ * @returns {boolean}
+ */
+const isDiscoverableBuilder = (profile) => Boolean(
+  profile && profile.isComplete && profile.isVisible && profile.isOpenToOpportunities
+);
+
+/**
+ * Check a single builder profile against search filters
+ *
+ * @param {Object} filters - Normalized filters
+ * @param {Object} profile - Builder profile (document or lean)
+ * @returns {boolean}
+ */
+const matchesBuilderFilters = (filters, profile) => {
+  if (!isDiscoverableBuilder(profile)) return false;
+
+  if (filters.search) {
+    const fields = [profile.displayName, profile.headline, profile.bio, ...(profile.skills || [])];
+    if (!fields.some((field) => typeof field === 'string' && containsText(field, filters.search))) return false;
+  }
+
+  if (filters.minHours !== undefined && filters.minHours !== null) {
+    if (typeof profile.hoursPerWeek !== 'number' || profile.hoursPerWeek < filters.minHours) return false;
+  }
+
+  if (filters.maxHours !== undefined && filters.maxHours !== null) {
+    if (typeof profile.hoursPerWeek !== 'number' || profile.hoursPerWeek > filters.maxHours) return false;
+  }
+
+  if (filters.skills && filters.skills.length > 0) {
+    const skills = profile.skills || [];
+    if (!filters.skills.some((skill) => skills.includes(skill))) return false;
+  }
+
+  if (filters.riskAppetite && profile.riskAppetite !== filters.riskAppetite) return false;
+
+  if (filters.rolesInterested && filters.rolesInterested.length > 0) {
+    const roles = profile.rolesInterested || [];
+    if (!filters.rolesInterested.some((role) => roles.includes(role))) return false;
+  }
+
+  if (filters.remotePreference && profile.remotePreference !== filters.remotePreference) return false;
+
+  if (filters.experienceLevel && profile.experienceLevel !== filters.experienceLevel) return false;
+
+  if (filters.location) {
+    const city = profile.location ? profile.location.city : null;
+    if (!city || !containsText(city, filters.location)) return false;
+  }
+
+  return true;
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  isEmptyFilters,
+  toLiteralPatterns,
+
+  // Openings
+  normalizeOpeningFilters,
+  matchesOpeningFilters,
+
+  // Builders
+  normalizeBuilderFilters,
+  isDiscoverableBuilder,
+  matchesBuilderFilters,
+};
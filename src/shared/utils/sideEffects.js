@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Side effects - Follow-up work that must not fail its caller
+ *
+ * Refunds, notifications, alerts and bookkeeping that run after a change
+ * has already been saved. A failure is logged and swallowed so the saved
+ * change still succeeds.
+ *
+ * @module utils/sideEffects
+ */
+
+const logger = require('./logger');
+
+/**
+ * Run a side effect, logging instead of throwing if it fails
+ *
+ * @param {string} message - Log message on failure
+ * @param {Object} context - Log context (IDs of what was changed)
+ * @param {Function} work - async () => any
+ * @returns {Promise<boolean>} Whether the side effect succeeded
+ *
+ * @example
+ * await runSideEffect('Failed to queue saved search alerts', { openingId }, () =>
+ *   savedSearchService.queueOpeningAlerts(opening)
+ * );
+ */
+const runSideEffect = async (message, context, work) => {
+  try {
+    await work();
+    return true;
+  } catch (error) {
+    logger.error(message, { ...context, error: error.message });
+    return false;
+  }
+};
+
+module.exports = {
+  runSideEffect,
+};
@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Skill graph - Similarity between skills from the skill taxonomy
+ *
+ * Turns taxonomy entries (synonyms, parent/child, weighted adjacency) into
+ * an in-memory graph, and scores how well a builder's skills cover a list
+ * of required skills:
+ * - Synonyms count as the same skill (full credit)
+ * - A child of the required skill earns most of the credit
+ * - A parent or sibling of the required skill earns some credit
+ * - Adjacent skills earn their configured weight
+ * - Per-skill years of experience scale credit against the years required
+ *
+ * Skills missing from the taxonomy fall back to case-insensitive substring
+ * matching, so matching still works before the taxonomy is seeded.
+ *
+ * @module utils/skillGraph
+ */
+
+// ============================================
+// CREDIT RULES
+// ============================================
+
+/**
+ * Builder has a more specific skill than required (asks Backend, has Node.js)
+ */
+const CHILD_CREDIT = 0.8;
+
+/**
+ * Builder has a broader skill than required (asks React, has Frontend Development)
+ */
+const PARENT_CREDIT = 0.5;
+
+/**
+ * Builder has a skill with the same parent (asks Java, has Go)
+ */
+const SIBLING_CREDIT = 0.3;
+
+/**
+ * Guard against parent cycles when walking up the tree
+ */
+const MAX_DEPTH = 10;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize a skill name for lookup
+ *
+ * @param {string} name - Skill name or synonym
+ * @returns {string} Trimmed, lowercased name
+ */
+const normalizeSkillName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Legacy matching for skills outside the taxonomy
+ *
+ * @param {string} a - Skill name
+ * @param {string} b - Skill name
+ * @returns {boolean}
+ */
+const isSubstringMatch = (a, b) => {
+  const left = normalizeSkillName(a);
+  const right = normalizeSkillName(b);
+  return Boolean(left && right) && (left.includes(right) || right.includes(left));
+};
+
+/**
+ * Look up a builder's years of experience for a skill
+ * Accepts a Mongoose Map or a plain object (lean documents)
+ *
+ * @param {Map|Object} [skillExperience] - Years per skill
+ * @param {string} skill - Skill name as listed by the builder
+ * @returns {number|null} Years, or null if not declared
+ */
+const getSkillYears = (skillExperience, skill) => {
+  if (!skillExperience) return null;
+
+  const entries = skillExperience instanceof Map
+    ? Array.from(skillExperience.entries())
+    : Object.entries(skillExperience);
+
+  const target = normalizeSkillName(skill);
+  const entry = entries.find(([name]) => normalizeSkillName(name) === target);
+
+  return entry && typeof entry[1] === 'number' ? entry[1] : null;
+};
+
+/**
+ * Scale credit by declared experience against the years required
+ * No declared years or no requirement leaves credit unchanged
+ *
+ * @param {number|null} years - Builder's years with the skill
+ * @param {number} [experienceRequired=0] - Years the opening requires
+ * @returns {number} Factor 0.5-1
+ */
+const getExperienceFactor = (years, experienceRequired = 0) => {
+  if (years === null || !experienceRequired) return 1;
+  return Math.min(1, 0.5 + 0.5 * (years / experienceRequired));
+};
+
+// ============================================
+// GRAPH
+// ============================================
+
+/**
+ * Build a skill graph from taxonomy entries
+ *
+ * @param {Object[]} [skills=[]] - Active skills (lean) with _id, name, synonyms, parent, related
+ * @returns {Object} Graph with resolve() and similarity()
+ */
+const createSkillGraph = (skills = []) => {
+  const nodesById = new Map();
+  const idsByAlias = new Map();
+
+  skills.forEach((skill) => {
+    const id = skill._id.toString();
+
+    nodesById.set(id, {
+      id,
+      name: skill.name,
+      parent: skill.parent ? skill.parent.toString() : null,
+      related: new Map(),
+    });
+
+    [skill.name, ...(skill.synonyms || [])].forEach((alias) => {
+      idsByAlias.set(normalizeSkillName(alias), id);
+    });
+  });
+
+  // Adjacency is symmetric; keep the higher weight if both sides define it
+  skills.forEach((skill) => {
+    const id = skill._id.toString();
+
+    (skill.related || []).forEach(({ skill: relatedId, weight }) => {
+      const otherId = relatedId?.toString();
+      if (!otherId || !nodesById.has(otherId)) return;
+
+      const node = nodesById.get(id);
+      const other = nodesById.get(otherId);
+      const best = Math.max(weight, node.related.get(otherId) || 0);
+
+      node.related.set(otherId, best);
+      other.related.set(id, Math.max(best, other.related.get(id) || 0));
+    });
+  });
+
+  /**
+   * Resolve a name or synonym to its taxonomy node
+   * @param {string} name - Skill name
+   * @returns {Object|null}
+   */
+  const resolve = (name) => {
+    const id = idsByAlias.get(normalizeSkillName(name));
+    return id ? nodesById.get(id) : null;
+  };
+
+  /**
+   * Whether ancestorId is above node in the parent chain
+   */
+  const isAncestor = (ancestorId, node) => {
+    let current = node;
+    for (let depth = 0; current?.parent && depth < MAX_DEPTH; depth++) {
+      if (current.parent === ancestorId) return true;
+      current = nodesById.get(current.parent);
+    }
+    return false;
+  };
+
+  /**
+   * Credit a builder skill earns towards a required skill
+   * @param {string} required - Required skill
+   * @param {string} available - Builder's skill
+   * @returns {number} 0-1
+   */
+  const similarity = (required, available) => {
+    const requiredNode = resolve(required);
+    const availableNode = resolve(available);
+
+    if (!requiredNode || !availableNode) {
+      return isSubstringMatch(required, available) ? 1 : 0;
+    }
+
+    if (requiredNode.id === availableNode.id) return 1;
+
+    let credit = requiredNode.related.get(availableNode.id) || 0;
+
+    if (isAncestor(requiredNode.id, availableNode)) {
+      credit = Math.max(credit, CHILD_CREDIT);
+    } else if (isAncestor(availableNode.id, requiredNode)) {
+      credit = Math.max(credit, PARENT_CREDIT);
+    } else if (requiredNode.parent && requiredNode.parent === availableNode.parent) {
+      credit = Math.max(credit, SIBLING_CREDIT);
+    }
+
+    return credit;
+  };
+
+  return {
+    size: nodesById.size,
+    resolve,
+    similarity,
+  };
+};
+
+/**
+ * Graph with no taxonomy - every comparison uses substring matching
+ */
+const EMPTY_SKILL_GRAPH = createSkillGraph([]);
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Score how well a builder's skills cover the required skills
+ *
+ * @param {string[]} required - Required skills
+ * @param {string[]} available - Builder's skills
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.graph] - Skill graph (defaults to substring matching)
+ * @param {Map|Object} [options.skillExperience] - Builder's years per skill
+ * @param {number} [options.experienceRequired=0] - Years the opening requires
+ * @returns {Object} { required, matched, related, missing, credit, percentage }
+ *   matched: required skills covered by the same skill or a synonym
+ *   related: [{ skill, via, credit }] required skills partly covered by a related skill
+ *   credit: summed credit (0 to required.length)
+ */
+const matchSkills = (required = [], available = [], options = {}) => {
+  const { graph = EMPTY_SKILL_GRAPH, skillExperience = null, experienceRequired = 0 } = options;
+
+  const result = {
+    required,
+    matched: [],
+    related: [],
+    missing: [],
+    credit: 0,
+    percentage: 100,
+  };
+
+  if (required.length === 0) {
+    return result;
+  }
+
+  required.forEach((skill) => {
+    let best = { via: null, similarity: 0, credit: 0 };
+
+    available.forEach((candidate) => {
+      const similarity = graph.similarity(skill, candidate);
+      if (similarity === 0) return;
+
+      const years = getSkillYears(skillExperience, candidate);
+      const credit = similarity * getExperienceFactor(years, experienceRequired);
+
+      if (credit > best.credit) {
+        best = { via: candidate, similarity, credit };
+      }
+    });
+
+    result.credit += best.credit;
+
+    if (best.similarity === 1) {
+      result.matched.push(skill);
+    } else if (best.similarity > 0) {
+      result.related.push({ skill, via: best.via, credit: Math.round(best.credit * 100) / 100 });
+    } else {
+      result.missing.push(skill);
+    }
+  });
+
+  result.percentage = Math.round((result.credit / required.length) * 100);
+
+  return result;
+};
+
+module.exports = {
+  CHILD_CREDIT,
+  PARENT_CREDIT,
+  SIBLING_CREDIT,
+  EMPTY_SKILL_GRAPH,
+  normalizeSkillName,
+  createSkillGraph,
+  matchSkills,
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Text snippets - Highlighted excerpts for search results
+ *
+ * MongoDB $text search says which documents match, not where. Results are
+ * shown with a short excerpt around the first match and the offsets of every
+ * matched word in it, so clients can highlight them without rendering HTML
+ * from the server.
+ *
+ * Matching follows the searchFilters approximation of $text stemming: a
+ * word matches a term when either is a prefix of the other ("agreed"
+ * matches "agree"). Negated terms and common English stop words, which
+ * $text ignores, are never highlighted.
+ *
+ * @module utils/textSnippet
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+/**
+ * Default excerpt length in characters
+ */
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Shortest word that can match by prefix ("eq" does not match "equity")
+ */
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Words $text ignores, left unhighlighted
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can',
+  'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if',
+  'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'so', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'you', 'your',
+]);
+
+/**
+ * A word: letters and digits, with an apostrophe suffix ("founder's")
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+// ============================================
+// TERMS
+// ============================================
+
+/**
+ * Lowercase terms of a $text search string that can be highlighted
+ * Quoted phrases are split into their words; negated terms are dropped.
+ *
+ * @param {string} search - Search string as passed to $text
+ * @returns {string[]} Unique terms
+ *
+ * @example
+ * getSearchTerms('what did we agree on "equity split" -cash')
+ * // ['agree', 'equity', 'split']
+ */
+const getSearchTerms = (search) => {
+  const tokens = (search || '').toLowerCase().match(/-?"[^"]*"|\S+/g) || [];
+
+  const terms = tokens
+    .filter((token) => !token.startsWith('-'))
+    .flatMap((token) => token.match(WORD_PATTERN) || [])
+    .filter((term) => !STOP_WORDS.has(term));
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Check if a word matches one of the terms
+ *
+ * @param {string} word - Lowercase word
+ * @param {string[]} terms - Lowercase terms
+ * @returns {boolean}
+ */
+const matchesTerm = (word, terms) => terms.some((term) => (
+  word === term
+  || (word.length >= MIN_PREFIX_LENGTH && term.length >= MIN_PREFIX_LENGTH
+    && (word.startsWith(term) || term.startsWith(word)))
+));
+
+// ============================================
+// SNIPPETS
+// ============================================
+
+/**
+ * Build an excerpt of a text around its first matching word
+ * Texts shorter than maxLength are returned whole. Cut ends are marked
+ * with an ellipsis and highlight offsets account for it.
+ *
+ * @param {string} text - Full text
+ * @param {string[]} terms - Terms from getSearchTerms
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.maxLength=160] - Excerpt length (before ellipses)
+ * @returns {Object} { text, highlights: [{ start, end }] }
+ */
+const buildSnippet = (text, terms, options = {}) => {
+  const { maxLength = SNIPPET_LENGTH } = options;
+  const source = text || '';
+
+  const matches = [...source.matchAll(WORD_PATTERN)]
+    .filter((match) => matchesTerm(match[0].toLowerCase(), terms))
+    .map((match) => ({ start: match.index, end: match.index + match[0].length }));
+
+  let start = 0;
+  let end = source.length;
+
+  if (source.length > maxLength) {
+    const first = matches.length > 0 ? matches[0].start : 0;
+
+    // Put the first match about a third of the way in
+    start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), source.length - maxLength));
+    end = start + maxLength;
+
+    // Don't cut words in half
+    if (start > 0) {
+      const space = source.indexOf(' ', start);
+      if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({
+        start: match.start - start + prefix.length,
+        end: match.end - start + prefix.length,
+      })),
+  };
+};
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  SNIPPET_LENGTH,
+  getSearchTerms,
+  buildSnippet,
+};
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Timezone utilities - Working-hours overlap and local daily windows
+ *
+ * Profiles record an IANA timezone ("Asia/Kolkata") and typical working
+ * hours in local time ("09:00"-"18:00"). Offsets are resolved for a given
+ * date, so daylight saving time is taken into account.
+ *
+ * @module utils/timezone
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Local time of day, 24-hour "HH:mm"
+ */
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check if a string is a valid IANA timezone
+ *
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ *
+ * @example
+ * isValidTimezone('Europe/Berlin') // true
+ * isValidTimezone('Mars/Olympus') // false
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check if a string is a valid "HH:mm" time of day
+ *
+ * @param {string} time - Time of day
+ * @returns {boolean}
+ */
+const isValidTimeOfDay = (time) => TIME_OF_DAY_REGEX.test(time || '');
+
+// ============================================
+// CONVERSION
+// ============================================
+
+/**
+ * Parse "HH:mm" into minutes after midnight
+ *
+ * @param {string} time - Time of day
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get a timezone's offset from UTC in minutes on a given date
+ *
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [date=new Date()] - Date the offset applies to (DST)
+ * @returns {number} Minutes ahead of UTC (e.g. 330 for Asia/Kolkata)
+ */
+const getUtcOffsetMinutes = (timezone, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+  const utcMinute = Math.floor(date.getTime() / 60000) * 60000;
+
+  return Math.round((localAsUtc - utcMinute) / 60000);
+};
+
+/**
+ * Resolve a person's working hours to a UTC window
+ *
+ * @param {Object} schedule - { timezone, workingHours: { start, end } }
+ * @param {Date} [date=new Date()] - Date the offset applies to
+ * @returns {Object|null} { start, end } in UTC minutes (end may pass midnight), or null if unknown
+ */
+const getWorkingWindow = (schedule, date = new Date()) => {
+  const { timezone, workingHours } = schedule || {};
+
+  if (!isValidTimezone(timezone) || !isValidTimeOfDay(workingHours?.start) || !isValidTimeOfDay(workingHours?.end)) {
+    return null;
+  }
+
+  const offset = getUtcOffsetMinutes(timezone, date);
+  const localStart = toMinutes(workingHours.start);
+  let localEnd = toMinutes(workingHours.end);
+
+  // Night shifts end the next day
+  if (localEnd <= localStart) {
+    localEnd += MINUTES_PER_DAY;
+  }
+
+  const start = (((localStart - offset) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  return { start, end: start + (localEnd - localStart) };
+};
+
+// ============================================
+// OVERLAP
+// ============================================
+
+/**
+ * Hours both people are working at the same time on a typical day
+ *
+ * @param {Object} a - { timezone, workingHours: { start, end } }
+ * @param {Object} b - { timezone, workingHours: { start, end } }
+ * @param {Date} [date=new Date()] - Date the offsets apply to
+ * @returns {number|null} Overlap in hours (one decimal), or null if either schedule is unknown
+ *
+ * @example
+ * calculateOverlapHours(
+ *   { timezone: 'Asia/Kolkata', workingHours: { start: '10:00', end: '19:00' } },
+ *   { timezone: 'Europe/Berlin', workingHours: { start: '09:00', end: '18:00' } }
+ * ) // 5.5 in winter, 6.5 in summer
+ */
+const calculateOverlapHours = (a, b, date = new Date()) => {
+  const windowA = getWorkingWindow(a, date);
+  const windowB = getWorkingWindow(b, date);
+
+  if (!windowA || !windowB) {
+    return null;
+  }
+
+  // Windows live on a 24h cycle; compare against yesterday/today/tomorrow
+  const overlapMinutes = [-MINUTES_PER_DAY, 0, MINUTES_PER_DAY].reduce((total, shift) => {
+    const start = Math.max(windowA.start, windowB.start + shift);
+    const end = Math.min(windowA.end, windowB.end + shift);
+    return total + Math.max(0, end - start);
+  }, 0);
+
+  return Math.round((Math.min(overlapMinutes, MINUTES_PER_DAY) / 60) * 10) / 10;
+};
+
+// ============================================
+// DAILY WINDOWS
+// ============================================
+
+/**
+ * The day-long window, starting at a local hour, that contains a point in time
+ *
+ * @param {string} timezone - IANA timezone
+ * @param {number} hour - Local hour the window starts at (0-23)
+ * @param {Date} [now=new Date()] - Point in time
+ * @returns {Object} { start, end } as Dates
+ *
+ * @example
+ * // 06:00 in Kolkata, windows start at 08:00 local
+ * getDailyWindow('Asia/Kolkata', 8, new Date('2024-03-10T00:30:00Z'))
+ * // { start: 2024-03-09T02:30:00Z, end: 2024-03-10T02:30:00Z }
+ */
+const getDailyWindow = (timezone, hour, now = new Date()) => {
+  const offset = getUtcOffsetMinutes(timezone, now);
+  const local = new Date(now.getTime() + offset * 60000);
+
+  let startLocal = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), hour);
+  if (startLocal > local.getTime()) {
+    startLocal -= MINUTES_PER_DAY * 60000;
+  }
+
+  // Resolve each boundary with its own offset so DST changes land on the local hour
+  const toUtc = (localMs) => new Date(localMs - getUtcOffsetMinutes(timezone, new Date(localMs - offset * 60000)) * 60000);
+
+  return {
+    start: toUtc(startLocal),
+    end: toUtc(startLocal + MINUTES_PER_DAY * 60000),
+  };
+};
+
+module.exports = {
+  TIME_OF_DAY_REGEX,
+  isValidTimezone,
+  isValidTimeOfDay,
+  getUtcOffsetMinutes,
+  getWorkingWindow,
+  calculateOverlapHours,
+  getDailyWindow,
+};
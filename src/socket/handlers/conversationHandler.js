@@ -5,6 +5,10 @@
  * - Joining/leaving conversation rooms
  * - Typing indicators
  * - Message read receipts
+ * - Catching up on messages missed while offline
+ *
+ * Delivery receipts need no handler: clients acknowledge new_message and
+ * socketService records the delivery.
  *
  * @module socket/handlers/conversationHandler
  */
@@ -12,6 +16,8 @@
 const { SOCKET_EVENTS } = require('../../shared/constants/enums');
 const { Conversation } = require('../../modules/models');
 const socketService = require('../socketService');
+const conversationService = require('../../modules/conversation/services/conversation.service');
+const logger = require('../../shared/utils/logger');
 
 /**
  * Register conversation handlers for a socket
@@ -134,20 +140,51 @@ const registerConversationHandlers = (socket, io) => {
 
   /**
    * Handle mark messages as read
-   * This is a real-time notification to the other user
-   * The actual marking is done via HTTP API
+   * Marks the given messages (or all unread ones, or those up to
+   * upToMessageId) as read; the service sends the read receipt
    */
-  socket.on(SOCKET_EVENTS.MARK_READ, (data) => {
+  socket.on(SOCKET_EVENTS.MARK_READ, async (data) => {
     try {
-      const { conversationId, messageIds } = data;
+      const { conversationId, messageIds, upToMessageId } = data || {};
       const userId = socket.userId;
 
       if (!conversationId) return;
 
-      // Emit read receipt to other participants
-      socketService.emitMessagesRead(conversationId, userId, messageIds || []);
+      await conversationService.markMessagesAsRead(conversationId, userId, {
+        messageIds,
+        upToMessageId,
+      });
     } catch (error) {
-      console.error('Error handling mark read:', error);
+      logger.error('Failed to mark messages as read', {
+        userId: socket.userId,
+        conversationId: data?.conversationId,
+        error: error.message,
+      });
+      socket.emit(SOCKET_EVENTS.ERROR, {
+        message: error.isOperational ? error.message : 'Failed to mark messages as read',
+      });
+    }
+  });
+
+  /**
+   * Catch up after reconnecting
+   * Sends back the messages sent after the client's last-seen message
+   */
+  socket.on(SOCKET_EVENTS.SYNC_MESSAGES, async (data) => {
+    try {
+      const { cursor, limit } = data || {};
+
+      const result = await conversationService.getMissedMessages(socket.userId, { cursor, limit });
+
+      socket.emit(SOCKET_EVENTS.MESSAGES_SYNCED, result);
+    } catch (error) {
+      logger.error('Failed to sync missed messages', {
+        userId: socket.userId,
+        error: error.message,
+      });
+      socket.emit(SOCKET_EVENTS.ERROR, {
+        message: error.isOperational ? error.message : 'Failed to sync messages',
+      });
     }
   });
 };
@@ -9,6 +9,11 @@
 
 const { SOCKET_EVENTS } = require('../shared/constants/enums');
 
+/**
+ * How long a recipient's devices have to acknowledge a new message
+ */
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
+
 // ============================================
 // SOCKET SERVICE SINGLETON
 // ============================================
@@ -177,12 +182,15 @@ class SocketService {
   // ============================================
 
   /**
-   * Emit new message event
+   * Emit new message event to each recipient's devices, whether or not they
+   * have the conversation open. Clients acknowledge the event; the first
+   * acknowledgement from any of a recipient's devices counts as delivery.
    * @param {string} conversationId - Conversation ID
    * @param {Object} message - Message data
-   * @param {string} senderId - Sender user ID (to exclude from receiving)
+   * @param {string[]} recipientIds - Recipient user IDs (everyone but the sender)
+   * @param {Function} [onDelivered] - Called with a recipient's ID once one of their devices acknowledges
    */
-  emitNewMessage(conversationId, message, senderId) {
+  emitNewMessage(conversationId, message, recipientIds, onDelivered) {
     if (!this.io) return;
 
     const eventData = {
@@ -193,15 +201,40 @@ class SocketService {
         messageType: message.messageType,
         attachmentUrl: message.attachmentUrl,
         sender: message.sender,
+        replyTo: message.replyTo || null,
+        status: message.status,
         createdAt: message.createdAt,
       },
     };
 
-    // Emit to conversation room (excluding sender)
-    this.io
-      .to(`conversation:${conversationId}`)
-      .except(`user:${senderId}`)
-      .emit(SOCKET_EVENTS.NEW_MESSAGE, eventData);
+    recipientIds.forEach((recipientId) => {
+      this.io
+        .to(`user:${recipientId}`)
+        .timeout(DELIVERY_ACK_TIMEOUT_MS)
+        .emit(SOCKET_EVENTS.NEW_MESSAGE, eventData, (err, responses) => {
+          // On timeout, responses still holds the devices that did acknowledge
+          if (onDelivered && responses && responses.length > 0) {
+            onDelivered(recipientId);
+          }
+        });
+    });
+  }
+
+  /**
+   * Emit delivery receipt to the sender of the messages
+   * @param {string} senderId - Sender user ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} deliveredToUserId - Recipient whose device received the messages
+   * @param {string[]} messageIds - Delivered message IDs
+   * @param {Date} deliveredAt - Delivery time
+   */
+  emitMessagesDelivered(senderId, conversationId, deliveredToUserId, messageIds, deliveredAt) {
+    this.emitToUser(senderId, SOCKET_EVENTS.MESSAGES_DELIVERED, {
+      conversationId,
+      deliveredToUserId,
+      messageIds,
+      deliveredAt,
+    });
   }
 
   /**
@@ -217,11 +250,53 @@ class SocketService {
         _id: message._id,
         content: message.content,
         messageType: message.messageType,
+        replyTo: message.replyTo || null,
+        status: message.status,
         createdAt: message.createdAt,
       },
     });
   }
 
+  /**
+   * Emit reaction added/removed to the whole conversation room
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} data - Reaction data
+   * @param {string} data.messageId - Message ID
+   * @param {string} data.userId - User who reacted
+   * @param {string} data.emoji - Emoji
+   * @param {boolean} data.added - Added (true) or removed (false)
+   * @param {Object[]} data.reactions - Message reactions grouped by emoji
+   */
+  emitMessageReaction(conversationId, data) {
+    this.emitToConversation(conversationId, SOCKET_EVENTS.MESSAGE_REACTION, {
+      conversationId,
+      messageId: data.messageId,
+      userId: data.userId,
+      emoji: data.emoji,
+      added: data.added,
+      reactions: data.reactions,
+    });
+  }
+
+  /**
+   * Emit message edited event to the whole conversation room
+   * (the sender's other devices update too)
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} message - Edited message
+   */
+  emitMessageEdited(conversationId, message) {
+    this.emitToConversation(conversationId, SOCKET_EVENTS.MESSAGE_EDITED, {
+      conversationId,
+      message: {
+        _id: message._id,
+        content: message.content,
+        isEdited: message.isEdited,
+        editedAt: message.editedAt,
+        editCount: message.editHistory.length,
+      },
+    });
+  }
+
   /**
    * Emit typing indicator
    * @param {string} conversationId - Conversation ID
@@ -244,22 +319,25 @@ class SocketService {
   }
 
   /**
-   * Emit messages read event
+   * Emit messages read event to the conversation room and to the senders
+   * of the messages (even if they do not have the conversation open)
    * @param {string} conversationId - Conversation ID
    * @param {string} readByUserId - User who read the messages
    * @param {string[]} messageIds - Array of message IDs that were read
+   * @param {string[]} [senderIds=[]] - Senders of the read messages
+   * @param {Date} [readAt=now] - Read time
    */
-  emitMessagesRead(conversationId, readByUserId, messageIds) {
+  emitMessagesRead(conversationId, readByUserId, messageIds, senderIds = [], readAt = new Date()) {
     if (!this.io) return;
 
     this.io
-      .to(`conversation:${conversationId}`)
+      .to([`conversation:${conversationId}`, ...senderIds.map((id) => `user:${id}`)])
       .except(`user:${readByUserId}`)
       .emit(SOCKET_EVENTS.MESSAGES_READ, {
         conversationId,
         readByUserId,
         messageIds,
-        readAt: new Date(),
+        readAt,
       });
   }
 
@@ -0,0 +1,172 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeScreeningAnswers,
+  isScoredQuestion,
+  scoreAnswer,
+  scoreScreening,
+  toApplicantQuestions,
+} = require('../../src/shared/utils/screening');
+
+const question = (id, type, extra = {}) => ({ _id: id, prompt: `Question ${id}`, type, ...extra });
+
+describe('normalizeScreeningAnswers', () => {
+  const questions = [
+    question('q1', 'MULTIPLE_CHOICE', { options: ['Yes, full-time', 'Part-time'], required: true }),
+    question('q2', 'NUMBER', { unit: 'years' }),
+    question('q3', 'YES_NO'),
+    question('q4', 'URL'),
+    question('q5', 'TEXT'),
+  ];
+
+  it('coerces answers to their question type, in question order', () => {
+    const { answers, errors } = normalizeScreeningAnswers(questions, [
+      { questionId: 'q5', value: '  Built two startups  ' },
+      { questionId: 'q3', value: 'yes' },
+      { questionId: 'q2', value: '4' },
+      { questionId: 'q1', value: 'Part-time' },
+      { questionId: 'q4', value: 'https://github.com/me' },
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(answers.map((answer) => [answer.questionId, answer.value, answer.answer]), [
+      ['q1', 'Part-time', 'Part-time'],
+      ['q2', 4, '4 years'],
+      ['q3', true, 'Yes'],
+      ['q4', 'https://github.com/me', 'https://github.com/me'],
+      ['q5', 'Built two startups', 'Built two startups'],
+    ]);
+  });
+
+  it('reports invalid, unknown, duplicate and missing required answers', () => {
+    const { errors } = normalizeScreeningAnswers(questions, [
+      { questionId: 'q2', value: 'four' },
+      { questionId: 'q3', value: 'maybe' },
+      { questionId: 'q4', value: 'ftp://example.com' },
+      { questionId: 'q4', value: 'https://example.com' },
+      { questionId: 'nope', value: 'x' },
+    ]);
+
+    assert.deepEqual(errors, [
+      { questionId: 'q4', message: 'Question answered more than once' },
+      { questionId: 'nope', message: 'Unknown screening question' },
+      { questionId: 'q1', message: 'Answer required: Question q1' },
+      { questionId: 'q2', message: 'Answer must be a number' },
+      { questionId: 'q3', message: 'Answer must be yes or no' },
+      { questionId: 'q4', message: 'Answer must be a valid http(s) link' },
+    ]);
+  });
+
+  it('rejects options that are not listed', () => {
+    const { errors } = normalizeScreeningAnswers(questions, [{ questionId: 'q1', value: 'Weekends' }]);
+
+    assert.deepEqual(errors, [{ questionId: 'q1', message: 'Answer must be one of the listed options' }]);
+  });
+
+  it('rejects answers that are not an array', () => {
+    const { answers, errors } = normalizeScreeningAnswers(questions, 'yes');
+
+    assert.deepEqual(answers, []);
+    assert.equal(errors.length, 1);
+  });
+});
+
+describe('isScoredQuestion', () => {
+  it('only scores questions whose rules describe an ideal answer', () => {
+    assert.equal(isScoredQuestion(question('a', 'MULTIPLE_CHOICE', { rules: { preferredOptions: ['A'] } })), true);
+    assert.equal(isScoredQuestion(question('b', 'MULTIPLE_CHOICE', { rules: { preferredOptions: [] } })), false);
+    assert.equal(isScoredQuestion(question('c', 'NUMBER', { rules: { min: 0 } })), true);
+    assert.equal(isScoredQuestion(question('d', 'NUMBER')), false);
+    assert.equal(isScoredQuestion(question('e', 'YES_NO', { rules: { expectedAnswer: false } })), true);
+    assert.equal(isScoredQuestion(question('f', 'URL')), true);
+    assert.equal(isScoredQuestion(question('g', 'TEXT', { rules: { weight: 5 } })), false);
+  });
+});
+
+describe('scoreAnswer', () => {
+  it('gives partial credit to numbers below the minimum', () => {
+    const years = question('q', 'NUMBER', { rules: { min: 4 } });
+
+    assert.deepEqual(scoreAnswer(years, 6), { score: 100, passed: true });
+    assert.deepEqual(scoreAnswer(years, 3), { score: 75, passed: false });
+    assert.deepEqual(scoreAnswer(years, -1), { score: 0, passed: false });
+  });
+
+  it('gives partial credit to numbers above the maximum', () => {
+    const salary = question('q', 'NUMBER', { rules: { min: 10, max: 50 } });
+
+    assert.deepEqual(scoreAnswer(salary, 30), { score: 100, passed: true });
+    assert.deepEqual(scoreAnswer(salary, 100), { score: 50, passed: false });
+  });
+
+  it('scores choices, yes/no and links as pass or fail', () => {
+    assert.deepEqual(scoreAnswer(question('q', 'MULTIPLE_CHOICE', { rules: { preferredOptions: ['A', 'B'] } }), 'B'), { score: 100, passed: true });
+    assert.deepEqual(scoreAnswer(question('q', 'MULTIPLE_CHOICE', { rules: { preferredOptions: ['A'] } }), 'C'), { score: 0, passed: false });
+    assert.deepEqual(scoreAnswer(question('q', 'YES_NO', { rules: { expectedAnswer: false } }), false), { score: 100, passed: true });
+    assert.deepEqual(scoreAnswer(question('q', 'URL'), 'not a link'), { score: 0, passed: false });
+  });
+
+  it('fails unanswered questions', () => {
+    assert.deepEqual(scoreAnswer(question('q', 'YES_NO', { rules: { expectedAnswer: true } }), undefined), { score: 0, passed: false });
+  });
+});
+
+describe('scoreScreening', () => {
+  const questions = [
+    question('q1', 'YES_NO', { rules: { expectedAnswer: true, weight: 3, knockout: true } }),
+    question('q2', 'NUMBER', { rules: { min: 4, weight: 1 } }),
+    question('q3', 'TEXT', { rules: { weight: 5 } }),
+  ];
+
+  it('returns the weighted average of scored questions', () => {
+    const result = scoreScreening(questions, [
+      { questionId: 'q1', value: true },
+      { questionId: 'q2', value: 2 },
+      { questionId: 'q3', value: 'Free text is never scored' },
+    ]);
+
+    // (100 * 3 + 50 * 1) / 4
+    assert.equal(result.score, 88);
+    assert.equal(result.knockedOut, false);
+    assert.deepEqual(result.knockoutReasons, []);
+    assert.deepEqual([...result.results.keys()], ['q1', 'q2']);
+  });
+
+  it('knocks out applicants who fail or skip a knockout question', () => {
+    const failed = scoreScreening(questions, [
+      { questionId: 'q1', value: false },
+      { questionId: 'q2', value: 8 },
+    ]);
+    const skipped = scoreScreening(questions, [{ questionId: 'q2', value: 8 }]);
+
+    assert.equal(failed.knockedOut, true);
+    assert.deepEqual(failed.knockoutReasons, ['Question q1']);
+    assert.equal(failed.score, 25);
+    assert.equal(skipped.knockedOut, true);
+  });
+
+  it('returns no score when nothing is scored', () => {
+    const result = scoreScreening([question('q', 'TEXT')], [{ questionId: 'q', value: 'hi' }]);
+
+    assert.equal(result.score, null);
+    assert.equal(result.knockedOut, false);
+  });
+});
+
+describe('toApplicantQuestions', () => {
+  it('strips founder-only rules', () => {
+    const [shown] = toApplicantQuestions([
+      question('q', 'MULTIPLE_CHOICE', { options: ['A', 'B'], required: true, rules: { preferredOptions: ['A'], knockout: true } }),
+    ]);
+
+    assert.deepEqual(shown, {
+      id: 'q',
+      prompt: 'Question q',
+      type: 'MULTIPLE_CHOICE',
+      required: true,
+      options: ['A', 'B'],
+      unit: undefined,
+    });
+  });
+});
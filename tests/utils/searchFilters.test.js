@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isEmptyFilters,
+  toLiteralPatterns,
+  normalizeOpeningFilters,
+  matchesOpeningFilters,
+  normalizeBuilderFilters,
+  isDiscoverableBuilder,
+  matchesBuilderFilters,
+} = require('../../src/shared/utils/searchFilters');
+
+const opening = (overrides = {}) => ({
+  status: 'ACTIVE',
+  title: 'Technical Co-Founder',
+  description: 'Design and build our payments platform',
+  roleType: 'COFOUNDER',
+  skillsRequired: ['Node.js', 'React'],
+  equityRange: { min: 5, max: 15 },
+  cashRange: { min: 0, max: 50000 },
+  remotePreference: 'REMOTE',
+  location: { city: 'Bengaluru' },
+  ...overrides,
+});
+
+const builder = (overrides = {}) => ({
+  isComplete: true,
+  isVisible: true,
+  isOpenToOpportunities: true,
+  displayName: 'Asha',
+  headline: 'Backend engineer',
+  bio: 'Ten years building payment systems',
+  skills: ['Node.js', 'Go'],
+  hoursPerWeek: 30,
+  riskAppetite: 'HIGH',
+  rolesInterested: ['COFOUNDER'],
+  remotePreference: 'REMOTE',
+  location: { city: 'Pune' },
+  ...overrides,
+});
+
+describe('normalizeOpeningFilters', () => {
+  it('keeps set filters and drops empty ones', () => {
+    const { filters, errors } = normalizeOpeningFilters({
+      roleType: 'COFOUNDER',
+      skills: [' React ', 'React', ''],
+      minEquity: '5',
+      maxCash: '',
+      location: '  Bengaluru ',
+      search: '   ',
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(filters, { roleType: 'COFOUNDER', minEquity: 5, skills: ['React'], location: 'Bengaluru' });
+  });
+
+  it('reports bad enum values, numbers and overlong text', () => {
+    const { errors } = normalizeOpeningFilters({
+      roleType: 'CEO',
+      minEquity: -1,
+      location: 'x'.repeat(101),
+    });
+
+    assert.equal(errors.length, 3);
+  });
+});
+
+describe('matchesOpeningFilters', () => {
+  it('matches when every set filter matches', () => {
+    const filters = {
+      roleType: 'COFOUNDER',
+      skills: ['Go', 'React'],
+      minEquity: 10,
+      maxCash: 0,
+      remotePreference: 'REMOTE',
+      location: 'bengal',
+    };
+
+    assert.equal(matchesOpeningFilters(filters, opening()), true);
+  });
+
+  it('rejects inactive openings and any filter that does not match', () => {
+    assert.equal(matchesOpeningFilters({}, opening({ status: 'PAUSED' })), false);
+    assert.equal(matchesOpeningFilters({ roleType: 'EMPLOYEE' }, opening()), false);
+    assert.equal(matchesOpeningFilters({ skills: ['Rust'] }, opening()), false);
+    assert.equal(matchesOpeningFilters({ minEquity: 20 }, opening()), false);
+    assert.equal(matchesOpeningFilters({ maxCash: 0 }, opening({ cashRange: { min: 1000 } })), false);
+    assert.equal(matchesOpeningFilters({ location: 'Pune' }, opening()), false);
+  });
+
+  it('needs the founder profile for the startup stage', () => {
+    assert.equal(matchesOpeningFilters({ startupStage: 'MVP_LIVE' }, opening()), false);
+    assert.equal(matchesOpeningFilters({ startupStage: 'MVP_LIVE' }, opening(), { startupStage: 'MVP_LIVE' }), true);
+  });
+
+  it('matches saved locations as literal text, not patterns', () => {
+    assert.equal(matchesOpeningFilters({ location: 'B.ngaluru' }, opening()), false);
+    assert.equal(matchesOpeningFilters({ location: '(a+)+$' }, opening({ location: { city: `${'a'.repeat(40)}!` } })), false);
+  });
+
+  it('approximates $text search by word prefix with negated terms', () => {
+    assert.equal(matchesOpeningFilters({ search: 'designer' }, opening()), true);
+    assert.equal(matchesOpeningFilters({ search: 'payment' }, opening()), true);
+    assert.equal(matchesOpeningFilters({ search: 'marketing' }, opening()), false);
+    assert.equal(matchesOpeningFilters({ search: 'payments -react' }, opening()), false);
+  });
+});
+
+describe('normalizeBuilderFilters', () => {
+  it('validates hour ranges and role lists', () => {
+    assert.deepEqual(normalizeBuilderFilters({ minHours: 40, maxHours: 10 }).errors, ['minHours cannot be more than maxHours']);
+    assert.equal(normalizeBuilderFilters({ minHours: 2.5 }).errors.length, 1);
+    assert.equal(normalizeBuilderFilters({ rolesInterested: ['COFOUNDER', 'CEO'] }).errors.length, 1);
+    assert.deepEqual(normalizeBuilderFilters({ rolesInterested: 'INTERN' }).filters, { rolesInterested: ['INTERN'] });
+  });
+});
+
+describe('isDiscoverableBuilder', () => {
+  it('requires a complete, visible profile open to opportunities', () => {
+    assert.equal(isDiscoverableBuilder(builder()), true);
+    assert.equal(isDiscoverableBuilder(builder({ isVisible: false })), false);
+    assert.equal(isDiscoverableBuilder(builder({ isOpenToOpportunities: false })), false);
+    assert.equal(isDiscoverableBuilder(null), false);
+  });
+});
+
+describe('matchesBuilderFilters', () => {
+  it('matches when every set filter matches', () => {
+    const filters = {
+      skills: ['Go'],
+      minHours: 20,
+      maxHours: 40,
+      riskAppetite: 'HIGH',
+      rolesInterested: ['COFOUNDER', 'EMPLOYEE'],
+      remotePreference: 'REMOTE',
+      location: 'pune',
+      search: 'PAYMENT',
+    };
+
+    assert.equal(matchesBuilderFilters(filters, builder()), true);
+  });
+
+  it('rejects builders outside the filters or not discoverable', () => {
+    assert.equal(matchesBuilderFilters({}, builder({ isComplete: false })), false);
+    assert.equal(matchesBuilderFilters({ minHours: 40 }, builder()), false);
+    assert.equal(matchesBuilderFilters({ maxHours: 10 }, builder()), false);
+    assert.equal(matchesBuilderFilters({ minHours: 10 }, builder({ hoursPerWeek: undefined })), false);
+    assert.equal(matchesBuilderFilters({ rolesInterested: ['INTERN'] }, builder()), false);
+    assert.equal(matchesBuilderFilters({ search: 'designer' }, builder()), false);
+  });
+
+  it('matches free text literally, so patterns cannot backtrack', () => {
+    const started = Date.now();
+
+    assert.equal(matchesBuilderFilters({ search: '(a+)+$' }, builder({ bio: `${'a'.repeat(40)}!` })), false);
+    assert.equal(matchesBuilderFilters({ search: 'c++' }, builder({ skills: ['C++'] })), true);
+    assert.ok(Date.now() - started < 100);
+  });
+});
+
+describe('toLiteralPatterns', () => {
+  it('escapes only the named text filters', () => {
+    const filters = { location: 'St. Louis (MO)', search: 'c++', skills: ['C++'] };
+
+    assert.deepEqual(toLiteralPatterns(filters, ['location']), {
+      location: 'St\\. Louis \\(MO\\)',
+      search: 'c++',
+      skills: ['C++'],
+    });
+    assert.equal(new RegExp(toLiteralPatterns(filters, ['search']).search, 'i').test('I write C++'), true);
+  });
+});
+
+describe('isEmptyFilters', () => {
+  it('is true only without any filter', () => {
+    assert.equal(isEmptyFilters({}), true);
+    assert.equal(isEmptyFilters({ roleType: 'COFOUNDER' }), false);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CHILD_CREDIT,
+  PARENT_CREDIT,
+  SIBLING_CREDIT,
+  EMPTY_SKILL_GRAPH,
+  createSkillGraph,
+  matchSkills,
+} = require('../../src/shared/utils/skillGraph');
+
+// Taxonomy entries as loaded from the Skill collection (lean)
+const skills = [
+  { _id: 'backend', name: 'Backend Development', synonyms: ['Backend'] },
+  { _id: 'node', name: 'Node.js', synonyms: ['NodeJS'], parent: 'backend', related: [{ skill: 'js', weight: 0.7 }] },
+  { _id: 'go', name: 'Go', synonyms: ['Golang'], parent: 'backend' },
+  { _id: 'js', name: 'JavaScript', synonyms: ['JS'] },
+  { _id: 'ai', name: 'Artificial Intelligence', synonyms: ['AI'] },
+  { _id: 'ml', name: 'Machine Learning', synonyms: ['ML'], parent: 'ai' },
+];
+
+const graph = createSkillGraph(skills);
+
+describe('createSkillGraph', () => {
+  it('resolves names and synonyms case-insensitively', () => {
+    assert.equal(graph.size, 6);
+    assert.equal(graph.resolve(' golang ').name, 'Go');
+    assert.equal(graph.resolve('Rust'), null);
+  });
+
+  it('gives full credit to the same skill or a synonym', () => {
+    assert.equal(graph.similarity('Node.js', 'nodejs'), 1);
+    assert.equal(graph.similarity('Backend', 'Backend Development'), 1);
+  });
+
+  it('gives partial credit along parent, child and sibling edges', () => {
+    assert.equal(graph.similarity('Backend Development', 'Node.js'), CHILD_CREDIT);
+    assert.equal(graph.similarity('Node.js', 'Backend Development'), PARENT_CREDIT);
+    assert.equal(graph.similarity('Go', 'Node.js'), SIBLING_CREDIT);
+    assert.ok(graph.similarity('Machine Learning', 'AI') < 1);
+  });
+
+  it('makes adjacency symmetric', () => {
+    assert.equal(graph.similarity('Node.js', 'JS'), 0.7);
+    assert.equal(graph.similarity('JavaScript', 'Node.js'), 0.7);
+  });
+
+  it('falls back to substring matching outside the taxonomy', () => {
+    assert.equal(graph.similarity('Rust', 'rust lang'), 1);
+    assert.equal(graph.similarity('Rust', 'Go'), 0);
+    assert.equal(EMPTY_SKILL_GRAPH.similarity('React', 'React Native'), 1);
+  });
+
+  it('survives parent cycles', () => {
+    const cyclic = createSkillGraph([
+      { _id: 'a', name: 'A', parent: 'b' },
+      { _id: 'b', name: 'B', parent: 'a' },
+      { _id: 'c', name: 'C' },
+    ]);
+
+    assert.equal(cyclic.similarity('C', 'A'), 0);
+  });
+});
+
+describe('matchSkills', () => {
+  it('splits required skills into matched, related and missing', () => {
+    const result = matchSkills(['Node.js', 'Backend Development', 'Rust'], ['NodeJS', 'Go'], { graph });
+
+    assert.deepEqual(result.matched, ['Node.js']);
+    assert.deepEqual(result.related, [{ skill: 'Backend Development', via: 'NodeJS', credit: CHILD_CREDIT }]);
+    assert.deepEqual(result.missing, ['Rust']);
+    assert.equal(result.percentage, Math.round(((1 + CHILD_CREDIT) / 3) * 100));
+  });
+
+  it('scales credit by years of experience against the years required', () => {
+    const result = matchSkills(['Go'], ['Go'], {
+      graph,
+      skillExperience: new Map([['go', 1]]),
+      experienceRequired: 4,
+    });
+
+    // 0.5 + 0.5 * (1 / 4)
+    assert.equal(result.credit, 0.625);
+    assert.deepEqual(result.matched, ['Go']);
+  });
+
+  it('leaves credit alone without declared years', () => {
+    const result = matchSkills(['Go'], ['Go'], { graph, skillExperience: { Node: 2 }, experienceRequired: 4 });
+
+    assert.equal(result.percentage, 100);
+  });
+
+  it('scores 100% when nothing is required', () => {
+    assert.equal(matchSkills([], ['Go'], { graph }).percentage, 100);
+  });
+});
+
+describe('built-in taxonomy', () => {
+  const { SKILL_TAXONOMY, ALL_SKILLS } = require('../../src/shared/constants/enums');
+
+  // Shaped like the documents ensureDefaultTaxonomy seeds
+  const builtIn = createSkillGraph(ALL_SKILLS.map((name) => {
+    const entry = SKILL_TAXONOMY[name] || {};
+    return {
+      _id: name,
+      name,
+      synonyms: entry.synonyms || [],
+      parent: entry.parent || null,
+      related: Object.entries(entry.related || {}).map(([skill, weight]) => ({ skill, weight })),
+    };
+  }));
+
+  it('only references skills that are seeded', () => {
+    Object.entries(SKILL_TAXONOMY).forEach(([name, entry]) => {
+      assert.ok(ALL_SKILLS.includes(name), name);
+      if (entry.parent) assert.ok(ALL_SKILLS.includes(entry.parent), entry.parent);
+      Object.keys(entry.related || {}).forEach((related) => assert.ok(ALL_SKILLS.includes(related), related));
+    });
+  });
+
+  it('does not treat languages or subfields as the same skill', () => {
+    assert.equal(builtIn.similarity('Mobile Development (iOS)', 'Swift'), CHILD_CREDIT);
+    assert.equal(builtIn.similarity('Mobile Development (Android)', 'Kotlin'), CHILD_CREDIT);
+    assert.equal(builtIn.similarity('Machine Learning', 'AI'), PARENT_CREDIT);
+    assert.equal(builtIn.similarity('iOS Development', 'Mobile Development (iOS)'), 1);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getSearchTerms, buildSnippet } = require('../../src/shared/utils/textSnippet');
+
+const highlighted = ({ text, highlights }) => highlights.map(({ start, end }) => text.slice(start, end));
+
+describe('getSearchTerms', () => {
+  it('splits phrases, drops negated terms and stop words', () => {
+    assert.deepEqual(getSearchTerms('what did we agree on "equity split" -cash'), ['agree', 'equity', 'split']);
+  });
+
+  it('drops negated phrases and repeated terms', () => {
+    assert.deepEqual(getSearchTerms('Equity -"cash offer" equity'), ['equity']);
+  });
+
+  it('handles an empty search', () => {
+    assert.deepEqual(getSearchTerms(''), []);
+    assert.deepEqual(getSearchTerms(undefined), []);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('returns short texts whole with every match highlighted', () => {
+    const snippet = buildSnippet('We agreed on the equity split. Equity vests over 4 years.', ['agree', 'equity']);
+
+    assert.equal(snippet.text, 'We agreed on the equity split. Equity vests over 4 years.');
+    assert.deepEqual(highlighted(snippet), ['agreed', 'equity', 'Equity']);
+  });
+
+  it('matches by prefix only for words of three letters or more', () => {
+    const snippet = buildSnippet('Go is great, going well, equality', ['go', 'equ']);
+
+    assert.deepEqual(highlighted(snippet), ['Go', 'equality']);
+  });
+
+  it('cuts long texts around the first match on word boundaries', () => {
+    const text = `${'lorem ipsum '.repeat(20)}the equity split is settled ${'dolor sit '.repeat(20)}`;
+    const snippet = buildSnippet(text, ['equity'], { maxLength: 60 });
+
+    assert.ok(snippet.text.startsWith('…'));
+    assert.ok(snippet.text.endsWith('…'));
+    assert.ok(snippet.text.length <= 62);
+    const words = new Set(text.split(' '));
+    snippet.text.slice(1, -1).split(' ').forEach((word) => assert.ok(words.has(word), `cut word: ${word}`));
+    assert.deepEqual(highlighted(snippet), ['equity']);
+  });
+
+  it('starts at the beginning when nothing matches', () => {
+    const snippet = buildSnippet('a'.repeat(50) + ' ' + 'b'.repeat(50), ['zzz'], { maxLength: 40 });
+
+    assert.ok(!snippet.text.startsWith('…'));
+    assert.deepEqual(snippet.highlights, []);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isValidTimezone,
+  isValidTimeOfDay,
+  getUtcOffsetMinutes,
+  getWorkingWindow,
+  calculateOverlapHours,
+  getDailyWindow,
+} = require('../../src/shared/utils/timezone');
+
+const WINTER = new Date('2024-01-15T12:00:00Z');
+const SUMMER = new Date('2024-07-15T12:00:00Z');
+
+const schedule = (timezone, start = '09:00', end = '18:00') => ({ timezone, workingHours: { start, end } });
+
+describe('validation', () => {
+  it('accepts IANA timezones and HH:mm times only', () => {
+    assert.equal(isValidTimezone('Europe/Berlin'), true);
+    assert.equal(isValidTimezone('Mars/Olympus'), false);
+    assert.equal(isValidTimezone(null), false);
+    assert.equal(isValidTimeOfDay('23:59'), true);
+    assert.equal(isValidTimeOfDay('24:00'), false);
+    assert.equal(isValidTimeOfDay('9:00'), false);
+  });
+});
+
+describe('getUtcOffsetMinutes', () => {
+  it('follows daylight saving time', () => {
+    assert.equal(getUtcOffsetMinutes('Asia/Kolkata', WINTER), 330);
+    assert.equal(getUtcOffsetMinutes('Europe/Berlin', WINTER), 60);
+    assert.equal(getUtcOffsetMinutes('Europe/Berlin', SUMMER), 120);
+    assert.equal(getUtcOffsetMinutes('America/New_York', WINTER), -300);
+  });
+});
+
+describe('getWorkingWindow', () => {
+  it('converts local working hours to UTC minutes', () => {
+    assert.deepEqual(getWorkingWindow(schedule('Asia/Kolkata', '10:00', '19:00'), WINTER), { start: 270, end: 810 });
+  });
+
+  it('wraps windows that start before midnight UTC', () => {
+    assert.deepEqual(getWorkingWindow(schedule('Asia/Tokyo', '08:00', '17:00'), WINTER), { start: 1380, end: 1920 });
+  });
+
+  it('lets night shifts end the next day', () => {
+    assert.deepEqual(getWorkingWindow(schedule('UTC', '22:00', '06:00'), WINTER), { start: 1320, end: 1800 });
+  });
+
+  it('returns null for unknown schedules', () => {
+    assert.equal(getWorkingWindow(schedule('Nowhere/City'), WINTER), null);
+    assert.equal(getWorkingWindow({ timezone: 'UTC' }, WINTER), null);
+    assert.equal(getWorkingWindow(null, WINTER), null);
+  });
+});
+
+describe('calculateOverlapHours', () => {
+  const kolkata = schedule('Asia/Kolkata', '10:00', '19:00');
+  const berlin = schedule('Europe/Berlin');
+
+  it('counts the hours both are working, with DST', () => {
+    assert.equal(calculateOverlapHours(kolkata, berlin, WINTER), 5.5);
+    assert.equal(calculateOverlapHours(kolkata, berlin, SUMMER), 6.5);
+  });
+
+  it('is symmetric', () => {
+    assert.equal(calculateOverlapHours(berlin, kolkata, WINTER), calculateOverlapHours(kolkata, berlin, WINTER));
+  });
+
+  it('finds overlap across midnight UTC', () => {
+    // Tokyo 00:00-09:00 UTC, Los Angeles 17:00-02:00 UTC
+    assert.equal(calculateOverlapHours(schedule('Asia/Tokyo'), schedule('America/Los_Angeles'), WINTER), 2);
+  });
+
+  it('handles night shifts', () => {
+    // New York 03:00-11:00 UTC, Kolkata 03:30-12:30 UTC
+    assert.equal(
+      calculateOverlapHours(schedule('America/New_York', '22:00', '06:00'), schedule('Asia/Kolkata'), WINTER),
+      7.5
+    );
+  });
+
+  it('is zero without shared hours and null when a schedule is unknown', () => {
+    assert.equal(calculateOverlapHours(schedule('UTC', '00:00', '04:00'), schedule('UTC', '12:00', '16:00'), WINTER), 0);
+    assert.equal(calculateOverlapHours(kolkata, { timezone: 'Europe/Berlin' }, WINTER), null);
+  });
+
+  it('never exceeds a full day', () => {
+    assert.equal(calculateOverlapHours(schedule('UTC', '00:00', '00:00'), schedule('Asia/Kolkata', '00:00', '00:00'), WINTER), 24);
+  });
+});
+
+describe('getDailyWindow', () => {
+  it('returns the window starting at the local hour that contains now', () => {
+    const window = getDailyWindow('Asia/Kolkata', 8, new Date('2024-03-10T00:30:00Z'));
+
+    assert.equal(window.start.toISOString(), '2024-03-09T02:30:00.000Z');
+    assert.equal(window.end.toISOString(), '2024-03-10T02:30:00.000Z');
+  });
+
+  it('keeps both ends on the local hour across a DST change', () => {
+    // Berlin moves to CEST at 01:00 UTC on 2024-03-31; 07:00 local is before the 08:00 start
+    const window = getDailyWindow('Europe/Berlin', 8, new Date('2024-03-31T05:00:00Z'));
+
+    assert.equal(window.start.toISOString(), '2024-03-30T07:00:00.000Z');
+    assert.equal(window.end.toISOString(), '2024-03-31T06:00:00.000Z');
+  });
+});